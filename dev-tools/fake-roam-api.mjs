@@ -0,0 +1,941 @@
+// ===================================================================
+// 🧪 Fake roamAlphaAPI - In-memory graph for running suite self-tests
+// Pages, blocks, users, a datalog subset for q, pull, and block/page writes
+// ===================================================================
+
+// ===================================================================
+// 📜 EDN READER - Just enough for queries and pull patterns
+// ===================================================================
+
+const tokenize = (source) => {
+  const tokens = [];
+  const pattern =
+    /\s+|,|;[^\n]*|("(?:\\.|[^"\\])*")|([[\](){}])|([^\s,[\](){}"]+)/gy;
+  let match;
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(source);
+    if (!match || pattern.lastIndex === start) {
+      throw new Error(
+        `EDN: unexpected input at ${start}: ${source.slice(start, start + 20)}`
+      );
+    }
+    if (match[1]) tokens.push({ type: "string", value: JSON.parse(match[1]) });
+    else if (match[2]) tokens.push({ type: "delim", value: match[2] });
+    else if (match[3]) tokens.push({ type: "atom", value: match[3] });
+  }
+  return tokens;
+};
+
+const CLOSERS = { "[": "]", "(": ")", "{": "}" };
+
+// Vectors → { vec: [...] }, lists → { list: [...] }, maps → { map: [[k, v]] }
+const parseEdn = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const read = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error("EDN: unexpected end of input");
+    if (token.type === "string") return token.value;
+    if (token.type === "delim") {
+      const closer = CLOSERS[token.value];
+      if (!closer) throw new Error(`EDN: unexpected "${token.value}"`);
+      const items = [];
+      while (tokens[index]?.value !== closer) {
+        items.push(read());
+      }
+      index++;
+      if (token.value === "[") return { vec: items };
+      if (token.value === "(") return { list: items };
+      const entries = [];
+      for (let i = 0; i < items.length; i += 2) {
+        entries.push([items[i], items[i + 1]]);
+      }
+      return { map: entries };
+    }
+
+    const atom = token.value;
+    if (/^-?\d+(\.\d+)?$/.test(atom)) return Number(atom);
+    if (atom === "true" || atom === "false") return atom === "true";
+    if (atom === "nil") return null;
+    return { symbol: atom };
+  };
+
+  const value = read();
+  if (index < tokens.length) {
+    throw new Error("EDN: trailing input after first form");
+  }
+  return value;
+};
+
+const sym = (form) => (form && typeof form === "object" ? form.symbol : null);
+const isVar = (form) => sym(form)?.startsWith("?");
+
+// ===================================================================
+// 🗄️ GRAPH STORE
+// ===================================================================
+
+// Attributes that hold entity references / many values
+const REF_ATTRS = new Set([
+  ":block/children",
+  ":block/page",
+  ":block/parents",
+  ":block/refs",
+  ":create/user",
+  ":edit/user",
+  ":user/display-page",
+]);
+const MANY_ATTRS = new Set([
+  ":block/children",
+  ":block/parents",
+  ":block/refs",
+]);
+// Computed from the tree - never stored
+const DERIVED_ATTRS = new Set([":block/page", ":block/parents", ":block/refs"]);
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const ordinal = (day) => {
+  if (day % 100 >= 11 && day % 100 <= 13) return `${day}th`;
+  return `${day}${{ 1: "st", 2: "nd", 3: "rd" }[day % 10] || "th"}`;
+};
+
+const dateToPageTitle = (date) =>
+  `${MONTHS[date.getMonth()]} ${ordinal(
+    date.getDate()
+  )}, ${date.getFullYear()}`;
+
+const dateToPageUid = (date) =>
+  [date.getMonth() + 1, date.getDate()]
+    .map((part) => String(part).padStart(2, "0"))
+    .concat(date.getFullYear())
+    .join("-");
+
+const UID_CHARS =
+  "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_";
+
+const createGraph = ({ clock = () => Date.now() } = {}) => {
+  const entities = new Map(); // eid → { ":attr": value }
+  const byUid = new Map(); // block/page uid → eid
+  const byTitle = new Map(); // page title → eid
+  const byUserUid = new Map(); // :user/uid → eid
+  const parentOf = new Map(); // child eid → parent eid
+  let nextEid = 1;
+  let uidCounter = 0;
+
+  const generateUID = () => {
+    let uid = "";
+    let n = ++uidCounter * 7919 + 104729;
+    for (let i = 0; i < 9; i++) {
+      uid += UID_CHARS[n % UID_CHARS.length];
+      n = Math.floor(n / UID_CHARS.length) + i * 31 + uidCounter;
+    }
+    return byUid.has(uid) ? generateUID() : uid;
+  };
+
+  const addEntity = (attrs) => {
+    const eid = nextEid++;
+    entities.set(eid, { ":db/id": eid, ...attrs });
+    return eid;
+  };
+
+  // [":block/uid", "abc"] / [":node/title", "x"] / [":user/uid", "u"] / eid
+  const resolve = (ref) => {
+    if (typeof ref === "number") return entities.has(ref) ? ref : null;
+    if (Array.isArray(ref)) {
+      const [attr, value] = ref;
+      const index = {
+        ":block/uid": byUid,
+        ":node/title": byTitle,
+        ":user/uid": byUserUid,
+      }[attr];
+      if (!index) throw new Error(`Unsupported lookup ref attribute ${attr}`);
+      return index.get(value) ?? null;
+    }
+    if (typeof ref === "string" && ref.trim().startsWith("[")) {
+      // '[:block/uid "abc"]' - the string form addPullWatch takes
+      const [attr, value] = parseEdn(ref).vec;
+      return resolve([sym(attr), value]);
+    }
+    if (typeof ref === "string") return byUid.get(ref) ?? null;
+    return null;
+  };
+
+  const pageOf = (eid) => {
+    let current = eid;
+    while (parentOf.has(current)) current = parentOf.get(current);
+    return current;
+  };
+
+  const ancestorsOf = (eid) => {
+    const ancestors = [];
+    let current = parentOf.get(eid);
+    while (current !== undefined) {
+      ancestors.push(current);
+      current = parentOf.get(current);
+    }
+    return ancestors;
+  };
+
+  // [[Page]], #Page, #[[Page]] and ((block-uid)) references
+  const refsOf = (string = "") => {
+    const refs = new Set();
+    const add = (eid) => eid && refs.add(eid);
+    for (const [, title] of string.matchAll(/\[\[([^\]]+)\]\]/g)) {
+      add(byTitle.get(title));
+    }
+    for (const [, title] of string.matchAll(/#([^\s[\]#,]+)/g)) {
+      add(byTitle.get(title));
+    }
+    for (const [, uid] of string.matchAll(/\(\(([^()]+)\)\)/g)) {
+      add(byUid.get(uid));
+    }
+    return Array.from(refs);
+  };
+
+  // Every value of an attribute as an array (datom view)
+  const values = (eid, attr) => {
+    const entity = entities.get(eid);
+    if (!entity) return [];
+    if (attr === ":block/page") {
+      if (entity[":node/title"] !== undefined) return [];
+      const page = pageOf(eid);
+      return page !== eid ? [page] : [];
+    }
+    if (attr === ":block/parents") {
+      return entity[":node/title"] !== undefined ? [] : ancestorsOf(eid);
+    }
+    if (attr === ":block/refs") {
+      return refsOf(entity[":block/string"]);
+    }
+    const value = entity[attr];
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+  };
+
+  const childrenOf = (eid) => entities.get(eid)?.[":block/children"] || [];
+
+  const sortedChildren = (eid) =>
+    [...childrenOf(eid)].sort(
+      (a, b) =>
+        entities.get(a)[":block/order"] - entities.get(b)[":block/order"]
+    );
+
+  const renumber = (parentEid) => {
+    sortedChildren(parentEid).forEach((child, order) => {
+      entities.get(child)[":block/order"] = order;
+    });
+  };
+
+  const attach = (parentEid, childEid, order) => {
+    const siblings = sortedChildren(parentEid);
+    const position =
+      order === "last" || order === undefined || order > siblings.length
+        ? siblings.length
+        : Math.max(0, order);
+    siblings.splice(position, 0, childEid);
+    siblings.forEach((child, i) => {
+      entities.get(child)[":block/order"] = i;
+    });
+    entities.get(parentEid)[":block/children"] = siblings;
+    parentOf.set(childEid, parentEid);
+  };
+
+  const detach = (childEid) => {
+    const parentEid = parentOf.get(childEid);
+    if (parentEid === undefined) return;
+    const parent = entities.get(parentEid);
+    parent[":block/children"] = childrenOf(parentEid).filter(
+      (eid) => eid !== childEid
+    );
+    if (parent[":block/children"].length === 0) {
+      delete parent[":block/children"];
+    }
+    parentOf.delete(childEid);
+    renumber(parentEid);
+  };
+
+  const stamp = (userEid) => {
+    const now = clock();
+    return {
+      ":create/time": now,
+      ":edit/time": now,
+      ...(userEid ? { ":create/user": userEid, ":edit/user": userEid } : {}),
+    };
+  };
+
+  const createUser = ({ uid, displayName, email = null, page = null }) => {
+    const eid = addEntity({
+      ":user/uid": uid,
+      ":user/display-name": displayName,
+      ...(email ? { ":user/email": email } : {}),
+    });
+    byUserUid.set(uid, eid);
+    if (page) entities.get(eid)[":user/display-page"] = page;
+    return eid;
+  };
+
+  const createPage = ({ title, uid = generateUID(), userEid, createTime }) => {
+    if (byTitle.has(title)) {
+      throw new Error(`Page "${title}" already exists`);
+    }
+    if (byUid.has(uid)) throw new Error(`Uid "${uid}" already exists`);
+    const eid = addEntity({
+      ":block/uid": uid,
+      ":node/title": title,
+      ...stamp(userEid),
+      ...(createTime ? { ":create/time": createTime } : {}),
+    });
+    byUid.set(uid, eid);
+    byTitle.set(title, eid);
+    return eid;
+  };
+
+  const createBlock = ({
+    parentEid,
+    order = "last",
+    string = "",
+    uid = generateUID(),
+    userEid,
+    createTime,
+    open = true,
+    heading,
+  }) => {
+    if (byUid.has(uid)) throw new Error(`Uid "${uid}" already exists`);
+    const eid = addEntity({
+      ":block/uid": uid,
+      ":block/string": string,
+      ":block/open": open,
+      ...(heading ? { ":block/heading": heading } : {}),
+      ...stamp(userEid),
+      ...(createTime ? { ":create/time": createTime } : {}),
+    });
+    byUid.set(uid, eid);
+    attach(parentEid, eid, order);
+    return eid;
+  };
+
+  const removeTree = (eid) => {
+    childrenOf(eid).forEach(removeTree);
+    const entity = entities.get(eid);
+    byUid.delete(entity[":block/uid"]);
+    if (entity[":node/title"] !== undefined)
+      byTitle.delete(entity[":node/title"]);
+    parentOf.delete(eid);
+    entities.delete(eid);
+  };
+
+  return {
+    entities,
+    byUid,
+    byTitle,
+    byUserUid,
+    parentOf,
+    generateUID,
+    resolve,
+    values,
+    sortedChildren,
+    attach,
+    detach,
+    createUser,
+    createPage,
+    createBlock,
+    removeTree,
+    isRefAttr: (attr) => REF_ATTRS.has(attr),
+    isManyAttr: (attr) => MANY_ATTRS.has(attr),
+    isDerivedAttr: (attr) => DERIVED_ATTRS.has(attr),
+    renumber,
+  };
+};
+
+// ===================================================================
+// 🔍 PULL
+// ===================================================================
+
+const keyName = (form) => (typeof form === "string" ? form : sym(form));
+
+const pullEntity = (graph, pattern, eid, depth = 0) => {
+  const entity = graph.entities.get(eid);
+  if (!entity) return null;
+  if (depth > 50) throw new Error("pull: recursion too deep");
+
+  const result = {};
+  const refValue = (value) => ({ ":db/id": value });
+
+  const addAttr = (attr, nested = null) => {
+    // :block/_refs → every entity whose :block/refs points here
+    const reverse = attr.match(/^(:[^/]+)\/_(.+)$/);
+    const vals = reverse
+      ? Array.from(graph.entities.keys()).filter((other) =>
+          graph.values(other, `${reverse[1]}/${reverse[2]}`).includes(eid)
+        )
+      : graph.values(eid, attr);
+    if (vals.length === 0) return;
+    const shape = (value) =>
+      reverse || graph.isRefAttr(attr)
+        ? nested
+          ? pullEntity(graph, nested, value, depth + 1)
+          : refValue(value)
+        : value;
+    result[attr] =
+      reverse || graph.isManyAttr(attr) ? vals.map(shape) : shape(vals[0]);
+  };
+
+  pattern.vec.forEach((item) => {
+    const name = keyName(item);
+    if (name === "*") {
+      Object.keys(entity).forEach((attr) => {
+        if (!graph.isDerivedAttr(attr)) addAttr(attr);
+      });
+    } else if (name) {
+      addAttr(name);
+    } else if (item?.map) {
+      item.map.forEach(([key, nested]) => {
+        const attr = keyName(key);
+        // {:block/children ...} recurses with the enclosing pattern
+        addAttr(attr, sym(nested) === "..." ? pattern : nested);
+      });
+    }
+  });
+
+  return Object.keys(result).length > 0 ? result : null;
+};
+
+// ===================================================================
+// 🧮 DATALOG SUBSET
+// ===================================================================
+// Supported: :find vars / (pull ?e [...]) / (count ?x) / scalar "?x .",
+// :in $ ?inputs, :where triples, (clojure.string/starts-with?|includes?|
+// ends-with?), (= < > <= >= not=), (missing? $ ?e :attr), (not ...),
+// (or ...) with (and ...) branches, :limit. Unsupported forms throw.
+
+const PREDICATES = {
+  "clojure.string/starts-with?": (a, b) =>
+    typeof a === "string" && a.startsWith(b),
+  "clojure.string/includes?": (a, b) => typeof a === "string" && a.includes(b),
+  "clojure.string/ends-with?": (a, b) => typeof a === "string" && a.endsWith(b),
+  "=": (a, b) => a === b,
+  "not=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  ">": (a, b) => a > b,
+  "<=": (a, b) => a <= b,
+  ">=": (a, b) => a >= b,
+};
+
+const splitQuery = (form) => {
+  const sections = {};
+  let current = null;
+  form.vec.forEach((item) => {
+    const name = sym(item);
+    if (name?.startsWith(":")) {
+      current = name;
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(item);
+    } else {
+      throw new Error("q: query must start with a keyword section");
+    }
+  });
+  return sections;
+};
+
+const valueOf = (form, binding) => {
+  if (isVar(form)) return binding[sym(form)];
+  const name = sym(form);
+  if (name !== null && name !== undefined) return name; // keyword constant
+  return form;
+};
+
+const createQueryEngine = (graph) => {
+  const matchTriple = (clause, bindings) => {
+    const [eForm, aForm, vForm] = clause.vec;
+    const attr = sym(aForm);
+    if (!attr?.startsWith(":")) {
+      throw new Error(
+        `q: attribute must be a keyword, got ${JSON.stringify(aForm)}`
+      );
+    }
+    const out = [];
+
+    bindings.forEach((binding) => {
+      let candidates;
+      if (isVar(eForm) && binding[sym(eForm)] === undefined) {
+        candidates = graph.entities.keys();
+      } else if (sym(eForm) === "_") {
+        candidates = graph.entities.keys();
+      } else {
+        const e = valueOf(eForm, binding);
+        candidates = graph.entities.has(e) ? [e] : [];
+      }
+
+      for (const eid of candidates) {
+        for (const value of graph.values(eid, attr)) {
+          const next = { ...binding };
+          if (isVar(eForm)) next[sym(eForm)] = eid;
+
+          if (vForm === undefined || sym(vForm) === "_") {
+            // wildcard
+          } else if (isVar(vForm)) {
+            const bound = next[sym(vForm)];
+            if (bound !== undefined && bound !== value) continue;
+            next[sym(vForm)] = value;
+          } else if (valueOf(vForm, next) !== value) {
+            continue;
+          }
+          out.push(next);
+        }
+      }
+    });
+
+    return out;
+  };
+
+  const applyClause = (clause, bindings) => {
+    if (clause.vec) {
+      const head = clause.vec[0];
+      // [(pred ?a "b")]
+      if (head?.list) {
+        const [fn, ...args] = head.list;
+        const name = sym(fn);
+        if (name === "missing?") {
+          const [, eForm, aForm] = args;
+          return bindings.filter(
+            (binding) =>
+              graph.values(valueOf(eForm, binding), sym(aForm)).length === 0
+          );
+        }
+        const predicate = PREDICATES[name];
+        if (!predicate) throw new Error(`q: unsupported function ${name}`);
+        return bindings.filter((binding) =>
+          predicate(...args.map((arg) => valueOf(arg, binding)))
+        );
+      }
+      return matchTriple(clause, bindings);
+    }
+
+    if (clause.list) {
+      const [head, ...body] = clause.list;
+      const name = sym(head);
+      if (name === "not") {
+        return bindings.filter(
+          (binding) => runClauses(body, [binding]).length === 0
+        );
+      }
+      if (name === "or") {
+        return body.flatMap((branch) => {
+          const clauses =
+            branch.list && sym(branch.list[0]) === "and"
+              ? branch.list.slice(1)
+              : [branch];
+          return runClauses(clauses, bindings);
+        });
+      }
+      throw new Error(`q: unsupported clause (${name} ...)`);
+    }
+
+    throw new Error(`q: unsupported clause ${JSON.stringify(clause)}`);
+  };
+
+  const runClauses = (clauses, bindings) =>
+    clauses.reduce((current, clause) => applyClause(clause, current), bindings);
+
+  const q = (query, ...inputs) => {
+    const sections = splitQuery(parseEdn(query));
+    const find = sections[":find"];
+    if (!find) throw new Error("q: missing :find");
+
+    let initial = {};
+    const inForms = sections[":in"] || [];
+    inForms
+      .filter((form) => sym(form) !== "$")
+      .forEach((form, i) => {
+        if (!isVar(form))
+          throw new Error("q: only scalar :in bindings are supported");
+        initial[sym(form)] = inputs[i];
+      });
+
+    const bindings = runClauses(sections[":where"] || [], [initial]);
+
+    const scalar = sym(find[find.length - 1]) === ".";
+    const elements = scalar ? find.slice(0, -1) : find;
+
+    const project = (binding) =>
+      elements.map((element) => {
+        if (element.list) {
+          const [fn, variable, pattern] = element.list;
+          if (sym(fn) === "pull") {
+            return pullEntity(graph, pattern, binding[sym(variable)]);
+          }
+          if (sym(fn) === "count") return binding[sym(variable)];
+          throw new Error(`q: unsupported find element (${sym(fn)} ...)`);
+        }
+        return binding[sym(element)];
+      });
+
+    const aggregateIndex = elements.findIndex(
+      (element) => element.list && sym(element.list[0]) === "count"
+    );
+
+    let rows;
+    if (aggregateIndex >= 0) {
+      // Group on the other elements, count distinct values
+      const groups = new Map();
+      bindings.forEach((binding) => {
+        const row = project(binding);
+        const key = JSON.stringify(row.filter((_, i) => i !== aggregateIndex));
+        if (!groups.has(key)) groups.set(key, { row, seen: new Set() });
+        groups.get(key).seen.add(row[aggregateIndex]);
+      });
+      rows = Array.from(groups.values(), ({ row, seen }) => {
+        const counted = [...row];
+        counted[aggregateIndex] = seen.size;
+        return counted;
+      });
+    } else {
+      // Result sets are sets - drop duplicate tuples
+      const unique = new Map();
+      bindings.forEach((binding) => {
+        const row = project(binding);
+        unique.set(JSON.stringify(row), row);
+      });
+      rows = Array.from(unique.values());
+    }
+
+    const limit = sections[":limit"]?.[0];
+    if (typeof limit === "number") rows = rows.slice(0, limit);
+
+    if (scalar) return rows.length > 0 ? rows[0][0] : null;
+    return rows;
+  };
+
+  return { q };
+};
+
+// ===================================================================
+// 🌐 FAKE roamAlphaAPI
+// ===================================================================
+
+/**
+ * Build a fake window.roamAlphaAPI seeded from a fixture:
+ * {
+ *   graphName, currentUser: "user-uid",
+ *   users: [{ uid, displayName, email? }],
+ *   pages: [{ title, uid?, createdBy?, createTime?, children: [
+ *     "text" | { string, uid?, createdBy?, createTime?, children? }
+ *   ] }]
+ * }
+ */
+export const createFakeRoamAPI = (fixture = {}, options = {}) => {
+  const graph = createGraph(options);
+  const { q } = createQueryEngine(graph);
+  const writeLog = [];
+  const pullWatches = new Set();
+  const commands = new Map();
+  const sidebarWindows = [];
+  let openUid = null;
+
+  fixture.users?.forEach((user) => graph.createUser(user));
+
+  const userEid = (uid) => (uid ? graph.byUserUid.get(uid) : undefined);
+  let currentUserUid = fixture.currentUser || fixture.users?.[0]?.uid || null;
+
+  const seedChildren = (parentEid, children = []) => {
+    children.forEach((child) => {
+      const spec = typeof child === "string" ? { string: child } : child;
+      const eid = graph.createBlock({
+        parentEid,
+        string: spec.string,
+        uid: spec.uid,
+        userEid: userEid(spec.createdBy) ?? userEid(currentUserUid),
+        createTime: spec.createTime,
+        heading: spec.heading,
+      });
+      seedChildren(eid, spec.children);
+    });
+  };
+
+  fixture.pages?.forEach((page) => {
+    const eid = graph.createPage({
+      title: page.title,
+      uid: page.uid,
+      userEid: userEid(page.createdBy) ?? userEid(currentUserUid),
+      createTime: page.createTime,
+    });
+    seedChildren(eid, page.children);
+  });
+
+  // Link users to their display-name pages once pages exist
+  graph.byUserUid.forEach((eid) => {
+    const user = graph.entities.get(eid);
+    const pageEid = graph.byTitle.get(user[":user/display-name"]);
+    if (pageEid) user[":user/display-page"] = pageEid;
+  });
+
+  const parsePattern = (pattern) =>
+    typeof pattern === "string" ? parseEdn(pattern) : pattern;
+
+  const pull = (pattern, ref) => {
+    const eid = graph.resolve(ref);
+    return eid === null ? null : pullEntity(graph, parsePattern(pattern), eid);
+  };
+
+  const notifyWatches = () => {
+    pullWatches.forEach((watch) => {
+      const after = pull(watch.pattern, watch.ref);
+      const serialized = JSON.stringify(after);
+      if (serialized !== watch.last) {
+        const before = watch.last === undefined ? null : JSON.parse(watch.last);
+        watch.last = serialized;
+        try {
+          watch.callback(before, after);
+        } catch (error) {
+          console.error("pull watch callback failed:", error);
+        }
+      }
+    });
+  };
+
+  // Every write is async like the real API, logged, and wakes pull watches
+  const write =
+    (action, fn) =>
+    async (args = {}) => {
+      const result = fn(args);
+      writeLog.push({ action, args: structuredClone(args), at: Date.now() });
+      notifyWatches();
+      return result;
+    };
+
+  const requireEid = (uid, what = "block") => {
+    const eid = graph.byUid.get(uid);
+    if (eid === undefined) throw new Error(`${what} not found: ${uid}`);
+    return eid;
+  };
+
+  const parentFromLocation = (location = {}) => {
+    if (location["parent-uid"])
+      return requireEid(location["parent-uid"], "parent");
+    if (location["page-title"]) {
+      const title =
+        typeof location["page-title"] === "string"
+          ? location["page-title"]
+          : dateToPageTitle(
+              new Date(location["page-title"]["daily-note-page"])
+            );
+      return (
+        graph.byTitle.get(title) ??
+        graph.createPage({ title, userEid: userEid(currentUserUid) })
+      );
+    }
+    throw new Error("location needs parent-uid or page-title");
+  };
+
+  const blockCreate = write("block.create", ({ location, block = {} }) => {
+    graph.createBlock({
+      parentEid: parentFromLocation(location),
+      order: location?.order,
+      string: block.string ?? "",
+      uid: block.uid,
+      open: block.open ?? true,
+      heading: block.heading,
+      userEid: userEid(currentUserUid),
+    });
+  });
+
+  const blockUpdate = write("block.update", ({ block = {} }) => {
+    const entity = graph.entities.get(requireEid(block.uid));
+    if (block.string !== undefined) entity[":block/string"] = block.string;
+    if (block.open !== undefined) entity[":block/open"] = block.open;
+    if (block.heading !== undefined) entity[":block/heading"] = block.heading;
+    entity[":edit/time"] = Date.now();
+    if (userEid(currentUserUid)) entity[":edit/user"] = userEid(currentUserUid);
+  });
+
+  const blockDelete = write("block.delete", ({ block = {} }) => {
+    const eid = requireEid(block.uid);
+    graph.detach(eid);
+    graph.removeTree(eid);
+  });
+
+  const blockMove = write("block.move", ({ location, block = {} }) => {
+    const eid = requireEid(block.uid);
+    graph.detach(eid);
+    graph.attach(parentFromLocation(location), eid, location?.order);
+  });
+
+  const pageCreate = write("page.create", ({ page = {} }) => {
+    graph.createPage({
+      title: page.title,
+      uid: page.uid,
+      userEid: userEid(currentUserUid),
+    });
+  });
+
+  const pageUpdate = write("page.update", ({ page = {} }) => {
+    const eid = requireEid(page.uid, "page");
+    const entity = graph.entities.get(eid);
+    if (page.title !== undefined) {
+      graph.byTitle.delete(entity[":node/title"]);
+      entity[":node/title"] = page.title;
+      graph.byTitle.set(page.title, eid);
+    }
+  });
+
+  const pageDelete = write("page.delete", ({ page = {} }) => {
+    const eid = requireEid(page.uid, "page");
+    graph.removeTree(eid);
+  });
+
+  const api = {
+    graph: { name: fixture.graphName || "fixture-graph", type: "hosted" },
+
+    q,
+    pull,
+    createBlock: blockCreate,
+    updateBlock: blockUpdate,
+    deleteBlock: blockDelete,
+    moveBlock: blockMove,
+    createPage: pageCreate,
+    deletePage: pageDelete,
+
+    data: {
+      q,
+      pull,
+      fast: { q },
+      block: {
+        create: blockCreate,
+        update: blockUpdate,
+        delete: blockDelete,
+        move: blockMove,
+      },
+      page: { create: pageCreate, update: pageUpdate, delete: pageDelete },
+      addPullWatch: (pattern, ref, callback) => {
+        const watch = {
+          pattern,
+          ref,
+          callback,
+          last: JSON.stringify(pull(pattern, ref)),
+        };
+        pullWatches.add(watch);
+        return true;
+      },
+      removePullWatch: (pattern, ref, callback) => {
+        pullWatches.forEach((watch) => {
+          if (
+            watch.pattern === pattern &&
+            JSON.stringify(watch.ref) === JSON.stringify(ref) &&
+            (!callback || watch.callback === callback)
+          ) {
+            pullWatches.delete(watch);
+          }
+        });
+        return true;
+      },
+    },
+
+    user: {
+      uid: () => currentUserUid,
+    },
+
+    util: {
+      generateUID: () => graph.generateUID(),
+      dateToPageTitle,
+      dateToPageUid,
+      pageTitleToDate: (title) => {
+        const match = title.match(/^(\w+) (\d+)\w{2}, (\d{4})$/);
+        if (!match) return null;
+        return new Date(
+          Number(match[3]),
+          MONTHS.indexOf(match[1]),
+          Number(match[2])
+        );
+      },
+    },
+
+    ui: {
+      commandPalette: {
+        addCommand: ({ label, callback }) => commands.set(label, callback),
+        removeCommand: ({ label }) => commands.delete(label),
+      },
+      mainWindow: {
+        getOpenPageOrBlockUid: async () => openUid,
+        openPage: async ({ page = {} }) => {
+          openUid =
+            page.uid ??
+            graph.entities.get(graph.byTitle.get(page.title))?.[":block/uid"] ??
+            null;
+        },
+        openBlock: async ({ block = {} }) => {
+          openUid = block.uid;
+        },
+        openDailyNotes: async () => {
+          openUid = null;
+        },
+      },
+      rightSidebar: {
+        getWindows: () =>
+          sidebarWindows.map((sidebarWindow) => ({ ...sidebarWindow })),
+        addWindow: async ({ window: sidebarWindow }) => {
+          sidebarWindows.push({
+            "window-id": `sidebar-${sidebarWindows.length + 1}`,
+            type: sidebarWindow.type,
+            [sidebarWindow.type === "outline" ? "page-uid" : "block-uid"]:
+              sidebarWindow["block-uid"],
+          });
+        },
+        removeWindow: async ({ window: sidebarWindow }) => {
+          const index = sidebarWindows.findIndex(
+            (open) =>
+              open["page-uid"] === sidebarWindow["block-uid"] ||
+              open["block-uid"] === sidebarWindow["block-uid"]
+          );
+          if (index >= 0) sidebarWindows.splice(index, 1);
+        },
+      },
+    },
+
+    // 🧪 Test-only helpers - not part of the real API
+    _fake: {
+      graph,
+      writeLog,
+      commands,
+      setCurrentUser: (uid) => {
+        currentUserUid = uid;
+      },
+      runCommand: async (label) => {
+        const callback = commands.get(label);
+        if (!callback) throw new Error(`No command palette entry "${label}"`);
+        return callback();
+      },
+      getTree: (uid) => {
+        const eid = graph.resolve([":block/uid", uid]);
+        const tree = (id) => {
+          const entity = graph.entities.get(id);
+          return {
+            uid: entity[":block/uid"],
+            string: entity[":block/string"] ?? entity[":node/title"],
+            children: graph.sortedChildren(id).map(tree),
+          };
+        };
+        return eid === null ? null : tree(eid);
+      },
+    },
+  };
+
+  return api;
+};
+
+export { parseEdn, dateToPageTitle, dateToPageUid };
@@ -0,0 +1,63 @@
+// ===================================================================
+// 🧪 Avatar component fixture - the basic graph after 6.5 deployed avatars
+// ===================================================================
+//
+// Extension 6.5 appends its component to the Avatar:: block itself, so the
+// label carries an inline render macro and the image stays in the children:
+//
+//   Avatar:: {{roam/render: ((avatar-component))}}
+//     ![](https://example.com/avatars/alex.png)
+
+import basicGraph from "./basic-graph.mjs";
+
+const AVATAR_COMPONENT = "{{roam/render: ((avatar-component))}}";
+
+const withDeployedAvatar = (page, avatarChildren) => ({
+  ...page,
+  children: page.children.map((block) =>
+    block.string !== "My Info::"
+      ? block
+      : {
+          ...block,
+          children: block.children.map((field) =>
+            field.string !== "Avatar::"
+              ? field
+              : {
+                  string: `Avatar:: ${AVATAR_COMPONENT}`,
+                  children: avatarChildren,
+                }
+          ),
+        }
+  ),
+});
+
+export default {
+  ...basicGraph,
+  graphName: "avatar-component-graph",
+
+  pages: [
+    ...basicGraph.pages.map((page) =>
+      page.title === "Alex Rivera"
+        ? withDeployedAvatar(page, [
+            "![](https://example.com/avatars/alex.png)",
+          ])
+        : page.title === "Sam Chen"
+        ? // Image added below the placeholder instead of replacing it
+          withDeployedAvatar(page, [
+            "__not yet entered__",
+            "![](https://example.com/avatars/sam.png)",
+          ])
+        : page
+    ),
+    {
+      title: "roam/components",
+      uid: "roam-components",
+      children: [
+        {
+          string: "```clojure\n(ns avatar-component)\n```",
+          uid: "avatar-component",
+        },
+      ],
+    },
+  ],
+};
@@ -0,0 +1,119 @@
+// ===================================================================
+// 🧪 Basic fixture graph - three members, a directory, profiles and preferences
+// ===================================================================
+
+const day = 24 * 60 * 60 * 1000;
+const seededAt = Date.UTC(2024, 0, 15, 12);
+
+export default {
+  graphName: "fixture-graph",
+  currentUser: "user-alex",
+
+  users: [
+    { uid: "user-alex", displayName: "Alex Rivera", email: "alex@example.com" },
+    { uid: "user-sam", displayName: "Sam Chen", email: "sam@example.com" },
+    { uid: "user-jo", displayName: "Jo Okafor", email: "jo@example.com" },
+  ],
+
+  pages: [
+    {
+      title: "roam/graph members",
+      uid: "graph-members",
+      children: [
+        {
+          string: "Directory::",
+          uid: "members-dir",
+          children: [
+            {
+              string: "[[Alex Rivera]]",
+              children: [
+                "Role:: admin",
+                { string: "Team::", children: ["Editorial"] },
+                "Joined:: [[January 15th, 2024]]",
+              ],
+            },
+            "[[Sam Chen]]",
+            { string: "[[Jo Okafor]]", children: ["Role:: guest"] },
+          ],
+        },
+      ],
+    },
+    {
+      title: "Alex Rivera",
+      uid: "page-alex",
+      createdBy: "user-alex",
+      children: [
+        {
+          string: "My Info::",
+          children: [
+            { string: "Avatar::", children: ["__not yet entered__"] },
+            { string: "Location::", children: ["Lisbon, Portugal"] },
+            { string: "Role::", children: ["Editor"] },
+            { string: "Timezone::", children: ["Europe/Lisbon"] },
+            { string: "About Me::", children: ["Writes the weekly digest"] },
+          ],
+        },
+      ],
+    },
+    {
+      title: "Sam Chen",
+      uid: "page-sam",
+      createdBy: "user-sam",
+      children: [
+        {
+          string: "My Info::",
+          children: [
+            { string: "Avatar::", children: ["__not yet entered__"] },
+            { string: "Location::", children: ["Toronto, Canada"] },
+            { string: "Role::", children: ["Researcher"] },
+            { string: "Timezone::", children: ["America/Toronto"] },
+            { string: "About Me::", children: ["__not yet entered__"] },
+          ],
+        },
+      ],
+    },
+    {
+      title: "Jo Okafor",
+      uid: "page-jo",
+      createdBy: "user-jo",
+      children: [],
+    },
+    {
+      title: "Alex Rivera/user preferences",
+      uid: "prefs-alex",
+      createdBy: "user-alex",
+      children: [
+        { string: "**Loading Page Preference:**", children: ["Daily Page"] },
+        { string: "**Journal Header Color:**", children: ["blue"] },
+      ],
+    },
+    {
+      title: "Alex Rivera/chat room",
+      uid: "chat-alex",
+      createdBy: "user-alex",
+      children: [
+        {
+          string: "[[Sam Chen]] can you review the draft? #ch0",
+          createdBy: "user-sam",
+          createTime: seededAt - day,
+        },
+        {
+          string: "On it - comments by tonight",
+          createdBy: "user-alex",
+          createTime: seededAt - day + 3600 * 1000,
+        },
+      ],
+    },
+    {
+      title: "Project Notes",
+      uid: "project-notes",
+      createdBy: "user-sam",
+      children: [
+        {
+          string: "Kickoff agenda",
+          children: ["Scope", "Owners: [[Alex Rivera]], [[Jo Okafor]]"],
+        },
+      ],
+    },
+  ],
+};
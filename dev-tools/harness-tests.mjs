@@ -0,0 +1,665 @@
+// ===================================================================
+// 🧪 Harness Tests - Behaviour checks the extensions don't ship a self-test for
+// Each test gets the loaded window and throws on the first failed expectation.
+// Imported by headless-harness.mjs; run one with `--only <name>`.
+// ===================================================================
+
+const sleep = (ms) => new Promise((done) => setTimeout(done, ms));
+
+const expect = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const expectEqual = (actual, expected, message) => {
+  const a = JSON.stringify(actual);
+  const b = JSON.stringify(expected);
+  if (a !== b) throw new Error(`${message}: expected ${b}, got ${a}`);
+};
+
+const utility = (window, name) => {
+  const found = window.RoamExtensionSuite.getUtility(name);
+  expect(typeof found === "function" || found, `utility "${name}" missing`);
+  return found;
+};
+
+const blockUidByString = (window, pageTitle, string) =>
+  window.roamAlphaAPI.data.q(
+    `[:find ?uid . :in $ ?title ?string
+      :where [?page :node/title ?title] [?block :block/page ?page]
+             [?block :block/string ?string] [?block :block/uid ?uid]]`,
+    pageTitle,
+    string
+  );
+
+// For tests that expect an error: console.error is collected, not judged
+const collectErrors = async (window, run) => {
+  const errors = [];
+  const original = window.console.error;
+  window.console.error = (...args) => errors.push(args.map(String).join(" "));
+  try {
+    await run();
+  } finally {
+    window.console.error = original;
+  }
+  return errors;
+};
+
+const pressKey = (window, element, key) =>
+  element.dispatchEvent(
+    new window.KeyboardEvent("keydown", { key, bubbles: true })
+  );
+
+// ===================================================================
+// 🕰️ PREFERENCE HISTORY - writes are recorded, read back and restored
+// ===================================================================
+
+const preferenceHistory = async (window) => {
+  const username = "Alex Rivera";
+  const key = "Journal Header Color";
+  const setUserPreference = utility(window, "setUserPreference");
+  const readPreferenceValue = utility(window, "readPreferenceValue");
+  const getPreferencesAt = utility(window, "getPreferencesAt");
+  const getPreferenceHistory = utility(window, "getPreferenceHistory");
+
+  // History entries carry millisecond timestamps - keep the cut-offs apart
+  const beforeChanges = new Date();
+  await sleep(10);
+  await setUserPreference(username, key, "green", { source: "harness" });
+  await sleep(10);
+  const afterGreen = new Date();
+  await sleep(10);
+  await setUserPreference(username, key, "red", { source: "harness" });
+
+  expectEqual(readPreferenceValue(username, key), "red", "current value");
+  const [latest] = getPreferenceHistory(username, { key });
+  expectEqual(
+    [latest?.oldValue, latest?.newValue, latest?.source],
+    ["green", "red", "harness"],
+    "newest history entry"
+  );
+
+  expectEqual(
+    getPreferencesAt(username, beforeChanges)[key],
+    "blue",
+    "value before any recorded change"
+  );
+  expectEqual(
+    getPreferencesAt(username, afterGreen)[key],
+    "green",
+    "value between the two changes"
+  );
+  expectEqual(getPreferencesAt(username, new Date())[key], "red", "value now");
+
+  const plan = utility(window, "planPreferenceRestore")(username, afterGreen);
+  expectEqual(plan, [{ key, from: "red", to: "green" }], "restore plan");
+
+  const result = await utility(window, "restorePreferences")(
+    username,
+    afterGreen
+  );
+  expectEqual(result.failed, [], "failed restores");
+  expectEqual(readPreferenceValue(username, key), "green", "restored value");
+  const [restoreEntry] = getPreferenceHistory(username, { key });
+  expect(
+    restoreEntry?.source?.startsWith("Config: Restore"),
+    `restore should be recorded, newest source is "${restoreEntry?.source}"`
+  );
+
+  // History is best-effort: the setter still writes without its reader
+  const { utilities } = window.RoamExtensionSuite;
+  const registry = window._extensionRegistry?.utilities || {};
+  const reader = utilities.get("readPreferenceValue");
+  utilities.delete("readPreferenceValue");
+  delete registry.readPreferenceValue;
+  try {
+    await setUserPreference(username, key, "purple", { source: "harness" });
+  } finally {
+    utilities.set("readPreferenceValue", reader);
+    registry.readPreferenceValue = reader;
+  }
+  expectEqual(
+    readPreferenceValue(username, key),
+    "purple",
+    "value written without the history reader"
+  );
+};
+
+// ===================================================================
+// 🌍 TIMEZONES & OVERLAP - DST-correct offsets and shared working slots
+// ===================================================================
+
+const timezonesAndOverlap = async (window) => {
+  const tz = utility(window, "timezoneManager");
+  const getOverlap = utility(window, "getOverlap");
+  const nextSharedSlot = utility(window, "nextSharedSlot");
+  const january = new Date(Date.UTC(2025, 0, 15, 12)); // a Wednesday
+  const july = new Date(Date.UTC(2025, 6, 15, 12)); // a Tuesday
+
+  expectEqual(
+    ["america/new_york", "Lisbon", "Toronto, Canada", "GMT-3", "+0545"].map(
+      (text) => tz.parseTimezone(text)
+    ),
+    [
+      "America/New_York",
+      "Europe/Lisbon",
+      "America/Toronto",
+      "UTC-03:00",
+      "UTC+05:45",
+    ],
+    "parsed timezones"
+  );
+  expectEqual(tz.parseTimezone("Mars/Olympus"), null, "unknown timezone");
+
+  expectEqual(
+    [
+      tz.getOffset("America/New_York", january),
+      tz.getOffset("America/New_York", july),
+    ],
+    [-300, -240],
+    "New York offsets in winter and summer"
+  );
+
+  const winter = tz.getCurrentTimeForTimezone("America/New_York", january);
+  const summer = tz.getCurrentTimeForTimezone("America/New_York", july);
+  expectEqual(
+    [winter.timeString, winter.utcOffset, winter.isDST],
+    ["Wed 07:00 AM", "UTC-05:00", false],
+    "time at a given winter instant"
+  );
+  expectEqual(
+    [summer.timeString, summer.utcOffset, summer.isDST],
+    ["Tue 08:00 AM", "UTC-04:00", true],
+    "time at a given summer instant"
+  );
+
+  // 02:30 doesn't happen on the spring-forward night - moved to 03:30 EDT
+  expectEqual(
+    tz
+      .zonedTimeToUtc("America/New_York", {
+        year: 2025,
+        month: 3,
+        day: 9,
+        hour: 2,
+        minute: 30,
+      })
+      .toISOString(),
+    "2025-03-09T07:30:00.000Z",
+    "wall-clock time in a DST gap"
+  );
+
+  // Lisbon (UTC+0) and Toronto (UTC-5), both on the default Mon-Fri 9-5
+  const overlap = getOverlap(
+    ["Alex Rivera", "Sam Chen", "Jo Okafor"],
+    january,
+    {
+      timezone: "UTC",
+    }
+  );
+  expectEqual(
+    overlap.slots.map((slot) => [slot.start.toISOString(), slot.minutes]),
+    [["2025-01-15T14:00:00.000Z", 180]],
+    "shared slots"
+  );
+  expectEqual(overlap.missing, ["Jo Okafor"], "members without a timezone");
+
+  const found = nextSharedSlot(["Alex Rivera", "Sam Chen"], 60, {
+    from: new Date(Date.UTC(2025, 0, 15, 10)),
+  });
+  expectEqual(
+    [found.slot?.start.toISOString(), found.slot?.minutes, found.reason],
+    ["2025-01-15T14:00:00.000Z", 60, null],
+    "next shared hour"
+  );
+
+  // A shift past midnight meets an early one the next morning
+  const overnight = nextSharedSlot(
+    [
+      { name: "Night", timezone: "UTC", workingHours: "daily 22:00-06:00" },
+      { name: "Early", timezone: "UTC", workingHours: "daily 05:00-07:00" },
+    ],
+    60,
+    { from: new Date(Date.UTC(2025, 0, 15, 10)) }
+  );
+  expectEqual(
+    overnight.slot?.start.toISOString(),
+    "2025-01-16T05:00:00.000Z",
+    "slot across midnight"
+  );
+
+  const apart = nextSharedSlot(
+    [
+      { name: "Tokyo", timezone: "Asia/Tokyo", workingHours: "Mon-Fri 9-12" },
+      { name: "Toronto", timezone: "Toronto", workingHours: "Mon-Fri 9-12" },
+    ],
+    30,
+    { from: january }
+  );
+  expectEqual(
+    [apart.slot, apart.reason, apart.missing],
+    [null, "no-overlap", []],
+    "members who never overlap"
+  );
+
+  const unplaced = nextSharedSlot(["Jo Okafor"], 30, { from: january });
+  expectEqual(
+    [unplaced.slot, unplaced.reason, unplaced.missing],
+    [null, "no-timezones", ["Jo Okafor"]],
+    "members without timezones"
+  );
+};
+
+// ===================================================================
+// 📋 PROFILE REPORT - dated snapshots and the changes between them
+// ===================================================================
+
+const profileReport = async (window) => {
+  const writeProfileReport = utility(window, "writeProfileReport");
+  const getBlockTree = utility(window, "getBlockTree");
+  const { update } = window.roamAlphaAPI.data.block;
+  const january14 = new Date(2025, 0, 14, 12);
+  const january15 = new Date(2025, 0, 15, 12);
+
+  const first = await writeProfileReport({ date: january14 });
+  expectEqual(first.changes, null, "changes in the first snapshot");
+  const sam = first.entries.find((entry) => entry.name === "Sam Chen");
+  expectEqual(
+    [sam.completeness, sam.missing, sam.stale, sam.avatar],
+    [60, ["Avatar", "About Me"], [], "placeholder"],
+    "Sam's first entry"
+  );
+
+  // Sam fills About Me and mistypes the timezone
+  await update({
+    block: {
+      uid: blockUidByString(window, "Sam Chen", "America/Toronto"),
+      string: "Mars/Olympus",
+    },
+  });
+  const aboutMe = window.roamAlphaAPI.data.q(
+    `[:find ?uid . :where [?page :node/title "Sam Chen"]
+      [?label :block/page ?page] [?label :block/string "About Me::"]
+      [?label :block/children ?child] [?child :block/uid ?uid]]`
+  );
+  await update({ block: { uid: aboutMe, string: "Runs the reading group" } });
+
+  const second = await writeProfileReport({ date: january15 });
+  expectEqual(
+    second.changes,
+    [
+      "[[Sam Chen]] 60% → 80%",
+      "[[Sam Chen]] filled About Me",
+      '[[Sam Chen]]: Timezone "Mars/Olympus" is not a recognised timezone',
+    ],
+    "changes since the first snapshot"
+  );
+
+  // Same day again: refreshed in place, newest snapshot on top
+  await writeProfileReport({ date: january15 });
+  const page = getBlockTree(second.pageUid);
+  expectEqual(
+    page.children.map((child) => child.text),
+    ["[[January 15th, 2025]]", "[[January 14th, 2025]]"],
+    "snapshots after a same-day refresh"
+  );
+  const changes = page.children[0].children.find(
+    (child) => child.text === "Changes::"
+  );
+  expectEqual(
+    changes?.children.length,
+    3,
+    "changes listed once after a same-day refresh"
+  );
+};
+
+// ===================================================================
+// 🖼️ DEPLOYED AVATARS - 6.5's component keeps the image as a child
+// ===================================================================
+
+const deployedAvatars = async (window) => {
+  const analyzeMemberProfile = utility(window, "analyzeMemberProfile");
+  const alex = analyzeMemberProfile("Alex Rivera");
+  const sam = analyzeMemberProfile("Sam Chen");
+  const jo = analyzeMemberProfile("Jo Okafor");
+
+  expectEqual(
+    [alex.avatar, alex.fields.avatar, alex.missing],
+    ["image", "![](https://example.com/avatars/alex.png)", []],
+    "Alex's deployed avatar"
+  );
+  // The placeholder above the image doesn't hide it
+  expectEqual(
+    [sam.avatar, sam.missing.includes("Avatar")],
+    ["image", false],
+    "Sam's avatar below the placeholder"
+  );
+  expectEqual(jo.avatar, "missing", "Jo without a profile");
+};
+
+// ===================================================================
+// 🔀 CONDITION EXPRESSIONS - operators, validation and the rules page
+// ===================================================================
+
+const conditionExpressions = async (window) => {
+  const { evaluate, validate, parseOutline, configPage } =
+    window.ButtonConditionExpressions;
+  const { data } = window.roamAlphaAPI;
+  await data.block.create({
+    location: { "parent-uid": "project-notes", order: "last" },
+    block: { string: "Status:: Draft", uid: "harness-status" },
+  });
+
+  const context = {
+    title: "Project Notes",
+    pageUid: "project-notes",
+    owner: "Sam Chen",
+    member: { name: "Alex Rivera", role: "admin" },
+  };
+  const cases = [
+    [{ pageTitleMatches: "^project" }, true],
+    [{ pageTitleMatches: "/^project/" }, false], // literals keep their flags
+    [{ namespace: "[[Project Notes]]" }, true],
+    [{ namespace: "Project" }, false],
+    [{ userRole: "editor, admin" }, true],
+    [{ pageOwnerIs: "currentUser" }, false],
+    [{ pageOwnerIs: "anyone" }, true],
+    [{ hasAttribute: "Status" }, true],
+    [{ hasAttribute: { name: "Status", value: "Archived" } }, false],
+    [
+      { and: [{ userRole: "admin" }, { not: { hasAttribute: "Owner" } }] },
+      true,
+    ],
+    [{ or: [{ userRole: "guest" }, { pageOwnerIs: "Sam Chen" }] }, true],
+    [{ bogus: 1 }, false],
+  ];
+  cases.forEach(([expression, expected]) =>
+    expectEqual(
+      evaluate(expression, context),
+      expected,
+      JSON.stringify(expression)
+    )
+  );
+
+  // Short-circuits like ||, and traces beneath the operator
+  const trace = [];
+  evaluate({ or: [{ userRole: "admin" }, { bogus: 1 }] }, context, trace);
+  expectEqual(
+    trace,
+    ["or → true", "  userRole admin (role admin) → true"],
+    "trace"
+  );
+
+  expectEqual(validate({ userRole: "admin" }), [], "valid expression");
+  expectEqual(
+    validate({ and: [{ bogus: 1 }, "nope", { pageTitleMatches: "(" }] }).length,
+    3,
+    "problems in an invalid expression"
+  );
+
+  expectEqual(
+    parseOutline({
+      text: "not",
+      children: [
+        { text: "userRole:: guest", children: [] },
+        { text: "hasAttribute:: Status = Draft", children: [] },
+      ],
+    }),
+    {
+      not: {
+        or: [
+          { userRole: "guest" },
+          { hasAttribute: { name: "Status", value: "Draft" } },
+        ],
+      },
+    },
+    "outline form"
+  );
+
+  // Rules from the config page - read once, re-read when the page changes
+  const manager = new window.SimpleExtensionButtonManager("Harness");
+  await manager.registerButton({ id: "rule", text: "Rule", onClick() {} });
+  const registry = window.SimpleButtonRegistry;
+  const id = "Harness-rule";
+
+  await data.page.create({ page: { title: configPage, uid: "harness-rules" } });
+  await data.block.create({
+    location: { "parent-uid": "harness-rules", order: 0 },
+    block: { string: id, uid: "harness-rule" },
+  });
+  await data.block.create({
+    location: { "parent-uid": "harness-rule", order: 0 },
+    block: { string: "Hide When::", uid: "harness-hide" },
+  });
+  await data.block.create({
+    location: { "parent-uid": "harness-hide", order: 0 },
+    block: { string: "userRole:: admin", uid: "harness-role" },
+  });
+
+  const { utilities } = window.RoamExtensionSuite;
+  const getBlockTree = utilities.get("getBlockTree");
+  let reads = 0;
+  utilities.set("getBlockTree", (...args) => {
+    reads++;
+    return getBlockTree(...args);
+  });
+  try {
+    registry.rebuildAllButtons();
+    registry.rebuildAllButtons();
+    expectEqual(reads, 1, "rule page reads over two rebuilds");
+    expectEqual(
+      registry.conditionRules.get(id),
+      { hideWhen: { userRole: "admin" } },
+      "rule read from the page"
+    );
+    expectEqual(registry.explainVisibility(id).visible, false, "hidden");
+
+    await data.block.update({
+      block: { uid: "harness-role", string: "userRole:: guest" },
+    });
+    expectEqual(reads, 2, "rule page reads after an edit");
+    expectEqual(registry.explainVisibility(id).visible, true, "shown");
+  } finally {
+    utilities.set("getBlockTree", getBlockTree);
+    manager.cleanup();
+    await data.page.delete({ page: { uid: "harness-rules" } });
+    await data.block.delete({ block: { uid: "harness-status" } });
+  }
+};
+
+// ===================================================================
+// 📂 MENUS & TOGGLES - compound button sections, mouse and keyboard
+// ===================================================================
+
+const menusAndToggles = async (window) => {
+  const { document } = window;
+  const picked = [];
+  const toggled = [];
+  const manager = new window.SimpleExtensionButtonManager("Harness");
+  // Handed out on every open, so it keeps its checked state between them
+  const compact = {
+    label: "Compact",
+    checked: false,
+    onClick: (ctx) => picked.push(ctx.checked),
+  };
+
+  await manager.registerButton({
+    id: "tools",
+    sections: [
+      { type: "main", content: "Tools", onClick() {} },
+      {
+        type: "menu",
+        content: "▾",
+        // Loaded on each open
+        items: async () => [
+          {
+            label: "Alpha",
+            value: "a",
+            onClick: (ctx) => picked.push(ctx.item),
+          },
+          compact,
+          { type: "separator" },
+          {
+            label: "More",
+            items: [
+              { label: "Nested", onClick: (ctx) => picked.push(ctx.item) },
+            ],
+          },
+          { label: "Off", disabled: true, onClick: () => picked.push("off") },
+        ],
+      },
+      {
+        type: "toggle",
+        content: "👁",
+        onToggle: (checked) => toggled.push(checked),
+      },
+    ],
+  });
+  await manager.registerButton({
+    id: "broken",
+    sections: [
+      { type: "main", content: "Broken", onClick() {} },
+      {
+        type: "toggle",
+        content: "⚠️",
+        onToggle: () => {
+          throw new Error("nope");
+        },
+      },
+    ],
+  });
+
+  try {
+    const button = document.querySelector('[data-button-id="Harness-tools"]');
+    expect(button, "the tools button is rendered");
+    const menuSection = button.querySelector('[data-button-action="menu"]');
+    const toggleSection = button.querySelector('[data-button-action="toggle"]');
+    const openMenu = async () => {
+      menuSection.click();
+      await sleep(0);
+      const menus = document.querySelectorAll('[role="menu"]');
+      expect(menus.length === 1, `one menu open, found ${menus.length}`);
+      return menus[0];
+    };
+    const item = (menu, label) =>
+      Array.from(menu.querySelectorAll("button")).find((element) =>
+        element.textContent.includes(label)
+      );
+
+    let menu = await openMenu();
+    expectEqual(menuSection.getAttribute("aria-expanded"), "true", "expanded");
+    expectEqual(
+      Array.from(menu.querySelectorAll("button")).map((element) =>
+        element.getAttribute("role")
+      ),
+      ["menuitem", "menuitemcheckbox", "menuitem", "menuitem"],
+      "item roles"
+    );
+    expectEqual(document.activeElement, item(menu, "Alpha"), "first focused");
+
+    // Arrow keys skip the separator and the disabled item, and wrap
+    pressKey(window, menu, "ArrowDown");
+    pressKey(window, menu, "ArrowDown");
+    expectEqual(document.activeElement, item(menu, "More"), "ArrowDown");
+    pressKey(window, menu, "ArrowDown");
+    expectEqual(document.activeElement, item(menu, "Alpha"), "wrapped");
+
+    item(menu, "Alpha").click();
+    await sleep(0);
+    expectEqual(picked, ["a"], "picked item value");
+    expectEqual(document.querySelector('[role="menu"]'), null, "closed");
+    expectEqual(
+      menuSection.getAttribute("aria-expanded"),
+      "false",
+      "collapsed"
+    );
+
+    // Static checkable items remember their state
+    menu = await openMenu();
+    item(menu, "Compact").click();
+    await sleep(0);
+    menu = await openMenu();
+    expectEqual(
+      item(menu, "Compact").getAttribute("aria-checked"),
+      "true",
+      "checked on the next open"
+    );
+
+    item(menu, "Off").click();
+    item(menu, "More").click();
+    await sleep(0);
+    const submenu = document.querySelectorAll('[role="menu"]')[1];
+    expect(submenu, "submenu opens");
+    item(submenu, "Nested").click();
+    await sleep(0);
+    expectEqual(picked, ["a", true, "Nested"], "picked values");
+    expectEqual(
+      document.querySelectorAll('[role="menu"]').length,
+      0,
+      "all closed"
+    );
+
+    // Escape closes and hands focus back to the section
+    menu = await openMenu();
+    pressKey(window, menu, "Escape");
+    expectEqual(document.querySelector('[role="menu"]'), null, "Escape closes");
+    expectEqual(document.activeElement, menuSection, "focus restored");
+
+    // Keyboard opens it too
+    pressKey(window, menuSection, "ArrowDown");
+    await sleep(0);
+    expect(document.querySelector('[role="menu"]'), "ArrowDown opens the menu");
+    document.body.dispatchEvent(
+      new window.MouseEvent("mousedown", { bubbles: true })
+    );
+    expectEqual(document.querySelector('[role="menu"]'), null, "outside click");
+
+    expectEqual(toggleSection.getAttribute("aria-pressed"), "false", "off");
+    toggleSection.click();
+    pressKey(window, toggleSection, "Enter");
+    toggleSection.click();
+    expectEqual(toggled, [true, false, true], "toggle values");
+    expectEqual(toggleSection.getAttribute("aria-pressed"), "true", "on");
+
+    // A failing onToggle flips back and reports the error
+    const broken = document.querySelector(
+      '[data-button-id="Harness-broken"] [data-button-action="toggle"]'
+    );
+    const errors = await collectErrors(window, () => broken.click());
+    expectEqual(broken.getAttribute("aria-pressed"), "false", "reverted");
+    expect(
+      errors.length === 1 && errors[0].includes("Harness-broken"),
+      `one error reported, got ${JSON.stringify(errors)}`
+    );
+  } finally {
+    manager.cleanup();
+  }
+};
+
+export const HARNESS_TESTS = [
+  {
+    name: "preferenceHistory",
+    extension: "3-preferences-manager",
+    run: preferenceHistory,
+  },
+  {
+    name: "timezonesAndOverlap",
+    extension: "1.5-utilities",
+    run: timezonesAndOverlap,
+  },
+  { name: "profileReport", extension: "1.5-utilities", run: profileReport },
+  {
+    name: "conditionExpressions",
+    extension: "1.6-buttons-manager",
+    run: conditionExpressions,
+  },
+  {
+    name: "menusAndToggles",
+    extension: "1.6-buttons-manager",
+    run: menusAndToggles,
+  },
+  {
+    name: "deployedAvatars",
+    extension: "1.5-utilities",
+    fixture: "fixtures/avatar-component-graph.mjs",
+    run: deployedAvatars,
+  },
+];
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+// ===================================================================
+// 🧪 Headless Harness - Run the suite's self-tests in Node against a fixture graph
+// Loads extensions into jsdom with the in-memory roamAlphaAPI, then runs the
+// existing test entry points. A test fails if it throws or logs console.error.
+// Tests that name their own fixture run in a separate window seeded from it.
+//
+//   npm install --no-save jsdom
+//   node dev-tools/headless-harness.mjs [--fixture path] [--only name,name] [--verbose]
+// ===================================================================
+
+import { readFile } from "node:fs/promises";
+import { dirname, relative, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { createFakeRoamAPI } from "./fake-roam-api.mjs";
+import { HARNESS_TESTS } from "./harness-tests.mjs";
+
+const HARNESS_DIR = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(HARNESS_DIR, "..");
+
+// Load order mirrors the autoloader (0.5) for the extensions the tests need
+const EXTENSIONS = [
+  "1-core-infrastructure",
+  "1.5-utilities",
+  "1.6-buttons-manager",
+  "2-user-authentication",
+  "3-preferences-manager",
+  "4-navigation-manager",
+  "6-user-directory",
+];
+
+// Existing self-tests - each resolves its entry point from the loaded window -
+// followed by the harness's own behaviour tests
+const TESTS = [
+  {
+    name: "cascadeToBlock",
+    extension: "1.5-utilities",
+    run: (window) => window.testCascadeToBlock(),
+  },
+  {
+    name: "hierarchicalUtilities",
+    extension: "1.5-utilities",
+    run: (window) => window.testHierarchicalUtilities(),
+  },
+  {
+    name: "authentication",
+    extension: "2-user-authentication",
+    run: (window) => window.RoamExtensionSuite.getUtility("runAllTests")(),
+  },
+  {
+    name: "protectionSystem",
+    extension: "4-navigation-manager",
+    run: (window) =>
+      window.RoamExtensionSuite.getUtility("testProtectionSystem")(),
+  },
+  {
+    name: "userDirectory",
+    extension: "6-user-directory",
+    run: (window) =>
+      window.RoamExtensionSuite.get(
+        "clean-user-directory"
+      ).services.runSystemTests(),
+  },
+  ...HARNESS_TESTS,
+];
+
+// Minimal Roam shell so DOM lookups find their anchors
+const ROAM_SHELL = `<!DOCTYPE html><html><head></head><body>
+  <div class="roam-app">
+    <div class="roam-main">
+      <div class="roam-body-main">
+        <div class="roam-article">
+          <h1 class="rm-title-display"><span></span></h1>
+        </div>
+      </div>
+    </div>
+    <div id="right-sidebar"></div>
+  </div>
+</body></html>`;
+
+const DEFAULT_FIXTURE = resolve(HARNESS_DIR, "fixtures/basic-graph.mjs");
+const SETTLE_MS = 2500;
+const TEST_TIMEOUT_MS = 15000;
+
+// ===================================================================
+// 🔧 HELPERS
+// ===================================================================
+
+const parseArgs = (argv) => {
+  const options = { fixture: null, only: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--fixture") options.fixture = argv[++i];
+    else if (arg === "--only") options.only = argv[++i].split(",");
+    else if (arg === "--verbose") options.verbose = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return options;
+};
+
+const loadJsdom = async () => {
+  try {
+    return await import("jsdom");
+  } catch (error) {
+    console.error(
+      "❌ jsdom is not installed. Run `npm install --no-save jsdom` in the repo root."
+    );
+    process.exit(2);
+  }
+};
+
+const loadFixture = async (path) => {
+  const module = await import(pathToFileURL(path).href);
+  return module.default;
+};
+
+// A test's own fixture is relative to dev-tools/, --fixture to the cwd
+const resolveFixture = (test, options) => {
+  if (test.fixture) return resolve(HARNESS_DIR, test.fixture);
+  if (options.fixture) return resolve(process.cwd(), options.fixture);
+  return DEFAULT_FIXTURE;
+};
+
+const sleep = (ms) => new Promise((done) => setTimeout(done, ms));
+
+const withTimeout = (promise, ms, label) =>
+  Promise.race([
+    promise,
+    sleep(ms).then(() => {
+      throw new Error(`${label} timed out after ${ms}ms`);
+    }),
+  ]);
+
+const formatArg = (arg) => {
+  if (arg instanceof Error) return arg.stack || arg.message;
+  if (typeof arg === "string") return arg;
+  try {
+    return JSON.stringify(arg);
+  } catch (error) {
+    return String(arg);
+  }
+};
+
+const flush = (entries) =>
+  entries.forEach(({ level, text }) =>
+    console.log(`    ${level === "error" ? "✖" : "·"} ${text}`)
+  );
+
+// Roam's extensionAPI: in-memory settings + command palette passthrough
+const createExtensionAPI = (window) => {
+  const settings = new Map();
+  return {
+    settings: {
+      get: (key) => settings.get(key),
+      set: async (key, value) => settings.set(key, value),
+      getAll: () => Object.fromEntries(settings),
+      panel: { create: () => {} },
+    },
+    ui: { commandPalette: window.roamAlphaAPI.ui.commandPalette },
+  };
+};
+
+// ===================================================================
+// 🚀 HARNESS
+// ===================================================================
+
+const createWindow = async (JSDOM, VirtualConsole, fixture, captured) => {
+  const virtualConsole = new VirtualConsole();
+  ["log", "info", "warn", "error", "debug", "group", "groupCollapsed"].forEach(
+    (level) =>
+      virtualConsole.on(level, (...args) =>
+        captured.push({ level, text: args.map(formatArg).join(" ") })
+      )
+  );
+  virtualConsole.on("jsdomError", (error) =>
+    captured.push({ level: "error", text: formatArg(error) })
+  );
+
+  const dom = new JSDOM(ROAM_SHELL, {
+    url: `https://roamresearch.com/#/app/${
+      fixture.graphName || "fixture-graph"
+    }`,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+
+  dom.window.roamAlphaAPI = createFakeRoamAPI(fixture);
+  return dom;
+};
+
+// Each file gets its own function scope, like the autoloader's module import
+const evaluateExtension = async (window, name) => {
+  const source = await readFile(
+    resolve(ROOT, "src", name, "extension.js"),
+    "utf8"
+  );
+  const wrapped = `(function () {\n"use strict";\n${source.replace(
+    /^export default /m,
+    "return "
+  )}\n})()\n//# sourceURL=${name}/extension.js`;
+  return window.eval(wrapped);
+};
+
+// Loads EXTENSIONS into a fresh window seeded from the fixture
+const loadWindow = async (jsdom, fixture, options) => {
+  const captured = [];
+  const dom = await createWindow(
+    jsdom.JSDOM,
+    jsdom.VirtualConsole,
+    fixture,
+    captured
+  );
+  const { window } = dom;
+
+  const loaded = [];
+  for (const name of EXTENSIONS) {
+    const start = captured.length;
+    try {
+      const extension = await evaluateExtension(window, name);
+      if (extension?.onload) {
+        await withTimeout(
+          Promise.resolve(
+            extension.onload({ extensionAPI: createExtensionAPI(window) })
+          ),
+          TEST_TIMEOUT_MS,
+          `${name} onload`
+        );
+      }
+      loaded.push({ name, extension });
+      console.log(`📦 Loaded ${name}`);
+    } catch (error) {
+      console.log(`❌ Failed to load ${name}: ${error.message}`);
+      flush(captured.slice(start));
+      window.close();
+      process.exit(1);
+    }
+    if (options.verbose) flush(captured.slice(start));
+  }
+
+  await sleep(SETTLE_MS);
+  return { window, loaded, captured };
+};
+
+// Unload in reverse order
+const unloadWindow = async ({ window, loaded }) => {
+  for (const { name, extension } of [...loaded].reverse()) {
+    try {
+      await extension?.onunload?.();
+    } catch (error) {
+      console.log(`⚠️ ${name} onunload failed: ${error.message}`);
+    }
+  }
+  window.close();
+};
+
+const runTest = async (test, { window, captured }, options) => {
+  const start = captured.length;
+  const began = Date.now();
+  let thrown = null;
+  try {
+    await withTimeout(
+      Promise.resolve(test.run(window)),
+      TEST_TIMEOUT_MS,
+      test.name
+    );
+  } catch (error) {
+    thrown = error;
+  }
+
+  const logs = captured.slice(start);
+  const errors = logs.filter((entry) => entry.level === "error");
+  const passed = !thrown && errors.length === 0;
+
+  console.log(
+    `${passed ? "✅" : "❌"} ${test.name} (${test.extension}) - ${
+      Date.now() - began
+    }ms`
+  );
+  if (thrown) console.log(`    ✖ threw: ${formatArg(thrown)}`);
+  if (!passed || options.verbose) flush(logs);
+  return { name: test.name, passed };
+};
+
+const runHarness = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const jsdom = await loadJsdom();
+
+  // Tests naming a fixture get their own window; the rest share the default
+  const tests = TESTS.filter(
+    (test) => !options.only || options.only.includes(test.name)
+  );
+  const groups = new Map();
+  tests.forEach((test) => {
+    const key = resolveFixture(test, options);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(test);
+  });
+
+  const results = [];
+  for (const [fixturePath, group] of groups) {
+    console.log(`\n🗂️ Fixture ${relative(ROOT, fixturePath)}`);
+    const loaded = await loadWindow(
+      jsdom,
+      await loadFixture(fixturePath),
+      options
+    );
+    for (const test of group) {
+      results.push(await runTest(test, loaded, options));
+    }
+    await unloadWindow(loaded);
+  }
+
+  const failed = results.filter((result) => !result.passed);
+  console.log(
+    `\n📊 ${results.length - failed.length}/${results.length} self-tests passed`
+  );
+  return failed.length === 0 ? 0 : 1;
+};
+
+runHarness().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error("❌ Harness crashed:", error);
+    process.exit(1);
+  }
+);
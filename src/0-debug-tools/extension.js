@@ -28,6 +28,7 @@
         buttonSystems: this.checkButtonSystems(),
         extension6Status: this.checkExtension6Status(),
         contextDetection: this.checkContextDetection(),
+        queryCache: this.checkQueryCache(),
         recommendations: [],
       };
 
@@ -281,6 +282,19 @@
       return context;
     }
 
+    checkQueryCache() {
+      const platform = window.RoamExtensionSuite;
+      if (!platform?.getQueryCacheStats) {
+        return { available: false };
+      }
+
+      try {
+        return { available: true, ...platform.getQueryCacheStats() };
+      } catch (error) {
+        return { available: false, error: error.message };
+      }
+    }
+
     generateRecommendations(data) {
       const recommendations = [];
 
@@ -354,6 +368,20 @@
         });
       }
 
+      // Query cache effectiveness - only meaningful after some traffic
+      const cache = data.queryCache;
+      if (cache.available && cache.hits + cache.misses >= 50) {
+        if (cache.hitRate < 50) {
+          recommendations.push({
+            type: "info",
+            title: "Low Query Cache Hit Rate",
+            message: `Only ${cache.hitRate}% of cached queries were served from cache`,
+            action:
+              "Check the query list for entries without watches - they expire on a timer",
+          });
+        }
+      }
+
       if (!shouldHaveButton && hasButton) {
         recommendations.push({
           type: "warning",
@@ -409,12 +437,13 @@
     }
 
     async show() {
-      if (this.modal) {
-        this.modal.remove();
-      }
+      this.hide();
 
       this.modal = this.createModal();
       document.body.appendChild(this.modal);
+      if (!this.modal.contains(document.activeElement)) {
+        this.modal.focus();
+      }
 
       // Start auto-refresh
       this.startAutoRefresh();
@@ -424,21 +453,45 @@
     }
 
     createModal() {
-      const modal = document.createElement("div");
-      modal.id = "extension-zero-debug-modal";
-      modal.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100vw;
-        height: 100vh;
-        background: rgba(0, 0, 0, 0.8);
-        z-index: 20000;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      `;
+      // Prefer the suite's dialog framework (focus trap, Escape, stacking),
+      // but the debugger must still open when 1.5 is what's broken
+      const modalUtilities =
+        window.RoamExtensionSuite?.getUtility?.("modalUtilities");
+      let modal;
+      if (modalUtilities?.openDialog) {
+        modal = modalUtilities.openDialog("extension-zero-debug-modal", {
+          zIndex: 20000,
+          onClose: () => this.hide(),
+        }).modal;
+        modal.style.background = "rgba(0, 0, 0, 0.8)";
+      } else {
+        modal = document.createElement("div");
+        modal.id = "extension-zero-debug-modal";
+        modal.setAttribute("role", "dialog");
+        modal.setAttribute("aria-modal", "true");
+        modal.setAttribute("aria-labelledby", "debug-modal-title");
+        modal.tabIndex = -1;
+        modal.style.cssText = `
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100vw;
+          height: 100vh;
+          background: rgba(0, 0, 0, 0.8);
+          z-index: 20000;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        `;
+
+        modal.addEventListener("click", (e) => {
+          if (e.target === modal) this.hide();
+        });
+        modal.addEventListener("keydown", (e) => {
+          if (e.key === "Escape") this.hide();
+        });
+      }
 
       const content = document.createElement("div");
       content.style.cssText = `
@@ -466,7 +519,7 @@
 
       header.innerHTML = `
         <div>
-          <h2 style="margin: 0; font-size: 20px; font-weight: 600; color: #1f2937;">
+          <h2 id="debug-modal-title" style="margin: 0; font-size: 20px; font-weight: 600; color: #1f2937;">
             🐛 Extension Zero: Debug Interface v${EXTENSION_VERSION}
           </h2>
           <div style="font-size: 14px; color: #6b7280; margin-top: 4px;">
@@ -518,10 +571,6 @@
       modal.appendChild(content);
 
       // Event listeners
-      modal.addEventListener("click", (e) => {
-        if (e.target === modal) this.hide();
-      });
-
       header.querySelector("#debug-close-btn").addEventListener("click", () => {
         this.hide();
       });
@@ -551,6 +600,7 @@
           ${this.renderButtonSystemsSection(data.buttonSystems)}
           ${this.renderContextSection(data.contextDetection)}
           ${this.renderExtension6Section(data.extension6Status)}
+          ${this.renderQueryCacheSection(data.queryCache)}
           ${this.renderRecommendationsSection(data.recommendations)}
         </div>
       `;
@@ -849,6 +899,62 @@
       `;
     }
 
+    renderQueryCacheSection(cache) {
+      if (!cache || !cache.available) {
+        return `
+        <div style="background: #f9fafb; padding: 16px; border-radius: 8px; border-left: 4px solid #6b7280;">
+          <h3 style="margin: 0 0 12px 0; font-size: 16px; font-weight: 600; color: #1f2937;">
+            🗃️ Query Cache
+          </h3>
+          <div style="font-size: 14px; color: #6b7280;"><em>${
+            cache?.error || "Not available - load Extension 1 first"
+          }</em></div>
+        </div>
+      `;
+      }
+
+      const rows = cache.queries
+        .slice(0, 10)
+        .map(
+          (entry) => `
+          <div style="margin: 4px 0; padding: 8px; background: #f9fafb; border-radius: 4px; font-size: 13px;">
+            <code style="font-size: 12px;">${entry.query
+              .replace(/&/g, "&amp;")
+              .replace(/</g, "&lt;")}</code><br>
+            <span style="color: #6b7280;">
+              ${entry.owners} • ${entry.hits} hits / ${entry.misses} misses • ${
+            entry.watched ? "👁️ watched" : "⏱️ ttl"
+          }${entry.subscribers ? ` • ${entry.subscribers} live` : ""}${
+            entry.valid ? "" : " • stale"
+          }
+            </span>
+          </div>
+        `
+        )
+        .join("");
+
+      return `
+        <div style="background: #faf5ff; padding: 16px; border-radius: 8px; border-left: 4px solid #a855f7;">
+          <h3 style="margin: 0 0 12px 0; font-size: 16px; font-weight: 600; color: #1f2937;">
+            🗃️ Query Cache
+          </h3>
+          <div style="font-size: 14px;">
+            <div style="margin-bottom: 8px;"><strong>Hit Rate:</strong> ${
+              cache.hitRate
+            }% (${cache.hits} hits / ${cache.misses} misses)</div>
+            <div style="margin-bottom: 12px;"><strong>Entries:</strong> ${
+              cache.entries
+            } • <strong>Pull Watches:</strong> ${
+        cache.watches
+      } • <strong>Invalidations:</strong> ${
+        cache.invalidations
+      } • <strong>Evictions:</strong> ${cache.evictions}</div>
+            ${rows || "<em>No queries cached yet</em>"}
+          </div>
+        </div>
+      `;
+    }
+
     async copyReport() {
       const data = this.extensionDebugger.debugData;
       const report = this.generateTextReport(data);
@@ -868,8 +974,20 @@
         }, 2000);
       } catch (error) {
         console.error("Failed to copy to clipboard:", error);
-        alert("Failed to copy to clipboard. Check console for raw data.");
         console.log("DEBUG REPORT:", report);
+
+        const message =
+          "Failed to copy to clipboard. Check console for raw data.";
+        const modalUtilities =
+          window.RoamExtensionSuite?.getUtility?.("modalUtilities");
+        if (modalUtilities?.alertDialog) {
+          await modalUtilities.alertDialog(message, {
+            title: "📋 Copy Report",
+          });
+        } else {
+          this.modal.querySelector("#debug-copy-btn").textContent =
+            "❌ Copy failed - see console";
+        }
       }
     }
 
@@ -999,6 +1117,14 @@ EXTENSION 6:
           : 0
       } User Directory button(s) found
 
+QUERY CACHE:
+${
+  data.queryCache && data.queryCache.available
+    ? `- Hit Rate: ${data.queryCache.hitRate}% (${data.queryCache.hits} hits / ${data.queryCache.misses} misses)
+- Entries: ${data.queryCache.entries}, Pull Watches: ${data.queryCache.watches}, Invalidations: ${data.queryCache.invalidations}`
+    : "- Not available"
+}
+
 RECOMMENDATIONS:
 ${
   data.recommendations && data.recommendations.length > 0
@@ -1029,8 +1155,15 @@ ${JSON.stringify(data, null, 2)}
       }
 
       if (this.modal) {
-        this.modal.remove();
+        const modal = this.modal;
         this.modal = null;
+        const modalUtilities =
+          window.RoamExtensionSuite?.getUtility?.("modalUtilities");
+        if (modalUtilities?.closeModal) {
+          modalUtilities.closeModal(modal);
+        } else {
+          modal.remove();
+        }
       }
     }
   }
@@ -152,6 +152,7 @@ const MULTIUSER_EXTENSIONS = [
 // Global state
 let loadedExtensions = new Map();
 let installerModal = null;
+let installerReturnFocus = null;
 let installLog = [];
 
 // Create mock extension API with CORRECT structure
@@ -415,7 +416,7 @@ async function autoInstallAll() {
 // Create simple loading modal for auto-installation
 function createSimpleLoadingModal() {
   const modalHTML = `
-    <div id="multiuser-simple-loading-modal" style="
+    <div id="multiuser-simple-loading-modal" role="dialog" aria-modal="true" aria-labelledby="simple-loading-title" aria-busy="true" style="
       position: fixed;
       top: 0;
       left: 0;
@@ -436,13 +437,13 @@ function createSimpleLoadingModal() {
         text-align: center;
         min-width: 300px;
       ">
-        <div style="
+        <div id="simple-loading-title" style="
           font-size: 18px;
           font-weight: 600;
           color: #212529;
           margin-bottom: 16px;
         ">Multi User Suite Loading</div>
-        <div id="simple-progress-counter" style="
+        <div id="simple-progress-counter" aria-live="polite" style="
           font-size: 24px;
           font-weight: 700;
           color: #20c997;
@@ -535,7 +536,7 @@ async function autoInstallAllSimple() {
 // Create installer modal UI
 function createInstallerModal() {
   const modalHTML = `
-    <div id="multiuser-installer-modal" style="
+    <div id="multiuser-installer-modal" role="dialog" aria-modal="true" aria-labelledby="multiuser-installer-title" aria-describedby="multiuser-installer-subtitle" tabindex="-1" style="
       position: fixed;
       top: 0;
       left: 0;
@@ -559,8 +560,8 @@ function createInstallerModal() {
         box-shadow: 0 20px 40px rgba(0, 0, 0, 0.3);
       ">
         <div style="text-align: center; margin-bottom: 24px;">
-          <h2 style="margin: 0 0 8px 0; color: #212529; font-size: 24px;">👥 Multi-User Suite Installer</h2>
-          <p style="margin: 0; color: #6c757d; font-size: 14px;">Load all Multi-User Suite extensions with one click</p>
+          <h2 id="multiuser-installer-title" style="margin: 0 0 8px 0; color: #212529; font-size: 24px;">👥 Multi-User Suite Installer</h2>
+          <p id="multiuser-installer-subtitle" style="margin: 0; color: #6c757d; font-size: 14px;">Load all Multi-User Suite extensions with one click</p>
         </div>
         
         <button id="auto-install-btn" style="
@@ -600,7 +601,9 @@ function createInstallerModal() {
                   ext.description
                 }</div>
               </div>
-              <button data-ext-id="${ext.id}" class="install-btn" style="
+              <button data-ext-id="${
+                ext.id
+              }" class="install-btn" aria-label="Install ${ext.name}" style="
                 padding: 6px 16px;
                 background: linear-gradient(135deg, #51cf66, #40c057);
                 color: white;
@@ -621,7 +624,7 @@ function createInstallerModal() {
           <summary style="cursor: pointer; font-weight: 600; color: #495057; margin-bottom: 8px;">
             📋 Installation Log
           </summary>
-          <div id="multiuser-install-log" style="
+          <div id="multiuser-install-log" role="log" aria-live="polite" style="
             background: #f8f9fa;
             border: 1px solid #e9ecef;
             border-radius: 6px;
@@ -649,6 +652,8 @@ function createInstallerModal() {
     </div>
   `;
 
+  closeInstaller();
+  installerReturnFocus = document.activeElement;
   document.body.insertAdjacentHTML("beforeend", modalHTML);
   installerModal = document.getElementById("multiuser-installer-modal");
 
@@ -673,14 +678,55 @@ function createInstallerModal() {
     }
   });
 
+  // Escape and focus trap
+  document.addEventListener("keydown", handleInstallerKeydown, true);
+  document.getElementById("auto-install-btn").focus();
+
   logMessage("📱 Multi-User Suite Installer opened");
 }
 
+// Keyboard handling for the installer: Escape closes, Tab stays inside.
+// Self-contained because the installer runs before 1.5's dialog framework loads
+function handleInstallerKeydown(e) {
+  if (!installerModal) return;
+
+  if (e.key === "Escape") {
+    e.preventDefault();
+    e.stopPropagation();
+    closeInstaller();
+    return;
+  }
+
+  if (e.key !== "Tab") return;
+  const focusable = Array.from(
+    installerModal.querySelectorAll("button:not([disabled]), summary")
+  );
+  if (focusable.length === 0) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+  const outside = !installerModal.contains(active);
+  if (e.shiftKey && (active === first || outside)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (active === last || outside)) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
 // Close installer modal
 function closeInstaller() {
+  document.removeEventListener("keydown", handleInstallerKeydown, true);
   if (installerModal) {
     installerModal.remove();
     installerModal = null;
+
+    // Return focus to the installer button (or whatever opened the modal)
+    if (installerReturnFocus?.isConnected) {
+      installerReturnFocus.focus();
+    }
+    installerReturnFocus = null;
   }
 }
 
@@ -58,110 +58,1883 @@ const generateUID = () => {
 // 🌐 GLOBAL EXTENSION PLATFORM - Like David's window.roamjs (FIXED)
 // ===================================================================
 
+// Default wait before whenReady() / whenUtility() give up
+const DEFAULT_READY_TIMEOUT = 10000;
+
+// Deferred promise - resolve it later from register()/registerUtility()
+const createDeferred = () => {
+  const deferred = {};
+  deferred.promise = new Promise((resolve) => {
+    deferred.resolve = resolve;
+  });
+  return deferred;
+};
+
+// ===================================================================
+// 🏷️ SEMVER HELPERS - Just enough for utility contracts
+// ===================================================================
+
+// "1.5.5-member-cache" → [1, 5, 5]; "1.x" → [1, null, null]
+const parseVersion = (version) => {
+  const match = String(version)
+    .trim()
+    .match(/^v?(\d+|x|\*)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?/i);
+  if (!match) return null;
+
+  return [match[1], match[2], match[3]].map((part) =>
+    part === undefined || /^(x|\*)$/i.test(part) ? null : parseInt(part, 10)
+  );
+};
+
+const compareVersions = (a, b) => {
+  for (let i = 0; i < 3; i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+const satisfiesComparator = (version, comparator) => {
+  if (comparator === "" || comparator === "*" || /^x$/i.test(comparator)) {
+    return true;
+  }
+
+  const [, operator = "", target] = comparator.match(
+    /^(\^|~|>=|<=|>|<|=)?\s*(.+)$/
+  );
+  const parts = parseVersion(target);
+  if (!parts) {
+    throw new Error(`Invalid version range: "${comparator}"`);
+  }
+
+  const [major, minor, patch] = parts;
+  const lower = parts.map((part) => part || 0);
+  const diff = compareVersions(version, lower);
+
+  switch (operator) {
+    case "^": {
+      const upper =
+        major > 0 || minor === null
+          ? [major + 1, 0, 0]
+          : minor > 0 || patch === null
+          ? [0, minor + 1, 0]
+          : [0, 0, patch + 1];
+      return diff >= 0 && compareVersions(version, upper) < 0;
+    }
+    case "~": {
+      const upper = minor === null ? [major + 1, 0, 0] : [major, minor + 1, 0];
+      return diff >= 0 && compareVersions(version, upper) < 0;
+    }
+    case ">=":
+      return diff >= 0;
+    case ">":
+      return diff > 0;
+    case "<=":
+      return diff <= 0;
+    case "<":
+      return diff < 0;
+    default:
+      // Exact or partial ("1.x", "1.2") match
+      return parts.every((part, i) => part === null || part === version[i]);
+  }
+};
+
+// Supports "^1.2.0", "~1.2", ">=1.0.0 <2.0.0", "1.x", "*" and "a || b"
+const satisfiesRange = (version, range = "*") => {
+  const parsed = parseVersion(version);
+  if (!parsed) return false;
+
+  return String(range)
+    .split("||")
+    .some((set) =>
+      set
+        .trim()
+        .replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1")
+        .split(/\s+/)
+        .every((comparator) => satisfiesComparator(parsed, comparator))
+    );
+};
+
+// Event pattern matching - "*" matches one segment, a trailing "*" matches
+// everything under the namespace ("preferences:*" → "preferences:font:size")
+const eventPatternCache = new Map();
+
+const matchesEventPattern = (pattern, event) => {
+  if (pattern === event) return true;
+  if (!pattern.includes("*")) return false;
+
+  if (!eventPatternCache.has(pattern)) {
+    const segments = pattern.split(":").map((segment, index, all) => {
+      if (segment !== "*") {
+        return segment.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+      }
+      return index === all.length - 1 ? ".+" : "[^:]+";
+    });
+    eventPatternCache.set(pattern, new RegExp(`^${segments.join(":")}$`));
+  }
+
+  return eventPatternCache.get(pattern).test(event);
+};
+
+// Cross-tab bridge - messages are tagged so foreign traffic is ignored
+const BROADCAST_SOURCE = "roam-extension-suite";
+const MAX_SEEN_REMOTE_EVENTS = 500;
+
+const getGraphName = () => {
+  const graphName = window.roamAlphaAPI?.graph?.name;
+  if (graphName) return graphName;
+
+  const match = window.location.hash.match(/#\/(?:app|offline)\/([^/]+)/);
+  return match ? decodeURIComponent(match[1]) : "default";
+};
+
+// DOM observation hub - batches wait for idle time, but never longer than this
+const DOM_FLUSH_TIMEOUT = 200;
+
+const requestIdle = (callback) =>
+  window.requestIdleCallback
+    ? window.requestIdleCallback(callback, { timeout: DOM_FLUSH_TIMEOUT })
+    : setTimeout(callback, 50);
+
+const cancelIdle = (handle) =>
+  window.cancelIdleCallback
+    ? window.cancelIdleCallback(handle)
+    : clearTimeout(handle);
+
+// Elements that are, or sit inside, the given nodes and match the selector
+const collectMatches = (nodes, selector) => {
+  const matches = new Set();
+  nodes.forEach((node) => {
+    if (node.matches?.(selector)) matches.add(node);
+    node.querySelectorAll?.(selector).forEach((el) => matches.add(el));
+  });
+  return Array.from(matches);
+};
+
+// Graph write queue defaults - shared by every extension's bulk writes
+const WRITE_QUEUE_DEFAULTS = {
+  concurrency: 2,
+  minInterval: 50, // ms between write starts - Roam rate-limits bursts
+  retries: 3,
+  baseDelay: 250, // first retry delay, doubled per attempt
+};
+const MAX_DRY_RUN_LOG = 1000;
+
+// What a dry run records - { run } tasks say what they would change
+// through describe() → { target, action, payload }
+const describeWrite = (write) => {
+  if (typeof write.run !== "function") {
+    return {
+      target: write.target || "block",
+      action: write.action,
+      payload: write.payload,
+    };
+  }
+
+  let description = {};
+  try {
+    description = write.describe?.() || {};
+  } catch (error) {
+    description = { payload: { describeError: error.message } };
+  }
+  return {
+    target: description.target || write.target || "custom",
+    action: description.action || write.action || "run",
+    payload: description.payload ?? write.payload,
+  };
+};
+
+// Run one queued write against roamAlphaAPI.data.{block|page}.*
+const executeWrite = (write) => {
+  if (typeof write.run === "function") {
+    return write.run();
+  }
+
+  const target = write.target || "block";
+  const method = window.roamAlphaAPI?.data?.[target]?.[write.action];
+  if (typeof method !== "function") {
+    throw new Error(
+      `Unknown graph write: roamAlphaAPI.data.${target}.${write.action}`
+    );
+  }
+  return method(write.payload);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Query cache defaults - results live until a pull watch says they changed
+const QUERY_CACHE_DEFAULTS = {
+  maxEntries: 200, // least recently read entries are evicted beyond this
+  ttl: 10000, // for entries that can't be watched (no watch / entity missing)
+};
+// Pull watches fire per transaction - batch the re-runs they trigger
+const QUERY_REFRESH_DELAY = 50;
+// What a watch on a page title observes: the page and its whole block tree
+const PAGE_WATCH_PATTERN = "[:node/title :block/string {:block/children ...}]";
+
+// Whitespace-insensitive, so re-indented copies of a query share one entry
+const normalizeQuery = (query) => query.replace(/\s+/g, " ").trim();
+const queryCacheKey = (query, args = []) =>
+  JSON.stringify([normalizeQuery(query), args]);
+
+// Every caller shares the cached result - frozen so one can't edit it for all
+const freezeQueryResult = (value) => {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.values(value).forEach(freezeQueryResult);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+// "Page title" | { ref: [":block/uid", uid] | '[:block/uid "uid"]', pattern }
+const normalizeWatch = (watch) => {
+  const spec =
+    typeof watch === "string" ? { ref: [":node/title", watch] } : watch;
+  const pattern = spec.pattern || PAGE_WATCH_PATTERN;
+  // addPullWatch wants the entity as an EDN string, pull takes either form
+  const ref = Array.isArray(spec.ref)
+    ? `[${spec.ref[0]} ${JSON.stringify(spec.ref[1])}]`
+    : spec.ref;
+  return { key: `${pattern} ${ref}`, pattern, ref, lookup: spec.ref };
+};
+
 const createExtensionPlatform = () => {
+  // ⏳ READINESS TRACKING - one deferred per awaited extension/utility
+  const extensionReady = new Map();
+  const utilityReady = new Map();
+
+  const getDeferred = (map, key) => {
+    if (!map.has(key)) {
+      map.set(key, createDeferred());
+    }
+    return map.get(key);
+  };
+
+  // Race a readiness promise against a timeout, tracking who is waiting
+  const waitFor = (kind, map, key, options = {}) => {
+    const { timeout = DEFAULT_READY_TIMEOUT, requestedBy = null } = options;
+    const deferred = getDeferred(map, key);
+    const wait = { kind, target: key, requestedBy, since: Date.now() };
+    platform.pendingWaits.add(wait);
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          platform.pendingWaits.delete(wait);
+          reject(
+            new Error(
+              `Timed out after ${timeout}ms waiting for ${kind} "${key}"${
+                requestedBy ? ` (requested by "${requestedBy}")` : ""
+              }. Is it installed and loaded?`
+            )
+          );
+        }, timeout);
+      }
+
+      deferred.promise.then((value) => {
+        if (timer) clearTimeout(timer);
+        platform.pendingWaits.delete(wait);
+        resolve(value);
+      });
+    });
+  };
+
+  // Depth-first search for a dependency path from → to
+  const findDependencyPath = (from, to, visited = new Set()) => {
+    if (from === to) return [to];
+    if (visited.has(from)) return null;
+    visited.add(from);
+
+    const ext = platform.extensions.get(from);
+    for (const dep of ext?.metadata.dependencies || []) {
+      const path = findDependencyPath(dep, to, visited);
+      if (path) return [from, ...path];
+    }
+    return null;
+  };
+
   const platform = {
     // 📊 EXTENSION REGISTRY
     extensions: new Map(),
     utilities: new Map(),
     eventBus: new Map(),
+    stickyEvents: new Map(),
+    pendingWaits: new Set(),
+    utilityContracts: new Map(),
+    utilityRequirements: new Map(),
+
+    // 📻 CROSS-TAB BRIDGE STATE
+    tabId: generateUID(),
+    bridgedEvents: new Map(), // pattern → subscriber count
+    broadcastChannel: null,
+    seenRemoteEvents: new Set(),
+
+    // 🧹 DISPOSABLES - resources per owner id, torn down on unload
+    disposables: new Map(),
+    unloadedOwners: new Map(), // ownerId → unload timestamp
+
+    // ✍️ GRAPH WRITE QUEUE - shared concurrency/rate limit for bulk writes
+    writeQueue: {
+      ...WRITE_QUEUE_DEFAULTS,
+      pending: [], // { job, write, index }
+      active: 0,
+      lastStart: 0,
+      timer: null,
+      jobs: new Map(), // jobId → job
+      dryRun: false, // global switch - record writes instead of running them
+      dryRunLog: [],
+    },
+
+    // 🗃️ QUERY CACHE - datalog results shared across extensions
+    queryCache: {
+      ...QUERY_CACHE_DEFAULTS,
+      entries: new Map(), // cache key → entry
+      watches: new Map(), // watch key → { pattern, ref, keys, resolved }
+      stale: new Set(), // invalidated keys that have live subscribers
+      refreshTimer: null,
+      stats: { hits: 0, misses: 0, invalidations: 0, evictions: 0, errors: 0 },
+    },
+
+    // 👀 DOM OBSERVATION HUB - one shared MutationObserver
+    domSubscriptions: new Set(),
+    domObserver: null,
+    domObserverConfig: null, // serialized observe() options currently in use
+    pendingMutations: [],
+    domFlushHandle: null,
+
+    // 🎯 EXTENSION MANAGEMENT
+    register: (id, api, metadata = {}) => {
+      // Re-registering after an unload starts with a clean slate
+      platform.unloadedOwners.delete(id);
+
+      platform.extensions.set(id, {
+        id,
+        api,
+        metadata: {
+          name: metadata.name || id,
+          version: metadata.version || "1.0.0",
+          dependencies: metadata.dependencies || [],
+          loaded: Date.now(),
+          ...metadata,
+        },
+      });
+
+      // 🔧 SYNC TO REGISTRY (FIXED)
+      if (window._extensionRegistry?.extensions) {
+        window._extensionRegistry.extensions.set(id, api);
+      }
+
+      console.log(`✅ Extension registered: ${id}`);
+
+      // 🔁 CYCLE CHECK - a dependency that leads back to us can never resolve
+      const cycle = platform.findCycle(id);
+      if (cycle) {
+        console.warn(`⚠️ Dependency cycle detected: ${cycle.join(" → ")}`);
+      }
+
+      const missing = platform.getMissingDependencies(id);
+      if (missing.length > 0) {
+        console.log(`⏳ ${id} is waiting on: ${missing.join(", ")}`);
+      }
+
+      // ⏳ Wake anyone waiting in whenReady()
+      getDeferred(extensionReady, id).resolve(api);
+
+      // Notify other extensions
+      document.body.dispatchEvent(
+        new CustomEvent(`roamjs:${id}:loaded`, {
+          detail: { id, api, metadata },
+        })
+      );
+
+      // Sticky so extensions loading later still hear about it
+      platform.emit(
+        `roamjs:${id}:loaded`,
+        { id, api, metadata },
+        { sticky: true }
+      );
+
+      return true;
+    },
+
+    unregister: (id) => {
+      const existed = platform.extensions.delete(id);
+      window._extensionRegistry?.extensions?.delete(id);
+
+      // Future whenReady() calls wait for the next register()
+      extensionReady.delete(id);
+      platform.clearSticky(`roamjs:${id}:loaded`);
+
+      const result = platform.disposeOwner(id);
+      platform.emit(`roamjs:${id}:unloaded`, { id, ...result });
+
+      console.log(
+        `👋 Extension unregistered: ${id} (${result.disposed} resources disposed)`
+      );
+      return existed;
+    },
+
+    get: (id) => {
+      const ext = platform.extensions.get(id);
+      return ext ? ext.api : null;
+    },
+
+    has: (id) => {
+      return platform.extensions.has(id);
+    },
+
+    // ⏳ DEPENDENCY-AWARE LIFECYCLE
+    whenReady: (id, options = {}) => {
+      const { requestedBy = null } = options;
+
+      // Waiting on something that (transitively) waits on us would deadlock
+      if (requestedBy) {
+        const path = findDependencyPath(id, requestedBy);
+        if (path) {
+          return Promise.reject(
+            new Error(
+              `Dependency cycle: "${requestedBy}" waits for "${id}" but ${path.join(
+                " → "
+              )}`
+            )
+          );
+        }
+      }
+
+      if (platform.extensions.has(id)) {
+        return Promise.resolve(platform.get(id));
+      }
+      return waitFor("extension", extensionReady, id, options);
+    },
+
+    whenUtility: (name, options = {}) => {
+      const { range = null } = options;
+      const check = (utility) =>
+        range ? platform.requireUtility(name, range, options) : utility;
+
+      const utility = platform.getUtility(name);
+      if (utility) {
+        return Promise.resolve(utility).then(check);
+      }
+      return waitFor("utility", utilityReady, name, options).then(check);
+    },
+
+    getMissingDependencies: (id) => {
+      const ext = platform.extensions.get(id);
+      if (!ext) return [];
+      return ext.metadata.dependencies.filter(
+        (dep) => !platform.extensions.has(dep)
+      );
+    },
+
+    findCycle: (id) => {
+      const ext = platform.extensions.get(id);
+      for (const dep of ext?.metadata.dependencies || []) {
+        const path = findDependencyPath(dep, id);
+        if (path) return [id, ...path];
+      }
+      return null;
+    },
+
+    getDependencyGraph: () => {
+      const graph = {};
+      platform.extensions.forEach((ext, id) => {
+        const missing = platform.getMissingDependencies(id);
+        const cycle = platform.findCycle(id);
+        graph[id] = {
+          dependencies: [...ext.metadata.dependencies],
+          missing,
+          cycle,
+          status: cycle ? "cycle" : missing.length > 0 ? "blocked" : "ready",
+        };
+      });
+      return graph;
+    },
+
+    getBlockingReport: () => {
+      const report = [];
+
+      Object.entries(platform.getDependencyGraph()).forEach(([id, node]) => {
+        node.missing.forEach((dep) => {
+          report.push({ blocked: id, blockedBy: dep, reason: "dependency" });
+        });
+        if (node.cycle) {
+          report.push({
+            blocked: id,
+            blockedBy: node.cycle[1],
+            reason: `cycle: ${node.cycle.join(" → ")}`,
+          });
+        }
+      });
+
+      platform.pendingWaits.forEach((wait) => {
+        report.push({
+          blocked: wait.requestedBy || "(anonymous)",
+          blockedBy: wait.target,
+          reason: `awaiting ${wait.kind} for ${Date.now() - wait.since}ms`,
+        });
+      });
+
+      return report;
+    },
+
+    // 🔧 UTILITY SHARING (FIXED - NOW SYNCS TO REGISTRY)
+    registerUtility: (name, utility, contract = {}) => {
+      // Store in platform
+      platform.utilities.set(name, utility);
+
+      // 🏷️ CONTRACT - version + optional signature description
+      platform.utilityContracts.set(name, {
+        version: contract.version || "1.0.0",
+        signature: contract.signature || null,
+        description: contract.description || null,
+        provider: contract.provider || null,
+        registered: Date.now(),
+      });
+
+      // Re-check consumers that already required this utility
+      platform.utilityRequirements.forEach((requirement) => {
+        if (requirement.name !== name) return;
+        platform.checkRequirement(requirement);
+        if (!requirement.compatible) {
+          console.warn(
+            `⚠️ ${name} re-registered as v${
+              platform.utilityContracts.get(name).version
+            } - no longer satisfies "${requirement.range}" for ${
+              requirement.requestedBy || "(anonymous)"
+            }`
+          );
+        }
+      });
+
+      // 🔧 SYNC TO REGISTRY (CRITICAL FIX)
+      if (window._extensionRegistry?.utilities) {
+        window._extensionRegistry.utilities[name] = utility;
+      }
+
+      console.log(
+        `🔧 Utility registered: ${name}@${
+          platform.utilityContracts.get(name).version
+        }`
+      );
+
+      // ⏳ Wake anyone waiting in whenUtility()
+      getDeferred(utilityReady, name).resolve(utility);
+      return true;
+    },
+
+    getUtilityContract: (name) => {
+      return platform.utilityContracts.get(name) || null;
+    },
+
+    checkRequirement: (requirement) => {
+      const contract = platform.utilityContracts.get(requirement.name);
+      requirement.version = contract?.version || null;
+      requirement.compatible =
+        !!contract && satisfiesRange(contract.version, requirement.range);
+      requirement.checked = Date.now();
+      return requirement.compatible;
+    },
+
+    // 🏷️ Get a utility, throwing if it is missing or the wrong version
+    requireUtility: (name, range = "*", options = {}) => {
+      const { requestedBy = null } = options;
+      const consumer = requestedBy ? `"${requestedBy}"` : "the caller";
+
+      const requirement = { name, range, requestedBy };
+      platform.utilityRequirements.set(
+        `${requestedBy || "(anonymous)"}→${name}`,
+        requirement
+      );
+      platform.checkRequirement(requirement);
+
+      const utility = platform.getUtility(name);
+      if (!utility) {
+        throw new Error(
+          `Utility "${name}" is not registered (required by ${consumer}). ` +
+            `Load the extension that provides it before ${consumer}.`
+        );
+      }
+
+      const contract = platform.utilityContracts.get(name);
+      if (contract && !requirement.compatible) {
+        const error = new Error(
+          `Utility "${name}" v${contract.version} does not satisfy "${range}" ` +
+            `required by ${consumer}.` +
+            (contract.signature
+              ? ` Current signature: ${contract.signature}.`
+              : "") +
+            ` Update ${contract.provider || "the providing extension"} or ` +
+            `adjust ${consumer} to the new contract.`
+        );
+        error.code = "UTILITY_VERSION_MISMATCH";
+        error.utility = name;
+        error.version = contract.version;
+        error.range = range;
+        throw error;
+      }
+
+      return utility;
+    },
+
+    getIncompatibleUtilities: () => {
+      return Array.from(platform.utilityRequirements.values()).filter(
+        (requirement) => !requirement.compatible
+      );
+    },
+
+    getUtility: (name) => {
+      // Try platform first, then registry as fallback
+      return (
+        platform.utilities.get(name) ||
+        window._extensionRegistry?.utilities?.[name]
+      );
+    },
+
+    // 📡 EVENT BUS
+    getListeners: (event) => {
+      const matched = [];
+      platform.eventBus.forEach((listeners, pattern) => {
+        if (matchesEventPattern(pattern, event)) {
+          listeners.forEach((callback) => matched.push({ pattern, callback }));
+        }
+      });
+      return matched;
+    },
+
+    reportListenerError: (event, error) => {
+      console.error(`❌ Event listener error for ${event}:`, error);
+
+      // Surface to subscribers, but never recurse on our own error event
+      if (event !== "eventbus:error") {
+        platform.emit("eventbus:error", { event, error });
+      }
+    },
+
+    // Shared by emit()/emitAsync() - sticky storage, metadata and bridging
+    prepareEmit: (event, data, options = {}) => {
+      const { sticky = false } = options;
+      const meta = options.meta || {
+        eventId: generateUID(),
+        originTabId: platform.tabId,
+        remote: false,
+        timestamp: Date.now(),
+      };
+
+      if (sticky) {
+        platform.stickyEvents.set(event, { data, meta });
+      }
+
+      if (!meta.remote && platform.isBridged(event)) {
+        platform.broadcast(event, data, meta, sticky);
+      }
+
+      // Snapshot first - once() listeners remove themselves mid-dispatch
+      return { meta, listeners: platform.getListeners(event) };
+    },
+
+    emit: (event, data, options = {}) => {
+      const { meta, listeners } = platform.prepareEmit(event, data, options);
+
+      listeners.forEach(({ callback }) => {
+        try {
+          callback(data, event, meta);
+        } catch (e) {
+          platform.reportListenerError(event, e);
+        }
+      });
+      return listeners.length;
+    },
+
+    emitAsync: async (event, data, options = {}) => {
+      const { meta, listeners } = platform.prepareEmit(event, data, options);
+
+      const settled = await Promise.allSettled(
+        listeners.map(async ({ callback }) => callback(data, event, meta))
+      );
+
+      const results = [];
+      const errors = [];
+      settled.forEach((outcome) => {
+        if (outcome.status === "fulfilled") {
+          results.push(outcome.value);
+        } else {
+          errors.push(outcome.reason);
+          platform.reportListenerError(event, outcome.reason);
+        }
+      });
+
+      return { event, listenerCount: listeners.length, results, errors };
+    },
+
+    on: (event, callback, options = {}) => {
+      const { replay = true } = options;
+
+      const listeners = platform.eventBus.get(event) || [];
+      listeners.push(callback);
+      platform.eventBus.set(event, listeners);
+
+      // 📌 Replay sticky events to late joiners
+      if (replay) {
+        platform.stickyEvents.forEach(({ data, meta }, stickyEvent) => {
+          if (matchesEventPattern(event, stickyEvent)) {
+            try {
+              callback(data, stickyEvent, meta);
+            } catch (e) {
+              platform.reportListenerError(stickyEvent, e);
+            }
+          }
+        });
+      }
+
+      // Return unsubscribe function
+      return () => platform.off(event, callback);
+    },
+
+    once: (event, callback, options = {}) => {
+      let unsubscribe = null;
+      let fired = false;
+
+      const wrapper = (data, firedEvent, meta) => {
+        if (fired) return undefined;
+        fired = true;
+        if (unsubscribe) unsubscribe();
+        return callback(data, firedEvent, meta);
+      };
+      // So off(event, callback) finds it by the function callers hold
+      wrapper.originalCallback = callback;
+
+      unsubscribe = platform.on(event, wrapper, options);
+
+      // A sticky replay may have fired before on() returned
+      if (fired) unsubscribe();
+      return unsubscribe;
+    },
+
+    off: (event, callback) => {
+      const currentListeners = platform.eventBus.get(event) || [];
+      const index = currentListeners.findIndex(
+        (listener) =>
+          listener === callback || listener.originalCallback === callback
+      );
+      if (index > -1) {
+        currentListeners.splice(index, 1);
+      }
+      if (currentListeners.length === 0) {
+        platform.eventBus.delete(event);
+      }
+      return index > -1;
+    },
+
+    clearSticky: (event) => {
+      return platform.stickyEvents.delete(event);
+    },
+
+    // 📻 CROSS-TAB BRIDGE - mirror selected events to other tabs of this graph
+    bridgeEvents: (patterns) => {
+      const list = Array.isArray(patterns) ? patterns : [patterns];
+
+      if (!platform.openBroadcastChannel()) {
+        return () => {};
+      }
+
+      list.forEach((pattern) => {
+        const count = platform.bridgedEvents.get(pattern) || 0;
+        platform.bridgedEvents.set(pattern, count + 1);
+      });
+      console.log(`📻 Bridging events across tabs: ${list.join(", ")}`);
+
+      // Return unbridge function (safe to call more than once)
+      let bridged = true;
+      return () => {
+        if (!bridged) return;
+        bridged = false;
+        list.forEach((pattern) => {
+          const count = platform.bridgedEvents.get(pattern) || 0;
+          if (count > 1) {
+            platform.bridgedEvents.set(pattern, count - 1);
+          } else {
+            platform.bridgedEvents.delete(pattern);
+          }
+        });
+        if (platform.bridgedEvents.size === 0) {
+          platform.closeBroadcastChannel();
+        }
+      };
+    },
+
+    isBridged: (event) => {
+      for (const pattern of platform.bridgedEvents.keys()) {
+        if (matchesEventPattern(pattern, event)) return true;
+      }
+      return false;
+    },
+
+    openBroadcastChannel: () => {
+      if (platform.broadcastChannel) return platform.broadcastChannel;
+
+      if (typeof BroadcastChannel === "undefined") {
+        console.warn("⚠️ BroadcastChannel not supported - events stay local");
+        return null;
+      }
+
+      const channel = new BroadcastChannel(
+        `${BROADCAST_SOURCE}:${getGraphName()}`
+      );
+      channel.onmessage = (message) => platform.receiveBroadcast(message.data);
+      platform.broadcastChannel = channel;
+      return channel;
+    },
+
+    closeBroadcastChannel: () => {
+      if (platform.broadcastChannel) {
+        platform.broadcastChannel.close();
+        platform.broadcastChannel = null;
+      }
+      platform.bridgedEvents.clear();
+    },
+
+    broadcast: (event, data, meta, sticky) => {
+      if (!platform.broadcastChannel) return false;
+
+      try {
+        platform.broadcastChannel.postMessage({
+          source: BROADCAST_SOURCE,
+          event,
+          data,
+          meta,
+          sticky,
+        });
+        return true;
+      } catch (e) {
+        // DataCloneError - functions, DOM nodes etc. can't cross tabs
+        console.warn(`⚠️ Could not broadcast ${event}:`, e);
+        return false;
+      }
+    },
+
+    receiveBroadcast: (message) => {
+      if (!message || message.source !== BROADCAST_SOURCE) return;
+
+      const { event, data, meta, sticky } = message;
+      if (!meta || meta.originTabId === platform.tabId) return;
+      if (!platform.isBridged(event)) return;
+
+      // De-duplicate - the same event can arrive via several channels
+      if (platform.seenRemoteEvents.has(meta.eventId)) return;
+      platform.seenRemoteEvents.add(meta.eventId);
+      if (platform.seenRemoteEvents.size > MAX_SEEN_REMOTE_EVENTS) {
+        const oldest = platform.seenRemoteEvents.values().next().value;
+        platform.seenRemoteEvents.delete(oldest);
+      }
+
+      platform.emit(event, data, {
+        sticky,
+        meta: { ...meta, remote: true },
+      });
+    },
+
+    // 🧹 DISPOSABLE REGISTRY
+    track: (ownerId, type, resource, options = {}) => {
+      const { label = type, dispose = null } = options;
+
+      const record = {
+        ownerId,
+        type,
+        label,
+        resource,
+        created: Date.now(),
+        disposed: false,
+        error: null,
+        // Tracked after the owner unloaded - a leak by definition
+        late: platform.unloadedOwners.has(ownerId),
+      };
+
+      const teardown = () => {
+        if (record.disposed) return true;
+        try {
+          if (dispose) {
+            dispose(resource);
+          }
+          record.disposed = true;
+        } catch (e) {
+          record.error = e;
+          console.warn(`🧹 Failed to dispose ${type} "${label}":`, e);
+        }
+        return record.disposed;
+      };
+      record.teardown = teardown;
+
+      if (!platform.disposables.has(ownerId)) {
+        platform.disposables.set(ownerId, new Set());
+      }
+      platform.disposables.get(ownerId).add(record);
+
+      if (record.late) {
+        console.warn(
+          `🧹 ${ownerId} tracked ${type} "${label}" after it unloaded`
+        );
+      }
+
+      // Handle - dispose() tears down now, release() means "owner cleaned it"
+      return {
+        dispose: teardown,
+        release: () => {
+          record.disposed = true;
+          platform.disposables.get(ownerId)?.delete(record);
+        },
+      };
+    },
+
+    trackInterval: (ownerId, intervalId, label = "interval") =>
+      platform.track(ownerId, "interval", intervalId, {
+        label,
+        dispose: (id) => clearInterval(id),
+      }),
+
+    trackTimeout: (ownerId, timeoutId, label = "timeout") =>
+      platform.track(ownerId, "timeout", timeoutId, {
+        label,
+        dispose: (id) => clearTimeout(id),
+      }),
+
+    trackObserver: (ownerId, observer, label = "observer") =>
+      platform.track(ownerId, "observer", observer, {
+        label,
+        dispose: (obs) => obs.disconnect(),
+      }),
+
+    trackListener: (ownerId, target, type, listener, options, label) =>
+      platform.track(
+        ownerId,
+        "listener",
+        { target, type, listener, options },
+        {
+          label: label || `${type} listener`,
+          dispose: () => target.removeEventListener(type, listener, options),
+        }
+      ),
+
+    trackElement: (ownerId, element, label) => {
+      // Tag the node so the leak report can find re-created copies too
+      element.setAttribute?.("data-suite-owner", ownerId);
+      return platform.track(ownerId, "element", element, {
+        label: label || element.id || element.tagName?.toLowerCase(),
+        dispose: (el) => el.remove(),
+      });
+    },
+
+    trackDisposable: (ownerId, dispose, label = "disposable") =>
+      platform.track(ownerId, "disposable", dispose, {
+        label,
+        dispose: (fn) => fn(),
+      }),
+
+    // Tear down everything an owner tracked, in reverse creation order
+    disposeOwner: (ownerId) => {
+      const records = Array.from(platform.disposables.get(ownerId) || []);
+      let disposed = 0;
+      let failed = 0;
+
+      records.reverse().forEach((record) => {
+        if (record.disposed) return;
+        if (record.teardown()) {
+          disposed++;
+        } else {
+          failed++;
+        }
+      });
+
+      platform.unloadedOwners.set(ownerId, Date.now());
+
+      // Keep only what failed - that's what the leak report needs
+      const remaining = records.filter((record) => !record.disposed);
+      platform.disposables.set(ownerId, new Set(remaining));
+
+      return { disposed, failed };
+    },
+
+    getLeakReport: () => {
+      const leaks = [];
+
+      platform.unloadedOwners.forEach((unloadedAt, ownerId) => {
+        (platform.disposables.get(ownerId) || new Set()).forEach((record) => {
+          if (!record.disposed) {
+            leaks.push({
+              owner: ownerId,
+              type: record.type,
+              label: record.label,
+              reason: record.late
+                ? "tracked after unload"
+                : record.error
+                ? `dispose failed: ${record.error.message}`
+                : "never disposed",
+              ageMs: Date.now() - record.created,
+            });
+          }
+        });
+      });
+
+      // DOM nodes tagged by an owner that has since unloaded
+      document.querySelectorAll("[data-suite-owner]").forEach((element) => {
+        const ownerId = element.getAttribute("data-suite-owner");
+        if (platform.unloadedOwners.has(ownerId)) {
+          leaks.push({
+            owner: ownerId,
+            type: "element",
+            label:
+              element.id || element.className || element.tagName.toLowerCase(),
+            reason: "still in document",
+            ageMs: Date.now() - platform.unloadedOwners.get(ownerId),
+          });
+        }
+      });
+
+      return leaks;
+    },
+
+    showLeakReport: () => {
+      const leaks = platform.getLeakReport();
+      console.group("🧹 Suite: Leaked Resources");
+      if (leaks.length === 0) {
+        console.log("✅ No leaked resources from unloaded extensions");
+      } else {
+        console.log(`⚠️ ${leaks.length} resource(s) outlived their owner:`);
+        console.table(leaks);
+      }
+      console.groupEnd();
+      return leaks;
+    },
+
+    // 👀 DOM OBSERVATION HUB - subscribe by selector instead of observing
+    // the whole document yourself. Handlers get arrays, once per batch.
+    observeDOM: (ownerId, selector, handlers = {}, options = {}) => {
+      const { added, removed, attributes } = handlers;
+      const {
+        attributeFilter = null,
+        existing = false,
+        label = selector,
+      } = options;
+
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch (e) {
+        throw new Error(
+          `observeDOM: invalid selector "${selector}" from "${ownerId}"`
+        );
+      }
 
-    // 🎯 EXTENSION MANAGEMENT
-    register: (id, api, metadata = {}) => {
-      platform.extensions.set(id, {
-        id,
-        api,
-        metadata: {
-          name: metadata.name || id,
-          version: metadata.version || "1.0.0",
-          dependencies: metadata.dependencies || [],
-          loaded: Date.now(),
-          ...metadata,
+      const subscription = {
+        ownerId,
+        selector,
+        label,
+        added,
+        removed,
+        attributes,
+        attributeFilter,
+        // Deliver matches already in the document with the first batch
+        pendingExisting: existing && Boolean(added),
+        stats: {
+          batches: 0,
+          elements: 0,
+          totalMs: 0,
+          maxMs: 0,
+          errors: 0,
+          lastRun: null,
         },
-      });
+      };
 
-      // 🔧 SYNC TO REGISTRY (FIXED)
-      if (window._extensionRegistry?.extensions) {
-        window._extensionRegistry.extensions.set(id, api);
+      platform.domSubscriptions.add(subscription);
+      platform.configureDOMObserver();
+      if (subscription.pendingExisting) {
+        platform.scheduleDOMFlush();
       }
 
-      console.log(`✅ Extension registered: ${id}`);
+      let handle = null;
+      const unsubscribe = () => {
+        if (!platform.domSubscriptions.delete(subscription)) return;
+        handle?.release();
+        platform.configureDOMObserver();
+      };
+      handle = platform.trackDisposable(ownerId, unsubscribe, `DOM: ${label}`);
 
-      // Notify other extensions
-      document.body.dispatchEvent(
-        new CustomEvent(`roamjs:${id}:loaded`, {
-          detail: { id, api, metadata },
-        })
+      return unsubscribe;
+    },
+
+    // (Re)attach the shared observer with the union of what subscribers need
+    configureDOMObserver: () => {
+      if (platform.domSubscriptions.size === 0) {
+        platform.domObserver?.disconnect();
+        platform.domObserver = null;
+        platform.domObserverConfig = null;
+        platform.pendingMutations = [];
+        if (platform.domFlushHandle !== null) {
+          cancelIdle(platform.domFlushHandle);
+          platform.domFlushHandle = null;
+        }
+        return;
+      }
+
+      const config = { childList: true, subtree: true };
+      const attributeSubscriptions = Array.from(
+        platform.domSubscriptions
+      ).filter((subscription) => subscription.attributes);
+
+      if (attributeSubscriptions.length > 0) {
+        config.attributes = true;
+        config.attributeOldValue = true;
+        // Only narrow when every attribute subscriber asked for a filter
+        if (attributeSubscriptions.every((sub) => sub.attributeFilter)) {
+          config.attributeFilter = Array.from(
+            new Set(
+              attributeSubscriptions.flatMap((sub) => sub.attributeFilter)
+            )
+          );
+        }
+      }
+
+      const serialized = JSON.stringify(config);
+      if (serialized === platform.domObserverConfig) return;
+
+      if (platform.domObserver) {
+        // Keep whatever was queued under the previous configuration
+        platform.pendingMutations.push(...platform.domObserver.takeRecords());
+        platform.domObserver.disconnect();
+      } else {
+        platform.domObserver = new MutationObserver((records) => {
+          platform.pendingMutations.push(...records);
+          platform.scheduleDOMFlush();
+        });
+      }
+
+      platform.domObserver.observe(document.body, config);
+      platform.domObserverConfig = serialized;
+      if (platform.pendingMutations.length > 0) {
+        platform.scheduleDOMFlush();
+      }
+    },
+
+    scheduleDOMFlush: () => {
+      if (platform.domFlushHandle !== null) return;
+      platform.domFlushHandle = requestIdle(() => {
+        platform.domFlushHandle = null;
+        platform.flushDOMMutations();
+      });
+    },
+
+    // Turn queued mutation records into one batch per subscriber
+    flushDOMMutations: () => {
+      const records = platform.pendingMutations;
+      platform.pendingMutations = [];
+
+      const addedNodes = new Set();
+      const removedNodes = new Set();
+      const attributeRecords = [];
+
+      records.forEach((record) => {
+        if (record.type === "attributes") {
+          attributeRecords.push(record);
+          return;
+        }
+        // Added-then-removed (or moved) nodes cancel out within a batch
+        record.addedNodes.forEach((node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          if (!removedNodes.delete(node)) addedNodes.add(node);
+        });
+        record.removedNodes.forEach((node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          if (!addedNodes.delete(node)) removedNodes.add(node);
+        });
+      });
+
+      const added = Array.from(addedNodes).filter((node) => node.isConnected);
+      const removed = Array.from(removedNodes).filter(
+        (node) => !node.isConnected
       );
 
-      return true;
+      platform.domSubscriptions.forEach((subscription) => {
+        const { selector, attributeFilter } = subscription;
+        const batch = {
+          added: subscription.added ? collectMatches(added, selector) : [],
+          removed: subscription.removed
+            ? collectMatches(removed, selector)
+            : [],
+          attributes: subscription.attributes
+            ? attributeRecords
+                .filter(
+                  (record) =>
+                    (!attributeFilter ||
+                      attributeFilter.includes(record.attributeName)) &&
+                    record.target.matches?.(selector)
+                )
+                .map((record) => ({
+                  element: record.target,
+                  attributeName: record.attributeName,
+                  oldValue: record.oldValue,
+                }))
+            : [],
+        };
+
+        if (subscription.pendingExisting) {
+          subscription.pendingExisting = false;
+          batch.added = Array.from(
+            new Set([...document.querySelectorAll(selector), ...batch.added])
+          );
+        }
+
+        platform.dispatchDOMBatch(subscription, batch);
+      });
     },
 
-    get: (id) => {
-      const ext = platform.extensions.get(id);
-      return ext ? ext.api : null;
+    dispatchDOMBatch: (subscription, batch) => {
+      const count =
+        batch.added.length + batch.removed.length + batch.attributes.length;
+      // An earlier subscriber in this flush may have unsubscribed it
+      if (count === 0 || !platform.domSubscriptions.has(subscription)) return;
+
+      const started = performance.now();
+      ["added", "removed", "attributes"].forEach((kind) => {
+        if (batch[kind].length === 0) return;
+        try {
+          subscription[kind](batch[kind]);
+        } catch (error) {
+          subscription.stats.errors++;
+          console.error(
+            `👀 DOM subscriber "${subscription.label}" (${subscription.ownerId}) failed:`,
+            error
+          );
+        }
+      });
+      const elapsed = performance.now() - started;
+
+      const { stats } = subscription;
+      stats.batches++;
+      stats.elements += count;
+      stats.totalMs += elapsed;
+      stats.maxMs = Math.max(stats.maxMs, elapsed);
+      stats.lastRun = Date.now();
     },
 
-    has: (id) => {
-      return platform.extensions.has(id);
+    // Synchronous handler time per subscriber - async work isn't counted
+    getDOMObserverStats: () =>
+      Array.from(platform.domSubscriptions, ({ ownerId, label, stats }) => ({
+        owner: ownerId,
+        selector: label,
+        batches: stats.batches,
+        elements: stats.elements,
+        totalMs: Math.round(stats.totalMs * 10) / 10,
+        avgMs: stats.batches
+          ? Math.round((stats.totalMs / stats.batches) * 10) / 10
+          : 0,
+        maxMs: Math.round(stats.maxMs * 10) / 10,
+        errors: stats.errors,
+      })),
+
+    showDOMObserverStats: () => {
+      const stats = platform.getDOMObserverStats();
+      console.group("👀 Suite: DOM Observer Stats");
+      if (stats.length === 0) {
+        console.log("No DOM subscriptions - the shared observer is idle");
+      } else {
+        console.log(
+          `${stats.length} subscription(s) sharing one observer (${
+            platform.domObserverConfig || "disconnected"
+          })`
+        );
+        console.table(stats);
+      }
+      console.groupEnd();
+      return stats;
     },
 
-    // 🔧 UTILITY SHARING (FIXED - NOW SYNCS TO REGISTRY)
-    registerUtility: (name, utility) => {
-      // Store in platform
-      platform.utilities.set(name, utility);
+    // ✍️ GRAPH WRITE QUEUE
+    // writes: [{ action: "update"|"create"|"delete"|"move", payload,
+    //   target?: "block"|"page", label? }] or [{ run: async () => ..., label? }]
+    queueWrites: (writes, options = {}) => {
+      const queue = platform.writeQueue;
+      const {
+        owner = "anonymous",
+        label = "graph writes",
+        retries = queue.retries,
+        baseDelay = queue.baseDelay,
+        dryRun = queue.dryRun,
+        onProgress = null,
+      } = options;
 
-      // 🔧 SYNC TO REGISTRY (CRITICAL FIX)
-      if (window._extensionRegistry?.utilities) {
-        window._extensionRegistry.utilities[name] = utility;
+      const deferred = createDeferred();
+      const job = {
+        id: generateUID(),
+        owner,
+        label,
+        retries,
+        baseDelay,
+        dryRun,
+        onProgress,
+        total: writes.length,
+        done: 0,
+        succeeded: 0,
+        failed: 0,
+        skipped: 0,
+        cancelled: false,
+        results: new Array(writes.length),
+        started: Date.now(),
+        deferred,
+      };
+      queue.jobs.set(job.id, job);
+
+      writes.forEach((write, index) => {
+        queue.pending.push({ job, write, index });
+      });
+
+      if (writes.length === 0) {
+        platform.finishWriteJob(job);
+      } else {
+        platform.pumpWriteQueue();
       }
 
-      console.log(`🔧 Utility registered: ${name}`);
+      return {
+        id: job.id,
+        promise: deferred.promise,
+        cancel: () => platform.cancelWrites(job.id),
+      };
+    },
+
+    // Single write - resolves with the API's return value, throws on failure
+    queueWrite: async (write, options = {}) => {
+      const summary = await platform.queueWrites([write], options).promise;
+      const [result] = summary.results;
+      if (!result.ok) throw result.error;
+      return result.value;
+    },
+
+    // Stop queued writes of a job; writes already in flight still finish
+    cancelWrites: (jobId) => {
+      const queue = platform.writeQueue;
+      const job = queue.jobs.get(jobId);
+      if (!job) return false;
+
+      job.cancelled = true;
+      const cancelled = queue.pending.filter((task) => task.job === job);
+      queue.pending = queue.pending.filter((task) => task.job !== job);
+      cancelled.forEach((task) =>
+        platform.completeWriteTask(task, {
+          ok: false,
+          cancelled: true,
+          error: new Error(`Write cancelled (${job.label})`),
+          write: task.write,
+        })
+      );
       return true;
     },
 
-    getUtility: (name) => {
-      // Try platform first, then registry as fallback
-      return (
-        platform.utilities.get(name) ||
-        window._extensionRegistry?.utilities?.[name]
+    configureWriteQueue: (settings = {}) => {
+      ["concurrency", "minInterval", "retries", "baseDelay", "dryRun"].forEach(
+        (key) => {
+          if (settings[key] !== undefined) {
+            platform.writeQueue[key] = settings[key];
+          }
+        }
       );
+      platform.pumpWriteQueue();
+      return platform.getWriteQueueStatus();
     },
 
-    // 📡 EVENT BUS
-    emit: (event, data) => {
-      const listeners = platform.eventBus.get(event) || [];
-      listeners.forEach((callback) => {
+    pumpWriteQueue: () => {
+      const queue = platform.writeQueue;
+
+      while (queue.active < queue.concurrency && queue.pending.length > 0) {
+        const wait = queue.lastStart + queue.minInterval - Date.now();
+        if (wait > 0) {
+          if (!queue.timer) {
+            queue.timer = setTimeout(() => {
+              queue.timer = null;
+              platform.pumpWriteQueue();
+            }, wait);
+          }
+          return;
+        }
+
+        const task = queue.pending.shift();
+        queue.active++;
+        queue.lastStart = Date.now();
+
+        platform.runWriteTask(task).then((result) => {
+          queue.active--;
+          platform.completeWriteTask(task, result);
+          platform.pumpWriteQueue();
+        });
+      }
+    },
+
+    // Never rejects - failures come back as { ok: false, error }
+    runWriteTask: async ({ job, write }) => {
+      if (job.dryRun) {
+        const queue = platform.writeQueue;
+        queue.dryRunLog.push({
+          jobId: job.id,
+          owner: job.owner,
+          label: write.label || job.label,
+          ...describeWrite(write),
+          at: Date.now(),
+        });
+        if (queue.dryRunLog.length > MAX_DRY_RUN_LOG) {
+          queue.dryRunLog.shift();
+        }
+        return { ok: true, dryRun: true, write, attempts: 0 };
+      }
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const value = await executeWrite(write);
+          return { ok: true, value, write, attempts: attempt };
+        } catch (error) {
+          if (attempt > job.retries || job.cancelled) {
+            console.error(
+              `✍️ ${job.owner}: write "${
+                write.label || job.label
+              }" failed after ${attempt} attempt(s):`,
+              error
+            );
+            return { ok: false, error, write, attempts: attempt };
+          }
+          const delay = job.baseDelay * 2 ** (attempt - 1);
+          console.warn(
+            `✍️ ${job.owner}: write "${
+              write.label || job.label
+            }" failed, retrying in ${delay}ms`
+          );
+          await sleep(delay);
+        }
+      }
+    },
+
+    completeWriteTask: (task, result) => {
+      const { job } = task;
+      job.results[task.index] = result;
+      job.done++;
+      if (result.ok) {
+        job.succeeded++;
+      } else if (result.cancelled) {
+        job.skipped++;
+      } else {
+        job.failed++;
+      }
+
+      const progress = {
+        jobId: job.id,
+        owner: job.owner,
+        label: job.label,
+        done: job.done,
+        total: job.total,
+        succeeded: job.succeeded,
+        failed: job.failed,
+        dryRun: job.dryRun,
+      };
+      if (job.onProgress) {
         try {
-          callback(data);
+          job.onProgress(progress);
         } catch (e) {
-          console.warn(`Event listener error for ${event}:`, e);
+          console.warn("✍️ Write progress callback failed:", e);
         }
+      }
+      platform.emit("writes:progress", progress);
+
+      if (job.done === job.total) {
+        platform.finishWriteJob(job);
+      }
+    },
+
+    finishWriteJob: (job) => {
+      platform.writeQueue.jobs.delete(job.id);
+
+      const summary = {
+        jobId: job.id,
+        owner: job.owner,
+        label: job.label,
+        total: job.total,
+        succeeded: job.succeeded,
+        failed: job.failed,
+        skipped: job.skipped,
+        cancelled: job.cancelled,
+        dryRun: job.dryRun,
+        durationMs: Date.now() - job.started,
+        results: job.results,
+      };
+
+      platform.emit(job.cancelled ? "writes:cancelled" : "writes:done", {
+        ...summary,
+        results: undefined,
       });
-      return listeners.length;
+      job.deferred.resolve(summary);
     },
 
-    on: (event, callback) => {
-      const listeners = platform.eventBus.get(event) || [];
-      listeners.push(callback);
-      platform.eventBus.set(event, listeners);
-      return () => {
-        // Return unsubscribe function
-        const currentListeners = platform.eventBus.get(event) || [];
-        const index = currentListeners.indexOf(callback);
-        if (index > -1) {
-          currentListeners.splice(index, 1);
-          platform.eventBus.set(event, currentListeners);
+    getWriteQueueStatus: () => {
+      const queue = platform.writeQueue;
+      return {
+        pending: queue.pending.length,
+        active: queue.active,
+        concurrency: queue.concurrency,
+        minInterval: queue.minInterval,
+        dryRun: queue.dryRun,
+        dryRunLogSize: queue.dryRunLog.length,
+        jobs: Array.from(queue.jobs.values(), (job) => ({
+          jobId: job.id,
+          owner: job.owner,
+          label: job.label,
+          done: job.done,
+          total: job.total,
+          failed: job.failed,
+        })),
+      };
+    },
+
+    getDryRunLog: () => [...platform.writeQueue.dryRunLog],
+
+    clearDryRunLog: () => {
+      platform.writeQueue.dryRunLog = [];
+    },
+
+    // 🗃️ QUERY CACHE
+    // Cached roamAlphaAPI.data.q(query, ...args). options.watch lists what
+    // the result depends on - page titles or { ref, pattern } pull watches.
+    // Unwatched entries expire after options.ttl (default 10s) instead.
+    query: (query, args = [], options = {}) => {
+      const cache = platform.queryCache;
+      const key = queryCacheKey(query, args);
+      const now = Date.now();
+      let entry = cache.entries.get(key);
+
+      if (
+        entry?.valid &&
+        !options.refresh &&
+        (!entry.expiresAt || now < entry.expiresAt)
+      ) {
+        entry.hits++;
+        entry.lastRead = now;
+        cache.stats.hits++;
+        return entry.value;
+      }
+
+      cache.stats.misses++;
+      let value;
+      try {
+        value = freezeQueryResult(window.roamAlphaAPI.data.q(query, ...args));
+      } catch (error) {
+        cache.stats.errors++;
+        throw error;
+      }
+
+      if (!entry) {
+        entry = {
+          key,
+          query,
+          args,
+          watches: new Map(),
+          ttl: null,
+          owners: new Set(),
+          subscribers: new Set(),
+          hits: 0,
+          misses: 0,
+        };
+        cache.entries.set(key, entry);
+      }
+      if (options.owner) entry.owners.add(options.owner);
+      if (options.ttl !== undefined) entry.ttl = options.ttl;
+      (options.watch || []).map(normalizeWatch).forEach((watch) => {
+        entry.watches.set(watch.key, watch);
+      });
+
+      // Missing entities can't be watched yet - retried on every miss
+      let resolved = true;
+      entry.watches.forEach((watch) => {
+        resolved = platform.addQueryWatch(watch, key) && resolved;
+      });
+
+      const ttl =
+        entry.ttl ?? (entry.watches.size > 0 && resolved ? null : cache.ttl);
+      Object.assign(entry, {
+        value,
+        valid: true,
+        fetchedAt: now,
+        lastRead: now,
+        expiresAt: ttl ? now + ttl : null,
+      });
+      entry.misses++;
+
+      platform.evictQueries();
+      return value;
+    },
+
+    // Live query - onChange(result, previous) now and whenever it changes.
+    // Same options as query(), plus args and immediate (default true).
+    useQuery: (query, onChange, options = {}) => {
+      const { args = [], owner, immediate = true } = options;
+      const value = platform.query(query, args, options);
+      const entry = platform.queryCache.entries.get(queryCacheKey(query, args));
+      const subscriber = { onChange, owner, poll: null, tracked: null };
+      entry.subscribers.add(subscriber);
+
+      // Nothing will push a change for ttl-only entries - check on expiry
+      if (entry.expiresAt) {
+        subscriber.poll = setInterval(() => {
+          if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+            platform.invalidateQueryEntry(entry.key);
+          }
+        }, entry.ttl ?? platform.queryCache.ttl);
+      }
+
+      const unsubscribe = () => {
+        entry.subscribers.delete(subscriber);
+        clearInterval(subscriber.poll);
+        subscriber.tracked?.release();
+      };
+      if (owner) {
+        subscriber.tracked = platform.trackDisposable(
+          owner,
+          unsubscribe,
+          `query ${normalizeQuery(query).slice(0, 40)}`
+        );
+      }
+
+      if (immediate) {
+        try {
+          onChange(value, undefined);
+        } catch (error) {
+          console.error("🗃️ useQuery callback failed:", error);
+        }
+      }
+      return unsubscribe;
+    },
+
+    // Returns whether the watched entity exists (i.e. the watch can fire)
+    addQueryWatch: (watch, key) => {
+      const cache = platform.queryCache;
+      let record = cache.watches.get(watch.key);
+      if (!record) {
+        record = {
+          ...watch,
+          keys: new Set(),
+          resolved: false,
+          callback: () => platform.invalidateQueryWatch(watch.key),
+        };
+        cache.watches.set(watch.key, record);
+      }
+      record.keys.add(key);
+
+      if (
+        !record.resolved &&
+        window.roamAlphaAPI.pull("[:db/id]", watch.lookup)
+      ) {
+        window.roamAlphaAPI.data.addPullWatch(
+          record.pattern,
+          record.ref,
+          record.callback
+        );
+        record.resolved = true;
+      }
+      return record.resolved;
+    },
+
+    invalidateQueryWatch: (watchKey) => {
+      platform.queryCache.watches
+        .get(watchKey)
+        ?.keys.forEach((key) => platform.invalidateQueryEntry(key));
+    },
+
+    invalidateQueryEntry: (key) => {
+      const cache = platform.queryCache;
+      const entry = cache.entries.get(key);
+      if (!entry) return;
+
+      if (entry.valid) {
+        entry.valid = false;
+        cache.stats.invalidations++;
+      }
+      if (entry.subscribers.size > 0) {
+        cache.stale.add(key);
+        if (!cache.refreshTimer) {
+          cache.refreshTimer = setTimeout(
+            platform.refreshStaleQueries,
+            QUERY_REFRESH_DELAY
+          );
+        }
+      }
+    },
+
+    // Manual invalidation - a query string (any args), a predicate over
+    // entries, or nothing for everything. Returns the number invalidated.
+    invalidateQueries: (match) => {
+      const normalized =
+        typeof match === "string" ? normalizeQuery(match) : null;
+      let count = 0;
+      platform.queryCache.entries.forEach((entry, key) => {
+        const matches =
+          match === undefined ||
+          (normalized !== null && normalizeQuery(entry.query) === normalized) ||
+          (typeof match === "function" && match(entry));
+        if (matches) {
+          platform.invalidateQueryEntry(key);
+          count++;
+        }
+      });
+      return count;
+    },
+
+    // Re-run invalidated queries that have subscribers, notify on change
+    refreshStaleQueries: () => {
+      const cache = platform.queryCache;
+      cache.refreshTimer = null;
+      const keys = Array.from(cache.stale);
+      cache.stale.clear();
+
+      keys.forEach((key) => {
+        const entry = cache.entries.get(key);
+        if (!entry || entry.valid || entry.subscribers.size === 0) return;
+
+        const previous = entry.value;
+        let value;
+        try {
+          value = platform.query(entry.query, entry.args);
+        } catch (error) {
+          console.error("🗃️ Query refresh failed:", error);
+          return;
+        }
+        if (JSON.stringify(value) === JSON.stringify(previous)) return;
+
+        entry.subscribers.forEach(({ onChange }) => {
+          try {
+            onChange(value, previous);
+          } catch (error) {
+            console.error("🗃️ useQuery callback failed:", error);
+          }
+        });
+      });
+    },
+
+    // Least recently read first; entries with live subscribers are kept
+    evictQueries: () => {
+      const cache = platform.queryCache;
+      const excess = cache.entries.size - cache.maxEntries;
+      if (excess <= 0) return;
+
+      Array.from(cache.entries.values())
+        .filter((entry) => entry.subscribers.size === 0)
+        .sort((a, b) => a.lastRead - b.lastRead)
+        .slice(0, excess)
+        .forEach((entry) => {
+          platform.removeQueryEntry(entry.key);
+          cache.stats.evictions++;
+        });
+    },
+
+    removeQueryEntry: (key) => {
+      const cache = platform.queryCache;
+      const entry = cache.entries.get(key);
+      if (!entry) return;
+
+      cache.entries.delete(key);
+      cache.stale.delete(key);
+      entry.watches.forEach((watch) => {
+        const record = cache.watches.get(watch.key);
+        if (!record) return;
+        record.keys.delete(key);
+        if (record.keys.size === 0) {
+          if (record.resolved) {
+            window.roamAlphaAPI.data.removePullWatch(
+              record.pattern,
+              record.ref,
+              record.callback
+            );
+          }
+          cache.watches.delete(watch.key);
+        }
+      });
+    },
+
+    // Drops unsubscribed entries, invalidates the rest
+    clearQueryCache: () => {
+      platform.queryCache.entries.forEach((entry, key) => {
+        if (entry.subscribers.size === 0) {
+          platform.removeQueryEntry(key);
+        } else {
+          platform.invalidateQueryEntry(key);
         }
+      });
+    },
+
+    getQueryCacheStats: () => {
+      const cache = platform.queryCache;
+      const { hits, misses } = cache.stats;
+      const entries = Array.from(cache.entries.values());
+      return {
+        ...cache.stats,
+        hitRate: hits + misses ? Math.round((hits / (hits + misses)) * 100) : 0,
+        entries: entries.length,
+        watches: cache.watches.size,
+        subscribers: entries.reduce(
+          (total, entry) => total + entry.subscribers.size,
+          0
+        ),
+        queries: entries
+          .sort((a, b) => b.hits + b.misses - (a.hits + a.misses))
+          .map((entry) => ({
+            query: normalizeQuery(entry.query).slice(0, 60),
+            owners: Array.from(entry.owners).join(", ") || "anonymous",
+            hits: entry.hits,
+            misses: entry.misses,
+            valid: entry.valid,
+            watched: entry.watches.size > 0 && !entry.expiresAt,
+            subscribers: entry.subscribers.size,
+          })),
       };
     },
 
+    showQueryCacheStats: () => {
+      const stats = platform.getQueryCacheStats();
+      console.group("🗃️ Suite: Query Cache Stats");
+      console.log(
+        `${stats.entries} cached queries, ${stats.watches} pull watch(es) - ${stats.hitRate}% hit rate (${stats.hits} hits / ${stats.misses} misses, ${stats.invalidations} invalidations)`
+      );
+      if (stats.queries.length > 0) {
+        console.table(stats.queries);
+      }
+      console.groupEnd();
+      return stats;
+    },
+
     // 📊 STATUS AND DEBUG
     getStatus: () => {
       return {
         extensions: Array.from(platform.extensions.keys()),
         utilities: Array.from(platform.utilities.keys()),
         events: Array.from(platform.eventBus.keys()),
+        stickyEvents: Array.from(platform.stickyEvents.keys()),
+        tabId: platform.tabId,
+        bridgedEvents: Array.from(platform.bridgedEvents.keys()),
         loadedCount: platform.extensions.size,
+        dependencyGraph: platform.getDependencyGraph(),
+        blocking: platform.getBlockingReport(),
+        utilityVersions: Object.fromEntries(
+          Array.from(platform.utilityContracts, ([name, contract]) => [
+            name,
+            contract.version,
+          ])
+        ),
+        incompatibleUtilities: platform.getIncompatibleUtilities(),
+        trackedResources: Object.fromEntries(
+          Array.from(platform.disposables, ([ownerId, records]) => [
+            ownerId,
+            records.size,
+          ])
+        ),
+        leakedResources: platform.getLeakReport().length,
+        domSubscriptions: platform.domSubscriptions.size,
+        writeQueue: platform.getWriteQueueStatus(),
+        queryCache: {
+          ...platform.getQueryCacheStats(),
+          queries: undefined,
+        },
         timestamp: new Date().toISOString(),
       };
     },
@@ -171,6 +1944,34 @@ const createExtensionPlatform = () => {
       console.log("Extensions:", platform.getStatus());
       console.log("Platform object:", platform);
 
+      // ⏳ DEPENDENCY STATUS
+      const blocking = platform.getBlockingReport();
+      if (blocking.length > 0) {
+        console.log("⏳ Blocked extensions:");
+        blocking.forEach(({ blocked, blockedBy, reason }) => {
+          console.log(`   ${blocked} ← blocked by ${blockedBy} (${reason})`);
+        });
+      } else {
+        console.log("⏳ All registered dependencies resolved ✅");
+      }
+
+      // 🏷️ UTILITY CONTRACTS
+      const incompatible = platform.getIncompatibleUtilities();
+      if (incompatible.length > 0) {
+        console.log("🏷️ Incompatible utility requirements:");
+        incompatible.forEach(({ name, range, version, requestedBy }) => {
+          console.log(
+            `   ${
+              requestedBy || "(anonymous)"
+            } needs ${name}@${range} - found ${
+              version ? `v${version}` : "nothing"
+            }`
+          );
+        });
+      } else {
+        console.log("🏷️ All utility requirements satisfied ✅");
+      }
+
       // 🔧 SYNC STATUS DEBUG (NEW)
       if (window._extensionRegistry) {
         console.log(
@@ -225,9 +2026,25 @@ export default {
     window.RoamExtensionSuite = createExtensionPlatform();
 
     // 🔧 REGISTER CORE UTILITIES (These will now sync properly)
-    window.RoamExtensionSuite.registerUtility("addStyle", addStyle);
-    window.RoamExtensionSuite.registerUtility("getCurrentUser", getCurrentUser);
-    window.RoamExtensionSuite.registerUtility("generateUID", generateUID);
+    window.RoamExtensionSuite.registerUtility("addStyle", addStyle, {
+      version: "1.0.0",
+      signature: "(content, id?) → HTMLStyleElement",
+      provider: "foundation-registry",
+    });
+    window.RoamExtensionSuite.registerUtility(
+      "getCurrentUser",
+      getCurrentUser,
+      {
+        version: "1.0.0",
+        signature: "() → string (display name)",
+        provider: "foundation-registry",
+      }
+    );
+    window.RoamExtensionSuite.registerUtility("generateUID", generateUID, {
+      version: "1.0.0",
+      signature: "() → string",
+      provider: "foundation-registry",
+    });
 
     // 🧪 VERIFY SYNC (NEW)
     console.log("🔧 Verifying utility sync:");
@@ -320,6 +2137,50 @@ export default {
           window.RoamExtensionSuite.debug();
         },
       },
+      {
+        label: "Suite: Show leaked resources",
+        callback: () => {
+          window.RoamExtensionSuite.showLeakReport();
+        },
+      },
+      {
+        label: "Suite: Show DOM observer stats",
+        callback: () => {
+          window.RoamExtensionSuite.showDOMObserverStats();
+        },
+      },
+      {
+        label: "Suite: Toggle write dry-run",
+        callback: () => {
+          const platform = window.RoamExtensionSuite;
+          platform.configureWriteQueue({ dryRun: !platform.writeQueue.dryRun });
+          console.log(
+            platform.writeQueue.dryRun
+              ? "✍️ Dry-run ON - graph writes are recorded, not executed"
+              : "✍️ Dry-run OFF - graph writes execute normally"
+          );
+        },
+      },
+      {
+        label: "Suite: Show write queue",
+        callback: () => {
+          const platform = window.RoamExtensionSuite;
+          console.group("✍️ Suite: Graph Write Queue");
+          console.log(platform.getWriteQueueStatus());
+          const dryRunLog = platform.getDryRunLog();
+          if (dryRunLog.length > 0) {
+            console.log(`${dryRunLog.length} recorded dry-run write(s):`);
+            console.table(dryRunLog);
+          }
+          console.groupEnd();
+        },
+      },
+      {
+        label: "Suite: Show query cache stats",
+        callback: () => {
+          window.RoamExtensionSuite.showQueryCacheStats();
+        },
+      },
     ];
 
     // Add commands to Roam
@@ -411,6 +2272,39 @@ export default {
       });
     }
 
+    // Tear down everything extensions tracked with the platform
+    if (window.RoamExtensionSuite?.disposables) {
+      window.RoamExtensionSuite.disposables.forEach((records, ownerId) => {
+        window.RoamExtensionSuite.disposeOwner(ownerId);
+      });
+    }
+
+    // Cancel queued graph writes
+    if (window.RoamExtensionSuite?.writeQueue) {
+      const { writeQueue } = window.RoamExtensionSuite;
+      writeQueue.jobs.forEach((job, jobId) => {
+        window.RoamExtensionSuite.cancelWrites(jobId);
+      });
+      clearTimeout(writeQueue.timer);
+    }
+
+    // Drop cached queries and their pull watches
+    if (window.RoamExtensionSuite?.queryCache) {
+      const { queryCache } = window.RoamExtensionSuite;
+      clearTimeout(queryCache.refreshTimer);
+      queryCache.entries.forEach((entry, key) => {
+        entry.subscribers.forEach((subscriber) =>
+          clearInterval(subscriber.poll)
+        );
+        window.RoamExtensionSuite.removeQueryEntry(key);
+      });
+    }
+
+    // Stop cross-tab bridging
+    if (window.RoamExtensionSuite?.closeBroadcastChannel) {
+      window.RoamExtensionSuite.closeBroadcastChannel();
+    }
+
     // Run custom cleanup
     if (window._foundationCleanup) {
       try {
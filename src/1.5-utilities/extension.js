@@ -12,9 +12,12 @@
 
 /**
  * 📝 Global member cache - Single source of truth for graph members
+ * `members` stays a plain list of names; `entries` holds each member's
+ * directory attributes ({ name, uid, role, team, joined, active })
  */
 window.GraphMemberCache = {
   members: [],
+  entries: [],
   lastUpdated: null,
   isInitialized: false,
 
@@ -23,7 +26,8 @@ window.GraphMemberCache = {
    */
   refresh() {
     try {
-      this.members = getGraphMembersFromList("roam/graph members", "Directory");
+      this.entries = getDirectoryMembers("roam/graph members", "Directory");
+      this.members = this.entries.map((entry) => entry.name);
       this.lastUpdated = new Date();
       this.isInitialized = true;
       console.log(
@@ -51,13 +55,60 @@ window.GraphMemberCache = {
     return result;
   },
 
+  /**
+   * Directory entry for a member, or null - a copy, safe to modify
+   */
+  getMember(username) {
+    if (!username) return null;
+    this.ensureInitialized();
+    const entry = this.entries.find((item) => item.name === username);
+    return entry ? { ...entry } : null;
+  },
+
+  /**
+   * Members with a role - inactive members only when asked for
+   */
+  getMembersByRole(role, options = {}) {
+    const { includeInactive = false } = options;
+    this.ensureInitialized();
+    const wanted = String(role || "").toLowerCase();
+    return this.entries
+      .filter((entry) => entry.role === wanted)
+      .filter((entry) => includeInactive || entry.active)
+      .map((entry) => ({ ...entry }));
+  },
+
+  /**
+   * The current user's entry - by :user/uid first, so a renamed member
+   * still finds it
+   */
+  getCurrentMember() {
+    const user = getCurrentUserViaOfficialAPI();
+    if (!user) return null;
+    this.ensureInitialized();
+    const entry = this.entries.find((item) => item.userUid === user.uid);
+    return entry ? { ...entry } : this.getMember(user.displayName);
+  },
+
+  /**
+   * Active admin check - defaults to the current user
+   */
+  isAdmin(username = null) {
+    const entry = username ? this.getMember(username) : this.getCurrentMember();
+    return Boolean(entry && entry.active && entry.role === "admin");
+  },
+
   /**
    * Add member to cache (call after successful registration)
    */
-  addMember(username) {
+  addMember(username, attributes = {}) {
     if (!username || this.members.includes(username)) return;
 
     this.members.push(username);
+    this.entries.push({
+      ...createDirectoryEntry(username, null),
+      ...attributes,
+    });
     this.lastUpdated = new Date();
     console.log(`➕ Added to member cache: ${username}`);
   },
@@ -69,6 +120,7 @@ window.GraphMemberCache = {
     const index = this.members.indexOf(username);
     if (index > -1) {
       this.members.splice(index, 1);
+      this.entries = this.entries.filter((entry) => entry.name !== username);
       this.lastUpdated = new Date();
       console.log(`🗑️ Removed from member cache: ${username}`);
       return true;
@@ -80,9 +132,14 @@ window.GraphMemberCache = {
    * Get cache status for debugging
    */
   getStatus() {
+    const roles = {};
+    this.entries.forEach((entry) => {
+      roles[entry.role] = (roles[entry.role] || 0) + 1;
+    });
     return {
       memberCount: this.members.length,
       members: [...this.members],
+      roles,
       lastUpdated: this.lastUpdated,
       isInitialized: this.isInitialized,
       cacheAge: this.lastUpdated
@@ -106,6 +163,62 @@ window.GraphMemberCache = {
 // 🌍 TIMEZONE INTELLIGENCE UTILITIES - Moved from Extension SIX
 // ===================================================================
 
+// Zones are IANA ids ("Europe/Lisbon") or fixed offsets ("UTC+05:30").
+// Offsets always come from Intl at the instant asked about, so DST is exact.
+const FIXED_OFFSET_PATTERN =
+  /^(?:UTC|GMT)?\s*([+\-−])\s*(\d{1,2})(?::?(\d{2}))?$/i;
+
+// Cities people write that aren't the name of their IANA zone
+const TIMEZONE_CITY_ALIASES = {
+  "san francisco": "America/Los_Angeles",
+  seattle: "America/Los_Angeles",
+  portland: "America/Los_Angeles",
+  "las vegas": "America/Los_Angeles",
+  "san diego": "America/Los_Angeles",
+  "salt lake city": "America/Denver",
+  dallas: "America/Chicago",
+  houston: "America/Chicago",
+  austin: "America/Chicago",
+  minneapolis: "America/Chicago",
+  boston: "America/New_York",
+  washington: "America/New_York",
+  "washington dc": "America/New_York",
+  atlanta: "America/New_York",
+  miami: "America/New_York",
+  philadelphia: "America/New_York",
+  montreal: "America/Toronto",
+  ottawa: "America/Toronto",
+  "rio de janeiro": "America/Sao_Paulo",
+  barcelona: "Europe/Madrid",
+  munich: "Europe/Berlin",
+  frankfurt: "Europe/Berlin",
+  hamburg: "Europe/Berlin",
+  milan: "Europe/Rome",
+  geneva: "Europe/Zurich",
+  "the hague": "Europe/Amsterdam",
+  edinburgh: "Europe/London",
+  manchester: "Europe/London",
+  "st petersburg": "Europe/Moscow",
+  "tel aviv": "Asia/Jerusalem",
+  kolkata: "Asia/Kolkata",
+  calcutta: "Asia/Kolkata",
+  kyiv: "Europe/Kyiv",
+  kiev: "Europe/Kyiv",
+  saigon: "Asia/Ho_Chi_Minh",
+  mumbai: "Asia/Kolkata",
+  delhi: "Asia/Kolkata",
+  "new delhi": "Asia/Kolkata",
+  bangalore: "Asia/Kolkata",
+  bengaluru: "Asia/Kolkata",
+  beijing: "Asia/Shanghai",
+  shenzhen: "Asia/Shanghai",
+  osaka: "Asia/Tokyo",
+  kyoto: "Asia/Tokyo",
+  "ho chi minh city": "Asia/Ho_Chi_Minh",
+  canberra: "Australia/Sydney",
+  wellington: "Pacific/Auckland",
+};
+
 /**
  * 🌍 TIMEZONE MANAGEMENT - Complete system from Extension SIX
  */
@@ -113,6 +226,9 @@ class TimezoneManager {
   constructor() {
     // Common timezone abbreviations to IANA mapping
     this.timezoneMap = {
+      UTC: "UTC",
+      GMT: "Europe/London",
+      Z: "UTC",
       EST: "America/New_York",
       EDT: "America/New_York",
       CST: "America/Chicago",
@@ -121,29 +237,71 @@ class TimezoneManager {
       MDT: "America/Denver",
       PST: "America/Los_Angeles",
       PDT: "America/Los_Angeles",
-      GMT: "Europe/London",
+      AKST: "America/Anchorage",
+      AKDT: "America/Anchorage",
+      HST: "Pacific/Honolulu",
+      AST: "America/Halifax",
+      ADT: "America/Halifax",
+      NST: "America/St_Johns",
+      NDT: "America/St_Johns",
+      BRT: "America/Sao_Paulo",
+      ART: "America/Argentina/Buenos_Aires",
       BST: "Europe/London",
+      WET: "Europe/Lisbon",
+      WEST: "Europe/Lisbon",
       CET: "Europe/Paris",
       CEST: "Europe/Paris",
+      EET: "Europe/Athens",
+      EEST: "Europe/Athens",
+      MSK: "Europe/Moscow",
+      WAT: "Africa/Lagos",
+      CAT: "Africa/Maputo",
+      EAT: "Africa/Nairobi",
+      SAST: "Africa/Johannesburg",
+      GST: "Asia/Dubai",
+      PKT: "Asia/Karachi",
+      IST: "Asia/Kolkata",
+      NPT: "Asia/Kathmandu",
+      ICT: "Asia/Bangkok",
+      WIB: "Asia/Jakarta",
+      SGT: "Asia/Singapore",
+      HKT: "Asia/Hong_Kong",
+      PHT: "Asia/Manila",
+      KST: "Asia/Seoul",
       JST: "Asia/Tokyo",
+      AWST: "Australia/Perth",
+      ACST: "Australia/Adelaide",
+      ACDT: "Australia/Adelaide",
       AEST: "Australia/Sydney",
       AEDT: "Australia/Sydney",
-      IST: "Asia/Kolkata",
-      SGT: "Asia/Singapore",
+      NZST: "Pacific/Auckland",
+      NZDT: "Pacific/Auckland",
     };
+    this.cityIndex = null;
+    this.parsed = new Map(); // input string → zone, including misses
+    this.formatters = new Map();
   }
 
   /**
-   * Parse timezone string to IANA identifier
+   * Parse timezone string to an IANA identifier or a "UTC±hh:mm" offset
+   * Accepts IANA ids in any case, abbreviations, offsets ("GMT+1",
+   * "UTC-03:30", "+0545") and city names ("Lisbon", "Toronto, Canada")
    */
   parseTimezone(timezoneString) {
-    if (!timezoneString) return null;
+    if (!timezoneString || typeof timezoneString !== "string") return null;
+    if (!this.parsed.has(timezoneString)) {
+      this.parsed.set(timezoneString, this.resolveTimezone(timezoneString));
+    }
+    return this.parsed.get(timezoneString);
+  }
 
+  resolveTimezone(timezoneString) {
     const cleaned = timezoneString.trim();
+    if (!cleaned) return null;
 
-    // Check if it's already an IANA identifier
+    // IANA identifier - Intl canonicalizes the case
     if (cleaned.includes("/")) {
-      return this.validateTimezone(cleaned) ? cleaned : null;
+      return this.canonicalizeZone(cleaned.replace(/\s+/g, "_"));
     }
 
     // Check abbreviation mapping
@@ -152,42 +310,203 @@ class TimezoneManager {
       return this.timezoneMap[upperCased];
     }
 
-    // Handle UTC offsets like "GMT+1", "UTC-5"
-    const offsetMatch = cleaned.match(/^(GMT|UTC)([+-]\d{1,2})$/i);
-    if (offsetMatch) {
-      const offset = parseInt(offsetMatch[2]);
-      const offsetMap = {
-        "-8": "America/Los_Angeles",
-        "-7": "America/Denver",
-        "-6": "America/Chicago",
-        "-5": "America/New_York",
-        0: "UTC",
-        1: "Europe/Paris",
-        8: "Asia/Singapore",
-        9: "Asia/Tokyo",
-      };
-      return offsetMap[offset.toString()] || null;
-    }
+    // Handle UTC offsets like "GMT+1", "UTC-5", "+05:30"
+    const offset = this.parseOffset(cleaned);
+    if (offset !== null) return this.formatOffsetZone(offset);
 
-    return null;
+    // City names, optionally followed by region/country
+    return this.findZoneByCity(cleaned);
   }
 
   /**
    * Validate if timezone is supported
    */
   validateTimezone(timezone) {
+    if (this.parseOffset(timezone) !== null) return true;
+    return this.canonicalizeZone(timezone) !== null;
+  }
+
+  canonicalizeZone(timezone) {
     try {
-      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
-      return true;
+      const resolved = new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+      }).resolvedOptions().timeZone;
+      const wanted = timezone.toLowerCase();
+      if (resolved.toLowerCase() === wanted) return resolved;
+
+      // Intl may answer a legacy alias (Asia/Kolkata → Asia/Calcutta), so
+      // keep the zone given, spelled as Intl lists it
+      const listed = (Intl.supportedValuesOf?.("timeZone") || []).find(
+        (zone) => zone.toLowerCase() === wanted
+      );
+      return listed || (timezone === wanted ? resolved : timezone);
     } catch (error) {
-      return false;
+      return null;
+    }
+  }
+
+  /**
+   * "UTC+05:30" / "GMT-3" / "+0545" → minutes east of UTC, else null
+   */
+  parseOffset(text) {
+    const match = String(text || "")
+      .trim()
+      .match(FIXED_OFFSET_PATTERN);
+    if (!match) return null;
+
+    const hours = Number(match[2]);
+    const minutes = Number(match[3] || 0);
+    if (hours > 14 || minutes > 59) return null;
+    return (match[1] === "+" ? 1 : -1) * (hours * 60 + minutes);
+  }
+
+  formatOffsetZone(minutes) {
+    if (minutes === 0) return "UTC";
+    const sign = minutes > 0 ? "+" : "-";
+    const abs = Math.abs(minutes);
+    const hours = String(Math.floor(abs / 60)).padStart(2, "0");
+    return `UTC${sign}${hours}:${String(abs % 60).padStart(2, "0")}`;
+  }
+
+  findZoneByCity(text) {
+    if (!this.cityIndex) {
+      this.cityIndex = new Map(Object.entries(TIMEZONE_CITY_ALIASES));
+      const zones = Intl.supportedValuesOf?.("timeZone") || [];
+      zones.forEach((zone) => {
+        const city = zone.split("/").pop().replace(/_/g, " ").toLowerCase();
+        if (!this.cityIndex.has(city)) this.cityIndex.set(city, zone);
+      });
+    }
+
+    const normalize = (value) =>
+      value.toLowerCase().replace(/\./g, "").replace(/\s+/g, " ").trim();
+    // "Toronto, Canada (home)" → "toronto, canada", then "toronto"
+    const base = text.replace(/\s*\(.*\)\s*$/, "");
+    const match = [base, base.split(",")[0]]
+      .map(normalize)
+      .find((candidate) => this.cityIndex.has(candidate));
+    return match ? this.cityIndex.get(match) : null;
+  }
+
+  getFormatter(timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(
+        timezone,
+        new Intl.DateTimeFormat("en-US", {
+          timeZone: timezone,
+          hourCycle: "h23",
+          year: "numeric",
+          month: "numeric",
+          day: "numeric",
+          hour: "numeric",
+          minute: "numeric",
+          second: "numeric",
+          weekday: "short",
+        })
+      );
+    }
+    return this.formatters.get(timezone);
+  }
+
+  /**
+   * Wall-clock parts of an instant in a zone:
+   * { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+   */
+  getZonedParts(timezoneString, date = new Date()) {
+    const timezone = this.parseTimezone(timezoneString);
+    if (!timezone) throw new Error(`Unknown timezone: ${timezoneString}`);
+
+    const offset = this.parseOffset(timezone);
+    if (offset !== null || timezone === "UTC") {
+      const shifted = new Date(date.getTime() + (offset || 0) * 60000);
+      return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes(),
+        second: shifted.getUTCSeconds(),
+        weekday: shifted.getUTCDay(),
+      };
+    }
+
+    const parts = {};
+    this.getFormatter(timezone)
+      .formatToParts(date)
+      .forEach(({ type, value }) => {
+        parts[type] = value;
+      });
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(
+        parts.weekday
+      ),
+    };
+  }
+
+  /**
+   * Minutes east of UTC at that instant - DST included
+   */
+  getOffset(timezoneString, date = new Date()) {
+    const parts = this.getZonedParts(timezoneString, date);
+    const wallClock = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    );
+    return Math.round((wallClock - date.getTime()) / 60000);
+  }
+
+  /**
+   * Whether the zone is on daylight saving time at that instant
+   */
+  isDST(timezoneString, date = new Date()) {
+    const year = date.getUTCFullYear();
+    const standard = Math.min(
+      this.getOffset(timezoneString, new Date(Date.UTC(year, 0, 1))),
+      this.getOffset(timezoneString, new Date(Date.UTC(year, 6, 1)))
+    );
+    return this.getOffset(timezoneString, date) > standard;
+  }
+
+  /**
+   * Instant at a wall-clock time in a zone. Times skipped by a DST jump
+   * move forward by the jump; repeated times resolve to the first one
+   */
+  zonedTimeToUtc(timezoneString, { year, month, day, hour = 0, minute = 0 }) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const before = this.getOffset(
+      timezoneString,
+      new Date(wallClock - 24 * 3600000)
+    );
+    const after = this.getOffset(
+      timezoneString,
+      new Date(wallClock + 24 * 3600000)
+    );
+
+    // Try the earlier offset first so repeated times pick their first instant
+    for (const offset of [Math.max(before, after), Math.min(before, after)]) {
+      const candidate = new Date(wallClock - offset * 60000);
+      if (this.getOffset(timezoneString, candidate) === offset) {
+        return candidate;
+      }
     }
+    // In a DST gap - neither offset round-trips
+    return new Date(wallClock - Math.min(before, after) * 60000);
   }
 
   /**
    * Get current time in user's timezone
    */
-  getCurrentTimeForTimezone(timezoneString) {
+  getCurrentTimeForTimezone(timezoneString, date = new Date()) {
     const timezone = this.parseTimezone(timezoneString);
     if (!timezone) {
       return {
@@ -198,19 +517,21 @@ class TimezoneManager {
     }
 
     try {
-      const now = new Date();
-      const formatter = new Intl.DateTimeFormat("en-US", {
-        timeZone: timezone,
-        weekday: "short",
-        hour: "2-digit",
-        minute: "2-digit",
-        hour12: true,
-      });
+      const offset = this.getOffset(timezone, date);
+      const parts = this.getZonedParts(timezone, date);
+      const hour12 = parts.hour % 12 || 12;
+      const weekday = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"][
+        parts.weekday
+      ];
 
       return {
-        timeString: formatter.format(now),
+        timeString: `${weekday} ${String(hour12).padStart(2, "0")}:${String(
+          parts.minute
+        ).padStart(2, "0")} ${parts.hour < 12 ? "AM" : "PM"}`,
         timezone: timezoneString,
         ianaTimezone: timezone,
+        utcOffset: this.formatOffsetZone(offset),
+        isDST: this.isDST(timezone, date),
         isValid: true,
       };
     } catch (error) {
@@ -252,33 +573,508 @@ const timezoneManager = {
     timezoneManagerInstance.parseTimezone(timezoneString),
   validateTimezone: (timezone) =>
     timezoneManagerInstance.validateTimezone(timezone),
-  getCurrentTimeForTimezone: (timezoneString) =>
-    timezoneManagerInstance.getCurrentTimeForTimezone(timezoneString),
+  getCurrentTimeForTimezone: (timezoneString, date) =>
+    timezoneManagerInstance.getCurrentTimeForTimezone(timezoneString, date),
   getCommonTimezones: () => timezoneManagerInstance.getCommonTimezones(),
+  getZonedParts: (timezoneString, date) =>
+    timezoneManagerInstance.getZonedParts(timezoneString, date),
+  getOffset: (timezoneString, date) =>
+    timezoneManagerInstance.getOffset(timezoneString, date),
+  isDST: (timezoneString, date) =>
+    timezoneManagerInstance.isDST(timezoneString, date),
+  zonedTimeToUtc: (timezoneString, wallClock) =>
+    timezoneManagerInstance.zonedTimeToUtc(timezoneString, wallClock),
+};
+
+// ===================================================================
+// 🕑 WORKING HOURS & OVERLAP - When members are reachable together
+// ===================================================================
+
+// "Working Hours::" under My Info - day ranges, then time ranges:
+//   9-17 | Mon-Fri 09:00-17:30 | Mon-Thu 9am-5pm, Fri 9-13 | daily 22:00-06:00
+// Times are the member's own wall clock; a range past midnight runs into
+// the next day. Without the field, members work Mon-Fri 09:00-17:00.
+const DEFAULT_WORKING_HOURS = "Mon-Fri 09:00-17:00";
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseClockTime = (text) => {
+  const match = String(text)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3] === "pm" && hours < 12) hours += 12;
+  if (match[3] === "am" && hours === 12) hours = 0;
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+};
+
+const parseWeekdays = (text) => {
+  const value = text.trim().toLowerCase();
+  if (!value || value === "weekdays") return [1, 2, 3, 4, 5];
+  if (value === "daily" || value === "everyday") return [0, 1, 2, 3, 4, 5, 6];
+  if (value === "weekends") return [0, 6];
+
+  const dayIndex = (name) => WEEKDAY_NAMES.indexOf(name.slice(0, 3));
+  const days = [];
+  for (const part of value.split(/[\s/&]+/).filter(Boolean)) {
+    const [from, to] = part.split(/[-–]/);
+    const start = dayIndex(from);
+    const end = to === undefined ? start : dayIndex(to);
+    if (start < 0 || end < 0) return null;
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.push(day);
+      if (day === end) break;
+    }
+  }
+  return days;
+};
+
+/**
+ * "Mon-Fri 9-17, Sat 10-14" → { 0: [], 1: [[540, 1020]], ..., 6: [[600, 840]] }
+ * Minutes from local midnight; ends past 1440 run into the next day.
+ * Returns null when the text can't be read
+ */
+const parseWorkingHours = (text = DEFAULT_WORKING_HOURS) => {
+  const week = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
+  const groups = String(text || "")
+    .split(/[,;\n]/)
+    .map((group) => group.trim())
+    .filter(Boolean);
+  if (groups.length === 0) return null;
+
+  for (const group of groups) {
+    const match = group.match(
+      /^(.*?)\s*(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\s*(?:-|–|to)\s*(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)$/i
+    );
+    if (!match) return null;
+
+    const days = parseWeekdays(match[1]);
+    const start = parseClockTime(match[2]);
+    let end = parseClockTime(match[3]);
+    if (!days || start === null || end === null || start === end) return null;
+    if (end < start) end += 1440;
+
+    days.forEach((day) => week[day].push([start, end]));
+  }
+  return week;
+};
+
+/**
+ * A member's timezone and working hours, from their My Info:: block.
+ * The timezone falls back to their Location:: city
+ * @returns {{ name, timezone, workingHours, workingHoursText } }
+ */
+const getMemberSchedule = (username) => {
+  const pageUid = getPageUidByTitle(username);
+  const info = pageUid
+    ? parseAttributeTree(pageUid, ATTRIBUTE_SCHEMAS.profile).myInfo
+    : {};
+  const timezone =
+    timezoneManagerInstance.parseTimezone(info.timezone) ||
+    timezoneManagerInstance.parseTimezone(info.location);
+  const workingHours = info.workingHours
+    ? parseWorkingHours(info.workingHours)
+    : null;
+  if (info.workingHours && !workingHours) {
+    console.warn(
+      `⚠️ Can't read working hours for ${username}: "${info.workingHours}"`
+    );
+  }
+
+  return {
+    name: username,
+    timezone,
+    workingHours: workingHours || parseWorkingHours(DEFAULT_WORKING_HOURS),
+    workingHoursText: workingHours ? info.workingHours : DEFAULT_WORKING_HOURS,
+  };
+};
+
+// Members may be names or { name, timezone, workingHours } objects
+const resolveSchedule = (member) => {
+  if (typeof member === "string") return getMemberSchedule(member);
+
+  const workingHours =
+    typeof member.workingHours === "string" || !member.workingHours
+      ? parseWorkingHours(member.workingHours || DEFAULT_WORKING_HOURS)
+      : member.workingHours;
+  return {
+    ...member,
+    timezone: timezoneManagerInstance.parseTimezone(member.timezone),
+    workingHours,
+  };
+};
+
+/**
+ * Working intervals (ms) of one schedule between two instants
+ */
+const getWorkingIntervals = (schedule, fromMs, toMs) => {
+  const tz = timezoneManagerInstance;
+  const first = tz.getZonedParts(schedule.timezone, new Date(fromMs - DAY_MS));
+  const intervals = [];
+
+  for (let offset = 0; ; offset++) {
+    const day = new Date(
+      Date.UTC(first.year, first.month - 1, first.day + offset)
+    );
+    const date = {
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+    };
+    const dayStart = tz.zonedTimeToUtc(schedule.timezone, date).getTime();
+    if (dayStart >= toMs) break;
+
+    (schedule.workingHours[day.getUTCDay()] || []).forEach(([start, end]) => {
+      const at = (minutes) =>
+        tz
+          .zonedTimeToUtc(schedule.timezone, {
+            ...date,
+            hour: Math.floor(minutes / 60),
+            minute: minutes % 60,
+          })
+          .getTime();
+      const interval = [Math.max(at(start), fromMs), Math.min(at(end), toMs)];
+      if (interval[0] < interval[1]) intervals.push(interval);
+    });
+  }
+
+  // Merge touching ranges (e.g. overnight shifts meeting the next day's)
+  return intervals
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval[0] <= last[1])
+        last[1] = Math.max(last[1], interval[1]);
+      else merged.push([...interval]);
+      return merged;
+    }, []);
+};
+
+const intersectIntervals = (a, b) => {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i][0], b[j][0]);
+    const end = Math.min(a[i][1], b[j][1]);
+    if (start < end) result.push([start, end]);
+    if (a[i][1] < b[j][1]) i++;
+    else j++;
+  }
+  return result;
+};
+
+// Shared intervals across members; members without a timezone are skipped
+const getSharedIntervals = (members, fromMs, toMs) => {
+  const schedules = members.map(resolveSchedule);
+  const known = schedules.filter((schedule) => schedule.timezone);
+  const perMember = known.map((schedule) => ({
+    name: schedule.name,
+    timezone: schedule.timezone,
+    intervals: getWorkingIntervals(schedule, fromMs, toMs),
+  }));
+
+  return {
+    shared:
+      perMember.length === 0
+        ? []
+        : perMember
+            .map((member) => member.intervals)
+            .reduce((acc, intervals) => intersectIntervals(acc, intervals)),
+    members: perMember,
+    missing: schedules
+      .filter((schedule) => !schedule.timezone)
+      .map((schedule) => schedule.name),
+  };
+};
+
+const toSlot = ([start, end]) => ({
+  start: new Date(start),
+  end: new Date(end),
+  minutes: Math.round((end - start) / 60000),
+});
+
+/**
+ * When members' working hours overlap on a day
+ * @param {Array} members - Member names or { name, timezone, workingHours }
+ * @param {Date} date - Any instant on the day
+ * @param {Object} options - { timezone } whose calendar day (default: this browser's)
+ * @returns {{ start, end, slots, totalMinutes, members, missing }}
+ */
+const getOverlap = (members, date = new Date(), options = {}) => {
+  const tz = timezoneManagerInstance;
+  const viewZone =
+    options.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const parts = tz.getZonedParts(viewZone, date);
+  const start = tz.zonedTimeToUtc(viewZone, {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+  });
+  const end = tz.zonedTimeToUtc(viewZone, {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day + 1,
+  });
+
+  const {
+    shared,
+    members: perMember,
+    missing,
+  } = getSharedIntervals(members, start.getTime(), end.getTime());
+  const slots = shared.map(toSlot);
+
+  return {
+    start,
+    end,
+    slots,
+    totalMinutes: slots.reduce((sum, slot) => sum + slot.minutes, 0),
+    members: perMember.map((member) => ({
+      ...member,
+      intervals: member.intervals.map(toSlot),
+    })),
+    missing,
+  };
+};
+
+/**
+ * First time every member is working for durationMinutes
+ * @param {Object} options - { from = now, horizonDays = 14, granularity = 15 }
+ * @returns {{ slot, reason, missing }} slot is { start, end, minutes }, or null
+ *   with reason "no-timezones" (nobody could be placed) or "no-overlap"
+ */
+const nextSharedSlot = (members, durationMinutes, options = {}) => {
+  const { from = new Date(), horizonDays = 14, granularity = 15 } = options;
+  if (!(durationMinutes > 0)) {
+    throw new Error("nextSharedSlot needs a positive duration in minutes");
+  }
+
+  const step = granularity * 60000;
+  const fromMs = Math.ceil(from.getTime() / step) * step;
+  const {
+    shared,
+    members: known,
+    missing,
+  } = getSharedIntervals(members, fromMs, fromMs + horizonDays * DAY_MS);
+  if (known.length === 0) {
+    return { slot: null, reason: "no-timezones", missing };
+  }
+
+  for (const [start, end] of shared) {
+    const slotStart = Math.ceil(start / step) * step;
+    if (end - slotStart >= durationMinutes * 60000) {
+      return {
+        slot: toSlot([slotStart, slotStart + durationMinutes * 60000]),
+        reason: null,
+        missing,
+      };
+    }
+  }
+  return { slot: null, reason: "no-overlap", missing };
 };
 
 // ===================================================================
 // 🪟 MODAL CREATION UTILITIES - Extracted from Extension SIX
 // ===================================================================
 
+// Open dialogs, bottom → top. Only the top one answers Escape and owns Tab focus.
+const dialogStack = [];
+let dialogCounter = 0;
+
+const FOCUSABLE_SELECTOR = [
+  "a[href]",
+  "button:not([disabled])",
+  'input:not([disabled]):not([type="hidden"])',
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[contenteditable="true"]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(", ");
+
+const getFocusableElements = (container) =>
+  Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(
+    (element) => !element.closest("[hidden], [inert]")
+  );
+
+const resolveDialogElement = (container, target) => {
+  if (!target) return null;
+  if (typeof target === "string") return container.querySelector(target);
+  return container.contains(target) ? target : null;
+};
+
+// Explicit target, then [autofocus], then the first field, then anything focusable
+const focusDialog = (entry) => {
+  const { modal, initialFocus } = entry;
+  const focusable = getFocusableElements(modal);
+  const target =
+    resolveDialogElement(modal, initialFocus) ||
+    modal.querySelector("[autofocus]") ||
+    focusable.find((element) =>
+      ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName)
+    ) ||
+    focusable[0] ||
+    modal;
+  target.focus();
+};
+
+// Name the dialog after its first heading unless the caller labelled it
+const labelDialog = (entry) => {
+  const { modal } = entry;
+  if (
+    modal.hasAttribute("aria-label") ||
+    modal.hasAttribute("aria-labelledby")
+  ) {
+    return;
+  }
+  const heading = modal.querySelector("h1, h2, h3, [data-dialog-title]");
+  if (!heading) return;
+  if (!heading.id) heading.id = `${modal.id || "dialog"}-title`;
+  modal.setAttribute("aria-labelledby", heading.id);
+};
+
+const getTopDialog = () => {
+  // Backstop for removals the observer below hasn't delivered yet
+  for (let i = dialogStack.length - 1; i >= 0; i--) {
+    if (!dialogStack[i].modal.isConnected) finishDialog(dialogStack[i]);
+  }
+  return dialogStack[dialogStack.length - 1] || null;
+};
+
+const handleDialogKeydown = (e) => {
+  const entry = getTopDialog();
+  if (!entry) return;
+
+  if (e.key === "Escape") {
+    e.preventDefault();
+    e.stopPropagation();
+    if (entry.closeOnEscape) finishDialog(entry, null);
+    return;
+  }
+
+  if (e.key !== "Tab") return;
+  const focusable = getFocusableElements(entry.modal);
+  if (focusable.length === 0) {
+    e.preventDefault();
+    entry.modal.focus();
+    return;
+  }
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+  if (e.shiftKey && (active === first || !entry.modal.contains(active))) {
+    e.preventDefault();
+    last.focus();
+  } else if (
+    !e.shiftKey &&
+    (active === last || !entry.modal.contains(active))
+  ) {
+    e.preventDefault();
+    first.focus();
+  }
+};
+
+// Focus that escapes the top dialog (a click on Roam behind it) is pulled back
+const handleDialogFocusIn = (e) => {
+  const entry = getTopDialog();
+  if (entry && !entry.modal.contains(e.target)) focusDialog(entry);
+};
+
+// Modals removed with element.remove() finish as soon as they leave the
+// page, not on the next keypress - by then focus has moved on
+const dialogRemovalObserver = new MutationObserver(() => {
+  dialogStack
+    .filter((entry) => !entry.modal.isConnected)
+    .forEach((entry) => finishDialog(entry));
+});
+
+const setDialogListeners = (active) => {
+  const method = active ? "addEventListener" : "removeEventListener";
+  document[method]("keydown", handleDialogKeydown, true);
+  document[method]("focusin", handleDialogFocusIn, true);
+  if (active) {
+    dialogRemovalObserver.observe(document.body, { childList: true });
+  } else {
+    dialogRemovalObserver.disconnect();
+  }
+};
+
+const finishDialog = (entry, result = null) => {
+  const index = dialogStack.indexOf(entry);
+  if (index === -1) return;
+  dialogStack.splice(index, 1);
+
+  // Only move focus if it was still in the dialog (or lost with it)
+  const active = document.activeElement;
+  const ownsFocus =
+    !active || active === document.body || entry.modal.contains(active);
+  if (entry.modal.isConnected) entry.modal.remove();
+
+  const top = dialogStack[dialogStack.length - 1];
+  if (top) {
+    top.modal.removeAttribute("inert");
+    top.modal.removeAttribute("aria-hidden");
+  } else {
+    setDialogListeners(false);
+  }
+
+  // Give focus back to whatever opened the dialog, or to the dialog now on top
+  const returnTo = entry.returnFocus;
+  if (ownsFocus) {
+    if (entry.restoreFocus && returnTo?.isConnected && returnTo.focus) {
+      returnTo.focus();
+    } else if (top) {
+      focusDialog(top);
+    }
+  }
+
+  try {
+    entry.onClose?.(result);
+  } catch (error) {
+    console.error("❌ Dialog onClose handler failed:", error);
+  }
+  entry.resolve(result);
+};
+
+const findDialogEntry = (modalOrId) =>
+  dialogStack.find(
+    (entry) => entry.modal === modalOrId || entry.modal.id === modalOrId
+  ) || null;
+
 const modalUtilities = {
   /**
-   * Create professional modal with auto-cleanup and event handlers
+   * Open an accessible dialog: ARIA roles, focus trap, Escape and focus
+   * restore, stacked above any dialog already open.
+   * Returns { modal, close(result), closed: Promise<result> }
    */
-  createModal: (id, config = {}) => {
+  openDialog: (id, config = {}) => {
     const {
       closeOnEscape = true,
       closeOnBackdrop = true,
       zIndex = 10000,
+      role = "dialog",
+      label = null,
+      initialFocus = null,
+      restoreFocus = true,
+      onClose = null,
     } = config;
 
-    // Remove existing modal
-    const existing = document.getElementById(id);
-    if (existing) existing.remove();
+    // Reopening an id replaces the old dialog
+    const existing = findDialogEntry(id);
+    if (existing) finishDialog(existing);
+    document.getElementById(id)?.remove();
 
-    // Create modal container
+    const below = getTopDialog();
     const modal = document.createElement("div");
-    modal.id = id;
+    modal.id = id || `dialog-${++dialogCounter}`;
+    modal.setAttribute("role", role);
+    modal.setAttribute("aria-modal", "true");
+    modal.tabIndex = -1;
+    if (label) modal.setAttribute("aria-label", label);
     modal.style.cssText = `
       position: fixed;
       top: 0;
@@ -286,40 +1082,65 @@ const modalUtilities = {
       width: 100%;
       height: 100%;
       background: rgba(0, 0, 0, 0.5);
-      z-index: ${zIndex};
+      z-index: ${below ? Math.max(zIndex, below.zIndex + 10) : zIndex};
       display: flex;
       align-items: center;
       justify-content: center;
+      outline: none;
       font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
     `;
 
-    // Close handlers
+    const entry = {
+      modal,
+      zIndex: below ? Math.max(zIndex, below.zIndex + 10) : zIndex,
+      closeOnEscape,
+      initialFocus,
+      restoreFocus,
+      onClose,
+      returnFocus: document.activeElement,
+    };
+    const closed = new Promise((resolve) => (entry.resolve = resolve));
+
     if (closeOnBackdrop) {
       modal.addEventListener("click", (e) => {
-        if (e.target === modal) {
-          modal.remove();
-        }
+        if (e.target === modal) finishDialog(entry, null);
       });
     }
 
-    if (closeOnEscape) {
-      const escapeHandler = (e) => {
-        if (e.key === "Escape") {
-          modal.remove();
-          document.removeEventListener("keydown", escapeHandler);
-        }
-      };
-      document.addEventListener("keydown", escapeHandler);
+    if (below) {
+      below.modal.setAttribute("inert", "");
+      below.modal.setAttribute("aria-hidden", "true");
+    } else {
+      setDialogListeners(true);
     }
+    dialogStack.push(entry);
+    document.body.appendChild(modal);
+
+    // Callers fill the dialog after opening it, so label and focus next tick
+    setTimeout(() => {
+      if (!dialogStack.includes(entry)) return;
+      labelDialog(entry);
+      if (!modal.contains(document.activeElement)) focusDialog(entry);
+    }, 0);
 
     // Register for cleanup
     if (window._extensionRegistry) {
       window._extensionRegistry.elements.push(modal);
     }
 
-    return modal;
+    return {
+      modal,
+      close: (result = null) => finishDialog(entry, result),
+      closed,
+    };
   },
 
+  /**
+   * Create professional modal with auto-cleanup and event handlers.
+   * The modal is already open (see openDialog); appending it again is harmless.
+   */
+  createModal: (id, config = {}) => modalUtilities.openDialog(id, config).modal,
+
   /**
    * Create modal content container
    */
@@ -374,7 +1195,9 @@ const modalUtilities = {
     `;
 
     const closeButton = document.createElement("button");
+    closeButton.type = "button";
     closeButton.innerHTML = "Close";
+    closeButton.setAttribute("aria-label", "Close dialog");
     closeButton.style.cssText = `
       background: none;
       border: 1px solid #d1d5db;
@@ -386,8 +1209,8 @@ const modalUtilities = {
     `;
 
     closeButton.addEventListener("click", () => {
-      const modal = closeButton.closest('[id$="-modal"]');
-      if (modal) modal.remove();
+      const modal = closeButton.closest('[aria-modal="true"], [id$="-modal"]');
+      if (modal) modalUtilities.closeModal(modal);
     });
 
     header.appendChild(titleSection);
@@ -397,67 +1220,248 @@ const modalUtilities = {
   },
 
   /**
-   * Close modal by ID with cleanup
+   * Close modal by ID (or element), restoring focus and resolving `closed`
    */
-  closeModal: (modalId) => {
-    const modal = document.getElementById(modalId);
+  closeModal: (modalId, result = null) => {
+    const entry = findDialogEntry(modalId);
+    if (entry) {
+      finishDialog(entry, result);
+      return;
+    }
+    const modal =
+      typeof modalId === "string" ? document.getElementById(modalId) : modalId;
     if (modal) {
       modal.remove();
     }
   },
-};
-
-// ===================================================================
-// 🧭 NAVIGATION UTILITIES - Extracted from Extension SIX
-// ===================================================================
 
-const navigationUtilities = {
   /**
-   * Find best placement target using multiple selectors
+   * Ids of the open dialogs, bottom → top
    */
-  findBestPlacementTarget: (selectors) => {
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        return { element, selector };
-      }
-    }
-    return { element: document.body, selector: "body (fallback)" };
+  getOpenModals: () => {
+    getTopDialog();
+    return dialogStack.map((entry) => entry.modal.id);
   },
 
   /**
-   * Create positioned navigation button with auto-cleanup
+   * Accessible replacement for window.confirm → Promise<boolean>
    */
-  createNavButton: (config) => {
+  confirmDialog: (message, options = {}) => {
     const {
-      text,
-      position = "top-left",
-      onClick,
-      className = "",
-      ...allOtherProps // Everything else passes through
-    } = config;
+      title = "Please confirm",
+      confirmLabel = "OK",
+      cancelLabel = "Cancel",
+      danger = false,
+    } = options;
+
+    const id = `confirm-dialog-${++dialogCounter}-modal`;
+    const { modal, close, closed } = modalUtilities.openDialog(id, {
+      role: "alertdialog",
+      initialFocus: danger ? "[data-dialog-cancel]" : "[data-dialog-confirm]",
+    });
 
-    const button = document.createElement("button");
-    button.textContent = text;
-    button.className = className;
+    const content = buildSimpleDialog(id, title, message);
+    const actions = content.querySelector("[data-dialog-actions]");
+    actions.appendChild(
+      createDialogButton(cancelLabel, "secondary", () => close(false), {
+        "data-dialog-cancel": "",
+      })
+    );
+    actions.appendChild(
+      createDialogButton(
+        confirmLabel,
+        danger ? "danger" : "primary",
+        () => close(true),
+        { "data-dialog-confirm": "" }
+      )
+    );
+    modal.setAttribute("aria-describedby", `${id}-message`);
+    modal.appendChild(content);
 
-    // Only essential positioning - NO visual styling
-    const positionStyles = {
-      position: "absolute",
-      cursor: "pointer",
-    };
+    return closed.then((result) => result === true);
+  },
 
-    // Position based on config
-    switch (position) {
-      case "top-left":
-        positionStyles.top = "20px";
-        positionStyles.left = "20px";
-        break;
-      case "top-right":
-        positionStyles.top = "20px";
-        positionStyles.right = "20px";
-        break;
-    }
+  /**
+   * Accessible replacement for window.alert → Promise<void>
+   */
+  alertDialog: (message, options = {}) => {
+    const { title = "Notice", confirmLabel = "OK" } = options;
+
+    const id = `alert-dialog-${++dialogCounter}-modal`;
+    const { modal, close, closed } = modalUtilities.openDialog(id, {
+      role: "alertdialog",
+      initialFocus: "[data-dialog-confirm]",
+    });
+
+    const content = buildSimpleDialog(id, title, message);
+    content.querySelector("[data-dialog-actions]").appendChild(
+      createDialogButton(confirmLabel, "primary", () => close(true), {
+        "data-dialog-confirm": "",
+      })
+    );
+    modal.setAttribute("aria-describedby", `${id}-message`);
+    modal.appendChild(content);
+
+    return closed.then(() => undefined);
+  },
+
+  /**
+   * Accessible replacement for window.prompt → Promise<string | null>
+   */
+  promptDialog: (message, defaultValue = "", options = {}) => {
+    const {
+      title = "Enter a value",
+      confirmLabel = "OK",
+      cancelLabel = "Cancel",
+      placeholder = "",
+    } = options;
+
+    const id = `prompt-dialog-${++dialogCounter}-modal`;
+    const { modal, close, closed } = modalUtilities.openDialog(id, {
+      initialFocus: "input",
+    });
+
+    const content = buildSimpleDialog(id, title, message);
+    const form = document.createElement("form");
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = defaultValue ?? "";
+    input.placeholder = placeholder;
+    input.setAttribute("aria-labelledby", `${id}-message`);
+    input.style.cssText = `
+      width: 100%;
+      box-sizing: border-box;
+      padding: 8px 10px;
+      margin-bottom: 20px;
+      border: 1px solid #d1d5db;
+      border-radius: 6px;
+      font-size: 14px;
+    `;
+    form.appendChild(input);
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      close(input.value);
+    });
+
+    const actions = content.querySelector("[data-dialog-actions]");
+    actions.appendChild(
+      createDialogButton(cancelLabel, "secondary", () => close(null))
+    );
+    actions.appendChild(
+      createDialogButton(confirmLabel, "primary", () => close(input.value))
+    );
+    actions.before(form);
+    modal.appendChild(content);
+
+    setTimeout(() => input.select?.(), 0);
+    return closed.then((result) =>
+      typeof result === "string" ? result : null
+    );
+  },
+};
+
+const DIALOG_BUTTON_STYLES = {
+  primary: "background: #137cbd; color: white; border: 1px solid #137cbd;",
+  danger: "background: #db3737; color: white; border: 1px solid #db3737;",
+  secondary: "background: white; color: #333; border: 1px solid #d1d5db;",
+};
+
+const createDialogButton = (label, variant, onClick, attributes = {}) => {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  Object.entries(attributes).forEach(([name, value]) =>
+    button.setAttribute(name, value)
+  );
+  button.style.cssText = `
+    ${DIALOG_BUTTON_STYLES[variant]}
+    border-radius: 6px;
+    padding: 8px 16px;
+    font-size: 14px;
+    cursor: pointer;
+  `;
+  button.addEventListener("click", onClick);
+  return button;
+};
+
+// Title, message and an empty actions row for confirm/prompt
+const buildSimpleDialog = (id, title, message) => {
+  const content = modalUtilities.createModalContent({ maxWidth: "440px" });
+  const body = document.createElement("div");
+  body.style.padding = "24px";
+
+  const heading = document.createElement("h2");
+  heading.id = `${id}-title`;
+  heading.textContent = title;
+  heading.style.cssText =
+    "margin: 0 0 12px; font-size: 18px; font-weight: 600; color: #1a202c;";
+
+  const text = document.createElement("p");
+  text.id = `${id}-message`;
+  text.textContent = message;
+  text.style.cssText =
+    "margin: 0 0 20px; font-size: 14px; line-height: 1.5; color: #444; white-space: pre-line;";
+
+  const actions = document.createElement("div");
+  actions.setAttribute("data-dialog-actions", "");
+  actions.style.cssText = "display: flex; justify-content: flex-end; gap: 8px;";
+
+  body.append(heading, text, actions);
+  content.appendChild(body);
+  return content;
+};
+
+// ===================================================================
+// 🧭 NAVIGATION UTILITIES - Extracted from Extension SIX
+// ===================================================================
+
+const navigationUtilities = {
+  /**
+   * Find best placement target using multiple selectors
+   */
+  findBestPlacementTarget: (selectors) => {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      if (element) {
+        return { element, selector };
+      }
+    }
+    return { element: document.body, selector: "body (fallback)" };
+  },
+
+  /**
+   * Create positioned navigation button with auto-cleanup
+   */
+  createNavButton: (config) => {
+    const {
+      text,
+      position = "top-left",
+      onClick,
+      className = "",
+      ...allOtherProps // Everything else passes through
+    } = config;
+
+    const button = document.createElement("button");
+    button.textContent = text;
+    button.className = className;
+
+    // Only essential positioning - NO visual styling
+    const positionStyles = {
+      position: "absolute",
+      cursor: "pointer",
+    };
+
+    // Position based on config
+    switch (position) {
+      case "top-left":
+        positionStyles.top = "20px";
+        positionStyles.left = "20px";
+        break;
+      case "top-right":
+        positionStyles.top = "20px";
+        positionStyles.right = "20px";
+        break;
+    }
 
     // Apply minimal positioning + all custom styles
     Object.assign(button.style, positionStyles, allOtherProps);
@@ -470,20 +1474,14 @@ const navigationUtilities = {
   },
 
   /**
-   * Monitor page changes and re-run callback
+   * Monitor main window page changes and re-run callback - returns unsubscribe
    */
   monitorPageChanges: (callback, delay = 500) => {
-    let lastUrl = window.location.href;
-
-    const checkUrlChange = () => {
-      if (window.location.href !== lastUrl) {
-        lastUrl = window.location.href;
+    return window.PageContextService.onChange((context) => {
+      if (context.windowId === "main") {
         setTimeout(callback, delay);
       }
-      setTimeout(checkUrlChange, 1000);
-    };
-
-    checkUrlChange();
+    });
   },
 
   /**
@@ -729,6 +1727,62 @@ const processAvatarImages = async (blockUid, fallbackInitials) => {
   return `<div style="width: 32px; height: 32px; border-radius: 50%; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 14px;">${initials}</div>`;
 };
 
+// ===================================================================
+// 🛡️ SAFE QUERIES - Datalog with :in bindings instead of string splicing
+// ===================================================================
+
+// Page titles and block text may contain quotes or backslashes. Spliced into
+// query text they break the query - or change what it matches. Values go in
+// as :in bindings so they are never parsed as datalog.
+
+/**
+ * Quote a value as a datalog string literal - for the rare spot that can't
+ * take a binding (prefer datalog`` everywhere else)
+ */
+const escapeDatalogString = (value) =>
+  `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+/**
+ * Tagged template: each ${value} becomes an :in binding, never query text
+ *   datalog`[:find ?uid . :where [?p :node/title ${title}] [?p :block/uid ?uid]]`
+ *   → { query: "[:find ?uid . :in $ ?in-0 :where ...]", args: [title] }
+ * Write values without quotes - the binding is the whole value
+ */
+const datalog = (strings, ...values) => {
+  const text = strings.reduce(
+    (query, part, index) => `${query}?in-${index - 1}${part}`
+  );
+  if (values.length === 0) return { query: text, args: [] };
+
+  values.forEach((value, index) => {
+    if (value === null || value === undefined) {
+      throw new Error(`datalog: value ${index} is ${value}`);
+    }
+  });
+  if (/:in\s/.test(text)) {
+    throw new Error("datalog: query already has an :in clause");
+  }
+
+  const whereIndex = text.search(/:where\b/);
+  if (whereIndex === -1) throw new Error("datalog: query has no :where");
+
+  const inputs = values.map((_, index) => `?in-${index}`).join(" ");
+  return {
+    query: `${text.slice(0, whereIndex)}:in $ ${inputs}\n ${text.slice(
+      whereIndex
+    )}`,
+    args: values,
+  };
+};
+
+/**
+ * Run a datalog`` query - or a query string with its :in args
+ */
+const runQuery = (query, ...args) =>
+  typeof query === "string"
+    ? window.roamAlphaAPI.data.q(query, ...args)
+    : window.roamAlphaAPI.data.q(query.query, ...query.args);
+
 // ===================================================================
 // 🔧 CORE UTILITY FUNCTIONS - Enhanced and Fixed
 // ===================================================================
@@ -798,8 +1852,8 @@ const getPageUidByTitle = (title) => {
   if (!title) return null;
 
   try {
-    const result = window.roamAlphaAPI.q(
-      `[:find ?uid :where [?p :node/title "${title}"] [?p :block/uid ?uid]]`
+    const result = runQuery(
+      datalog`[:find ?uid :where [?p :node/title ${title}] [?p :block/uid ?uid]]`
     );
     return result.length > 0 ? result[0][0] : null;
   } catch (error) {
@@ -815,10 +1869,10 @@ const getDirectChildren = (parentUid) => {
   if (!parentUid) return [];
 
   try {
-    const result = window.roamAlphaAPI.q(`
+    const result = runQuery(datalog`
       [:find ?uid ?text ?order
        :where 
-       [?p :block/uid "${parentUid}"]
+       [?p :block/uid ${parentUid}]
        [?p :block/children ?c]
        [?c :block/uid ?uid]
        [?c :block/string ?text]
@@ -868,6 +1922,88 @@ const generateUID = () => {
   return window.roamAlphaAPI.util.generateUID();
 };
 
+// ===================================================================
+// 🔒 CASCADE LOCKS - One writer per page+path, verified after create
+// ===================================================================
+
+// "check children, then create" races when two tabs or two members run it at
+// once. Creation holds a lock per parent+text (this tab, plus other tabs via
+// the Web Locks API); writers in other browsers are caught by re-reading
+// after the create and keeping the canonical copy.
+
+const cascadeLocks = new Map(); // lock key → tail of this tab's queue
+
+/**
+ * Run task while holding the named lock
+ */
+const withCascadeLock = (key, task) => {
+  const graphName = window.roamAlphaAPI.graph?.name || "graph";
+  const run = () =>
+    navigator.locks?.request
+      ? navigator.locks.request(`roam-cascade:${graphName}:${key}`, task)
+      : task();
+
+  const previous = cascadeLocks.get(key) || Promise.resolve();
+  const current = previous.then(run, run);
+  const tail = current.catch(() => {});
+  cascadeLocks.set(key, tail);
+  tail.then(() => {
+    if (cascadeLocks.get(key) === tail) cascadeLocks.delete(key);
+  });
+
+  return current;
+};
+
+/**
+ * The copy every writer agrees to keep: lowest order, then lowest uid
+ */
+const pickCanonicalBlock = (blocks) =>
+  [...blocks].sort(
+    (a, b) => a.order - b.order || (a.uid < b.uid ? -1 : a.uid > b.uid ? 1 : 0)
+  )[0] || null;
+
+/**
+ * Find or create the child with exact text - idempotent under concurrency
+ * @returns {Promise<{ uid, created }>}
+ */
+const ensureChildBlock = async (parentUid, text) => {
+  const findExisting = () =>
+    pickCanonicalBlock(
+      getDirectChildren(parentUid).filter((child) => child.text === text)
+    );
+
+  const existing = findExisting();
+  if (existing) return { uid: existing.uid, created: false };
+
+  return withCascadeLock(`${parentUid}/${text}`, async () => {
+    // Another writer may have created it while we waited
+    const found = findExisting();
+    if (found) return { uid: found.uid, created: false };
+
+    const uid = generateUID();
+    await window.roamAlphaAPI.data.block.create({
+      location: {
+        "parent-uid": parentUid,
+        order: getDirectChildren(parentUid).length,
+      },
+      block: { uid, string: text },
+    });
+
+    // Verify: ours must exist, and must be the canonical copy to survive
+    const canonical = findExisting();
+    if (!canonical) {
+      throw new Error(`Created block "${text}" missing after write`);
+    }
+    if (canonical.uid !== uid) {
+      console.log(`🔒 Concurrent "${text}" won the race - dropping our copy`);
+      await window.roamAlphaAPI.data.block.delete({ block: { uid } });
+      return { uid: canonical.uid, created: false };
+    }
+
+    return { uid, created: true };
+  });
+};
+
 /**
  * Create page if it doesn't exist
  */
@@ -877,9 +2013,13 @@ const createPageIfNotExists = async (title) => {
     return null;
   }
 
-  let pageUid = getPageUidByTitle(title);
+  const existingUid = getPageUidByTitle(title);
+  if (existingUid) return existingUid;
+
+  return withCascadeLock(`page:${title}`, async () => {
+    let pageUid = getPageUidByTitle(title);
+    if (pageUid) return pageUid;
 
-  if (!pageUid) {
     try {
       pageUid = generateUID();
       console.log(`📄 Creating page: "${title}"`);
@@ -891,12 +2031,15 @@ const createPageIfNotExists = async (title) => {
         },
       });
     } catch (error) {
+      // Roam refuses a second page with the same title - use the winner's
+      const winnerUid = getPageUidByTitle(title);
+      if (winnerUid) return winnerUid;
       console.error(`❌ Failed to create page "${title}":`, error);
       return null;
     }
-  }
 
-  return pageUid;
+    return pageUid;
+  });
 };
 
 /**
@@ -909,29 +2052,13 @@ const ensureBlockExists = async (parentUid, blockText) => {
   }
 
   try {
-    const children = getDirectChildren(parentUid);
-    const existing = children.find((child) => child.text === blockText);
-
-    if (existing) {
-      console.log(`✅ Block exists: "${blockText}"`);
-      return existing.uid;
-    }
-
-    console.log(`➕ Creating block: "${blockText}"`);
-    const newUid = generateUID();
-
-    await window.roamAlphaAPI.data.block.create({
-      location: {
-        "parent-uid": parentUid,
-        order: children.length,
-      },
-      block: {
-        uid: newUid,
-        string: blockText,
-      },
-    });
-
-    return newUid;
+    const { uid, created } = await ensureChildBlock(parentUid, blockText);
+    console.log(
+      created
+        ? `➕ Created block: "${blockText}"`
+        : `✅ Block exists: "${blockText}"`
+    );
+    return uid;
   } catch (error) {
     console.error(`❌ ensureBlockExists failed for "${blockText}":`, error);
     throw error;
@@ -948,28 +2075,12 @@ const addToBlockList = async (parentUid, itemText) => {
   }
 
   try {
-    const children = getDirectChildren(parentUid);
-    const existing = children.find((child) => child.text === itemText);
-
-    if (existing) {
-      console.log(`⚠️ Item already in list: "${itemText}"`);
-      return true;
-    }
-
-    console.log(`➕ Adding to list: "${itemText}"`);
-    const newUid = generateUID();
-
-    await window.roamAlphaAPI.data.block.create({
-      location: {
-        "parent-uid": parentUid,
-        order: children.length,
-      },
-      block: {
-        uid: newUid,
-        string: itemText,
-      },
-    });
-
+    const { created } = await ensureChildBlock(parentUid, itemText);
+    console.log(
+      created
+        ? `➕ Added to list: "${itemText}"`
+        : `⚠️ Item already in list: "${itemText}"`
+    );
     return true;
   } catch (error) {
     console.error(`❌ addToBlockList failed for "${itemText}":`, error);
@@ -1035,40 +2146,193 @@ const cascadeToBlock = async (
 
     let currentParentUid = pageUid;
 
-    for (let i = 0; i < contentArray.length; i++) {
-      const content = contentArray[i];
-      const childrenBlocks = getDirectChildren(currentParentUid);
-      let existingBlock = childrenBlocks.find(
-        (block) => block.text === content
+    // Each level is created under its own page+path lock and verified, so
+    // concurrent cascades converge on one block per level
+    for (const content of contentArray) {
+      const { uid, created } = await ensureChildBlock(
+        currentParentUid,
+        content
+      );
+      console.log(
+        created
+          ? `➕ Created block: "${content}"`
+          : `✅ Found existing block: "${content}"`
       );
+      currentParentUid = uid;
+    }
+
+    console.log(`🎯 Final cascade UID: ${currentParentUid}`);
+    return currentParentUid;
+  } catch (error) {
+    console.error(`❌ cascadeToBlock failed for "${pageTitle}":`, error);
+    throw error;
+  }
+};
 
-      if (!existingBlock) {
-        const newBlockUid = generateUID();
-        console.log(`➕ Creating block: "${content}"`);
+// ===================================================================
+// 🧹 DUPLICATE CASCADES - Find and fold duplicated structural blocks
+// ===================================================================
 
-        await window.roamAlphaAPI.data.block.create({
-          location: {
-            "parent-uid": currentParentUid,
-            order: childrenBlocks.length,
-          },
-          block: {
-            uid: newBlockUid,
-            string: content,
-          },
-        });
+/**
+ * Structural blocks carry structure, not content: attribute labels
+ * ("Journal::", "**Key:**") or anything with children
+ */
+const isStructuralBlock = (node) =>
+  node.children.length > 0 || /::?\s*(\*\*)?$/.test(node.text.trim());
+
+/**
+ * Sibling blocks with identical text where at least one is structural
+ * @param {string} pageTitleOrUid - Page title, page uid or block uid
+ * @param {Object} options - { all } also reports duplicated plain leaves
+ * @returns {Array<{ parentUid, text, path, uid, duplicateUids }>}
+ *   uid is the canonical copy that a merge keeps
+ */
+const findDuplicateCascades = (pageTitleOrUid, options = {}) => {
+  const rootUid = getPageUidByTitle(pageTitleOrUid) || pageTitleOrUid;
+  const tree = rootUid ? getBlockTree(rootUid) : null;
+  if (!tree) return [];
+
+  const groups = [];
+  const walk = (node, path) => {
+    const byText = new Map();
+    node.children.forEach((child) => {
+      if (!byText.has(child.text)) byText.set(child.text, []);
+      byText.get(child.text).push(child);
+    });
 
-        currentParentUid = newBlockUid;
+    byText.forEach((copies, text) => {
+      if (copies.length < 2 || !text.trim()) return;
+      if (!options.all && !copies.some(isStructuralBlock)) return;
+
+      const canonical = pickCanonicalBlock(copies);
+      groups.push({
+        parentUid: node.uid,
+        text,
+        path: [...path, text],
+        uid: canonical.uid,
+        duplicateUids: copies
+          .filter((copy) => copy !== canonical)
+          .map((copy) => copy.uid),
+      });
+    });
+
+    node.children.forEach((child) => walk(child, [...path, child.text]));
+  };
+
+  walk(tree, []);
+  return groups;
+};
+
+// Fold each duplicate into keep: identical leaves are dropped, same-text
+// blocks with children merge recursively, everything else moves across
+const foldBlocksInto = async (keep, duplicates, stats) => {
+  for (const duplicate of duplicates) {
+    for (const child of duplicate.children) {
+      const match = keep.children.find((kept) => kept.text === child.text);
+
+      if (match && child.children.length === 0) {
+        await window.roamAlphaAPI.data.block.delete({
+          block: { uid: child.uid },
+        });
+        stats.deleted++;
+      } else if (match) {
+        await foldBlocksInto(match, [child], stats);
       } else {
-        console.log(`✅ Found existing block: "${content}"`);
-        currentParentUid = existingBlock.uid;
+        await window.roamAlphaAPI.data.block.move({
+          location: { "parent-uid": keep.uid, order: "last" },
+          block: { uid: child.uid },
+        });
+        keep.children.push(child);
+        stats.moved++;
       }
     }
 
-    console.log(`🎯 Final cascade UID: ${currentParentUid}`);
-    return currentParentUid;
+    await window.roamAlphaAPI.data.block.delete({
+      block: { uid: duplicate.uid },
+    });
+    stats.deleted++;
+  }
+};
+
+/**
+ * Merge duplicated blocks and their children into the canonical copy
+ * Holds the same page+path lock as cascadeToBlock while merging
+ * @param {Array<string>|Object} target - Block uids, or a group from findDuplicateCascades
+ * @returns {Promise<{ kept, moved, deleted }>}
+ */
+const mergeDuplicateBlocks = async (target) => {
+  const uids = Array.isArray(target)
+    ? target
+    : [target.uid, ...target.duplicateUids];
+  const nodes = uids.map((uid) => getBlockTree(uid)).filter(Boolean);
+  const stats = { kept: null, moved: 0, deleted: 0 };
+  if (nodes.length === 0) return stats;
+
+  const keep = pickCanonicalBlock(nodes);
+  stats.kept = keep.uid;
+  if (nodes.length === 1) return stats;
+
+  const parentUid = window.roamAlphaAPI.pull(
+    "[{:block/_children [:block/uid]}]",
+    [":block/uid", keep.uid]
+  )?.[":block/_children"]?.[0]?.[":block/uid"];
+
+  await withCascadeLock(`${parentUid}/${keep.text}`, () =>
+    foldBlocksInto(
+      keep,
+      nodes.filter((node) => node !== keep),
+      stats
+    )
+  );
+
+  console.log(
+    `🧹 Merged ${nodes.length - 1} duplicate "${keep.text}" block(s) into ${
+      keep.uid
+    } (${stats.moved} moved, ${stats.deleted} removed)`
+  );
+  return stats;
+};
+
+/**
+ * Command: merge every duplicated structural block on the current page
+ */
+const mergeDuplicatesOnCurrentPage = async () => {
+  try {
+    const context = getPageContext();
+    if (!context?.uid) {
+      console.log("❌ No current page");
+      return;
+    }
+
+    const groups = findDuplicateCascades(context.uid);
+    if (groups.length === 0) {
+      console.log(`✅ No duplicate blocks on "${context.title}"`);
+      return;
+    }
+
+    const summary = groups
+      .map(
+        (group) =>
+          `• ${group.path.join(" → ")} (×${group.duplicateUids.length + 1})`
+      )
+      .join("\n");
+    const confirmed = await modalUtilities.confirmDialog(
+      `Merge duplicate blocks on "${context.title}"?\n\n${summary}`,
+      { title: "🧹 Merge Duplicate Blocks", confirmLabel: "Merge" }
+    );
+    if (!confirmed) return;
+
+    // Merging moves blocks, so rescan after each group
+    let merged = 0;
+    for (let pass = 0; pass < 50; pass++) {
+      const [next] = findDuplicateCascades(context.uid);
+      if (!next) break;
+      await mergeDuplicateBlocks(next);
+      merged++;
+    }
+    console.log(`🧹 Merged ${merged} duplicate group(s) on "${context.title}"`);
   } catch (error) {
-    console.error(`❌ cascadeToBlock failed for "${pageTitle}":`, error);
-    throw error;
+    console.error("❌ Merging duplicate blocks failed:", error);
   }
 };
 
@@ -1199,14 +2463,81 @@ const autoRegisterUser = async (username) => {
 // 👥 ENHANCED GRAPH MEMBER MANAGEMENT - WITH CACHE INTEGRATION
 // ===================================================================
 
+// Directory:: children are member names - plain text or [[links]] - and may
+// carry attributes; a bare name is an active member, as before:
+//   Directory::
+//     Sam Chen
+//     [[Alex Rivera]]
+//       Role:: admin          admin | member | guest
+//       Team:: Editorial
+//       Joined:: [[January 15th, 2024]]
+//       Active:: true
+const MEMBER_ROLES = ["admin", "member", "guest"];
+
+const createDirectoryEntry = (name, uid, attributes = {}) => {
+  const role = String(attributes.role || "member").toLowerCase();
+  if (!MEMBER_ROLES.includes(role)) {
+    console.warn(
+      `⚠️ Unknown role "${attributes.role}" for ${name} - using member`
+    );
+  }
+
+  return {
+    ...attributes,
+    name,
+    uid,
+    role: MEMBER_ROLES.includes(role) ? role : "member",
+    team: attributes.team ?? null,
+    joined: attributes.joined ?? null,
+    active: attributes.active ?? true,
+    userUid: attributes.userUid ?? null,
+    previousNames: attributes.previousNames ?? [],
+  };
+};
+
 /**
- * ✅ FIXED: Get graph members from managed list
+ * Directory entries with attributes: [{ name, uid, role, team, joined, active }]
+ * Attributes not in the schema are kept under their lowercased label
  */
-const getGraphMembersFromList = (
+const getDirectoryMembers = (
   listPageTitle = "roam/graph members",
   blockName = "Directory"
 ) => {
-  try {
+  const pageUid = getPageUidByTitle(listPageTitle);
+  if (!pageUid) {
+    console.warn(`❌ No managed list found: ${listPageTitle}`);
+    return [];
+  }
+
+  const directoryUid = findBlockUidByTitle(pageUid, blockName);
+  if (!directoryUid) {
+    console.warn(`❌ No ${blockName}:: block found in ${listPageTitle}`);
+    return [];
+  }
+
+  const fields = normalizeAttributeSchema(ATTRIBUTE_SCHEMAS.directoryMember);
+  const tree = getBlockTree(directoryUid);
+
+  return (tree ? tree.children : [])
+    .filter((node) => node.text.trim())
+    .map((node) =>
+      createDirectoryEntry(
+        stripPageRef(node.text),
+        node.uid,
+        parseAttributeFields(node.children, fields, { includeUnknown: true })
+      )
+    );
+};
+
+/**
+ * ✅ FIXED: Get graph members from managed list
+ * Names only - [[links]] are unwrapped, attribute blocks are not members
+ */
+const getGraphMembersFromList = (
+  listPageTitle = "roam/graph members",
+  blockName = "Directory"
+) => {
+  try {
     console.log(
       `🔍 Looking for members in page: "${listPageTitle}", block: "${blockName}"`
     );
@@ -1217,18 +2548,9 @@ const getGraphMembersFromList = (
       return [];
     }
 
-    console.log(`✅ Found page UID: ${pageUid}`);
-
-    // ✅ FIX: Use findBlockUidByTitle
-    const directoryUid = findBlockUidByTitle(pageUid, blockName);
-    if (!directoryUid) {
-      console.warn(`❌ No ${blockName}:: block found in ${listPageTitle}`);
-      return [];
-    }
-
-    console.log(`✅ Found directory block UID: ${directoryUid}`);
-
-    const members = getBlockListItems(directoryUid);
+    const members = getDirectoryMembers(listPageTitle, blockName).map(
+      (entry) => entry.name
+    );
     console.log(`📋 Found ${members.length} members:`, members);
 
     return members;
@@ -1280,7 +2602,14 @@ const removeGraphMember = async (
     const directoryUid = findBlockByText(pageUid, "Directory::");
     if (!directoryUid) return false;
 
-    const success = await removeFromBlockList(directoryUid, username);
+    // Match "[[Name]]" entries too - their attributes go with them
+    const entry = getDirectChildren(directoryUid).find(
+      (child) => stripPageRef(child.text) === username
+    );
+    const success = await removeFromBlockList(
+      directoryUid,
+      entry ? entry.text : username
+    );
 
     // ✅ NEW: Update cache after successful removal
     if (success && window.GraphMemberCache) {
@@ -1294,6 +2623,52 @@ const removeGraphMember = async (
   }
 };
 
+/**
+ * Member lookups - see GraphMemberCache
+ */
+const getMember = (username) => window.GraphMemberCache.getMember(username);
+
+const getMembersByRole = (role, options) =>
+  window.GraphMemberCache.getMembersByRole(role, options);
+
+const isAdmin = (username) => window.GraphMemberCache.isAdmin(username);
+
+/**
+ * Write directory attributes for a member, e.g. { role: "admin", team: "Ops" }
+ * null removes an attribute; returns the refreshed entry
+ */
+const setMemberAttributes = async (username, attributes) => {
+  // Fresh read - entries added via addMember() have no block uid yet
+  window.GraphMemberCache.refresh();
+  const member = getMember(username);
+  if (!member?.uid) {
+    throw new Error(`${username} is not in the member directory`);
+  }
+  if (
+    attributes.role !== undefined &&
+    attributes.role !== null &&
+    !MEMBER_ROLES.includes(String(attributes.role).toLowerCase())
+  ) {
+    throw new Error(
+      `Unknown role "${attributes.role}" - use ${MEMBER_ROLES.join(", ")}`
+    );
+  }
+
+  const data = { ...attributes };
+  if (typeof data.role === "string") data.role = data.role.toLowerCase();
+
+  await writeAttributeTree(
+    member.uid,
+    ATTRIBUTE_SCHEMAS.directoryMember,
+    data,
+    {
+      labelFormat: "attribute",
+    }
+  );
+  window.GraphMemberCache.refresh();
+  return getMember(username);
+};
+
 /**
  * Get all graph members (fallback method)
  */
@@ -1323,101 +2698,962 @@ const getGraphMembers = () => {
 };
 
 // ===================================================================
-// 🔧 OTHER UTILITY FUNCTIONS - Enhanced and Fixed
+// 🪪 IDENTITY SERVICE - :user/uid → current and past display names
 // ===================================================================
 
+// Display names change; :user/uid doesn't. A member's Directory:: entry
+// records both, so old names still resolve after a rename:
+//   [[Alex Rivera]]
+//     User UID:: 8fQ2...
+//     Previous Names:: Alex R, Alexandra Rivera
+
 /**
- * Get current page title from URL
+ * Current Roam display name for a :user/uid, or null
  */
-const getCurrentPageTitle = () => {
+const getUserDisplayName = (userUid) => {
+  if (!userUid) return null;
   try {
-    // Extract from URL pattern: #/app/graphname/page/PageTitle
-    const url = window.location.href;
-    const match = url.match(/#\/app\/[^\/]+\/page\/(.+)$/);
-    if (match) {
-      return decodeURIComponent(match[1]);
-    }
+    const user = window.roamAlphaAPI.pull("[:user/display-name]", [
+      ":user/uid",
+      userUid,
+    ]);
+    return user?.[":user/display-name"] || null;
+  } catch (error) {
+    console.error("getUserDisplayName failed:", error);
+    return null;
+  }
+};
 
-    // Fallback: try to get from DOM
-    const titleElement = document.querySelector(".rm-title-display");
-    if (titleElement) {
-      return titleElement.textContent || "";
-    }
+const findUserUidByDisplayName = (displayName) =>
+  runQuery(datalog`
+    [:find ?uid .
+     :where
+     [?u :user/display-name ${displayName}]
+     [?u :user/uid ?uid]]
+  `) || null;
 
-    return "";
-  } catch (error) {
-    console.error("getCurrentPageTitle failed:", error);
-    return "";
+/**
+ * Everything known about a person, from a :user/uid or any of their names
+ * @returns {{ userUid, displayName, memberName, previousNames, names } | null}
+ */
+const getUserIdentity = (userUidOrName) => {
+  if (!userUidOrName) return null;
+  window.GraphMemberCache.ensureInitialized();
+  const entries = window.GraphMemberCache.entries;
+
+  // Linked entries match by :user/uid, unlinked ones by current name
+  const findEntryForUser = (userUid) =>
+    entries.find((item) => item.userUid === userUid) ||
+    entries.find(
+      (item) => !item.userUid && item.name === getUserDisplayName(userUid)
+    );
+
+  let userUid = getUserDisplayName(userUidOrName) ? userUidOrName : null;
+  let entry = userUid
+    ? findEntryForUser(userUid)
+    : entries.find(
+        (item) =>
+          item.name === userUidOrName ||
+          item.previousNames.includes(userUidOrName)
+      );
+
+  if (!userUid) {
+    userUid = entry?.userUid || findUserUidByDisplayName(userUidOrName);
   }
+  if (!entry && userUid) entry = findEntryForUser(userUid);
+  if (!userUid && !entry) return null;
+
+  const displayName = getUserDisplayName(userUid);
+  const previousNames = entry?.previousNames || [];
+  return {
+    userUid,
+    displayName,
+    memberName: entry?.name || null,
+    previousNames: [...previousNames],
+    names: [
+      ...new Set([displayName, entry?.name, ...previousNames].filter(Boolean)),
+    ],
+  };
 };
 
 /**
- * Get current page UID
+ * Directory name for any current or past name - unknown names pass through
  */
-const getCurrentPageUid = () => {
+const resolveMemberName = (name) => getUserIdentity(name)?.memberName || name;
+
+/**
+ * Members whose Roam display name no longer matches their Directory:: entry
+ */
+const getIdentityDrift = () => {
+  window.GraphMemberCache.ensureInitialized();
+  return window.GraphMemberCache.entries
+    .filter((entry) => entry.userUid)
+    .map((entry) => ({
+      userUid: entry.userUid,
+      memberName: entry.name,
+      displayName: getUserDisplayName(entry.userUid),
+    }))
+    .filter(
+      ({ displayName, memberName }) => displayName && displayName !== memberName
+    );
+};
+
+/**
+ * Record the current user's :user/uid on their Directory:: entry
+ * Returns their drift ({ userUid, memberName, displayName }) when they were
+ * renamed in Roam but not yet in the graph, otherwise null
+ */
+const linkCurrentUserIdentity = async () => {
+  const user = getCurrentUserViaOfficialAPI();
+  if (!user) return null;
+
+  window.GraphMemberCache.refresh();
+  const entries = window.GraphMemberCache.entries;
+  const linked = entries.find((entry) => entry.userUid === user.uid);
+
+  if (linked && linked.name !== user.displayName) {
+    const drift = {
+      userUid: user.uid,
+      memberName: linked.name,
+      displayName: user.displayName,
+    };
+    console.warn(
+      `🪪 "${linked.name}" is now "${user.displayName}" in Roam - run "👥 Rename Member" to move their pages`
+    );
+    window.RoamExtensionSuite?.emit?.("identity:drift", drift);
+    return drift;
+  }
+
+  const entry = entries.find((item) => item.name === user.displayName);
+  if (entry && !entry.userUid && entry.uid) {
+    await writeAttributeTree(
+      entry.uid,
+      ATTRIBUTE_SCHEMAS.directoryMember,
+      { userUid: user.uid },
+      { labelFormat: "attribute" }
+    );
+    window.GraphMemberCache.refresh();
+    console.log(`🪪 Linked ${user.displayName} to user ${user.uid}`);
+  }
+  return null;
+};
+
+// ===================================================================
+// ✏️ MEMBER RENAME - Move a member's pages, entry and references
+// ===================================================================
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Rewrite references to a member: [[Name]], #[[Name]], [[@Name]], [[*Name]],
+ * [[Name/...]], #Name and roam/css data-tag="Name" selectors
+ */
+const rewriteMemberReferences = (text, oldName, newName) => {
+  const name = escapeRegExp(oldName);
+  const rename = (match, prefix) => prefix + newName;
+  let result = text
+    .replace(new RegExp(`(\\[\\[[@*]?)${name}(?=\\]\\]|/)`, "g"), rename)
+    .replace(
+      new RegExp(`(data-(?:tag|link-title)="[@*]?)${name}(?=")`, "g"),
+      rename
+    );
+
+  if (!/\s/.test(oldName)) {
+    const tag = /\s/.test(newName) ? `#[[${newName}]]` : `#${newName}`;
+    result = result.replace(
+      new RegExp(`(^|[^\\w])#${name}(?=$|[\\s.,;:!?)\\]])`, "g"),
+      (match, prefix) => prefix + tag
+    );
+  }
+  return result;
+};
+
+const getMemberPageRenames = (oldName, newName) =>
+  [
+    oldName,
+    `@${oldName}`,
+    `*${oldName}`,
+    ...getPageTitlesStartingWithPrefix(`${oldName}/`),
+  ]
+    .map((title) => ({ uid: getPageUidByTitle(title), from: title }))
+    .filter((page) => page.uid)
+    .map((page) => ({
+      ...page,
+      to: page.from.replace(oldName, () => newName),
+    }));
+
+const getMemberReferenceRewrites = (oldName, newName) =>
+  runQuery(datalog`
+    [:find ?uid ?string
+     :where
+     [?b :block/string ?string]
+     [(clojure.string/includes? ?string ${oldName})]
+     [?b :block/uid ?uid]]
+  `)
+    .map(([uid, string]) => ({
+      uid,
+      from: string,
+      string: rewriteMemberReferences(string, oldName, newName),
+    }))
+    .filter((block) => block.string !== block.from);
+
+/**
+ * Preview a rename: { pages, blocks, entry, conflicts } - nothing is written
+ */
+const planMemberRename = (oldName, newName) => {
+  const from = String(oldName || "").trim();
+  const to = String(newName || "").trim();
+  if (!from || !to) throw new Error("Rename needs an old and a new name");
+  if (from === to) throw new Error("Old and new names are the same");
+
+  const pages = getMemberPageRenames(from, to);
+  const conflicts = pages
+    .filter((page) => getPageUidByTitle(page.to))
+    .map((page) => `Page "${page.to}" already exists`);
+  if (getMember(to)) conflicts.push(`"${to}" is already in the directory`);
+
+  return {
+    from,
+    to,
+    pages,
+    blocks: getMemberReferenceRewrites(from, to),
+    entry: getMember(from),
+    conflicts,
+  };
+};
+
+/**
+ * Rename a member everywhere: their page and "{name}/..." pages, @/* mention
+ * pages, Directory:: entry (old name kept under Previous Names) and every
+ * reference. Pages go first, so rewritten links never recreate the old pages.
+ * @returns {Promise<{ from, to, pages, blocks, failed }>}
+ */
+const renameMember = async (oldName, newName, options = {}) => {
+  const { onProgress = null } = options;
+  const platform = window.RoamExtensionSuite;
+  if (!platform?.queueWrites) {
+    throw new Error("Renaming needs the core write queue (Extension 1)");
+  }
+
+  window.GraphMemberCache.refresh();
+  const plan = planMemberRename(oldName, newName);
+  if (plan.conflicts.length > 0) {
+    throw new Error(`Cannot rename: ${plan.conflicts.join("; ")}`);
+  }
+
+  const { from, to } = plan;
+  const userUid =
+    getUserIdentity(from)?.userUid || findUserUidByDisplayName(to);
+  console.log(`✏️ Renaming member "${from}" → "${to}"...`);
+
+  const run = (writes, label) =>
+    platform.queueWrites(writes, {
+      owner: "utility-library",
+      label,
+      onProgress,
+    }).promise;
+
+  const pageSummary = await run(
+    plan.pages.map((page) => ({
+      target: "page",
+      action: "update",
+      payload: { page: { uid: page.uid, title: page.to } },
+      label: page.from,
+    })),
+    `rename ${from} pages`
+  );
+
+  // Roam may already have rewritten links to the renamed pages - re-plan.
+  // A plain-text Directory:: entry isn't a link, so rename it directly
+  const blocks = getMemberReferenceRewrites(from, to);
+  const entryUid = plan.entry?.uid;
+  const entryText = entryUid
+    ? window.roamAlphaAPI.pull("[:block/string]", [":block/uid", entryUid])?.[
+        ":block/string"
+      ]
+    : null;
+  if (entryText?.trim() === from) {
+    blocks.push({ uid: entryUid, from: entryText, string: to });
+  }
+
+  const blockSummary = await run(
+    blocks.map((block) => ({
+      action: "update",
+      payload: { block: { uid: block.uid, string: block.string } },
+      label: block.uid,
+    })),
+    `rewrite ${from} references`
+  );
+
+  // Queued too, so a dry run leaves the Directory:: entry alone
+  const entryData = entryUid && {
+    previousNames: [
+      ...new Set([...(plan.entry.previousNames || []), from]),
+    ].filter((name) => name !== to),
+    ...(userUid ? { userUid } : {}),
+  };
+  const entrySummary = await run(
+    entryData
+      ? [
+          {
+            label: `${to} directory entry`,
+            run: () =>
+              writeAttributeTree(
+                entryUid,
+                ATTRIBUTE_SCHEMAS.directoryMember,
+                entryData,
+                { labelFormat: "attribute" }
+              ),
+            describe: () => ({
+              target: "block",
+              action: "update",
+              payload: { block: { uid: entryUid }, attributes: entryData },
+            }),
+          },
+        ]
+      : [],
+    `record ${from} as a previous name`
+  );
+  window.GraphMemberCache.refresh();
+
+  const failed = [
+    ...pageSummary.results,
+    ...blockSummary.results,
+    ...entrySummary.results,
+  ].filter((result) => !result.ok).length;
+  const result = {
+    from,
+    to,
+    userUid,
+    pages: pageSummary.succeeded,
+    blocks: blockSummary.succeeded,
+    failed,
+    dryRun: Boolean(
+      pageSummary.dryRun || blockSummary.dryRun || entrySummary.dryRun
+    ),
+  };
+  // A dry-run changed nothing, so there is no rename to announce
+  if (!result.dryRun) {
+    platform.emit?.("member:renamed", result);
+  }
+  console.log(
+    `${failed ? "⚠️" : "✅"} Renamed "${from}" → "${to}": ${
+      result.pages
+    } page(s), ${result.blocks} block(s)${failed ? `, ${failed} failed` : ""}`
+  );
+  return result;
+};
+
+/**
+ * Command: rename a member - suggests a detected display-name change
+ */
+const renameMemberCommand = async () => {
   try {
-    const currentTitle = getCurrentPageTitle();
-    if (currentTitle) {
-      return getPageUidByTitle(currentTitle);
+    const [drift] = getIdentityDrift();
+    const context = getPageContext();
+    const oldName = await modalUtilities.promptDialog(
+      "Rename which member?",
+      drift?.memberName || context?.owner || "",
+      { title: "👥 Rename Member" }
+    );
+    if (!oldName) return;
+
+    const member = getMember(oldName.trim());
+    if (!member) {
+      console.log(`❌ "${oldName}" is not in the member directory`);
+      return;
     }
 
-    // Fallback to daily note if no specific page
-    const today = new Date();
-    const dateString = today
-      .toLocaleDateString("en-US", {
-        month: "2-digit",
-        day: "2-digit",
-        year: "numeric",
-      })
-      .replace(/\//g, "-");
+    // Admins rename anyone; without admins, anyone may - as before roles
+    const currentUser = getCurrentUserViaOfficialAPI();
+    const hasAdmins = getMembersByRole("admin").length > 0;
+    if (hasAdmins && !isAdmin() && member.userUid !== currentUser?.uid) {
+      console.log("❌ Only admins can rename other members");
+      return;
+    }
 
-    return getPageUidByTitle(dateString);
+    const newName = await modalUtilities.promptDialog(
+      `New name for "${member.name}"`,
+      drift?.memberName === member.name ? drift.displayName : member.name,
+      { title: "👥 Rename Member", confirmLabel: "Next" }
+    );
+    if (!newName || newName.trim() === member.name) return;
+
+    const plan = planMemberRename(member.name, newName);
+    if (plan.conflicts.length > 0) {
+      console.log(`❌ Cannot rename: ${plan.conflicts.join("; ")}`);
+      return;
+    }
+
+    const pages = plan.pages.map((page) => `• ${page.from} → ${page.to}`);
+    const confirmed = await modalUtilities.confirmDialog(
+      `Rename "${plan.from}" to "${plan.to}"?\n\n${pages.join("\n")}\n\n${
+        plan.blocks.length
+      } block(s) with references will be updated.`,
+      { title: "👥 Rename Member", confirmLabel: "Rename" }
+    );
+    if (!confirmed) return;
+
+    await renameMember(plan.from, plan.to);
   } catch (error) {
-    console.error("getCurrentPageUid failed:", error);
-    return null;
+    console.error("❌ Renaming member failed:", error);
+    await modalUtilities.alertDialog(
+      `Renaming the member failed: ${error.message || error}`,
+      { title: "👥 Rename Member" }
+    );
   }
 };
 
+// ===================================================================
+// 📋 PROFILE REPORT - Dated snapshots of every member's profile quality
+// ===================================================================
+
+const PROFILE_REPORT_PAGE = "roam/graph members/profile report";
+
+// The fields Extensions 6 and 13 count towards completeness
+const PROFILE_REPORT_FIELDS = [
+  "avatar",
+  "location",
+  "role",
+  "timezone",
+  "aboutMe",
+];
+
+const PROFILE_PLACEHOLDERS = ["__missing field__", "__not yet entered__"];
+
+const AVATAR_IMAGE_PATTERN =
+  /!\[[^\]]*\]\([^)]+\)|https?:\/\/[^\s)]+\.(jpg|jpeg|png|gif|webp|svg)(\?[^\s)]*)?/i;
+
 /**
- * Get page titles starting with prefix
+ * One member's profile quality, read from their My Info:: block
+ * @returns {{ name, fields, completeness, missing, stale, avatar }}
+ *   avatar: "image" | "placeholder" | "missing" | "not an image"
  */
-const getPageTitlesStartingWithPrefix = (prefix) => {
-  if (!prefix) return [];
+const analyzeMemberProfile = (username) => {
+  const pageUid = getPageUidByTitle(username);
+  const info = pageUid
+    ? parseAttributeTree(pageUid, ATTRIBUTE_SCHEMAS.profile).myInfo
+    : {};
+
+  // 6.5 asks for the image under Avatar::, which can leave the placeholder
+  // above it - any child that is an image counts
+  const avatars = pageUid
+    ? parseAttributeTree(pageUid, {
+        myInfo: {
+          label: "My Info",
+          type: "object",
+          fields: { avatar: { label: "Avatar", type: "list" } },
+        },
+      }).myInfo.avatar || []
+    : [];
+  const avatarImage = avatars.find((text) => AVATAR_IMAGE_PATTERN.test(text));
+  if (avatarImage) info.avatar = avatarImage;
+  const labels = ATTRIBUTE_SCHEMAS.profile.myInfo.fields;
+  const isFilled = (value) => !!value && !PROFILE_PLACEHOLDERS.includes(value);
+
+  const missing = PROFILE_REPORT_FIELDS.filter(
+    (key) => !isFilled(info[key])
+  ).map((key) => labels[key].label);
+
+  // Filled in, but not usable by the suite
+  const stale = [];
+  if (
+    isFilled(info.timezone) &&
+    !timezoneManagerInstance.parseTimezone(info.timezone)
+  ) {
+    stale.push(`Timezone "${info.timezone}" is not a recognised timezone`);
+  }
+  if (isFilled(info.workingHours) && !parseWorkingHours(info.workingHours)) {
+    stale.push(`Working Hours "${info.workingHours}" can't be read`);
+  }
 
-  try {
-    const result = window.roamAlphaAPI.q(`
-      [:find ?title :where [?b :node/title ?title] 
-       [(clojure.string/starts-with? ?title "${prefix}")]]
-    `);
+  let avatar = "missing";
+  if (isFilled(info.avatar)) {
+    avatar = AVATAR_IMAGE_PATTERN.test(info.avatar) ? "image" : "not an image";
+  } else if (info.avatar) {
+    avatar = "placeholder";
+  }
+  if (avatar === "not an image") {
+    stale.push(`Avatar "${info.avatar}" is not an image URL`);
+  }
 
-    return result.map(([title]) => title);
-  } catch (error) {
-    console.error("getPageTitlesStartingWithPrefix failed:", error);
-    return [];
+  return {
+    name: username,
+    fields: Object.fromEntries(
+      PROFILE_REPORT_FIELDS.map((key) => [key, info[key] || null])
+    ),
+    completeness: profileAnalysisUtilities.calculateProfileCompleteness(
+      info,
+      PROFILE_REPORT_FIELDS
+    ),
+    missing,
+    stale,
+    avatar,
+  };
+};
+
+/**
+ * Snapshots on the report page, newest first: [{ uid, date, title }]
+ */
+const getProfileReportSnapshots = (pageUid) =>
+  getDirectChildren(pageUid)
+    .map((child) => ({
+      uid: child.uid,
+      title: stripPageRef(child.text),
+      date: parseAttributeDate(child.text),
+    }))
+    .filter((snapshot) => snapshot.date)
+    .sort((a, b) => b.date - a.date);
+
+/**
+ * Member entries recorded under a snapshot's Profiles:: block
+ * @returns {Map<name, { completeness, missing, stale, avatar }>}
+ */
+const readProfileReportEntries = (snapshotUid) => {
+  const tree = getBlockTree(snapshotUid);
+  const profiles = tree && findAttributeNode(tree.children, "Profiles");
+  const fields = normalizeAttributeSchema(ATTRIBUTE_SCHEMAS.profileReportEntry);
+
+  return new Map(
+    (profiles ? profiles.children : []).map((node) => [
+      stripPageRef(node.text),
+      parseAttributeFields(node.children, fields, {}),
+    ])
+  );
+};
+
+/**
+ * What changed between two snapshots, one line per member change
+ */
+const diffProfileReports = (previous, current) => {
+  const changes = [];
+  const added = (after, before) =>
+    after.filter((item) => !before.includes(item));
+
+  current.forEach((entry) => {
+    const name = `[[${entry.name}]]`;
+    const before = previous.get(entry.name);
+    if (!before) {
+      changes.push(`${name} joined the report (${entry.completeness}%)`);
+      return;
+    }
+
+    if (before.completeness !== entry.completeness) {
+      changes.push(`${name} ${before.completeness}% → ${entry.completeness}%`);
+    }
+    const filled = added(before.missing, entry.missing);
+    if (filled.length > 0) changes.push(`${name} filled ${filled.join(", ")}`);
+    const emptied = added(entry.missing, before.missing);
+    if (emptied.length > 0) {
+      changes.push(`${name} now missing ${emptied.join(", ")}`);
+    }
+    added(entry.stale, before.stale).forEach((problem) =>
+      changes.push(`${name}: ${problem}`)
+    );
+    const fixed = added(before.stale, entry.stale);
+    if (fixed.length > 0) {
+      changes.push(`${name} fixed ${fixed.length} stale value(s)`);
+    }
+    if (before.avatar !== entry.avatar) {
+      changes.push(`${name} avatar ${before.avatar} → ${entry.avatar}`);
+    }
+  });
+
+  const names = new Set(current.map((entry) => entry.name));
+  previous.forEach((_, name) => {
+    if (!names.has(name)) changes.push(`[[${name}]] left the report`);
+  });
+
+  return changes;
+};
+
+/**
+ * Write today's snapshot to "roam/graph members/profile report".
+ * Running again the same day refreshes that snapshot in place; Changes::
+ * always compares against the latest earlier snapshot
+ * @param {Object} options - { date } to file the snapshot under another day
+ * @returns {Promise<{ pageUid, snapshotUid, report, entries, changes }>}
+ */
+const writeProfileReport = async (options = {}) => {
+  const { date = new Date() } = options;
+
+  const members = getDirectoryMembers().filter((member) => member.active);
+  if (members.length === 0) {
+    throw new Error("No active members in roam/graph members → Directory::");
+  }
+
+  const entries = members.map((member) => analyzeMemberProfile(member.name));
+  const report = profileAnalysisUtilities.generateProfileQualityReport(
+    entries.map((entry) => ({
+      ...entry.fields,
+      completeness: entry.completeness,
+    }))
+  );
+
+  const pageUid = await createPageIfNotExists(PROFILE_REPORT_PAGE);
+  if (!pageUid) throw new Error(`Could not create "${PROFILE_REPORT_PAGE}"`);
+
+  const title = window.roamAlphaAPI.util.dateToPageTitle(date);
+  const earlier = getProfileReportSnapshots(pageUid).find(
+    (snapshot) => snapshot.title !== title && snapshot.date < date
+  );
+  const changes = earlier
+    ? diffProfileReports(readProfileReportEntries(earlier.uid), entries)
+    : null;
+
+  const { uid: snapshotUid, created } = await ensureChildBlock(
+    pageUid,
+    `[[${title}]]`
+  );
+  if (created) {
+    // Newest snapshot on top
+    await window.roamAlphaAPI.data.block.move({
+      location: { "parent-uid": pageUid, order: 0 },
+      block: { uid: snapshotUid },
+    });
+  }
+
+  await writeAttributeTree(snapshotUid, ATTRIBUTE_SCHEMAS.profileReport, {
+    members: report.totalUsers,
+    averageCompleteness: report.averageCompleteness,
+    completeProfiles: entries.filter((entry) => entry.completeness === 100)
+      .length,
+    changes: changes
+      ? changes.length > 0
+        ? changes
+        : [`No changes since [[${earlier.title}]]`]
+      : null,
+  });
+
+  const { uid: profilesUid } = await ensureChildBlock(
+    snapshotUid,
+    "Profiles::"
+  );
+  for (const entry of entries) {
+    const { uid } = await ensureChildBlock(profilesUid, `[[${entry.name}]]`);
+    await writeAttributeTree(uid, ATTRIBUTE_SCHEMAS.profileReportEntry, {
+      completeness: entry.completeness,
+      missing: entry.missing.length > 0 ? entry.missing : null,
+      stale: entry.stale.length > 0 ? entry.stale : null,
+      avatar: entry.avatar,
+    });
+  }
+
+  // A same-day refresh drops members who have since left the directory
+  const names = new Set(entries.map((entry) => `[[${entry.name}]]`));
+  for (const child of getDirectChildren(profilesUid)) {
+    if (!names.has(child.text)) {
+      await window.roamAlphaAPI.data.block.delete({
+        block: { uid: child.uid },
+      });
+    }
   }
+
+  console.log(
+    `📋 Profile report for ${title}: ${entries.length} member(s), ${
+      report.averageCompleteness
+    }% average${changes ? `, ${changes.length} change(s)` : ""}`
+  );
+  return { pageUid, snapshotUid, report, entries, changes };
 };
 
 /**
- * Get page UID by page title (alternative method)
+ * Command: refresh the profile report and open it
  */
-const getPageUidByPageTitle = (title) => {
-  return getPageUidByTitle(title); // Use existing implementation
+const profileReportCommand = async () => {
+  try {
+    const { pageUid } = await writeProfileReport();
+    window.roamAlphaAPI.ui.mainWindow.openPage({ page: { uid: pageUid } });
+  } catch (error) {
+    console.error("❌ Profile report failed:", error);
+  }
 };
 
+// ===================================================================
+// 🕰️ PREFERENCE HISTORY - Every preference write, with who made it
+// ===================================================================
+
+// Older entries are dropped once a history page holds this many
+const PREFERENCE_HISTORY_LIMIT = 200;
+
 /**
- * Normalize header text for consistent matching
+ * Sibling of "{username}/user preferences", newest change on top
  */
-const normalizeHeaderText = (text) => {
-  if (!text) return "";
-  return text
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, "")
-    .replace(/\s+/g, " ");
+const getPreferenceHistoryTitle = (username) =>
+  `${username}/preference history`;
+
+const isListPreference = (key) => {
+  const schema = ATTRIBUTE_SCHEMAS.userPreferences[key];
+  return schema === "list" || schema?.type === "list";
 };
 
 /**
- * Normalize category name for consistent processing
+ * One shape per preference so values can be compared: list preferences
+ * are arrays, others a string (or an array when several were stored),
+ * and unset is null
+ */
+const normalizePreferenceValue = (key, value) => {
+  const values = []
+    .concat(value ?? [])
+    .map((item) => String(item).trim())
+    .filter((item) => item !== "");
+  if (isListPreference(key)) return values.length > 0 ? values : null;
+  if (values.length === 0) return null;
+  return values.length === 1 ? values[0] : values;
+};
+
+const describePreferenceValue = (value) => {
+  if (value === null) return "(not set)";
+  return Array.isArray(value) ? value.join(", ") : value;
+};
+
+/**
+ * Current value on "{username}/user preferences", in the history's shape
+ * @param {Object} options - { quiet } warns and returns null instead of
+ *   throwing, for setters that must write even when history can't be kept
+ */
+const readPreferenceValue = (username, key, options = {}) => {
+  try {
+    const pageUid = getPageUidByTitle(`${username}/user preferences`);
+    if (!pageUid) return null;
+
+    // Read every child, then collapse - the stored shape may not match the schema
+    const schema = ATTRIBUTE_SCHEMAS.userPreferences[key];
+    const field =
+      typeof schema === "object"
+        ? { ...schema, type: "list" }
+        : { type: "list" };
+    const { [key]: values } = parseAttributeTree(pageUid, { [key]: field });
+    return normalizePreferenceValue(key, values);
+  } catch (error) {
+    if (!options.quiet) throw error;
+    console.warn(`⚠️ Could not read "${key}" for preference history:`, error);
+    return null;
+  }
+};
+
+/**
+ * Add a change to "{username}/preference history". Writes that leave the
+ * value as it was are not recorded
+ * @param {Object} change - { key, oldValue, newValue, source, time }
+ * @param {Object} options - { quiet } warns instead of rejecting - for
+ *   callers whose value is already saved
+ * @returns {Promise<string|null>} the entry's block uid, null if unchanged
+ */
+const recordPreferenceChange = async (username, change, options = {}) => {
+  try {
+    return await writePreferenceChange(username, change);
+  } catch (error) {
+    if (!options.quiet) throw error;
+    console.warn(`⚠️ Could not record history for "${change.key}":`, error);
+    return null;
+  }
+};
+
+const writePreferenceChange = async (username, change) => {
+  const { key, source = "unknown", time = new Date() } = change;
+  const oldValue = normalizePreferenceValue(key, change.oldValue);
+  const newValue = normalizePreferenceValue(key, change.newValue);
+  if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return null;
+
+  const title = getPreferenceHistoryTitle(username);
+  const pageUid = await createPageIfNotExists(title);
+  if (!pageUid) throw new Error(`Could not create "${title}"`);
+
+  const clock = time.toTimeString().slice(0, 5);
+  const entryUid = generateUID();
+  await window.roamAlphaAPI.data.block.create({
+    location: { "parent-uid": pageUid, order: 0 },
+    block: {
+      uid: entryUid,
+      open: false,
+      string: `[[${window.roamAlphaAPI.util.dateToPageTitle(
+        time
+      )}]] ${clock} ${key}: ${describePreferenceValue(
+        oldValue
+      )} → ${describePreferenceValue(newValue)}`,
+    },
+  });
+  await writeAttributeTree(entryUid, ATTRIBUTE_SCHEMAS.preferenceChange, {
+    preference: key,
+    oldValue: oldValue === null ? null : [].concat(oldValue),
+    newValue: newValue === null ? null : [].concat(newValue),
+    changed: time.toISOString(),
+    source,
+  });
+
+  const entries = getDirectChildren(pageUid);
+  for (const extra of entries.slice(PREFERENCE_HISTORY_LIMIT)) {
+    await window.roamAlphaAPI.data.block.delete({ block: { uid: extra.uid } });
+  }
+
+  console.log(
+    `🕰️ ${username}: "${key}" ${describePreferenceValue(
+      oldValue
+    )} → ${describePreferenceValue(newValue)} (${source})`
+  );
+  return entryUid;
+};
+
+/**
+ * Recorded changes, newest first
+ * @param {Object} options - { key } for one preference, { limit }
+ * @returns {Array<{ uid, key, oldValue, newValue, time, source }>}
+ */
+const getPreferenceHistory = (username, options = {}) => {
+  const { key = null, limit = Infinity } = options;
+  const pageUid = getPageUidByTitle(getPreferenceHistoryTitle(username));
+  if (!pageUid) return [];
+
+  return getDirectChildren(pageUid)
+    .map((child) => {
+      const entry = parseAttributeTree(
+        child.uid,
+        ATTRIBUTE_SCHEMAS.preferenceChange
+      );
+      return {
+        uid: child.uid,
+        key: entry.preference,
+        oldValue: normalizePreferenceValue(entry.preference, entry.oldValue),
+        newValue: normalizePreferenceValue(entry.preference, entry.newValue),
+        time: new Date(entry.changed),
+        source: entry.source,
+      };
+    })
+    .filter((entry) => entry.key && !isNaN(entry.time))
+    .filter((entry) => !key || entry.key === key)
+    .sort((a, b) => b.time - a.time)
+    .slice(0, limit);
+};
+
+/**
+ * Preference values as they stood at a point in time, for every preference
+ * the history knows about. Preferences first set after it come back null
+ * @returns {Object} { key: value }
+ */
+const getPreferencesAt = (username, time) => {
+  const values = {};
+  // Oldest first: a later entry before the cut-off overrides an earlier one
+  getPreferenceHistory(username)
+    .reverse()
+    .forEach((entry) => {
+      if (entry.time <= time) {
+        values[entry.key] = entry.newValue;
+      } else if (!(entry.key in values)) {
+        values[entry.key] = entry.oldValue;
+      }
+    });
+  return values;
+};
+
+// ===================================================================
+// 🔧 OTHER UTILITY FUNCTIONS - Enhanced and Fixed
+// ===================================================================
+
+/**
+ * Get current page title - never a page uid
+ * @param {string} windowId - "main", or a right sidebar window's id
+ */
+const getCurrentPageTitle = (windowId = "main") => {
+  try {
+    const context = window.PageContextService.get(windowId);
+    if (context?.title) {
+      return context.title;
+    }
+    if (windowId !== "main") return "";
+
+    // Service not started yet - the URL holds a uid, resolve it
+    const match = window.location.hash.match(/\/page\/([^/?]+)/);
+    if (match) {
+      const { title } = resolvePageByUid(decodeURIComponent(match[1]));
+      if (title) return title;
+    }
+
+    // Fallback: try to get from DOM
+    const titleElement = document.querySelector(".rm-title-display");
+    if (titleElement) {
+      return titleElement.textContent || "";
+    }
+
+    return "";
+  } catch (error) {
+    console.error("getCurrentPageTitle failed:", error);
+    return "";
+  }
+};
+
+/**
+ * Get current page UID
+ */
+const getCurrentPageUid = () => {
+  try {
+    const context = window.PageContextService.get("main");
+    if (context?.uid) {
+      return context.uid;
+    }
+
+    const currentTitle = getCurrentPageTitle();
+    if (currentTitle) {
+      return getPageUidByTitle(currentTitle);
+    }
+
+    // Fallback to daily note if no specific page
+    const today = new Date();
+    const dateString = today
+      .toLocaleDateString("en-US", {
+        month: "2-digit",
+        day: "2-digit",
+        year: "numeric",
+      })
+      .replace(/\//g, "-");
+
+    return getPageUidByTitle(dateString);
+  } catch (error) {
+    console.error("getCurrentPageUid failed:", error);
+    return null;
+  }
+};
+
+/**
+ * Get page titles starting with prefix
+ */
+const getPageTitlesStartingWithPrefix = (prefix) => {
+  if (!prefix) return [];
+
+  try {
+    const result = runQuery(datalog`
+      [:find ?title :where [?b :node/title ?title] 
+       [(clojure.string/starts-with? ?title ${prefix})]]
+    `);
+
+    return result.map(([title]) => title);
+  } catch (error) {
+    console.error("getPageTitlesStartingWithPrefix failed:", error);
+    return [];
+  }
+};
+
+/**
+ * Get page UID by page title (alternative method)
+ */
+const getPageUidByPageTitle = (title) => {
+  return getPageUidByTitle(title); // Use existing implementation
+};
+
+/**
+ * Normalize header text for consistent matching
+ */
+const normalizeHeaderText = (text) => {
+  if (!text) return "";
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, "")
+    .replace(/\s+/g, " ");
+};
+
+/**
+ * Normalize category name for consistent processing
  */
 const normalizeCategoryName = (category) => {
   if (!category) return "";
@@ -1429,234 +3665,1021 @@ const normalizeCategoryName = (category) => {
 };
 
 /**
- * Find data value using exact attribute match
+ * Find data value using exact attribute match
+ */
+const findDataValueExact = (pageUid, fieldName) => {
+  if (!pageUid || !fieldName) return null;
+
+  try {
+    const result = runQuery(datalog`
+      [:find ?child-uid ?child-string
+       :where 
+       [?page :block/uid ${pageUid}]
+       [?page :block/children ?parent]
+       [?parent :block/string ?parent-string]
+       [(clojure.string/starts-with? ?parent-string ${`${fieldName}::`})]
+       [?parent :block/children ?child]
+       [?child :block/uid ?child-uid]
+       [?child :block/string ?child-string]]
+    `);
+
+    if (result.length > 0) {
+      return result[0][0]; // Return UID of first child
+    }
+
+    return null;
+  } catch (error) {
+    console.error(`findDataValueExact error for ${fieldName}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Extract nested data values - "My Info::" → { avatar, location, role, timezone, aboutMe }
+ * Built on parseAttributeTree; fields outside the profile schema are keyed by
+ * their lowercased label. Only fields with a value are returned.
+ */
+const findNestedDataValuesExact = (pageUid, parentFieldName) => {
+  if (!pageUid || !parentFieldName) return {};
+
+  try {
+    const { section } = parseAttributeTree(
+      pageUid,
+      {
+        section: {
+          label: parentFieldName,
+          type: "object",
+          fields: ATTRIBUTE_SCHEMAS.profile.myInfo.fields,
+        },
+      },
+      { includeUnknown: true }
+    );
+
+    const result = Object.fromEntries(
+      Object.entries(section).filter(([, value]) => value !== null)
+    );
+
+    console.log(
+      `🔍 Extracted ${
+        Object.keys(result).length
+      } fields from "${parentFieldName}"`
+    );
+    return result;
+  } catch (error) {
+    console.error(
+      `❌ findNestedDataValuesExact error for "${parentFieldName}":`,
+      error
+    );
+    return {};
+  }
+};
+
+/**
+ * Set structured data values
+ */
+const setDataValueStructured = async (
+  pageUid,
+  fieldName,
+  value,
+  useAttribute = false
+) => {
+  try {
+    const fieldText = useAttribute ? `${fieldName}::` : fieldName;
+    const fieldUid = await ensureBlockExists(pageUid, fieldText);
+
+    if (!fieldUid) return false;
+
+    const children = getDirectChildren(fieldUid);
+
+    if (children.length > 0) {
+      // Update first child
+      await window.roamAlphaAPI.data.block.update({
+        block: { uid: children[0].uid, string: value },
+      });
+    } else {
+      // Create new child
+      const valueUid = generateUID();
+      await window.roamAlphaAPI.data.block.create({
+        location: { "parent-uid": fieldUid, order: 0 },
+        block: { uid: valueUid, string: value },
+      });
+    }
+
+    return true;
+  } catch (error) {
+    console.error(`setDataValueStructured error:`, error);
+    return false;
+  }
+};
+
+/**
+ * Set nested data values in structured format - one value block per field
+ * Built on writeAttributeTree, so existing fields are updated in place
+ */
+const setNestedDataValuesStructured = async (
+  pageUid,
+  parentFieldName,
+  dataObject,
+  useAttribute = false
+) => {
+  try {
+    const fields = Object.fromEntries(
+      Object.keys(dataObject).map((fieldName) => [
+        fieldName,
+        { label: fieldName },
+      ])
+    );
+
+    await writeAttributeTree(
+      pageUid,
+      { section: { label: parentFieldName, type: "object", fields } },
+      { section: dataObject },
+      { labelFormat: useAttribute ? "attribute" : "plain" }
+    );
+
+    return true;
+  } catch (error) {
+    console.error(`setNestedDataValuesStructured error:`, error);
+    return false;
+  }
+};
+
+/**
+ * Clear user cache (for testing)
+ */
+const clearUserCache = () => {
+  // Implementation for clearing any cached user data
+  console.log("User cache cleared");
+};
+
+// ===================================================================
+// 🧭 PAGE CONTEXT SERVICE - One definition of "what page am I on"
+// ===================================================================
+
+// Roam daily notes: uid "10-19-2026", title "October 19th, 2026"
+const DAILY_UID_PATTERN = /^\d{2}-\d{2}-\d{4}$/;
+const DAILY_TITLE_PATTERN =
+  /^(January|February|March|April|May|June|July|August|September|October|November|December) \d{1,2}(st|nd|rd|th), \d{4}$/;
+
+/**
+ * Today's daily note uid (MM-DD-YYYY)
+ */
+const getTodayUid = () =>
+  new Date()
+    .toLocaleDateString("en-US", {
+      month: "2-digit",
+      day: "2-digit",
+      year: "numeric",
+    })
+    .replace(/\//g, "-");
+
+/**
+ * Resolve a page or block uid to its page { uid, title }
+ */
+const resolvePageByUid = (uid) => {
+  if (!uid) return { uid: null, title: null };
+
+  try {
+    const data = window.roamAlphaAPI.pull(
+      "[:block/uid :node/title {:block/page [:block/uid :node/title]}]",
+      [":block/uid", uid]
+    );
+
+    if (data?.[":node/title"]) {
+      return { uid, title: data[":node/title"] };
+    }
+
+    // Zoomed into a block - report the page it lives on
+    const page = data?.[":block/page"];
+    if (page?.[":node/title"]) {
+      return { uid: page[":block/uid"], title: page[":node/title"] };
+    }
+  } catch (error) {
+    console.error("resolvePageByUid failed:", error);
+  }
+
+  return { uid, title: null };
+};
+
+/**
+ * Classify a page: daily | username | userSubpage | chatroom | settings | other
+ * Owner is the graph member a username page or "{member}/..." page belongs to
+ */
+const classifyPage = (title, uid = null) => {
+  if (!title) return { type: "other", owner: null };
+
+  if ((uid && DAILY_UID_PATTERN.test(uid)) || DAILY_TITLE_PATTERN.test(title)) {
+    return { type: "daily", owner: null };
+  }
+
+  window.GraphMemberCache.ensureInitialized();
+  const members = window.GraphMemberCache.members;
+  const owner = members.includes(title)
+    ? title
+    : members.find((member) => title.startsWith(`${member}/`)) || null;
+
+  if (title.toLowerCase().includes("chat room")) {
+    return { type: "chatroom", owner };
+  }
+  if (title.startsWith("roam/")) {
+    return { type: "settings", owner: null };
+  }
+  if (owner === title) {
+    return { type: "username", owner };
+  }
+  if (owner) {
+    return { type: "userSubpage", owner };
+  }
+  return { type: "other", owner: null };
+};
+
+const describePage = (uid, windowId) => {
+  const page = resolvePageByUid(uid);
+  return { ...page, ...classifyPage(page.title, page.uid), windowId };
+};
+
+/**
+ * Uid open in the main window - the daily notes log counts as today
+ */
+const getMainWindowUid = async () => {
+  try {
+    const uid =
+      await window.roamAlphaAPI.ui.mainWindow?.getOpenPageOrBlockUid?.();
+    if (uid) return uid;
+  } catch (error) {
+    console.warn("getOpenPageOrBlockUid failed, using URL:", error);
+  }
+
+  const match = window.location.hash.match(/\/page\/([^/?]+)/);
+  return match ? decodeURIComponent(match[1]) : getTodayUid();
+};
+
+/**
+ * Right sidebar windows as [{ windowId, uid }]
+ */
+const getSidebarWindows = () => {
+  try {
+    const windows = window.roamAlphaAPI.ui.rightSidebar?.getWindows?.() || [];
+    return windows.map((sidebarWindow) => ({
+      windowId: sidebarWindow["window-id"],
+      uid:
+        sidebarWindow["page-uid"] ||
+        sidebarWindow["block-uid"] ||
+        sidebarWindow["mentions-uid"] ||
+        null,
+    }));
+  } catch (error) {
+    console.error("getSidebarWindows failed:", error);
+    return [];
+  }
+};
+
+/**
+ * 🧭 Global page context - emits page:changed for the main window ("main")
+ * and every right sidebar window, page:closed when a sidebar window closes
+ */
+window.PageContextService = {
+  contexts: new Map(), // windowId → { uid, title, type, owner, windowId }
+  listeners: new Set(),
+  teardown: [],
+  refreshing: null,
+  refreshQueued: false,
+  isRunning: false,
+
+  /**
+   * Current context for a window (defaults to the main window)
+   */
+  get(windowId = "main") {
+    return this.contexts.get(windowId) || null;
+  },
+
+  getAll() {
+    return Array.from(this.contexts.values());
+  },
+
+  /**
+   * Subscribe without the platform event bus - returns unsubscribe
+   */
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  },
+
+  emit(event, context) {
+    // Only the main window is sticky - late subscribers get "where am I"
+    window.RoamExtensionSuite?.emit?.(event, context, {
+      sticky: event === "page:changed" && context.windowId === "main",
+    });
+
+    if (event !== "page:changed") return;
+    this.listeners.forEach((callback) => {
+      try {
+        callback(context);
+      } catch (error) {
+        console.error("❌ Page context listener failed:", error);
+      }
+    });
+  },
+
+  /**
+   * Re-detect every window; overlapping calls collapse into one re-run.
+   * Never rejects - event handlers call this without awaiting it
+   */
+  refresh() {
+    if (this.refreshing) {
+      this.refreshQueued = true;
+      return this.refreshing;
+    }
+
+    this.refreshing = this.detect()
+      .catch((error) => {
+        console.error("❌ Page context refresh failed:", error);
+        return this.getAll();
+      })
+      .finally(() => {
+        this.refreshing = null;
+        if (this.refreshQueued) {
+          this.refreshQueued = false;
+          this.refresh();
+        }
+      });
+    return this.refreshing;
+  },
+
+  async detect() {
+    const detected = new Map();
+    detected.set("main", describePage(await getMainWindowUid(), "main"));
+    getSidebarWindows().forEach(({ windowId, uid }) => {
+      detected.set(windowId, describePage(uid, windowId));
+    });
+
+    detected.forEach((context, windowId) => {
+      const previous = this.contexts.get(windowId);
+      if (
+        !previous ||
+        previous.uid !== context.uid ||
+        previous.title !== context.title
+      ) {
+        this.contexts.set(windowId, context);
+        this.emit("page:changed", context);
+      }
+    });
+
+    this.contexts.forEach((context, windowId) => {
+      if (!detected.has(windowId)) {
+        this.contexts.delete(windowId);
+        this.emit("page:closed", context);
+      }
+    });
+
+    return this.getAll();
+  },
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    const refresh = () => this.refresh();
+    window.addEventListener("hashchange", refresh);
+    window.addEventListener("popstate", refresh);
+    this.teardown.push(() => {
+      window.removeEventListener("hashchange", refresh);
+      window.removeEventListener("popstate", refresh);
+    });
+
+    const platform = window.RoamExtensionSuite;
+    if (platform?.observeDOM) {
+      // Sidebar windows opening/closing and main page re-renders
+      this.teardown.push(
+        platform.observeDOM(
+          "utility-library",
+          "#right-sidebar .rm-sidebar-window, .roam-article .rm-title-display",
+          { added: refresh, removed: refresh },
+          { label: "page context" }
+        )
+      );
+    } else {
+      const interval = setInterval(refresh, 1000);
+      this.teardown.push(() => clearInterval(interval));
+    }
+
+    this.refresh();
+  },
+
+  stop() {
+    this.teardown.forEach((fn) => fn());
+    this.teardown = [];
+    this.contexts.clear();
+    this.isRunning = false;
+  },
+};
+
+/**
+ * Page context for a window: { uid, title, type, owner, windowId }
+ */
+const getPageContext = (windowId = "main") =>
+  window.PageContextService.get(windowId);
+
+/**
+ * Run callback on every page:changed - returns unsubscribe
+ */
+const onPageChange = (callback) => window.PageContextService.onChange(callback);
+
+// ===================================================================
+// 🌳 ATTRIBUTE TREES - Schema-driven read/write of "Label::" block trees
+// ===================================================================
+
+// One format for profiles, preferences and settings:
+//   My Info::                 labels may also be "Label:", "**Label:**" or bare
+//     Location::
+//       Lisbon, Portugal      one child per value - lists may have many
+//     Role:: Editor           inline values are read too
+//
+// A schema maps result keys to fields:
+//   { key: "string" }  or  { key: { label, type, of, fields, separator, default } }
+// Types: string | list | date | page | boolean | number | object
+
+const ATTRIBUTE_TYPES = [
+  "string",
+  "list",
+  "date",
+  "page",
+  "boolean",
+  "number",
+  "object",
+];
+
+const ATTRIBUTE_LABEL_PATTERN =
+  /^(?:\*\*)?\s*([^:*]+?)\s*(::?)\s*(?:\*\*)?\s*(.*)$/s;
+
+// Shared schemas so every extension reads and writes the same blocks
+const ATTRIBUTE_SCHEMAS = {
+  profile: {
+    myInfo: {
+      label: "My Info",
+      type: "object",
+      fields: {
+        avatar: { label: "Avatar" },
+        location: { label: "Location" },
+        role: { label: "Role" },
+        timezone: { label: "Timezone" },
+        aboutMe: { label: "About Me" },
+        workingHours: { label: "Working Hours" },
+      },
+    },
+  },
+
+  // Attributes under a member's entry in "roam/graph members" → Directory::
+  directoryMember: {
+    role: { label: "Role", default: "member" },
+    team: { label: "Team" },
+    joined: { label: "Joined", type: "date" },
+    active: { label: "Active", type: "boolean", default: true },
+    userUid: { label: "User UID" },
+    previousNames: { label: "Previous Names", type: "list", default: [] },
+  },
+
+  // A dated snapshot on "roam/graph members/profile report"
+  profileReport: {
+    members: { label: "Members", type: "number" },
+    averageCompleteness: { label: "Average Completeness", type: "number" },
+    completeProfiles: { label: "Complete Profiles", type: "number" },
+    changes: { label: "Changes", type: "list", default: [] },
+  },
+
+  // Each [[member]] under a snapshot's Profiles:: block
+  profileReportEntry: {
+    completeness: { label: "Completeness", type: "number" },
+    missing: { label: "Missing", type: "list", default: [] },
+    stale: { label: "Stale", type: "list", default: [] },
+    avatar: { label: "Avatar" },
+  },
+
+  // "{username}/user preferences" - keyed by label, like Extension 2's API
+  userPreferences: {
+    "Loading Page Preference": "string",
+    "Immutable Home Page": "string",
+    "Weekly Bundle": "string",
+    "Journal Header Color": "string",
+    "Personal Shortcuts": { type: "list", separator: "," },
+    // "{button id} → {stack}" per child, written by Extension 1.6
+    "Button Positions": "list",
+  },
+
+  // One change on "{username}/preference history"
+  preferenceChange: {
+    preference: { label: "Preference" },
+    oldValue: { label: "Old Value", type: "list", default: [] },
+    newValue: { label: "New Value", type: "list", default: [] },
+    changed: { label: "Changed" },
+    source: { label: "Source", default: "unknown" },
+  },
+
+  smartTaggerSettings: {
+    settings: {
+      label: "Smart Tagger Settings",
+      type: "object",
+      fields: {
+        enableTagging: {
+          label: "Enable Tagging",
+          type: "boolean",
+          default: true,
+        },
+        idleDelay: { label: "Idle Delay", type: "number", default: 2000 },
+        processExistingOnLoad: {
+          label: "Process Existing On Load",
+          type: "boolean",
+          default: true,
+        },
+        validateMembership: {
+          label: "Validate Membership",
+          type: "boolean",
+          default: false,
+        },
+        enableChatRoomTagging: {
+          label: "Enable Chat Room Tagging",
+          type: "boolean",
+          default: true,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Labels match ignoring case, spaces and bold: "About Me" = "**aboutme:**"
+ */
+const normalizeAttributeLabel = (label) =>
+  String(label || "")
+    .replace(/\s+/g, "")
+    .toLowerCase();
+
+/**
+ * Split block text into { label, inline } - bare text is a label with no value
+ */
+const parseAttributeLabel = (text) => {
+  const source = String(text || "").trim();
+  const match = source.match(ATTRIBUTE_LABEL_PATTERN);
+  if (match) return { label: match[1], inline: match[3].trim() };
+  return { label: source.replace(/\*\*/g, "").trim(), inline: "" };
+};
+
+/**
+ * Expand schema shorthand and validate types
  */
-const findDataValueExact = (pageUid, fieldName) => {
-  if (!pageUid || !fieldName) return null;
+const normalizeAttributeSchema = (schema) => {
+  if (!schema || typeof schema !== "object") {
+    throw new Error("Attribute schema must be an object");
+  }
 
-  try {
-    const result = window.roamAlphaAPI.q(`
-      [:find ?child-uid ?child-string
-       :where 
-       [?page :block/uid "${pageUid}"]
-       [?page :block/children ?parent]
-       [?parent :block/string ?parent-string]
-       [(clojure.string/starts-with? ?parent-string "${fieldName}::")]
-       [?parent :block/children ?child]
-       [?child :block/uid ?child-uid]
-       [?child :block/string ?child-string]]
-    `);
+  return Object.entries(schema).map(([key, definition]) => {
+    const field =
+      typeof definition === "string" ? { type: definition } : { ...definition };
+    field.key = key;
+    field.label = field.label || key;
+    field.type = field.type || "string";
+    field.of = field.of || "string";
 
-    if (result.length > 0) {
-      return result[0][0]; // Return UID of first child
+    if (!ATTRIBUTE_TYPES.includes(field.type)) {
+      throw new Error(`Unknown attribute type "${field.type}" for "${key}"`);
     }
-
-    return null;
-  } catch (error) {
-    console.error(`findDataValueExact error for ${fieldName}:`, error);
-    return null;
-  }
+    if (field.type === "object") {
+      field.fields = normalizeAttributeSchema(field.fields || {});
+    }
+    return field;
+  });
 };
 
 /**
- * ✅ FIXED: Extract nested data values using simple queries
+ * Pull a block or page with all descendants as { uid, text, children }
+ * @param {Object} options - { withEditors } adds editor: last editor's user uid
  */
-const findNestedDataValuesExact = (pageUid, parentFieldName) => {
-  if (!pageUid || !parentFieldName) return {};
-
-  try {
-    console.log(
-      `🔍 FIXED: Getting nested data for "${parentFieldName}" on page ${pageUid}`
-    );
+const getBlockTree = (uid, options = {}) => {
+  const data = window.roamAlphaAPI.pull(
+    options.withEditors
+      ? "[:block/uid :block/string :block/order {:edit/user [:user/uid]} {:create/user [:user/uid]} {:block/children ...}]"
+      : "[:block/uid :block/string :block/order {:block/children ...}]",
+    [":block/uid", uid]
+  );
+  if (!data) return null;
+
+  const toNode = (block) => ({
+    uid: block[":block/uid"],
+    text: block[":block/string"] || "",
+    order: block[":block/order"] || 0,
+    ...(options.withEditors && {
+      editor:
+        block[":edit/user"]?.[":user/uid"] ||
+        block[":create/user"]?.[":user/uid"] ||
+        null,
+    }),
+    children: (block[":block/children"] || [])
+      .map(toNode)
+      .sort((a, b) => a.order - b.order),
+  });
 
-    // Step 1: Get all blocks on the page
-    const allBlocks = window.roamAlphaAPI.q(`
-      [:find ?uid ?text ?order
-       :where 
-       [?p :block/uid "${pageUid}"]
-       [?p :block/children ?c]
-       [?c :block/uid ?uid]
-       [?c :block/string ?text]
-       [?c :block/order ?order]]
-    `);
+  return toNode(data);
+};
 
-    console.log(`📋 Found ${allBlocks.length} blocks on page`);
+/**
+ * First child whose label matches - later duplicates are ignored
+ */
+const findAttributeNode = (nodes, label) => {
+  const wanted = normalizeAttributeLabel(label);
+  return (
+    nodes.find(
+      (node) =>
+        normalizeAttributeLabel(parseAttributeLabel(node.text).label) === wanted
+    ) || null
+  );
+};
 
-    // Step 2: Find the parent block (My Info::, etc.)
-    const parentVariations = [
-      parentFieldName,
-      `${parentFieldName}:`,
-      `${parentFieldName}::`,
-      `**${parentFieldName}:**`,
-      `**${parentFieldName}::**`,
-    ];
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const stripPageRef = (text) => {
+  const value = String(text).trim();
+  const match =
+    value.match(/^#?\[\[(.+)\]\]$/) || value.match(/^#([^\s#[\]]+)$/);
+  return match ? match[1] : value;
+};
 
-    const parentBlock = allBlocks.find(([uid, text, order]) =>
-      parentVariations.some((variation) =>
-        text.toLowerCase().includes(variation.toLowerCase())
-      )
+/**
+ * "[[October 19th, 2026]]", "October 19th, 2026" or "2026-10-19" → Date
+ */
+const parseAttributeDate = (text) => {
+  const value = stripPageRef(text);
+  const daily = value.match(/^([A-Za-z]+) (\d{1,2})(?:st|nd|rd|th), (\d{4})$/);
+  if (daily && MONTH_NAMES.includes(daily[1])) {
+    return new Date(
+      Number(daily[3]),
+      MONTH_NAMES.indexOf(daily[1]),
+      Number(daily[2])
     );
+  }
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+  return null;
+};
 
-    if (!parentBlock) {
-      console.log(`❌ Parent block "${parentFieldName}" not found`);
-      return {};
+const parseAttributeScalar = (type, text) => {
+  const value = String(text).trim();
+  if (!value) return null;
+
+  switch (type) {
+    case "page":
+      return stripPageRef(value);
+    case "date":
+      return parseAttributeDate(value);
+    case "boolean":
+      if (/^(true|yes|on|1)$/i.test(value)) return true;
+      if (/^(false|no|off|0)$/i.test(value)) return false;
+      return null;
+    case "number": {
+      const number = Number(value);
+      return Number.isNaN(number) ? null : number;
     }
+    default:
+      return value;
+  }
+};
 
-    const parentUid = parentBlock[0];
-    console.log(`✅ Found parent block: "${parentBlock[1]}" (${parentUid})`);
-
-    // Step 3: Get children of the parent block (Avatar::, Location::, etc.)
-    const childBlocks = window.roamAlphaAPI.q(`
-      [:find ?uid ?text ?order
-       :where 
-       [?p :block/uid "${parentUid}"]
-       [?p :block/children ?c]
-       [?c :block/uid ?uid]
-       [?c :block/string ?text]
-       [?c :block/order ?order]]
-    `);
+const formatAttributeScalar = (type, value) => {
+  if (value === null || value === undefined || value === "") return null;
+
+  switch (type) {
+    case "page":
+      return `[[${stripPageRef(value)}]]`;
+    case "date": {
+      const date =
+        Object.prototype.toString.call(value) === "[object Date]"
+          ? value
+          : parseAttributeDate(value);
+      if (!date) throw new Error(`Invalid date attribute value: ${value}`);
+      return `[[${window.roamAlphaAPI.util.dateToPageTitle(date)}]]`;
+    }
+    case "boolean":
+      return value ? "true" : "false";
+    default:
+      return String(value);
+  }
+};
 
-    console.log(`📋 Found ${childBlocks.length} child blocks`);
+// Components dropped next to a label ("Avatar:: {{roam/render: ((uid))}}")
+// are not values - 6.5 keeps the avatar image in the children
+const RENDER_MACRO_PATTERN =
+  /\{\{\s*(?:\[\[)?roam\/render(?:\]\])?\s*:[^}]*\}\}/gi;
+
+const splitInlineValue = (node) => {
+  const { inline } = parseAttributeLabel(node.text);
+  return {
+    raw: inline,
+    value: inline.replace(RENDER_MACRO_PATTERN, "").trim(),
+    macros: inline.match(RENDER_MACRO_PATTERN) || [],
+  };
+};
 
-    // Step 4: For each child block, extract the field name and value
-    const result = {};
+/**
+ * Raw value strings of a field block: inline value, then children
+ */
+const getAttributeValueTexts = (node, field) => {
+  const inline = splitInlineValue(node).value;
+  const texts = [
+    ...(inline ? [inline] : []),
+    ...node.children.map((child) => child.text),
+  ];
 
-    for (const [childUid, childText, childOrder] of childBlocks) {
-      // Extract field name (everything before :: or :)
-      let fieldName = childText.replace(/\*\*/g, ""); // Remove bold formatting
+  if (field.type !== "list") return texts;
+
+  // Lists: inline values are comma-separated, children may use a separator
+  return texts
+    .flatMap((text, index) =>
+      index === 0 && inline
+        ? text.split(",")
+        : field.separator
+        ? text.split(field.separator)
+        : [text]
+    )
+    .map((text) => text.trim())
+    .filter(Boolean);
+};
 
-      if (fieldName.includes("::")) {
-        fieldName = fieldName.split("::")[0];
-      } else if (fieldName.includes(":")) {
-        fieldName = fieldName.split(":")[0];
+/**
+ * First "Label:: value" / "**Label:** value" block at any depth under uid
+ * @returns {{ uid, values }|null} values: inline items, then children
+ */
+const findAttribute = (uid, label) => {
+  const wanted = normalizeAttributeLabel(label);
+  const search = (nodes) => {
+    for (const node of nodes) {
+      if (
+        ATTRIBUTE_LABEL_PATTERN.test(node.text.trim()) &&
+        normalizeAttributeLabel(parseAttributeLabel(node.text).label) === wanted
+      ) {
+        return {
+          uid: node.uid,
+          values: getAttributeValueTexts(node, { type: "list" }),
+        };
       }
+      const nested = search(node.children);
+      if (nested) return nested;
+    }
+    return null;
+  };
 
-      fieldName = fieldName.trim().toLowerCase();
+  const tree = uid ? getBlockTree(uid) : null;
+  return tree ? search(tree.children) : null;
+};
 
-      // Get the value (first child of this field block)
-      const valueBlocks = window.roamAlphaAPI.q(`
-        [:find ?text
-         :where 
-         [?p :block/uid "${childUid}"]
-         [?p :block/children ?c]
-         [?c :block/string ?text]]
-      `);
+const defaultAttributeValue = (field) => {
+  if (field.default === undefined) return null;
+  return Array.isArray(field.default) ? [...field.default] : field.default;
+};
 
-      if (valueBlocks.length > 0) {
-        const value = valueBlocks[0][0];
-
-        // Map to expected field names
-        const fieldMapping = {
-          avatar: "avatar",
-          location: "location",
-          role: "role",
-          timezone: "timezone",
-          "about me": "aboutMe",
-          aboutme: "aboutMe",
-        };
+const parseAttributeFields = (nodes, fields, options) => {
+  const result = {};
+  const known = new Set();
 
-        const mappedField = fieldMapping[fieldName] || fieldName;
-        result[mappedField] = value;
+  fields.forEach((field) => {
+    const node = findAttributeNode(nodes, field.label);
+    if (node) known.add(node.uid);
 
-        console.log(
-          `✅ Found field: ${fieldName} → ${mappedField} = "${value}"`
-        );
-      }
+    if (field.type === "object") {
+      result[field.key] = parseAttributeFields(
+        node ? node.children : [],
+        field.fields,
+        options
+      );
+      return;
     }
 
-    console.log(
-      `🎉 FIXED: Extracted ${Object.keys(result).length} fields:`,
-      result
-    );
-    return result;
-  } catch (error) {
-    console.error(
-      `❌ FIXED findNestedDataValuesExact error for "${parentFieldName}":`,
-      error
-    );
-    return {};
+    const texts = node ? getAttributeValueTexts(node, field) : [];
+    let value;
+    if (field.type === "list") {
+      const items = texts
+        .map((text) => parseAttributeScalar(field.of, text))
+        .filter((item) => item !== null);
+      value = items.length > 0 ? items : null;
+    } else {
+      value =
+        texts.length > 0 ? parseAttributeScalar(field.type, texts[0]) : null;
+    }
+
+    result[field.key] = value === null ? defaultAttributeValue(field) : value;
+  });
+
+  // Fields not in the schema: keyed by lowercased label, first raw value
+  if (options.includeUnknown) {
+    nodes
+      .filter((node) => !known.has(node.uid))
+      .forEach((node) => {
+        const key = parseAttributeLabel(node.text).label.toLowerCase();
+        const [value] = getAttributeValueTexts(node, { type: "string" });
+        if (key && !(key in result) && value !== undefined) {
+          result[key] = value;
+        }
+      });
   }
+
+  return result;
 };
 
 /**
- * Set structured data values
+ * Read an attribute tree under a page or block into a typed object
+ * Missing fields are null (or their schema default)
+ * @param {string} pageUid - Page or block uid holding the fields
+ * @param {Object} schema - { key: type | { label, type, of, fields, separator, default } }
+ * @param {Object} options - { includeUnknown } keeps fields not in the schema
  */
-const setDataValueStructured = async (
-  pageUid,
-  fieldName,
-  value,
-  useAttribute = false
-) => {
-  try {
-    const fieldText = useAttribute ? `${fieldName}::` : fieldName;
-    const fieldUid = await ensureBlockExists(pageUid, fieldText);
+const parseAttributeTree = (pageUid, schema, options = {}) => {
+  const fields = normalizeAttributeSchema(schema);
+  const tree = pageUid ? getBlockTree(pageUid) : null;
+  return parseAttributeFields(tree ? tree.children : [], fields, options);
+};
 
-    if (!fieldUid) return false;
+const formatAttributeLabel = (label, labelFormat) => {
+  if (labelFormat === "bold") return `**${label}:**`;
+  if (labelFormat === "plain") return label;
+  return `${label}::`;
+};
 
-    const children = getDirectChildren(fieldUid);
+const writeAttributeFields = async (parent, fields, data, options, stats) => {
+  for (const field of fields) {
+    const value = data[field.key];
+    if (value === undefined) continue;
 
-    if (children.length > 0) {
-      // Update first child
-      await window.roamAlphaAPI.data.block.update({
-        block: { uid: children[0].uid, string: value },
-      });
-    } else {
-      // Create new child
-      const valueUid = generateUID();
-      await window.roamAlphaAPI.data.block.create({
-        location: { "parent-uid": fieldUid, order: 0 },
-        block: { uid: valueUid, string: value },
-      });
+    let node = findAttributeNode(parent.children, field.label);
+    if (!node && value === null) {
+      stats.unchanged++;
+      continue;
+    }
+    if (!node) {
+      // Locked like cascadeToBlock, so concurrent writers share one label
+      const text = formatAttributeLabel(field.label, options.labelFormat);
+      const { uid, created } = await ensureChildBlock(parent.uid, text);
+      node = created ? { uid, text, children: [] } : getBlockTree(uid);
+      parent.children.push(node);
+      if (created) stats.created++;
     }
 
-    return true;
-  } catch (error) {
-    console.error(`setDataValueStructured error:`, error);
-    return false;
-  }
-};
+    if (field.type === "object") {
+      await writeAttributeFields(
+        node,
+        field.fields,
+        value || {},
+        options,
+        stats
+      );
+      continue;
+    }
 
-/**
- * Set nested data values in structured format
- */
-const setNestedDataValuesStructured = async (
-  pageUid,
-  parentFieldName,
-  dataObject,
-  useAttribute = false
-) => {
-  try {
-    const parentText = useAttribute ? `${parentFieldName}::` : parentFieldName;
-    const parentUid = await ensureBlockExists(pageUid, parentText);
-
-    if (!parentUid) return false;
-
-    for (const [fieldName, value] of Object.entries(dataObject)) {
-      const fieldText = useAttribute ? `${fieldName}::` : fieldName;
-      const success = await setDataValueStructured(
-        parentUid,
-        fieldText,
-        value,
-        useAttribute
+    const values = (
+      field.type === "list" ? [].concat(value === null ? [] : value) : [value]
+    )
+      .map((item) =>
+        formatAttributeScalar(
+          field.type === "list" ? field.of : field.type,
+          item
+        )
+      )
+      .filter((text) => text !== null);
+
+    // Unchanged when the stored text parses to the same value
+    const canonical = (texts) =>
+      JSON.stringify(
+        texts
+          .map((text) =>
+            formatAttributeScalar(
+              field.type === "list" ? field.of : field.type,
+              parseAttributeScalar(
+                field.type === "list" ? field.of : field.type,
+                text
+              )
+            )
+          )
+          .filter((text) => text !== null)
       );
-      if (!success) {
-        console.warn(`Failed to set ${fieldName} = ${value}`);
+    const stored = getAttributeValueTexts(node, field);
+    if (
+      canonical(field.type === "list" ? stored : stored.slice(0, 1)) ===
+      JSON.stringify(values)
+    ) {
+      stats.unchanged++;
+      continue;
+    }
+
+    // Inline attributes stay inline, next to any components
+    const inline = splitInlineValue(node);
+    if (inline.value) {
+      const label = node.text
+        .slice(0, node.text.lastIndexOf(inline.raw))
+        .trimEnd();
+      await window.roamAlphaAPI.data.block.update({
+        block: {
+          uid: node.uid,
+          string: [label, values.join(", "), ...inline.macros]
+            .filter(Boolean)
+            .join(" "),
+        },
+      });
+      stats.updated++;
+      continue;
+    }
+
+    // Scalars live in the first child - anything below it is the user's
+    if (field.type !== "list") {
+      const [child] = node.children;
+      if (values.length > 0 && child) {
+        await window.roamAlphaAPI.data.block.update({
+          block: { uid: child.uid, string: values[0] },
+        });
+        stats.updated++;
+      } else if (values.length > 0) {
+        await window.roamAlphaAPI.data.block.create({
+          location: { "parent-uid": node.uid, order: 0 },
+          block: { uid: generateUID(), string: values[0] },
+        });
+        stats.created++;
+      } else if (node.children.length > 1 || child.children.length > 0) {
+        // Clearing keeps the user's notes around the old value
+        await window.roamAlphaAPI.data.block.update({
+          block: { uid: child.uid, string: "" },
+        });
+        stats.updated++;
+      } else {
+        await window.roamAlphaAPI.data.block.delete({
+          block: { uid: child.uid },
+        });
+        stats.deleted++;
       }
+      continue;
     }
 
-    return true;
-  } catch (error) {
-    console.error(`setNestedDataValuesStructured error:`, error);
-    return false;
+    // Lists: update in place, create missing, delete extras
+    for (let index = 0; index < values.length; index++) {
+      const child = node.children[index];
+      if (!child) {
+        await window.roamAlphaAPI.data.block.create({
+          location: { "parent-uid": node.uid, order: index },
+          block: { uid: generateUID(), string: values[index] },
+        });
+        stats.created++;
+      } else if (child.text !== values[index]) {
+        await window.roamAlphaAPI.data.block.update({
+          block: { uid: child.uid, string: values[index] },
+        });
+        stats.updated++;
+      } else {
+        stats.unchanged++;
+      }
+    }
+    for (const extra of node.children.slice(values.length)) {
+      await window.roamAlphaAPI.data.block.delete({
+        block: { uid: extra.uid },
+      });
+      stats.deleted++;
+    }
   }
 };
 
 /**
- * Clear user cache (for testing)
+ * Write typed data back as an attribute tree - existing field blocks are
+ * reused (whatever their label format), so repeated writes never duplicate
+ * Keys that are undefined in data are left alone; null clears a field
+ * @param {string} pageUid - Page or block uid holding the fields
+ * @param {Object} schema - Same schema as parseAttributeTree
+ * @param {Object} data - { key: value }
+ * @param {Object} options - { labelFormat: "attribute" | "bold" | "plain" } for new labels
+ * @returns {Promise<{created, updated, deleted, unchanged}>}
  */
-const clearUserCache = () => {
-  // Implementation for clearing any cached user data
-  console.log("User cache cleared");
+const writeAttributeTree = async (pageUid, schema, data, options = {}) => {
+  if (!pageUid) throw new Error("writeAttributeTree requires a page uid");
+
+  const fields = normalizeAttributeSchema(schema);
+  const tree = getBlockTree(pageUid);
+  if (!tree) throw new Error(`No page or block with uid ${pageUid}`);
+
+  const stats = { created: 0, updated: 0, deleted: 0, unchanged: 0 };
+  await writeAttributeFields(
+    tree,
+    fields,
+    data || {},
+    { labelFormat: options.labelFormat || "attribute" },
+    stats
+  );
+  return stats;
 };
 
 // ===================================================================
@@ -1816,9 +4839,13 @@ const testTimezoneUtilities = () => {
   const testTimezones = [
     "EST",
     "America/New_York",
+    "america/sao_paulo",
     "PST",
     "GMT+1",
+    "UTC+05:30",
     "JST",
+    "Lisbon",
+    "Toronto, Canada",
     "__not yet entered__",
     "invalid-timezone",
   ];
@@ -1830,11 +4857,46 @@ const testTimezoneUtilities = () => {
     console.log(`   Parsed: ${parsed}`);
     console.log(
       `   Time: ${timeInfo.timeString} (${
-        timeInfo.isValid ? "valid" : "invalid"
+        timeInfo.isValid
+          ? `${timeInfo.utcOffset}${timeInfo.isDST ? ", DST" : ""}`
+          : "invalid"
       })`
     );
   });
 
+  // Inputs that must parse exactly this way (null = not a timezone)
+  const expectations = [
+    ["GMT+1", "UTC+01:00"],
+    ["UTC−3", "UTC-03:00"],
+    ["+0545", "UTC+05:45"],
+    ["America/new_york", "America/New_York"],
+    ["GMT 15", null],
+    ["10", null],
+    ["12:00", null],
+    ["UTC=2", null],
+  ];
+  expectations.forEach(([input, expected]) => {
+    const parsed = timezoneManager.parseTimezone(input);
+    if (parsed === expected) {
+      console.log(`✅ "${input}" → ${parsed}`);
+    } else {
+      console.error(`❌ "${input}" → ${parsed}, expected ${expected}`);
+    }
+  });
+
+  const members = window.GraphMemberCache.members.slice(0, 3);
+  if (members.length > 1) {
+    const overlap = getOverlap(members);
+    console.log(
+      `🤝 Today's overlap for ${members.join(", ")}: ${
+        overlap.totalMinutes
+      } min`,
+      overlap.slots
+    );
+    const { slot, reason } = nextSharedSlot(members, 60);
+    console.log("📅 Next shared hour:", slot || reason);
+  }
+
   console.log(
     "🌍 Common timezones:",
     timezoneManager.getCommonTimezones().length
@@ -2053,10 +5115,10 @@ const diagnoseMemberListStructure = () => {
     console.log(`📄 Page "${listPageTitle}" UID:`, pageUid);
 
     if (pageUid) {
-      const allBlocks = window.roamAlphaAPI.data.q(`
+      const allBlocks = runQuery(datalog`
         [:find ?uid ?str
          :where 
-         [?page :node/title "${listPageTitle}"]
+         [?page :node/title ${listPageTitle}]
          [?page :block/children ?block]
          [?block :block/uid ?uid]
          [?block :block/string ?str]]
@@ -2145,6 +5207,19 @@ const testMemberCache = () => {
       JSON.stringify(directQuery) === JSON.stringify(cachedMembers)
     );
 
+    // Test roles and attributes
+    console.log("\n5️⃣ Testing member roles...");
+    MEMBER_ROLES.forEach((role) => {
+      const names = getMembersByRole(role).map((entry) => entry.name);
+      console.log(`${role}: ${names.length}`, names);
+    });
+    if (currentUser?.displayName) {
+      console.log(
+        `Is "${currentUser.displayName}" an admin: ${isAdmin()}`,
+        getMember(currentUser.displayName)
+      );
+    }
+
     console.log("\n✅ Member cache test completed!");
   } catch (error) {
     console.error("❌ Member cache test failed:", error);
@@ -2243,6 +5318,10 @@ const testAutoRegistrationWithCache = async () => {
 const UTILITIES = {
   // 🌍 Timezone Management Utilities
   timezoneManager,
+  parseWorkingHours,
+  getMemberSchedule,
+  getOverlap,
+  nextSharedSlot,
 
   // 🪟 Modal Creation Utilities
   modalUtilities,
@@ -2262,6 +5341,27 @@ const UTILITIES = {
   getGraphMembersFromList,
   addGraphMember,
   removeGraphMember,
+  getMember,
+  getMembersByRole,
+  isAdmin,
+  setMemberAttributes,
+
+  // 🪪 Identity
+  getUserIdentity,
+  getUserDisplayName,
+  resolveMemberName,
+  getIdentityDrift,
+  planMemberRename,
+  renameMember,
+  analyzeMemberProfile,
+  writeProfileReport,
+
+  // 🕰️ Preference History
+  getPreferenceHistoryTitle,
+  readPreferenceValue,
+  recordPreferenceChange,
+  getPreferenceHistory,
+  getPreferencesAt,
 
   // 📝 Member Cache System
   GraphMemberCache: window.GraphMemberCache,
@@ -2281,11 +5381,27 @@ const UTILITIES = {
 
   // 🚀 Bulletproof Cascading
   cascadeToBlock,
+  findDuplicateCascades,
+  mergeDuplicateBlocks,
 
   // 🔧 Core Functions
   setDataValueStructured,
   setNestedDataValuesStructured,
 
+  // 🌳 Attribute Trees
+  parseAttributeTree,
+  writeAttributeTree,
+  parseAttributeLabel,
+  findAttribute,
+  getBlockTree,
+  stripPageRef,
+  ATTRIBUTE_SCHEMAS,
+
+  // 🛡️ Safe Queries
+  datalog,
+  runQuery,
+  escapeDatalogString,
+
   // 🏗️ Helper Functions
   getPageUidByTitle,
   getPageUidByPageTitle,
@@ -2297,6 +5413,9 @@ const UTILITIES = {
   // 🧭 Page Navigation Functions
   getCurrentPageTitle,
   getCurrentPageUid,
+  getPageContext,
+  onPageChange,
+  classifyPage,
   getPageTitlesStartingWithPrefix,
 
   // 🔍 FIXED: User Detection
@@ -2328,6 +5447,195 @@ const UTILITIES = {
   diagnoseMemberListStructure,
 };
 
+// ===================================================================
+// 🏷️ UTILITY CONTRACTS - Versions consumers can requireUtility() against
+// ===================================================================
+
+// Bump the major version whenever a signature or return shape changes.
+// Utilities not listed here register as 1.0.0.
+const UTILITY_CONTRACTS = {
+  timezoneManager: {
+    version: "1.2.0",
+    signature:
+      "{ parseTimezone, validateTimezone, getCurrentTimeForTimezone, getCommonTimezones, getZonedParts, getOffset, isDST, zonedTimeToUtc }",
+  },
+  parseWorkingHours: {
+    version: "1.0.0",
+    signature:
+      '(text = "Mon-Fri 09:00-17:00") → { 0..6: [[startMin, endMin]] } | null',
+  },
+  getMemberSchedule: {
+    version: "1.0.0",
+    signature:
+      "(username) → { name, timezone, workingHours, workingHoursText }",
+  },
+  getOverlap: {
+    version: "1.0.0",
+    signature:
+      "(members, date?, { timezone }?) → { start, end, slots, totalMinutes, members, missing }",
+  },
+  nextSharedSlot: {
+    version: "2.0.0",
+    signature:
+      '(members, durationMinutes, { from, horizonDays, granularity }?) → { slot: { start, end, minutes } | null, reason: null | "no-timezones" | "no-overlap", missing }',
+  },
+  modalUtilities: {
+    version: "1.2.0",
+    signature:
+      "{ openDialog, createModal, createModalContent, createModalHeader, closeModal, getOpenModals, confirmDialog, alertDialog, promptDialog }",
+  },
+  cascadeToBlock: {
+    version: "2.0.0",
+    signature:
+      "(pageTitle, contentArray, createMissing = true) → Promise<blockUid | null>",
+  },
+  getCurrentUser: {
+    version: "2.0.0",
+    signature: "() → { displayName, email, uid, photoUrl, method }",
+  },
+  getCurrentUserViaOfficialAPI: {
+    version: "2.0.0",
+    signature: "() → { displayName, email, uid, photoUrl, method } | null",
+  },
+  findDuplicateCascades: {
+    version: "1.0.0",
+    signature:
+      "(pageTitleOrUid, { all }?) → Array<{ parentUid, text, path, uid, duplicateUids }>",
+  },
+  mergeDuplicateBlocks: {
+    version: "1.0.0",
+    signature: "(uids | duplicateGroup) → Promise<{ kept, moved, deleted }>",
+  },
+  getDirectChildren: {
+    version: "1.0.0",
+    signature: "(parentUid) → Array<{ uid, text, order }>",
+  },
+  getPageUidByTitle: {
+    version: "1.0.0",
+    signature: "(title) → pageUid | null",
+  },
+  createPageIfNotExists: {
+    version: "1.0.0",
+    signature: "(title) → Promise<pageUid | null>",
+  },
+  findNestedDataValuesExact: {
+    version: "1.1.0",
+    signature: "(pageUid, parentFieldName) → { [field]: value }",
+  },
+  setNestedDataValuesStructured: {
+    version: "1.1.0",
+    signature:
+      "(pageUid, parentFieldName, dataObject, useAttribute = false) → Promise<boolean>",
+  },
+  datalog: {
+    version: "1.0.0",
+    signature: "`template with ${values}` → { query, args }",
+  },
+  runQuery: {
+    version: "1.0.0",
+    signature: "({ query, args } | queryString, ...args) → results",
+  },
+  parseAttributeTree: {
+    version: "1.0.0",
+    signature: "(pageUid, schema, { includeUnknown }?) → { [key]: value }",
+  },
+  writeAttributeTree: {
+    version: "1.0.0",
+    signature:
+      "(pageUid, schema, data, { labelFormat }?) → Promise<{ created, updated, deleted, unchanged }>",
+  },
+  findAttribute: {
+    version: "1.0.0",
+    signature: "(uid, label) → { uid, values } | null",
+  },
+  getBlockTree: {
+    version: "1.0.0",
+    signature:
+      "(uid, { withEditors }?) → { uid, text, order, editor?, children } | null",
+  },
+  getGraphMembersFromList: {
+    version: "1.1.0",
+    signature: "(listPageTitle?, blockName?) → string[]",
+  },
+  getMember: {
+    version: "1.0.0",
+    signature:
+      "(username) → { name, uid, role, team, joined, active, ... } | null",
+  },
+  getMembersByRole: {
+    version: "1.0.0",
+    signature: "(role, { includeInactive }?) → member[]",
+  },
+  isAdmin: {
+    version: "1.0.0",
+    signature: "(username = current user) → boolean",
+  },
+  getUserIdentity: {
+    version: "1.0.0",
+    signature:
+      "(userUidOrName) → { userUid, displayName, memberName, previousNames, names } | null",
+  },
+  resolveMemberName: {
+    version: "1.0.0",
+    signature: "(anyCurrentOrPastName) → directory name",
+  },
+  getIdentityDrift: {
+    version: "1.0.0",
+    signature: "() → [{ userUid, memberName, displayName }]",
+  },
+  planMemberRename: {
+    version: "1.0.0",
+    signature:
+      "(oldName, newName) → { from, to, pages, blocks, entry, conflicts }",
+  },
+  analyzeMemberProfile: {
+    version: "1.0.0",
+    signature:
+      '(username) → { name, fields, completeness, missing, stale, avatar: "image" | "placeholder" | "missing" | "not an image" }',
+  },
+  writeProfileReport: {
+    version: "1.0.0",
+    signature:
+      "({ date }?) → Promise<{ pageUid, snapshotUid, report, entries, changes }>",
+  },
+  recordPreferenceChange: {
+    version: "1.1.0",
+    signature:
+      "(username, { key, oldValue, newValue, source, time }, { quiet }?) → Promise<entry uid | null>",
+  },
+  getPreferenceHistory: {
+    version: "1.0.0",
+    signature:
+      "(username, { key, limit }?) → [{ uid, key, oldValue, newValue, time, source }]",
+  },
+  getPreferencesAt: {
+    version: "1.0.0",
+    signature: "(username, date) → { key: value }",
+  },
+  renameMember: {
+    version: "1.0.0",
+    signature:
+      "(oldName, newName, { onProgress }?) → Promise<{ from, to, userUid, pages, blocks, failed, dryRun }>",
+  },
+  setMemberAttributes: {
+    version: "1.0.0",
+    signature: "(username, { role, team, joined, active }) → Promise<member>",
+  },
+  getCurrentPageTitle: {
+    version: "2.1.0",
+    signature: '(windowId = "main") → page title (never a page uid) | ""',
+  },
+  getPageContext: {
+    version: "1.0.0",
+    signature:
+      '(windowId = "main") → { uid, title, type, owner, windowId } | null',
+  },
+  onPageChange: {
+    version: "1.0.0",
+    signature: "(callback(context)) → unsubscribe",
+  },
+};
+
 // ===================================================================
 // 🎯 EXTENSION REGISTRATION - WITH MEMBER CACHE SYSTEM
 // ===================================================================
@@ -2364,7 +5672,11 @@ export default {
       // Register individual utilities with platform
       if (window.RoamExtensionSuite.registerUtility) {
         Object.entries(UTILITIES).forEach(([name, utility]) => {
-          window.RoamExtensionSuite.registerUtility(name, utility);
+          window.RoamExtensionSuite.registerUtility(name, utility, {
+            version: "1.0.0",
+            ...UTILITY_CONTRACTS[name],
+            provider: "utility-library (Extension 1.5)",
+          });
         });
       }
 
@@ -2387,6 +5699,9 @@ export default {
       }
     }
 
+    // 🧭 Start page context detection (emits page:changed)
+    window.PageContextService.start();
+
     // ✅ ENHANCED: Initialize member cache and trigger auto-registration on startup
     setTimeout(async () => {
       try {
@@ -2401,7 +5716,12 @@ export default {
           console.log(
             `🎯 Auto-registering user on startup: ${currentUser.displayName}`
           );
-          await autoRegisterUser(currentUser.displayName);
+          // A renamed member keeps their entry until "Rename Member" runs
+          const drift = await linkCurrentUserIdentity();
+          if (!drift) {
+            await autoRegisterUser(currentUser.displayName);
+            await linkCurrentUserIdentity();
+          }
         } else {
           console.log("⚠️ No real user detected for auto-registration");
         }
@@ -2424,6 +5744,18 @@ export default {
         label: "Test: Cascade to Block",
         callback: testCascadeToBlock,
       },
+      {
+        label: "🧹 Merge Duplicate Blocks on This Page",
+        callback: mergeDuplicatesOnCurrentPage,
+      },
+      {
+        label: "👥 Rename Member",
+        callback: renameMemberCommand,
+      },
+      {
+        label: "📋 Refresh Profile Report",
+        callback: profileReportCommand,
+      },
       {
         label: "Test: Quick Cascade Test",
         callback: quickCascadeTest,
@@ -2527,6 +5859,12 @@ export default {
       "🔧 Extension 1.5 ENHANCED VERSION with Member Cache unloading..."
     );
 
+    window.PageContextService.stop();
+
+    // Close open dialogs - the last one closing drops the capture listeners
+    [...dialogStack].reverse().forEach((entry) => finishDialog(entry, null));
+    setDialogListeners(false);
+
     // Clean up global functions
     Object.keys(UTILITIES).forEach((name) => {
       if (window[name]) {
@@ -5,7 +5,7 @@
 // 🔧 ENHANCED: Professional multi-section button architecture
 // ===================================================================
 
-(() => {
+const simpleButtonUtility = (() => {
   "use strict";
 
   const EXTENSION_NAME = "Simple Button Utility";
@@ -46,6 +46,26 @@
       },
       purpose: "Secondary actions",
     },
+    menu: {
+      defaultStyle: {
+        padding: "8px 10px",
+        minWidth: "28px",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      },
+      purpose: "Dropdown of items - nested, checkable or loaded on open",
+    },
+    toggle: {
+      defaultStyle: {
+        padding: "8px 10px",
+        minWidth: "32px",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      },
+      purpose: "On/off state, e.g. a filter or a mute",
+    },
     dismiss: {
       defaultStyle: {
         padding: "8px 10px",
@@ -62,8 +82,28 @@
 
   // ==================== CENTRALIZED PAGE TITLE DETECTION ====================
 
+  // Set while a right sidebar window is evaluated, so page conditions read
+  // that window's page instead of the main one
+  let evaluatedWindow = null;
+
+  function withEvaluatedWindow(pageContext, fn) {
+    const previous = evaluatedWindow;
+    evaluatedWindow = pageContext;
+    try {
+      return fn();
+    } finally {
+      evaluatedWindow = previous;
+    }
+  }
+
   function getCurrentPageTitle() {
     try {
+      if (evaluatedWindow) return evaluatedWindow.title || null;
+
+      // Shared page context service (Extension 1.5) knows the real title
+      const context = window.PageContextService?.get("main");
+      if (context?.title) return context.title;
+
       const titleSelectors = [
         ".roam-article h1",
         ".rm-page-title",
@@ -120,9 +160,12 @@
 
   // ==================== BUTTON STACK POSITIONING ====================
 
+  // Negative x / y measure from the right / bottom edge. A full stack gives
+  // its last slot to a "more" menu; avoid is the way it moves off Roam's UI
   const BUTTON_STACKS = {
     "top-left": {
       maxButtons: 2,
+      avoid: "down",
       positions: [
         { x: 14, y: 6 },
         { x: 14, y: 54 },
@@ -130,6 +173,7 @@
     },
     "top-right": {
       maxButtons: 5,
+      avoid: "down",
       positions: [
         { x: -14, y: 6 },
         { x: -14, y: 54 },
@@ -138,8 +182,93 @@
         { x: -14, y: 198 },
       ],
     },
+    // Fixed to the viewport, growing upwards
+    "bottom-right": {
+      maxButtons: 3,
+      avoid: "left",
+      fixed: true,
+      positions: [
+        { x: -24, y: -24 },
+        { x: -24, y: -72 },
+        { x: -24, y: -120 },
+      ],
+    },
+    // A row under the page title
+    inline: {
+      maxButtons: 4,
+      layout: "row",
+    },
   };
 
+  // Roam UI that stacked buttons must not cover
+  const ROAM_UI_SELECTORS = [
+    ".rm-topbar",
+    ".rm-title-display > span",
+    "#right-sidebar",
+    ".bp3-toast-container",
+  ];
+
+  // "{button id} → {stack}" per line, in stack order
+  const POSITIONS_PREFERENCE = "Button Positions";
+  const DRAG_THRESHOLD = 5;
+
+  // ==================== SIDEBAR WINDOWS ====================
+
+  // Where a button may appear: the main page, right sidebar windows or both
+  const BUTTON_WINDOWS = ["main", "sidebar", "all"];
+
+  /**
+   * The .rm-sidebar-window element showing a sidebar page context
+   */
+  function findSidebarWindowElement(pageContext) {
+    const elements = Array.from(
+      document.querySelectorAll("#right-sidebar .rm-sidebar-window")
+    );
+    if (elements.length === 0) return null;
+
+    // Roam renders sidebar windows in their API order
+    try {
+      const windows = (
+        window.roamAlphaAPI.ui.rightSidebar?.getWindows?.() || []
+      ).sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+      const index = windows.findIndex(
+        (sidebarWindow) => sidebarWindow["window-id"] === pageContext.windowId
+      );
+      if (index !== -1 && windows.length === elements.length) {
+        return elements[index];
+      }
+    } catch (error) {
+      console.warn("⚠️ Could not read sidebar windows:", error);
+    }
+
+    return (
+      elements.find(
+        (element) =>
+          element.querySelector(".rm-title-display")?.textContent?.trim() ===
+          pageContext.title
+      ) || null
+    );
+  }
+
+  /**
+   * currentPage for an action context - the page of the window it ran in
+   */
+  function describeWindowPage(windowId = "main") {
+    if (windowId === "main") {
+      return {
+        url: window.location.href,
+        title: getCurrentPageTitle(),
+        uid: window.PageContextService?.get("main")?.uid || null,
+      };
+    }
+    const page = window.PageContextService?.get(windowId);
+    return {
+      url: window.location.href,
+      title: page?.title || null,
+      uid: page?.uid || null,
+    };
+  }
+
   // ==================== PAGE CHANGE DETECTOR ====================
 
   class SimplePageChangeDetector {
@@ -147,27 +276,81 @@
       this.currentUrl = window.location.href;
       this.currentTitle = document.title;
       this.listeners = new Set();
+      this.sidebarListeners = new Set();
       this.isMonitoring = false;
     }
 
     startMonitoring() {
       if (this.isMonitoring) return;
+      this.isMonitoring = true;
+
+      const platform = window.RoamExtensionSuite;
+      if (platform?.on) {
+        // Shared page context service (Extension 1.5) - sidebar windows
+        // changing or closing only rebuild the sidebar buttons
+        this.boundContextChange = (context) => {
+          if (context.windowId === "main") this.notifyListeners(context);
+          else this.notifySidebarListeners(context);
+        };
+        this.boundContextClose = (context) =>
+          this.notifySidebarListeners(context);
+        platform.on("page:changed", this.boundContextChange, {
+          replay: false,
+        });
+        platform.on("page:closed", this.boundContextClose, { replay: false });
+
+        // Fall back to polling if the utility library never loads
+        platform
+          .whenUtility("getPageContext", {
+            requestedBy: "simple-button-utility",
+          })
+          .catch(() => {
+            if (!this.isMonitoring || this.isPolling) return;
+            console.warn(
+              "⚠️ Page context service unavailable - polling for page changes"
+            );
+            this.startPolling();
+          });
+      } else {
+        this.startPolling();
+      }
+
+      // Registered as one unit so the patched history methods are restored too
+      this.tracked = platform?.trackDisposable?.(
+        "simple-button-utility",
+        () => this.stopMonitoring(),
+        "page change detector"
+      );
+      console.log("🚀 Simple page monitoring started");
+    }
+
+    startPolling() {
       this.setupURLListeners();
       this.setupTitleListener();
       this.setupPeriodicCheck();
-      this.isMonitoring = true;
-      console.log("🚀 Simple page monitoring started");
+      this.isPolling = true;
     }
 
     stopMonitoring() {
       if (!this.isMonitoring) return;
-      window.removeEventListener("popstate", this.boundURLChange);
-      if (this.originalPushState) history.pushState = this.originalPushState;
-      if (this.originalReplaceState)
-        history.replaceState = this.originalReplaceState;
-      if (this.titleObserver) this.titleObserver.disconnect();
-      if (this.checkInterval) clearInterval(this.checkInterval);
+      if (this.boundContextChange) {
+        window.RoamExtensionSuite?.off("page:changed", this.boundContextChange);
+        window.RoamExtensionSuite?.off("page:closed", this.boundContextClose);
+        this.boundContextChange = null;
+        this.boundContextClose = null;
+      }
+      if (this.isPolling) {
+        window.removeEventListener("popstate", this.boundURLChange);
+        if (this.originalPushState) history.pushState = this.originalPushState;
+        if (this.originalReplaceState)
+          history.replaceState = this.originalReplaceState;
+        if (this.titleObserver) this.titleObserver.disconnect();
+        if (this.checkInterval) clearInterval(this.checkInterval);
+        this.isPolling = false;
+      }
       this.isMonitoring = false;
+      this.tracked?.release();
+      this.tracked = null;
       console.log("🛑 Simple page monitoring stopped");
     }
 
@@ -216,23 +399,42 @@
 
       if (newUrl !== this.currentUrl || newTitle !== this.currentTitle) {
         console.log(`📄 Page changed: ${this.currentUrl} → ${newUrl}`);
-        this.currentUrl = newUrl;
-        this.currentTitle = newTitle;
-
-        this.listeners.forEach((listener) => {
-          try {
-            listener({ url: newUrl, title: newTitle });
-          } catch (error) {
-            console.error("❌ Page change listener error:", error);
-          }
-        });
+        this.notifyListeners({ title: newTitle });
       }
     }
 
+    notifyListeners(context) {
+      this.currentUrl = window.location.href;
+      this.currentTitle = document.title;
+
+      this.listeners.forEach((listener) => {
+        try {
+          listener({ url: this.currentUrl, ...context });
+        } catch (error) {
+          console.error("❌ Page change listener error:", error);
+        }
+      });
+    }
+
     onPageChange(listener) {
       this.listeners.add(listener);
       return () => this.listeners.delete(listener);
     }
+
+    notifySidebarListeners(context) {
+      this.sidebarListeners.forEach((listener) => {
+        try {
+          listener(context);
+        } catch (error) {
+          console.error("❌ Sidebar change listener error:", error);
+        }
+      });
+    }
+
+    onSidebarChange(listener) {
+      this.sidebarListeners.add(listener);
+      return () => this.sidebarListeners.delete(listener);
+    }
   }
 
   // ==================== BUTTON CONDITIONS ====================
@@ -283,6 +485,7 @@
     },
 
     isDailyNote: () => {
+      if (evaluatedWindow) return evaluatedWindow.type === "daily";
       const url = window.location.href;
       return (
         /\/page\/\d{2}-\d{2}-\d{4}/.test(url) ||
@@ -291,7 +494,9 @@
       );
     },
 
+    // A sidebar window counts when it shows a page
     isMainPage: () => {
+      if (evaluatedWindow) return !!evaluatedWindow.title;
       return (
         !!document.querySelector(".roam-article") &&
         window.location.href.includes("/page/")
@@ -299,6 +504,7 @@
     },
 
     isSettingsPage: () => {
+      if (evaluatedWindow) return evaluatedWindow.type === "settings";
       return (
         window.location.href.includes("/settings") ||
         window.location.href.includes("roam/settings")
@@ -318,26 +524,852 @@
     },
   };
 
+  // ==================== CONDITION EXPRESSIONS ====================
+  // Visibility rules as plain data, so they can be stored and authored:
+  //   "isUsernamePage"                      named ButtonConditions entry
+  //   ["isChatRoom", "isDailyNote"]         any of (the showOn/hideOn list form)
+  //   { and: [...] } { or: [...] } { not: expr }
+  //   { pageTitleMatches: "^Project" }      regex, case-insensitive
+  //   { namespace: "Alex Rivera" }          the page or anything under "Alex Rivera/"
+  //   { userRole: "admin" }                 current member's role (or a list)
+  //   { pageOwnerIs: "currentUser" }        member name, "currentUser" or "anyone"
+  //   { hasAttribute: "Status" }            or { name: "Status", value: "Draft" }
+
+  const CONDITION_CONFIG_PAGE = "roam/button conditions";
+  const CONDITION_WATCH_PATTERN =
+    "[:node/title :block/string {:block/children ...}]";
+
+  function getEvaluatedPageContext() {
+    return evaluatedWindow || window.PageContextService?.get("main") || {};
+  }
+
+  // Attribute and page-ref parsing come from Extension 1.5, so rules read
+  // pages the same way the rest of the suite writes them
+  function suiteUtility(name) {
+    const utility = window.RoamExtensionSuite?.getUtility?.(name);
+    if (!utility) throw new Error(`${name} unavailable - load Extension 1.5`);
+    return utility;
+  }
+
+  function stripPageRef(text) {
+    return suiteUtility("stripPageRef")(text);
+  }
+
+  const CONDITION_OPERATORS = {
+    pageTitleMatches: (value, context) => {
+      const source = String(value);
+      const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+      const regex = literal
+        ? new RegExp(literal[1], literal[2])
+        : new RegExp(source, "i");
+      return {
+        result: regex.test(context.title || ""),
+        detail: `title "${context.title}"`,
+      };
+    },
+
+    namespace: (value, context) => {
+      const namespace = stripPageRef(value).replace(/\/+$/, "");
+      const title = context.title || "";
+      return {
+        result: title === namespace || title.startsWith(`${namespace}/`),
+        detail: `title "${title}"`,
+      };
+    },
+
+    userRole: (value, context) => {
+      const roles = [].concat(value).flatMap((role) =>
+        String(role)
+          .split(",")
+          .map((item) => item.trim().toLowerCase())
+          .filter(Boolean)
+      );
+      const role = context.member?.role || null;
+      return {
+        result: !!role && roles.includes(role),
+        detail: `role ${role || "none"}`,
+      };
+    },
+
+    pageOwnerIs: (value, context) => {
+      const wanted = stripPageRef(value);
+      const owner = context.owner;
+      let result;
+      if (wanted === "anyone") result = !!owner;
+      else if (wanted === "currentUser") {
+        result = !!owner && owner === context.member?.name;
+      } else result = owner === wanted;
+      return {
+        result,
+        detail: `owner ${owner || "none"}${
+          wanted === "currentUser"
+            ? `, you ${context.member?.name || "unknown"}`
+            : ""
+        }`,
+      };
+    },
+
+    hasAttribute: (value, context) => {
+      const { name, value: expected = null } =
+        typeof value === "object" ? value : { name: value };
+      const found = context.pageUid
+        ? suiteUtility("findAttribute")(context.pageUid, name)
+        : null;
+      const result =
+        !!found &&
+        (expected === null ||
+          found.values.some(
+            (item) =>
+              stripPageRef(item).toLowerCase() ===
+              String(expected).toLowerCase()
+          ));
+      return {
+        result,
+        detail: found ? `${name}: ${found.values.join(", ")}` : "not on page",
+      };
+    },
+  };
+
+  function describeCondition(expression) {
+    return typeof expression === "string"
+      ? expression
+      : JSON.stringify(expression);
+  }
+
+  /**
+   * Problems with an expression, [] when it is valid
+   */
+  function validateCondition(expression, path = "condition") {
+    if (typeof expression === "string") {
+      return ButtonConditions[expression] && expression !== "custom"
+        ? []
+        : [`${path}: unknown condition "${expression}"`];
+    }
+    if (Array.isArray(expression)) {
+      return expression.flatMap((item, index) =>
+        validateCondition(item, `${path}[${index}]`)
+      );
+    }
+    if (!expression || typeof expression !== "object") {
+      return [`${path}: expected a condition, got ${expression}`];
+    }
+
+    const keys = Object.keys(expression);
+    if (keys.length !== 1) {
+      return [`${path}: expected exactly one operator, got ${keys.join(", ")}`];
+    }
+    const [key] = keys;
+    const value = expression[key];
+    if (key === "and" || key === "or") {
+      return Array.isArray(value)
+        ? validateCondition(value, `${path}.${key}`)
+        : [`${path}.${key}: expected a list`];
+    }
+    if (key === "not") return validateCondition(value, `${path}.not`);
+    if (!CONDITION_OPERATORS[key]) {
+      return [`${path}: unknown operator "${key}"`];
+    }
+    if (key === "pageTitleMatches") {
+      try {
+        const literal = String(value).match(/^\/(.+)\/([a-z]*)$/);
+        new RegExp(literal ? literal[1] : value, literal ? literal[2] : "i");
+      } catch (error) {
+        return [`${path}.pageTitleMatches: ${error.message}`];
+      }
+    }
+    return [];
+  }
+
+  /**
+   * What the leaves look at, read once per evaluation. Custom condition
+   * functions get it too, so they can tell which window they are judging
+   */
+  function createConditionContext() {
+    const page = getEvaluatedPageContext();
+    let member;
+    return {
+      windowId: page.windowId || "main",
+      title: page.title || getCurrentPageTitle(),
+      pageUid: page.uid || null,
+      type: page.type || null,
+      owner: page.owner || null,
+      get member() {
+        if (member === undefined) {
+          member = window.GraphMemberCache?.getCurrentMember?.() || null;
+        }
+        return member;
+      },
+    };
+  }
+
+  /**
+   * Evaluate an expression; trace (optional) collects one line per node
+   */
+  function evaluateCondition(
+    expression,
+    context = createConditionContext(),
+    trace = null,
+    depth = 0
+  ) {
+    const record = (label, result) => {
+      trace?.push(`${"  ".repeat(depth)}${label} → ${result}`);
+      return result;
+    };
+
+    if (typeof expression === "string") {
+      const condition =
+        expression !== "custom" ? ButtonConditions[expression] : null;
+      if (!condition) return record(`${expression} (unknown)`, false);
+      return record(expression, !!condition());
+    }
+
+    if (Array.isArray(expression)) {
+      return evaluateCondition({ or: expression }, context, trace, depth);
+    }
+
+    const [key] = Object.keys(expression || {});
+    const value = expression?.[key];
+
+    // Children are traced beneath their operator's line
+    if (key === "and" || key === "or" || key === "not") {
+      const line = trace ? trace.push("") - 1 : -1;
+      const results = [];
+      for (const child of [].concat(value)) {
+        const result = evaluateCondition(child, context, trace, depth + 1);
+        results.push(result);
+        // Short-circuit like && / ||
+        if (key === "and" && !result) break;
+        if (key === "or" && result) break;
+      }
+      const result =
+        key === "and"
+          ? results.every(Boolean)
+          : key === "or"
+          ? results.some(Boolean)
+          : !results.some(Boolean);
+      if (trace) trace[line] = `${"  ".repeat(depth)}${key} → ${result}`;
+      return result;
+    }
+
+    const operator = CONDITION_OPERATORS[key];
+    if (!operator) {
+      return record(`${describeCondition(expression)} (unknown)`, false);
+    }
+    try {
+      const { result, detail } = operator(value, context);
+      return record(
+        `${key} ${describeCondition(value)} (${detail})`,
+        Boolean(result)
+      );
+    } catch (error) {
+      return record(
+        `${key} ${describeCondition(value)} (${error.message})`,
+        false
+      );
+    }
+  }
+
+  /**
+   * Outline form used on the config page:
+   *   and / or / not        children are the operands
+   *   key:: value           a leaf, e.g. "userRole:: admin"
+   *   isUsernamePage        a named condition
+   * "hasAttribute:: Status = Draft" also checks the value
+   */
+  function parseConditionOutline(node) {
+    const text = node.text.trim();
+    const keyword = text.toLowerCase();
+
+    if (keyword === "and" || keyword === "or" || keyword === "not") {
+      const operands = node.children.map(parseConditionOutline);
+      if (keyword !== "not") return { [keyword]: operands };
+      return { not: operands.length === 1 ? operands[0] : { or: operands } };
+    }
+
+    const leaf = text.match(/^([A-Za-z]+)::\s*(.*)$/);
+    if (leaf) {
+      const [, key, rawValue] = leaf;
+      const value = rawValue || node.children[0]?.text.trim() || "";
+      if (key === "hasAttribute" && value.includes("=")) {
+        const [name, expected] = value.split("=").map((part) => part.trim());
+        return { hasAttribute: { name, value: expected } };
+      }
+      return { [key]: value };
+    }
+
+    return text;
+  }
+
+  /**
+   * Admin-authored rules from "roam/button conditions":
+   *   {button id}      as registered, e.g. "ExtensionName-my-button"
+   *     Show When::   (several children must all hold)
+   *     Hide When::   (any child hides)
+   * When the directory has admins, rules last edited by anyone else are ignored
+   * @returns {Map<buttonId, { showWhen, hideWhen }>}
+   */
+  function loadConditionRules() {
+    const rules = new Map();
+    const page = window.roamAlphaAPI.pull("[:block/uid]", [
+      ":node/title",
+      CONDITION_CONFIG_PAGE,
+    ]);
+    if (!page) return rules;
+
+    const platform = window.RoamExtensionSuite;
+    const hasAdmins =
+      (window.GraphMemberCache?.getMembersByRole?.("admin") || []).length > 0;
+    const isAdminUser = (userUid) => {
+      const identity = platform?.getUtility?.("getUserIdentity")?.(userUid);
+      return (
+        !!identity?.memberName &&
+        window.GraphMemberCache.isAdmin(identity.memberName)
+      );
+    };
+    const editors = (node) => [
+      node.editor,
+      ...node.children.flatMap((child) => editors(child)),
+    ];
+
+    const tree = suiteUtility("getBlockTree")(page[":block/uid"], {
+      withEditors: true,
+    });
+    (tree ? tree.children : []).forEach((buttonNode) => {
+      const buttonId = stripPageRef(buttonNode.text);
+      if (!buttonId) return;
+
+      if (
+        hasAdmins &&
+        !editors(buttonNode).filter(Boolean).every(isAdminUser)
+      ) {
+        console.warn(
+          `⚠️ Ignoring button rule "${buttonId}" - edited by a non-admin`
+        );
+        return;
+      }
+
+      const rule = {};
+      buttonNode.children.forEach((section) => {
+        const label = section.text.trim().toLowerCase();
+        const operands = section.children.map(parseConditionOutline);
+        if (operands.length === 0) return;
+        if (label === "show when::") {
+          rule.showWhen =
+            operands.length === 1 ? operands[0] : { and: operands };
+        } else if (label === "hide when::") {
+          rule.hideWhen =
+            operands.length === 1 ? operands[0] : { or: operands };
+        }
+      });
+
+      const problems = [
+        ...(rule.showWhen ? validateCondition(rule.showWhen, "Show When") : []),
+        ...(rule.hideWhen ? validateCondition(rule.hideWhen, "Hide When") : []),
+      ];
+      if (problems.length > 0) {
+        console.warn(
+          `⚠️ Ignoring button rule "${buttonId}": ${problems.join("; ")}`
+        );
+        return;
+      }
+      if (rule.showWhen || rule.hideWhen) rules.set(buttonId, rule);
+    });
+
+    return rules;
+  }
+
+  // ==================== BUTTON STATE ====================
+  // Per-button state that updateButton() can change in place, without a rebuild
+
+  const BUTTON_STATE_KEYS = ["text", "icon", "disabled", "loading", "badge"];
+  const TOAST_DURATION = 4000;
+
+  function ensureButtonStyles() {
+    if (document.getElementById("simple-button-utility-styles")) return;
+    const style = document.createElement("style");
+    style.id = "simple-button-utility-styles";
+    style.textContent = `
+      @keyframes simple-button-spin { to { transform: rotate(360deg); } }
+      [data-button-part="spinner"] {
+        width: 11px;
+        height: 11px;
+        border: 2px solid currentColor;
+        border-right-color: transparent;
+        border-radius: 50%;
+        animation: simple-button-spin 700ms linear infinite;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function formatBadge(badge) {
+    if (badge === null || badge === undefined || badge === "" || badge === 0) {
+      return null;
+    }
+    return typeof badge === "number" && badge > 99 ? "99+" : String(badge);
+  }
+
+  // Spinner, icon, label and badge inside a clickable host
+  function appendStateParts(host, label) {
+    const spinner = document.createElement("span");
+    spinner.dataset.buttonPart = "spinner";
+    spinner.style.cssText =
+      "display: none; margin-right: 6px; vertical-align: -1px;";
+
+    const icon = document.createElement("span");
+    icon.dataset.buttonPart = "icon";
+    icon.dataset.optional = "true";
+    icon.style.marginRight = "6px";
+
+    const text = document.createElement("span");
+    text.dataset.buttonPart = "label";
+    text.textContent = label || "";
+
+    const badge = document.createElement("span");
+    badge.dataset.buttonPart = "badge";
+    badge.style.cssText = `
+      display: none;
+      margin-left: 6px;
+      padding: 0 6px;
+      min-width: 18px;
+      border-radius: 9px;
+      background: #dc3545;
+      color: white;
+      font-size: 11px;
+      line-height: 18px;
+      text-align: center;
+    `;
+
+    host.append(spinner, icon, text, badge);
+  }
+
+  function showButtonToast(message, type = "error") {
+    const toast = document.createElement("div");
+    toast.setAttribute("role", type === "error" ? "alert" : "status");
+    toast.textContent = message;
+    Object.assign(toast.style, {
+      position: "fixed",
+      bottom: "24px",
+      left: "50%",
+      transform: "translateX(-50%)",
+      padding: "10px 16px",
+      borderRadius: "6px",
+      background: type === "error" ? "#dc3545" : "#333",
+      color: "white",
+      fontSize: "13px",
+      boxShadow: "0 4px 12px rgba(0,0,0,0.2)",
+      zIndex: "10001",
+    });
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), TOAST_DURATION);
+    return toast;
+  }
+
+  // ==================== HOTKEYS ====================
+  // "ctrl+shift+j", "Alt-Shift-P" or "mod+k" (⌘ on Mac, Ctrl elsewhere)
+
+  const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || "");
+  const HOTKEY_MODIFIERS = ["ctrl", "meta", "alt", "shift"];
+
+  // Roam and browser shortcuts a button may not take over
+  const RESERVED_HOTKEYS = [
+    "mod+p",
+    "mod+u",
+    "mod+k",
+    "mod+enter",
+    "mod+z",
+    "mod+shift+z",
+    "mod+c",
+    "mod+v",
+    "mod+x",
+    "mod+a",
+    "mod+b",
+    "mod+i",
+    "mod+f",
+    "mod+s",
+  ];
+
+  function normalizeHotkey(hotkey) {
+    const parts = String(hotkey)
+      .toLowerCase()
+      .split(/[+-](?!$)/)
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => {
+        if (part === "mod") return IS_MAC ? "meta" : "ctrl";
+        if (part === "cmd" || part === "command") return "meta";
+        if (part === "control") return "ctrl";
+        if (part === "option") return "alt";
+        return part;
+      });
+    const key = parts.pop();
+    const invalid = parts.filter((part) => !HOTKEY_MODIFIERS.includes(part));
+    if (!key || HOTKEY_MODIFIERS.includes(key) || invalid.length > 0) {
+      throw new Error(`Invalid hotkey "${hotkey}"`);
+    }
+    return [
+      ...HOTKEY_MODIFIERS.filter((modifier) => parts.includes(modifier)),
+      key,
+    ].join("+");
+  }
+
+  function hotkeyFromEvent(event) {
+    // Alt changes event.key on Mac ("∂" for alt+d), so prefer the physical key
+    const code = event.code || "";
+    const key = /^Key[A-Z]$/.test(code)
+      ? code.slice(3).toLowerCase()
+      : /^Digit\d$/.test(code)
+      ? code.slice(5)
+      : (event.key || "").toLowerCase();
+    return [
+      event.ctrlKey && "ctrl",
+      event.metaKey && "meta",
+      event.altKey && "alt",
+      event.shiftKey && "shift",
+      key,
+    ]
+      .filter(Boolean)
+      .join("+");
+  }
+
+  function isEditableTarget(target) {
+    return (
+      !!target?.closest?.(
+        "input, textarea, select, [contenteditable='true']"
+      ) || !!target?.isContentEditable
+    );
+  }
+
+  // ==================== BUTTON MENUS ====================
+  // Dropdowns for "menu" sections. Items:
+  //   { label, icon, onClick, checked, disabled, value }
+  //   { label, items: [...] }      a submenu
+  //   { type: "separator" }
+  // A section's items may be a function, sync or async, called on each open
+
+  const MENU_STYLE = {
+    minWidth: "180px",
+    padding: "4px",
+    background: "white",
+    border: "1px solid rgba(0,0,0,0.1)",
+    borderRadius: "6px",
+    boxShadow: "0 4px 12px rgba(0,0,0,0.2)",
+    zIndex: "10001",
+  };
+
+  const MENU_ITEM_STYLE = {
+    display: "flex",
+    alignItems: "center",
+    gap: "6px",
+    width: "100%",
+    padding: "6px 10px",
+    background: "none",
+    border: "none",
+    borderRadius: "4px",
+    textAlign: "left",
+    fontSize: "13px",
+    color: "#333",
+    cursor: "pointer",
+    whiteSpace: "nowrap",
+  };
+
+  function isItemChecked(item) {
+    return typeof item.checked === "function"
+      ? !!item.checked()
+      : !!item.checked;
+  }
+
+  class ButtonMenu {
+    constructor(anchor, items, options = {}) {
+      this.anchor = anchor;
+      this.source = items;
+      this.onSelect = options.onSelect || (() => {});
+      this.onClose = options.onClose || null;
+      this.parentMenu = options.parentMenu || null;
+      this.element = null;
+      this.itemElements = [];
+      this.submenu = null;
+      this.handleOutsideClick = this.handleOutsideClick.bind(this);
+    }
+
+    get root() {
+      return this.parentMenu ? this.parentMenu.root : this;
+    }
+
+    get isOpen() {
+      return !!this.element;
+    }
+
+    async open() {
+      const menu = document.createElement("div");
+      menu.setAttribute("role", "menu");
+      Object.assign(menu.style, MENU_STYLE, { position: "fixed" });
+
+      // Below the anchor, or beside it for a submenu
+      const rect = this.anchor.getBoundingClientRect();
+      if (this.parentMenu) {
+        menu.style.top = `${rect.top}px`;
+        menu.style.left = `${rect.right + 2}px`;
+      } else {
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.left = `${rect.left}px`;
+      }
+
+      menu.addEventListener("keydown", (e) => this.handleKeydown(e));
+      this.element = menu;
+      document.body.appendChild(menu);
+      this.anchor.setAttribute("aria-expanded", "true");
+      if (!this.parentMenu) {
+        document.addEventListener("mousedown", this.handleOutsideClick, true);
+      }
+
+      this.renderMessage("Loading…");
+      let items;
+      try {
+        items =
+          typeof this.source === "function" ? await this.source() : this.source;
+      } catch (error) {
+        console.warn("⚠️ Could not load menu items:", error);
+        if (this.element === menu) this.renderMessage("Couldn't load items");
+        return this;
+      }
+      if (this.element !== menu) return this; // closed while loading
+
+      this.renderItems(items || []);
+      this.focusItem(0);
+      return this;
+    }
+
+    renderMessage(text) {
+      this.element.replaceChildren();
+      const message = document.createElement("div");
+      message.setAttribute("role", "menuitem");
+      message.setAttribute("aria-disabled", "true");
+      message.tabIndex = -1;
+      Object.assign(message.style, MENU_ITEM_STYLE, {
+        color: "#888",
+        cursor: "default",
+      });
+      message.textContent = text;
+      this.element.appendChild(message);
+      this.itemElements = [];
+      message.focus();
+    }
+
+    renderItems(items) {
+      this.element.replaceChildren();
+      this.itemElements = [];
+
+      if (items.length === 0) {
+        this.renderMessage("Nothing here");
+        return;
+      }
+
+      items.forEach((item) => {
+        if (item.type === "separator") {
+          const separator = document.createElement("div");
+          separator.setAttribute("role", "separator");
+          separator.style.cssText =
+            "height: 1px; margin: 4px 6px; background: rgba(0,0,0,0.1);";
+          this.element.appendChild(separator);
+          return;
+        }
+
+        const checkable = item.checked !== undefined;
+        const element = document.createElement("button");
+        element.type = "button";
+        element.tabIndex = -1;
+        element.setAttribute(
+          "role",
+          checkable ? "menuitemcheckbox" : "menuitem"
+        );
+        if (checkable) {
+          element.setAttribute("aria-checked", String(isItemChecked(item)));
+        }
+        if (item.items) {
+          element.setAttribute("aria-haspopup", "menu");
+          element.setAttribute("aria-expanded", "false");
+        }
+        if (item.disabled) element.setAttribute("aria-disabled", "true");
+        Object.assign(element.style, MENU_ITEM_STYLE, {
+          opacity: item.disabled ? "0.5" : "1",
+          cursor: item.disabled ? "not-allowed" : "pointer",
+        });
+
+        const check = document.createElement("span");
+        check.style.width = "14px";
+        check.textContent = checkable && isItemChecked(item) ? "✓" : "";
+        const label = document.createElement("span");
+        label.style.flex = "1";
+        label.textContent = `${item.icon ? `${item.icon} ` : ""}${item.label}`;
+        element.append(check, label);
+        if (item.items) {
+          const arrow = document.createElement("span");
+          arrow.textContent = "▸";
+          element.appendChild(arrow);
+        }
+
+        element.addEventListener("mouseenter", () => element.focus());
+        element.addEventListener("focus", () => {
+          element.style.background = "rgba(0, 123, 255, 0.1)";
+        });
+        element.addEventListener("blur", () => {
+          element.style.background = "none";
+        });
+        element.addEventListener("click", (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          this.activate(item, element);
+        });
+
+        this.element.appendChild(element);
+        this.itemElements.push({ item, element });
+      });
+    }
+
+    activate(item, element) {
+      if (item.disabled) return;
+      if (item.items) {
+        this.openSubmenu(item, element);
+        return;
+      }
+
+      const checked =
+        item.checked === undefined ? undefined : !isItemChecked(item);
+      // Static items remember their state for the next open
+      if (typeof item.checked === "boolean") item.checked = checked;
+      this.root.close({ restoreFocus: true });
+      this.onSelect(item, checked);
+    }
+
+    async openSubmenu(item, element) {
+      if (this.submenu?.anchor === element) {
+        this.submenu.focusItem(0);
+        return;
+      }
+      this.submenu?.close();
+      this.submenu = new ButtonMenu(element, item.items, {
+        parentMenu: this,
+        onSelect: this.onSelect,
+      });
+      await this.submenu.open();
+    }
+
+    focusItem(index) {
+      const enabled = this.itemElements.filter(({ item }) => !item.disabled);
+      if (enabled.length === 0) return;
+      const wrapped = (index + enabled.length) % enabled.length;
+      enabled[wrapped].element.focus();
+    }
+
+    handleKeydown(e) {
+      const enabled = this.itemElements.filter(({ item }) => !item.disabled);
+      const current = enabled.findIndex(
+        ({ element }) => element === document.activeElement
+      );
+      const focused = enabled[current];
+
+      switch (e.key) {
+        case "ArrowDown":
+          this.focusItem(current + 1);
+          break;
+        case "ArrowUp":
+          this.focusItem(current === -1 ? -1 : current - 1);
+          break;
+        case "Home":
+          this.focusItem(0);
+          break;
+        case "End":
+          this.focusItem(-1);
+          break;
+        case "ArrowRight":
+          if (!focused?.item.items) return;
+          this.openSubmenu(focused.item, focused.element);
+          break;
+        case "ArrowLeft":
+          if (!this.parentMenu) return;
+          this.close({ restoreFocus: true });
+          break;
+        case "Escape":
+          this.close({ restoreFocus: true });
+          break;
+        case "Tab":
+          this.root.close();
+          return; // let focus move on
+        default:
+          return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+    }
+
+    handleOutsideClick(e) {
+      const inside = (menu) =>
+        !!menu && (menu.element?.contains(e.target) || inside(menu.submenu));
+      if (!inside(this) && !this.anchor.contains(e.target)) this.close();
+    }
+
+    close({ restoreFocus = false } = {}) {
+      if (!this.element) return;
+      this.submenu?.close();
+      this.submenu = null;
+      this.element.remove();
+      this.element = null;
+      this.anchor.setAttribute("aria-expanded", "false");
+      document.removeEventListener("mousedown", this.handleOutsideClick, true);
+      if (this.parentMenu?.submenu === this) this.parentMenu.submenu = null;
+      if (restoreFocus) this.anchor.focus();
+      this.onClose?.();
+    }
+  }
+
   // ==================== SIMPLE BUTTON REGISTRY v3.0 ====================
 
   class SimpleButtonRegistry {
     constructor() {
       this.registeredButtons = new Map();
       this.activeButtons = new Map();
-      this.stacks = { "top-left": [], "top-right": [] };
+      this.stacks = Object.fromEntries(
+        Object.keys(BUTTON_STACKS).map((name) => [name, []])
+      );
+      this.overflowMenus = new Map();
+      this.overflowItems = new Map();
+      this.userPositions = new Map();
+      this.inlineRow = null;
+      this.sidebarWindows = new Map(); // windowId → { row, buttons }
+      this.hotkeys = new Map();
+      this.hotkeyConflicts = [];
+      this.paletteCommands = new Map();
+      this.toggleStates = new Map();
+      this.openMenu = null;
+      this.handleHotkey = this.handleHotkey.bind(this);
       this.container = null;
       this.debugMode = false;
+      this.conditionRules = new Map();
+      this.conditionRulesStale = true;
+      this.conditionRulesWatch = null;
       this.pageDetector = new SimplePageChangeDetector();
 
       this.pageDetector.onPageChange(() => {
         this.rebuildAllButtons();
       });
+      this.pageDetector.onSidebarChange(() => {
+        this.rebuildSidebarButtons();
+        this.syncPaletteCommands();
+      });
     }
 
     async initialize() {
       this.setupContainer();
+      document.addEventListener("keydown", this.handleHotkey, true);
+      window.RoamExtensionSuite?.trackDisposable?.(
+        "simple-button-utility",
+        () => document.removeEventListener("keydown", this.handleHotkey, true),
+        "button hotkeys"
+      );
       this.pageDetector.startMonitoring();
       this.rebuildAllButtons();
+      this.loadUserPositions();
       console.log(
         "✅ Simple Button Registry v3.0 initialized with compound button support"
       );
@@ -345,6 +1377,7 @@
     }
 
     setupContainer() {
+      ensureButtonStyles();
       this.container = null;
       console.log("✅ Container setup configured for dynamic detection");
     }
@@ -370,6 +1403,64 @@
 
     // ==================== CORE REBUILD LOGIC ====================
 
+    // Rules are read once and kept until the config page changes - while it
+    // doesn't exist there is nothing to watch, so each rebuild looks again
+    refreshConditionRules() {
+      if (!this.conditionRulesStale) return;
+      try {
+        this.conditionRules = loadConditionRules();
+        this.conditionRulesStale = !this.watchConditionRules();
+      } catch (error) {
+        console.warn(`⚠️ Could not read ${CONDITION_CONFIG_PAGE}:`, error);
+        this.conditionRules = new Map();
+      }
+    }
+
+    watchConditionRules() {
+      if (this.conditionRulesWatch) return true;
+      const exists = window.roamAlphaAPI.pull("[:db/id]", [
+        ":node/title",
+        CONDITION_CONFIG_PAGE,
+      ]);
+      if (!exists) return false;
+
+      const ref = `[:node/title "${CONDITION_CONFIG_PAGE}"]`;
+      const onChange = (before, after) => {
+        // A deleted page can't be watched again - look for it on each rebuild
+        if (!after) this.unwatchConditionRules();
+        this.conditionRulesStale = true;
+        this.rebuildAllButtons();
+      };
+      window.roamAlphaAPI.data.addPullWatch(
+        CONDITION_WATCH_PATTERN,
+        ref,
+        onChange
+      );
+      const stop = () =>
+        window.roamAlphaAPI.data.removePullWatch(
+          CONDITION_WATCH_PATTERN,
+          ref,
+          onChange
+        );
+      this.conditionRulesWatch = {
+        stop,
+        tracked: window.RoamExtensionSuite?.trackDisposable?.(
+          "simple-button-utility",
+          stop,
+          "button condition rules"
+        ),
+      };
+      return true;
+    }
+
+    unwatchConditionRules() {
+      if (!this.conditionRulesWatch) return;
+      this.conditionRulesWatch.stop();
+      this.conditionRulesWatch.tracked?.release();
+      this.conditionRulesWatch = null;
+      this.conditionRulesStale = true;
+    }
+
     rebuildAllButtons() {
       console.log("🔄 Rebuilding all buttons for current page...");
       if (this.debugMode) {
@@ -382,6 +1473,8 @@
       this.clearAllButtons();
       this.clearAllStacks();
 
+      this.refreshConditionRules();
+
       if (this.debugMode) {
         console.log(
           `📋 Evaluating ${this.registeredButtons.size} registered buttons`
@@ -390,6 +1483,7 @@
 
       const visibleButtons = [];
       this.registeredButtons.forEach((config) => {
+        if (config.windows === "sidebar") return;
         if (this.shouldButtonBeVisible(config)) {
           visibleButtons.push(config);
           if (this.debugMode) {
@@ -408,7 +1502,14 @@
         );
       }
 
+      // User-arranged buttons first, in the order they were dropped
+      const ranks = Array.from(this.userPositions.keys());
+      const rank = (config) => {
+        const index = ranks.indexOf(config.id);
+        return index === -1 ? Infinity : index;
+      };
       visibleButtons.sort((a, b) => {
+        if (rank(a) !== rank(b)) return rank(a) < rank(b) ? -1 : 1;
         if (a.priority && !b.priority) return -1;
         if (!a.priority && b.priority) return 1;
         return 0;
@@ -419,6 +1520,8 @@
       });
 
       this.placeAllStackedButtons();
+      this.rebuildSidebarButtons();
+      this.syncPaletteCommands();
 
       console.log(
         `✅ Button rebuild complete (${this.activeButtons.size} visible)`
@@ -428,53 +1531,648 @@
         console.log("📊 Final button status:", {
           registered: Array.from(this.registeredButtons.keys()),
           visible: Array.from(this.activeButtons.keys()),
-          stacks: {
-            "top-left": this.stacks["top-left"].map((b) => b.id),
-            "top-right": this.stacks["top-right"].map((b) => b.id),
-          },
+          stacks: Object.fromEntries(
+            Object.entries(this.stacks).map(([name, configs]) => [
+              name,
+              configs.map((b) => b.id),
+            ])
+          ),
         });
       }
     }
 
     clearAllButtons() {
+      this.openMenu?.close();
       this.activeButtons.forEach((element) => {
         element.remove();
       });
       this.activeButtons.clear();
+      this.overflowMenus.forEach((element) => element.remove());
+      this.overflowMenus.clear();
+      this.overflowItems.clear();
+      this.inlineRow?.remove();
+      this.inlineRow = null;
+      this.clearSidebarButtons();
     }
 
     clearAllStacks() {
-      this.stacks["top-left"] = [];
-      this.stacks["top-right"] = [];
+      Object.keys(this.stacks).forEach((stackName) => {
+        this.stacks[stackName] = [];
+      });
+    }
+
+    getButtonStack(config) {
+      const arranged = this.userPositions.get(config.id);
+      return BUTTON_STACKS[arranged] ? arranged : config.stack || "top-right";
     }
 
     assignButtonToStack(config) {
-      const targetStack = config.stack || "top-right";
-      const stackConfig = BUTTON_STACKS[targetStack];
+      const targetStack = this.getButtonStack(config);
+      const stack = this.stacks[targetStack];
+      stack.push(config);
 
-      if (this.stacks[targetStack].length < stackConfig.maxButtons) {
-        this.stacks[targetStack].push(config);
+      if (stack.length > BUTTON_STACKS[targetStack].maxButtons) {
         console.log(
-          `📍 Button "${config.id}" assigned to ${targetStack} slot ${this.stacks[targetStack].length}`
+          `📍 Button "${config.id}" moved to the ${targetStack} "more" menu`
         );
       } else {
-        console.warn(
-          `⚠️ Button "${config.id}" skipped - no slots available in ${targetStack}`
+        console.log(
+          `📍 Button "${config.id}" assigned to ${targetStack} slot ${stack.length}`
         );
       }
     }
 
     placeAllStackedButtons() {
       Object.keys(this.stacks).forEach((stackName) => {
-        this.stacks[stackName].forEach((config, index) => {
+        const configs = this.stacks[stackName];
+        const { maxButtons } = BUTTON_STACKS[stackName];
+        const shown =
+          configs.length > maxButtons
+            ? configs.slice(0, maxButtons - 1)
+            : configs;
+
+        shown.forEach((config, index) => {
           this.createAndPlaceButton(config, stackName, index);
         });
+        if (shown.length < configs.length) {
+          this.createOverflowMenu(
+            configs.slice(shown.length),
+            stackName,
+            shown.length
+          );
+        }
+        this.avoidCollisions(stackName);
+      });
+    }
+
+    // ==================== STACK PLACEMENT ====================
+
+    getInlineRow() {
+      if (this.inlineRow?.isConnected) return this.inlineRow;
+
+      const row = document.createElement("div");
+      row.dataset.buttonStack = "inline";
+      Object.assign(row.style, {
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "8px",
+        margin: "4px 0 12px",
+      });
+
+      const title = document.querySelector(".roam-article .rm-title-display");
+      if (title) title.after(row);
+      else this.getCurrentContainer().prepend(row);
+      this.inlineRow = row;
+      return row;
+    }
+
+    placeInStack(buttonContainer, stackName, stackIndex) {
+      const stackConfig = BUTTON_STACKS[stackName];
+      buttonContainer.dataset.buttonStack = stackName;
+
+      if (stackConfig.layout === "row") {
+        buttonContainer.style.position = "relative";
+        this.getInlineRow().appendChild(buttonContainer);
+        return;
+      }
+
+      const position = stackConfig.positions[stackIndex];
+      if (position.x < 0) {
+        buttonContainer.style.right = `${Math.abs(position.x)}px`;
+        buttonContainer.style.left = "auto";
+      } else {
+        buttonContainer.style.left = `${position.x}px`;
+        buttonContainer.style.right = "auto";
+      }
+      if (position.y < 0) {
+        buttonContainer.style.bottom = `${Math.abs(position.y)}px`;
+        buttonContainer.style.top = "auto";
+      } else {
+        buttonContainer.style.top = `${position.y}px`;
+      }
+
+      if (stackConfig.fixed) {
+        buttonContainer.style.position = "fixed";
+        document.body.appendChild(buttonContainer);
+      } else {
+        this.getCurrentContainer().appendChild(buttonContainer);
+      }
+    }
+
+    getStackElements(stackName) {
+      return [
+        ...Array.from(this.activeButtons.values()),
+        ...Array.from(this.overflowMenus.values()),
+      ].filter((element) => element.dataset.buttonStack === stackName);
+    }
+
+    // Shift a whole stack clear of Roam UI it overlaps
+    avoidCollisions(stackName) {
+      const { avoid } = BUTTON_STACKS[stackName];
+      if (!avoid) return;
+
+      const obstacles = ROAM_UI_SELECTORS.flatMap((selector) =>
+        Array.from(document.querySelectorAll(selector))
+      )
+        .map((element) => element.getBoundingClientRect())
+        .filter((rect) => rect.width > 0 && rect.height > 0);
+      const elements = this.getStackElements(stackName);
+
+      let shift = 0;
+      elements.forEach((element) => {
+        const rect = element.getBoundingClientRect();
+        obstacles.forEach((obstacle) => {
+          const overlaps =
+            rect.left < obstacle.right &&
+            rect.right > obstacle.left &&
+            rect.top < obstacle.bottom &&
+            rect.bottom > obstacle.top;
+          if (!overlaps) return;
+          shift = Math.max(
+            shift,
+            avoid === "down"
+              ? obstacle.bottom - rect.top + 8
+              : rect.right - obstacle.left + 8
+          );
+        });
+      });
+      if (shift === 0) return;
+
+      elements.forEach((element) => {
+        const property = avoid === "down" ? "top" : "right";
+        const current = parseFloat(element.style[property]) || 0;
+        element.style[property] = `${current + shift}px`;
+      });
+      if (this.debugMode) {
+        console.log(`↕️ Stack ${stackName} moved ${shift}px ${avoid}`);
+      }
+    }
+
+    // ==================== SIDEBAR WINDOWS ====================
+
+    /**
+     * Evaluate sidebar-enabled buttons against each open sidebar page and
+     * show the visible ones in a row at the top of that window
+     */
+    rebuildSidebarButtons() {
+      this.clearSidebarButtons();
+      const configs = Array.from(this.registeredButtons.values())
+        .filter((config) => config.windows !== "main")
+        .sort((a, b) => (a.priority === b.priority ? 0 : a.priority ? -1 : 1));
+      if (configs.length === 0) return;
+
+      const pages = (window.PageContextService?.getAll() || []).filter(
+        (page) => page.windowId !== "main"
+      );
+      pages.forEach((page) => {
+        const windowElement = findSidebarWindowElement(page);
+        if (!windowElement) {
+          if (this.debugMode) {
+            console.log(`🔍 No element for sidebar window ${page.windowId}`);
+          }
+          return;
+        }
+
+        const visibleButtons = withEvaluatedWindow(page, () =>
+          configs.filter((config) => this.shouldButtonBeVisible(config))
+        );
+        if (visibleButtons.length === 0) return;
+
+        const row = document.createElement("div");
+        row.dataset.buttonWindow = page.windowId;
+        Object.assign(row.style, {
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "6px",
+          margin: "4px 0 8px",
+        });
+        const title = windowElement.querySelector(".rm-title-display");
+        if (title) title.insertAdjacentElement("afterend", row);
+        else windowElement.prepend(row);
+
+        this.sidebarWindows.set(page.windowId, { row, buttons: new Map() });
+        visibleButtons.forEach((config, index) => {
+          this.createAndPlaceButton(config, "sidebar", index, page.windowId);
+        });
+      });
+    }
+
+    clearSidebarButtons() {
+      this.sidebarWindows.forEach(({ row }) => {
+        if (row.contains(this.openMenu?.anchor)) this.openMenu.close();
+        row.remove();
+      });
+      this.sidebarWindows.clear();
+    }
+
+    // Stacked placement in the main window, a plain row in sidebar windows
+    mountButton(config, buttonContainer, stackName, stackIndex, windowId) {
+      this.applyButtonState(config, buttonContainer);
+      buttonContainer.dataset.buttonWindow = windowId;
+      if (windowId !== "main") {
+        const sidebarWindow = this.sidebarWindows.get(windowId);
+        buttonContainer.style.position = "relative";
+        sidebarWindow.row.appendChild(buttonContainer);
+        sidebarWindow.buttons.set(config.id, buttonContainer);
+        return;
+      }
+      this.enableDrag(buttonContainer, config);
+      this.placeInStack(buttonContainer, stackName, stackIndex);
+      this.activeButtons.set(config.id, buttonContainer);
+    }
+
+    forgetButtonElement(id, buttonContainer) {
+      const windowId = buttonContainer.dataset.buttonWindow || "main";
+      const elements =
+        windowId === "main"
+          ? this.activeButtons
+          : this.sidebarWindows.get(windowId)?.buttons;
+      if (elements?.get(id) === buttonContainer) elements.delete(id);
+    }
+
+    // Every element currently showing a button, in any window
+    getButtonElements(id) {
+      const elements = [
+        this.activeButtons.get(id) || this.overflowItems.get(id),
+      ];
+      this.sidebarWindows.forEach(({ buttons }) => {
+        elements.push(buttons.get(id));
+      });
+      return elements.filter(Boolean);
+    }
+
+    // The main window when the button shows there, else the first sidebar
+    findButtonWindow(id) {
+      if (this.activeButtons.has(id) || this.overflowItems.has(id)) {
+        return "main";
+      }
+      for (const [windowId, { buttons }] of this.sidebarWindows) {
+        if (buttons.has(id)) return windowId;
+      }
+      return null;
+    }
+
+    // ==================== OVERFLOW MENU ====================
+
+    getButtonLabel(config) {
+      return (
+        config.text ||
+        config.sections?.find(
+          (section) =>
+            section.type === "main" && typeof section.content === "string"
+        )?.content ||
+        config.id
+      );
+    }
+
+    // A simple button's onClick, or a compound button's main action
+    getPrimaryAction(config) {
+      if (config.onClick) return config.onClick;
+      const sections = config.sections || [];
+      return (
+        sections.find((section) => section.type === "main")?.onClick ||
+        sections.find((section) => section.type !== "dismiss")?.onClick ||
+        null
+      );
+    }
+
+    createOverflowMenu(configs, stackName, stackIndex) {
+      const wrapper = document.createElement("div");
+      wrapper.style.position = "absolute";
+      wrapper.style.zIndex = "10000";
+
+      const toggle = document.createElement("button");
+      toggle.textContent = `⋯ ${configs.length} more`;
+      toggle.setAttribute("aria-haspopup", "menu");
+      toggle.setAttribute("aria-expanded", "false");
+      Object.assign(toggle.style, {
+        padding: "8px 12px",
+        background: "rgba(255, 255, 255, 0.95)",
+        color: "#333",
+        border: "1px solid rgba(0,0,0,0.1)",
+        borderRadius: "6px",
+        fontSize: "13px",
+        fontWeight: "500",
+        cursor: "pointer",
+        boxShadow: "0 2px 8px rgba(0,0,0,0.15)",
+        whiteSpace: "nowrap",
+      });
+
+      const menu = document.createElement("div");
+      menu.setAttribute("role", "menu");
+      Object.assign(menu.style, MENU_STYLE, {
+        display: "none",
+        position: "absolute",
+        right: "0",
+      });
+      // Open away from the edge the stack is anchored to
+      if (stackName === "bottom-right") menu.style.bottom = "100%";
+      else menu.style.top = "100%";
+      if (stackName === "top-left" || stackName === "inline") {
+        menu.style.left = "0";
+        menu.style.right = "auto";
+      }
+
+      const items = configs.map((config) => {
+        const item = document.createElement("button");
+        item.setAttribute("role", "menuitem");
+        item.dataset.buttonAction = "main";
+        Object.assign(item.style, MENU_ITEM_STYLE, { gap: "0" });
+        appendStateParts(item, this.getButtonLabel(config));
+        this.applyButtonState(config, item);
+
+        item.addEventListener("click", (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          setOpen(false);
+          this.runButtonAction(config.id, this.getPrimaryAction(config), {
+            buttonId: config.id,
+            buttonStack: stackName,
+            buttonPosition: stackIndex + 1,
+            fromOverflowMenu: true,
+            windowId: "main",
+            currentPage: describeWindowPage("main"),
+          });
+        });
+
+        this.overflowItems.set(config.id, item);
+        menu.appendChild(item);
+        return item;
+      });
+
+      const closeOnOutsideClick = (e) => {
+        if (!wrapper.contains(e.target)) setOpen(false);
+      };
+      const setOpen = (open) => {
+        menu.style.display = open ? "block" : "none";
+        toggle.setAttribute("aria-expanded", String(open));
+        if (open) {
+          document.addEventListener("click", closeOnOutsideClick, true);
+          items[0]?.focus();
+        } else {
+          document.removeEventListener("click", closeOnOutsideClick, true);
+        }
+      };
+
+      toggle.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setOpen(menu.style.display === "none");
+      });
+
+      menu.addEventListener("keydown", (e) => {
+        const index = items.indexOf(document.activeElement);
+        if (e.key === "Escape") {
+          e.preventDefault();
+          e.stopPropagation();
+          setOpen(false);
+          toggle.focus();
+        } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+          e.preventDefault();
+          const step = e.key === "ArrowDown" ? 1 : -1;
+          items[(index + step + items.length) % items.length].focus();
+        }
+      });
+
+      wrapper.append(toggle, menu);
+      this.placeInStack(wrapper, stackName, stackIndex);
+      this.overflowMenus.set(stackName, wrapper);
+
+      console.log(
+        `📂 ${configs.length} button(s) in the ${stackName} "more" menu`
+      );
+      return wrapper;
+    }
+
+    // ==================== USER ARRANGEMENT ====================
+
+    async getPreferenceAccess() {
+      const platform = window.RoamExtensionSuite;
+      if (!platform?.whenUtility) return null;
+
+      const [getUserPreference, setUserPreference] = await Promise.all(
+        ["getUserPreference", "setUserPreference"].map((name) =>
+          platform.whenUtility(name, { requestedBy: "simple-button-utility" })
+        )
+      );
+      const user = platform.getUtility("getCurrentUser")?.();
+      if (!user || user.method === "error") return null;
+      return {
+        username: user.displayName,
+        getUserPreference,
+        setUserPreference,
+      };
+    }
+
+    async loadUserPositions() {
+      try {
+        const access = await this.getPreferenceAccess();
+        if (!access) return;
+
+        const value = await access.getUserPreference(
+          access.username,
+          POSITIONS_PREFERENCE,
+          []
+        );
+        const positions = new Map();
+        [].concat(value || []).forEach((line) => {
+          const [id, stack] = String(line)
+            .split("→")
+            .map((part) => part.trim());
+          if (id && BUTTON_STACKS[stack]) positions.set(id, stack);
+        });
+
+        this.userPositions = positions;
+        if (positions.size > 0) {
+          console.log(`📌 Loaded ${positions.size} user-arranged button(s)`);
+          this.rebuildAllButtons();
+        }
+      } catch (error) {
+        console.warn(
+          "⚠️ Button positions unavailable - using default stacks:",
+          error.message
+        );
+      }
+    }
+
+    async saveUserPositions() {
+      try {
+        const access = await this.getPreferenceAccess();
+        if (!access) return false;
+        return await access.setUserPreference(
+          access.username,
+          POSITIONS_PREFERENCE,
+          Array.from(this.userPositions).map(
+            ([id, stack]) => `${id} → ${stack}`
+          ),
+          { source: "simple-button-utility" }
+        );
+      } catch (error) {
+        console.warn("⚠️ Could not save button positions:", error.message);
+        return false;
+      }
+    }
+
+    /**
+     * Put a button at an index of a stack for this user. The stack's current
+     * order is saved with it, so the arrangement survives new buttons
+     */
+    moveButton(id, stackName, index = Infinity) {
+      const config = this.registeredButtons.get(id);
+      if (!config) {
+        console.warn(`⚠️ Cannot move unknown button "${id}"`);
+        return false;
+      }
+      if (!BUTTON_STACKS[stackName]) {
+        throw new Error(
+          `Invalid stack: ${stackName}. Must be: ${Object.keys(
+            BUTTON_STACKS
+          ).join(", ")}`
+        );
+      }
+
+      // this.stacks only holds the buttons shown on this page
+      const visible = this.stacks[stackName]
+        .map((item) => item.id)
+        .filter((itemId) => itemId !== id);
+      const order = [...visible];
+      order.splice(Math.min(index, order.length), 0, id);
+
+      // Merge into the saved order: buttons hidden on this page keep their
+      // places, the visible ones take the new order
+      const saved = Array.from(this.userPositions)
+        .filter(([itemId, stack]) => stack === stackName && itemId !== id)
+        .map(([itemId]) => itemId);
+      const merged = [
+        ...saved,
+        ...visible.filter((itemId) => !saved.includes(itemId)),
+      ];
+      const next = order[order.indexOf(id) + 1];
+      const lastVisible = Math.max(
+        ...visible.map((itemId) => merged.indexOf(itemId))
+      );
+      merged.splice(
+        next ? merged.indexOf(next) : Math.max(lastVisible + 1, 0),
+        0,
+        id
+      );
+      const slots = [...order];
+      const stackOrder = merged.map((itemId) =>
+        itemId === id || visible.includes(itemId) ? slots.shift() : itemId
+      );
+
+      const positions = new Map(
+        Array.from(this.userPositions).filter(
+          ([itemId, stack]) => stack !== stackName && itemId !== id
+        )
+      );
+      stackOrder.forEach((itemId) => positions.set(itemId, stackName));
+      this.userPositions = positions;
+
+      console.log(`📌 Button "${id}" moved to ${stackName} #${index + 1}`);
+      this.rebuildAllButtons();
+      this.saveUserPositions();
+      return true;
+    }
+
+    resetButtonPositions() {
+      this.userPositions = new Map();
+      this.rebuildAllButtons();
+      this.saveUserPositions();
+      console.log("📌 Button positions reset to defaults");
+    }
+
+    // The stack whose anchor is nearest to a drop point
+    findDropTarget(x, y, draggedElement) {
+      const article = this.getCurrentContainer().getBoundingClientRect();
+      const title = document
+        .querySelector(".roam-article .rm-title-display")
+        ?.getBoundingClientRect();
+      const anchors = {
+        "top-left": { x: article.left, y: article.top },
+        "top-right": { x: article.right, y: article.top },
+        "bottom-right": { x: window.innerWidth, y: window.innerHeight },
+        inline: title
+          ? { x: title.left, y: title.bottom }
+          : { x: article.left, y: article.top + 60 },
+      };
+
+      const [stackName] = Object.entries(anchors).sort(
+        ([, a], [, b]) =>
+          Math.hypot(a.x - x, a.y - y) - Math.hypot(b.x - x, b.y - y)
+      )[0];
+
+      // Position among the buttons already there
+      const layout = BUTTON_STACKS[stackName];
+      const index = this.getStackElements(stackName)
+        .filter(
+          (element) => element !== draggedElement && element.dataset.buttonId
+        )
+        .filter((element) => {
+          const rect = element.getBoundingClientRect();
+          if (layout.layout === "row") return rect.left + rect.width / 2 < x;
+          // bottom-right grows upwards
+          if (layout.positions[0].y < 0) {
+            return rect.top + rect.height / 2 > y;
+          }
+          return rect.top + rect.height / 2 < y;
+        }).length;
+
+      return { stackName, index };
+    }
+
+    enableDrag(buttonContainer, config) {
+      buttonContainer.dataset.buttonId = config.id;
+      let start = null;
+      let dragging = false;
+
+      const onMove = (e) => {
+        const dx = e.clientX - start.x;
+        const dy = e.clientY - start.y;
+        if (!dragging && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+        dragging = true;
+        buttonContainer.style.transform = `translate(${dx}px, ${dy}px)`;
+        buttonContainer.style.opacity = "0.8";
+        buttonContainer.style.cursor = "grabbing";
+      };
+
+      const onUp = (e) => {
+        document.removeEventListener("pointermove", onMove);
+        document.removeEventListener("pointerup", onUp);
+        if (!dragging) return;
+
+        // The click that ends a drag is not a press
+        buttonContainer.addEventListener(
+          "click",
+          (click) => {
+            click.preventDefault();
+            click.stopPropagation();
+          },
+          { capture: true, once: true }
+        );
+        const { stackName, index } = this.findDropTarget(
+          e.clientX,
+          e.clientY,
+          buttonContainer
+        );
+        this.moveButton(config.id, stackName, index);
+      };
+
+      buttonContainer.addEventListener("pointerdown", (e) => {
+        if (e.button !== 0 || e.target.closest("[data-button-dismiss]")) {
+          return;
+        }
+        start = { x: e.clientX, y: e.clientY };
+        dragging = false;
+        document.addEventListener("pointermove", onMove);
+        document.addEventListener("pointerup", onUp);
       });
     }
 
     // ==================== ✨ NEW: COMPOUND BUTTON DETECTION ====================
 
-    createAndPlaceButton(config, stackName, stackIndex) {
+    createAndPlaceButton(config, stackName, stackIndex, windowId = "main") {
       // 🚀 NEW: Detection logic for simple vs compound buttons
       if (
         config.sections &&
@@ -484,18 +2182,23 @@
         console.log(
           `🔧 Creating compound button "${config.id}" with ${config.sections.length} sections`
         );
-        return this.createCompoundButton(config, stackName, stackIndex);
+        return this.createCompoundButton(
+          config,
+          stackName,
+          stackIndex,
+          windowId
+        );
       } else {
         console.log(
           `🔧 Creating simple button "${config.id}" (backward compatible)`
         );
-        return this.createSimpleButton(config, stackName, stackIndex);
+        return this.createSimpleButton(config, stackName, stackIndex, windowId);
       }
     }
 
     // ==================== ✅ SIMPLE BUTTON (100% BACKWARD COMPATIBLE) ====================
 
-    createSimpleButton(config, stackName, stackIndex) {
+    createSimpleButton(config, stackName, stackIndex, windowId = "main") {
       // ✅ EXACT v2.1 behavior - no changes to existing functionality
       const buttonContainer = document.createElement("div");
       buttonContainer.style.position = "absolute";
@@ -504,10 +2207,8 @@
       buttonContainer.style.zIndex = "10000";
 
       const mainButton = document.createElement("button");
-      mainButton.textContent = config.text;
-
-      const stackConfig = BUTTON_STACKS[stackName];
-      const position = stackConfig.positions[stackIndex];
+      mainButton.dataset.buttonAction = "main";
+      appendStateParts(mainButton, config.text);
 
       Object.assign(mainButton.style, {
         padding: "8px 12px",
@@ -535,6 +2236,7 @@
 
       // Dismiss button (exact v2.1 behavior)
       const dismissButton = document.createElement("span");
+      dismissButton.dataset.buttonDismiss = "true";
       dismissButton.innerHTML = "×";
       dismissButton.style.cssText = `
         position: absolute;
@@ -573,23 +2275,13 @@
         if (buttonContainer.parentNode) {
           buttonContainer.remove();
         }
-        this.activeButtons.delete(config.id);
+        this.forgetButtonElement(config.id, buttonContainer);
         console.log(`✅ Simple button "${config.id}" dismissed`);
       });
 
       mainButton.appendChild(dismissButton);
       buttonContainer.appendChild(mainButton);
 
-      // Position the container
-      if (position.x < 0) {
-        buttonContainer.style.right = `${Math.abs(position.x)}px`;
-        buttonContainer.style.left = "auto";
-      } else {
-        buttonContainer.style.left = `${position.x}px`;
-        buttonContainer.style.right = "auto";
-      }
-      buttonContainer.style.top = `${position.y}px`;
-
       // Main button click handler
       mainButton.addEventListener("click", (e) => {
         if (e.target === dismissButton) {
@@ -598,19 +2290,13 @@
         e.preventDefault();
         e.stopPropagation();
 
-        try {
-          config.onClick({
-            buttonId: config.id,
-            buttonStack: stackName,
-            buttonPosition: stackIndex + 1,
-            currentPage: {
-              url: window.location.href,
-              title: getCurrentPageTitle(),
-            },
-          });
-        } catch (error) {
-          console.error(`❌ Simple button "${config.id}" click error:`, error);
-        }
+        this.runButtonAction(config.id, config.onClick, {
+          buttonId: config.id,
+          buttonStack: stackName,
+          buttonPosition: stackIndex + 1,
+          windowId,
+          currentPage: describeWindowPage(windowId),
+        });
       });
 
       // Hover effects
@@ -624,9 +2310,13 @@
         mainButton.style.boxShadow = "0 2px 8px rgba(0,0,0,0.15)";
       });
 
-      const container = this.getCurrentContainer();
-      container.appendChild(buttonContainer);
-      this.activeButtons.set(config.id, buttonContainer);
+      this.mountButton(
+        config,
+        buttonContainer,
+        stackName,
+        stackIndex,
+        windowId
+      );
 
       console.log(
         `✅ Simple button "${config.id}" placed at ${stackName} #${
@@ -637,7 +2327,7 @@
 
     // ==================== 🚀 NEW: COMPOUND BUTTON IMPLEMENTATION ====================
 
-    createCompoundButton(config, stackName, stackIndex) {
+    createCompoundButton(config, stackName, stackIndex, windowId = "main") {
       const buttonContainer = document.createElement("div");
       buttonContainer.style.position = "absolute";
       buttonContainer.style.display = "flex";
@@ -648,9 +2338,6 @@
       buttonContainer.style.boxShadow = "0 2px 8px rgba(0,0,0,0.15)";
       buttonContainer.style.transition = "all 200ms ease";
 
-      const stackConfig = BUTTON_STACKS[stackName];
-      const position = stackConfig.positions[stackIndex];
-
       // Process sections and auto-add dismiss if not present
       let sections = [...config.sections];
       const hasDismissSection = sections.some(
@@ -672,21 +2359,12 @@
           sections.length,
           config,
           stackName,
-          stackIndex
+          stackIndex,
+          windowId
         );
         buttonContainer.appendChild(sectionElement);
       });
 
-      // Position the container
-      if (position.x < 0) {
-        buttonContainer.style.right = `${Math.abs(position.x)}px`;
-        buttonContainer.style.left = "auto";
-      } else {
-        buttonContainer.style.left = `${position.x}px`;
-        buttonContainer.style.right = "auto";
-      }
-      buttonContainer.style.top = `${position.y}px`;
-
       // Container hover effects
       buttonContainer.addEventListener("mouseenter", () => {
         buttonContainer.style.transform = "translateY(-1px)";
@@ -698,9 +2376,13 @@
         buttonContainer.style.boxShadow = "0 2px 8px rgba(0,0,0,0.15)";
       });
 
-      const container = this.getCurrentContainer();
-      container.appendChild(buttonContainer);
-      this.activeButtons.set(config.id, buttonContainer);
+      this.mountButton(
+        config,
+        buttonContainer,
+        stackName,
+        stackIndex,
+        windowId
+      );
 
       console.log(
         `✅ Compound button "${config.id}" placed at ${stackName} #${
@@ -715,7 +2397,8 @@
       totalSections,
       buttonConfig,
       stackName,
-      stackIndex
+      stackIndex,
+      windowId = "main"
     ) {
       const sectionElement = document.createElement("div");
 
@@ -748,10 +2431,19 @@
         sectionElement.style.borderLeft = "1px solid rgba(0,0,0,0.1)";
       }
 
-      // Set section content
-      if (section.content) {
+      // Set section content - a text main section carries the button state
+      if (section.type === "dismiss") {
+        sectionElement.dataset.buttonDismiss = "true";
+      } else {
+        sectionElement.dataset.buttonAction = section.type;
+      }
+      if (section.type === "main" && typeof section.content === "string") {
+        appendStateParts(sectionElement, section.content);
+      } else if (section.content) {
         if (typeof section.content === "string") {
           sectionElement.textContent = section.content;
+          if (section.type === "icon")
+            sectionElement.dataset.buttonPart = "icon";
         } else {
           sectionElement.appendChild(section.content);
         }
@@ -780,143 +2472,441 @@
         }
       });
 
+      // Toggles keep their pressed colour when the pointer leaves
+      const toggleKey = `${buttonConfig.id}:${index}`;
+      const isPressed = () =>
+        this.toggleStates.get(toggleKey) ?? !!section.checked;
+      const paintToggle = () => {
+        sectionElement.setAttribute("aria-pressed", String(isPressed()));
+        sectionElement.style.backgroundColor = isPressed()
+          ? "rgba(0, 123, 255, 0.18)"
+          : "rgba(255, 255, 255, 0.9)";
+      };
+
       sectionElement.addEventListener("mouseleave", () => {
         sectionElement.style.backgroundColor = "rgba(255, 255, 255, 0.9)";
         sectionElement.style.color =
           section.type === "dismiss" ? "#8b4513" : "#333";
+        if (section.type === "toggle") paintToggle();
       });
 
+      const createContext = () => ({
+        sectionType: section.type,
+        sectionIndex: index,
+        buttonId: buttonConfig.id,
+        buttonStack: stackName,
+        buttonPosition: stackIndex + 1,
+        windowId,
+        currentPage: describeWindowPage(windowId),
+      });
+
+      // Menus and toggles are reachable from the keyboard
+      if (section.type === "menu" || section.type === "toggle") {
+        sectionElement.setAttribute("role", "button");
+        sectionElement.tabIndex = 0;
+        if (section.type === "menu") {
+          sectionElement.setAttribute("aria-haspopup", "menu");
+          sectionElement.setAttribute("aria-expanded", "false");
+        } else {
+          paintToggle();
+        }
+        sectionElement.addEventListener("keydown", (e) => {
+          const opensMenu = section.type === "menu" && e.key === "ArrowDown";
+          if (e.key !== "Enter" && e.key !== " " && !opensMenu) return;
+          e.preventDefault();
+          e.stopPropagation();
+          sectionElement.click();
+        });
+      }
+
       // Click handling
       sectionElement.addEventListener("click", (e) => {
         e.preventDefault();
         e.stopPropagation();
 
-        try {
-          if (section.onClick) {
-            section.onClick({
-              sectionType: section.type,
-              sectionIndex: index,
-              buttonId: buttonConfig.id,
-              buttonStack: stackName,
-              buttonPosition: stackIndex + 1,
-              currentPage: {
-                url: window.location.href,
-                title: getCurrentPageTitle(),
-              },
-            });
+        if (section.type === "menu") {
+          this.toggleSectionMenu(section, sectionElement, createContext());
+          return;
+        }
+        if (section.type === "toggle") {
+          this.flipToggle(section, toggleKey, paintToggle, createContext());
+          return;
+        }
+        if (!section.onClick) return;
+        const context = createContext();
+
+        // Dismiss works even while the button is busy or disabled
+        if (section.type === "dismiss") {
+          try {
+            section.onClick(context);
+          } catch (error) {
+            console.error(`❌ Section "${section.type}" click error:`, error);
           }
-        } catch (error) {
-          console.error(`❌ Section "${section.type}" click error:`, error);
+          return;
         }
+        this.runButtonAction(buttonConfig.id, section.onClick, context);
       });
 
       return sectionElement;
     }
 
+    // ==================== MENU AND TOGGLE SECTIONS ====================
+
+    toggleSectionMenu(section, sectionElement, context) {
+      const config = this.registeredButtons.get(context.buttonId);
+      if (this.openMenu?.anchor === sectionElement) {
+        this.openMenu.close();
+        return;
+      }
+      this.openMenu?.close();
+      if (!config || config.disabled || config.loading) return;
+
+      const items =
+        typeof section.items === "function"
+          ? () => section.items(context)
+          : section.items;
+      const menu = new ButtonMenu(sectionElement, items, {
+        onSelect: (item, checked) =>
+          this.runButtonAction(context.buttonId, item.onClick, {
+            ...context,
+            item: item.value ?? item.label,
+            checked,
+          }),
+        onClose: () => {
+          if (this.openMenu === menu) this.openMenu = null;
+        },
+      });
+      this.openMenu = menu;
+      menu.open();
+    }
+
+    // Flip first so the section reacts at once; a failed onToggle flips back
+    flipToggle(section, toggleKey, paintToggle, context) {
+      const config = this.registeredButtons.get(context.buttonId);
+      if (!config || config.disabled || config.loading) return;
+
+      const previous = this.toggleStates.get(toggleKey) ?? !!section.checked;
+      const checked = !previous;
+      const revert = () => {
+        this.toggleStates.set(toggleKey, previous);
+        paintToggle();
+      };
+      this.toggleStates.set(toggleKey, checked);
+      paintToggle();
+
+      this.runButtonAction(
+        context.buttonId,
+        (ctx) => {
+          try {
+            const result = section.onToggle(checked, ctx);
+            return result?.then
+              ? result.catch((error) => {
+                  revert();
+                  throw error;
+                })
+              : result;
+          } catch (error) {
+            revert();
+            throw error;
+          }
+        },
+        { ...context, checked }
+      );
+    }
+
+    // ==================== BUTTON STATE AND ACTIONS ====================
+
+    applyButtonState(config, buttonContainer) {
+      const part = (name) =>
+        buttonContainer.querySelector(`[data-button-part="${name}"]`);
+      const label = part("label");
+      const spinner = part("spinner");
+      const badge = part("badge");
+
+      // A compound icon section takes the icon over the label's inline slot
+      const icons = Array.from(
+        buttonContainer.querySelectorAll('[data-button-part="icon"]')
+      );
+      const iconSection = icons.find((icon) => !icon.dataset.optional);
+      icons.forEach((icon) => {
+        const inline = !!icon.dataset.optional;
+        if (config.icon !== null && (!inline || !iconSection)) {
+          icon.textContent = config.icon;
+        }
+        if (inline) {
+          icon.style.display =
+            !iconSection && config.icon && !config.loading ? "inline" : "none";
+        }
+      });
+
+      if (label && config.text !== null) label.textContent = config.text;
+      if (spinner) {
+        spinner.style.display = config.loading ? "inline-block" : "none";
+      }
+      if (badge) {
+        const badgeText = formatBadge(config.badge);
+        badge.textContent = badgeText || "";
+        badge.style.display = badgeText ? "inline-block" : "none";
+      }
+
+      buttonContainer
+        .querySelectorAll("[data-button-action]")
+        .forEach((element) => {
+          element.setAttribute("aria-disabled", String(!!config.disabled));
+          element.setAttribute("aria-busy", String(!!config.loading));
+          element.style.opacity = config.disabled ? "0.55" : "";
+          element.style.cursor = config.disabled
+            ? "not-allowed"
+            : config.loading
+            ? "progress"
+            : "pointer";
+        });
+    }
+
+    /**
+     * Run a click handler; a returned promise shows the loading state until it
+     * settles, and a failure is reported with a toast
+     */
+    async runButtonAction(id, handler, context) {
+      const config = this.registeredButtons.get(id);
+      if (!config || !handler || config.disabled || config.loading) return;
+
+      const reportError = (error) => {
+        console.error(`❌ Button "${id}" click error:`, error);
+        const label =
+          config.text ||
+          config.sections?.find(
+            (section) =>
+              section.type === "main" && typeof section.content === "string"
+          )?.content ||
+          id;
+        showButtonToast(
+          config.errorMessage || `${label} failed: ${error?.message || error}`
+        );
+      };
+
+      let result;
+      try {
+        result = handler(context);
+      } catch (error) {
+        reportError(error);
+        return;
+      }
+      if (!result || typeof result.then !== "function") return result;
+
+      this.updateButton(id, { loading: true });
+      try {
+        return await result;
+      } catch (error) {
+        reportError(error);
+      } finally {
+        if (this.registeredButtons.has(id)) {
+          this.updateButton(id, { loading: false });
+        }
+      }
+    }
+
     dismissCompoundButton(buttonId, buttonContainer) {
       console.log(`🗑️ Dismissing compound button "${buttonId}"`);
+      if (buttonContainer.contains(this.openMenu?.anchor)) {
+        this.openMenu.close();
+      }
       if (buttonContainer.parentNode) {
         buttonContainer.remove();
       }
-      this.activeButtons.delete(buttonId);
+      this.forgetButtonElement(buttonId, buttonContainer);
       console.log(`✅ Compound button "${buttonId}" dismissed`);
     }
 
+    // ==================== HOTKEYS AND COMMAND PALETTE ====================
+
+    isButtonShown(id) {
+      return this.findButtonWindow(id) !== null;
+    }
+
+    /**
+     * Run a button's main action as if it had been clicked - in the window
+     * it shows in, preferring the main one
+     */
+    triggerButton(id, trigger = "api", windowId = null) {
+      const config = this.registeredButtons.get(id);
+      if (!config) return false;
+      const targetWindow = windowId || this.findButtonWindow(id) || "main";
+      this.runButtonAction(id, this.getPrimaryAction(config), {
+        buttonId: id,
+        buttonStack:
+          targetWindow === "main" ? this.getButtonStack(config) : "sidebar",
+        trigger,
+        windowId: targetWindow,
+        currentPage: describeWindowPage(targetWindow),
+      });
+      return true;
+    }
+
+    // First come, first served - later claims are recorded as conflicts
+    bindHotkey(config) {
+      if (!config.hotkey) return null;
+      const hotkey = config.hotkey;
+      const heldBy = RESERVED_HOTKEYS.map(normalizeHotkey).includes(hotkey)
+        ? "Roam"
+        : this.hotkeys.get(hotkey);
+
+      if (heldBy && heldBy !== config.id) {
+        this.hotkeyConflicts.push({ hotkey, buttonId: config.id, heldBy });
+        console.warn(
+          `⚠️ Hotkey ${hotkey} for "${config.id}" is already used by ${
+            heldBy === "Roam" ? "Roam" : `"${heldBy}"`
+          } - not bound`
+        );
+        config.hotkey = null;
+        return null;
+      }
+
+      this.hotkeys.set(hotkey, config.id);
+      return hotkey;
+    }
+
+    unbindHotkey(id) {
+      this.hotkeys.forEach((owner, hotkey) => {
+        if (owner === id) this.hotkeys.delete(hotkey);
+      });
+      this.hotkeyConflicts = this.hotkeyConflicts.filter(
+        (conflict) => conflict.buttonId !== id
+      );
+    }
+
+    handleHotkey(event) {
+      if (this.hotkeys.size === 0 || event.repeat) return;
+      const id = this.hotkeys.get(hotkeyFromEvent(event));
+      if (!id) return;
+
+      // Unmodified keys belong to whatever is being typed in
+      const modified = event.ctrlKey || event.metaKey || event.altKey;
+      if (!modified && isEditableTarget(event.target)) return;
+      if (!this.isButtonShown(id)) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      this.triggerButton(id, "hotkey");
+    }
+
+    // Palette entries follow visibility, like the buttons themselves
+    syncPaletteCommands() {
+      const palette = window.roamAlphaAPI?.ui?.commandPalette;
+      if (!palette) return;
+
+      this.registeredButtons.forEach((config) => {
+        if (!config.paletteLabel) return;
+        const shown = this.isButtonShown(config.id);
+        const added = this.paletteCommands.has(config.id);
+
+        if (shown && !added) {
+          palette.addCommand({
+            label: config.paletteLabel,
+            callback: () => this.triggerButton(config.id, "palette"),
+          });
+          this.paletteCommands.set(config.id, config.paletteLabel);
+        } else if (!shown && added) {
+          this.removePaletteCommand(config.id);
+        }
+      });
+    }
+
+    removePaletteCommand(id) {
+      const label = this.paletteCommands.get(id);
+      if (!label) return;
+      try {
+        window.roamAlphaAPI.ui.commandPalette.removeCommand({ label });
+      } catch (error) {
+        console.warn(`⚠️ Could not remove palette command "${label}":`, error);
+      }
+      this.paletteCommands.delete(id);
+    }
+
     // ==================== VISIBILITY AND CONDITION LOGIC ====================
 
     shouldButtonBeVisible(config) {
-      const { showOn, hideOn, condition } = config;
+      const trace = this.debugMode ? [] : null;
+      const visible = this.evaluateVisibility(config, trace);
 
       if (this.debugMode) {
-        console.group(`🔍 Evaluating visibility for button "${config.id}"`);
-        console.log("Button config:", {
-          showOn,
-          hideOn,
-          condition: !!condition,
-        });
+        console.group(`🔍 Visibility for button "${config.id}": ${visible}`);
         console.log("Current page:", {
           url: window.location.href,
           title: getCurrentPageTitle(),
+          windowId: evaluatedWindow?.windowId || "main",
         });
+        trace.forEach((line) => console.log(line));
+        console.groupEnd();
       }
 
-      if (condition && typeof condition === "function") {
-        try {
-          const result = condition();
-          if (this.debugMode) {
-            console.log(`Custom condition result: ${result}`);
-            console.groupEnd();
-          }
-          return result;
-        } catch (error) {
-          console.error(`❌ Custom condition error for "${config.id}":`, error);
-          if (this.debugMode) {
-            console.groupEnd();
-          }
-          return false;
-        }
-      }
+      return visible;
+    }
 
-      if (showOn) {
-        const conditionResults = showOn.map((conditionName) => {
-          const hasCondition = ButtonConditions[conditionName]
-            ? ButtonConditions[conditionName]()
-            : false;
-          if (this.debugMode) {
-            console.log(`Condition "${conditionName}": ${hasCondition}`);
-          }
-          return hasCondition;
-        });
+    // Rules from the config page replace the registered showOn / hideOn
+    evaluateVisibility(config, trace = null) {
+      const rule = this.conditionRules.get(config.id);
+      const context = createConditionContext();
+      if (rule) trace?.push(`(rules from ${CONDITION_CONFIG_PAGE})`);
 
-        const shouldShow = conditionResults.some((result) => result);
-        if (this.debugMode) {
-          console.log(
-            `showOn evaluation: ${shouldShow} (${conditionResults.join(", ")})`
-          );
-        }
+      const condition = rule?.showWhen ? null : config.condition;
+      const showOn = rule?.showWhen || config.showOn;
+      const hideOn = rule?.hideWhen || (condition ? null : config.hideOn);
 
-        if (!shouldShow) {
-          if (this.debugMode) {
-            console.log("❌ Button hidden by showOn rules");
-            console.groupEnd();
-          }
-          return false;
+      let visible = true;
+      if (typeof condition === "function") {
+        try {
+          visible = !!condition(context);
+        } catch (error) {
+          console.error(`❌ Custom condition error for "${config.id}":`, error);
+          visible = false;
         }
+        trace?.push(`custom condition → ${visible}`);
+      } else if (condition) {
+        trace?.push("condition:");
+        visible = evaluateCondition(condition, context, trace, 1);
+      } else if (showOn) {
+        trace?.push("showOn:");
+        visible = evaluateCondition(showOn, context, trace, 1);
       }
 
-      if (hideOn) {
-        const hideResults = hideOn.map((conditionName) => {
-          const shouldHide = ButtonConditions[conditionName]
-            ? ButtonConditions[conditionName]()
-            : false;
-          if (this.debugMode) {
-            console.log(`Hide condition "${conditionName}": ${shouldHide}`);
-          }
-          return shouldHide;
-        });
-
-        const shouldHide = hideResults.some((result) => result);
-        if (this.debugMode) {
-          console.log(
-            `hideOn evaluation: ${shouldHide} (${hideResults.join(", ")})`
-          );
-        }
-
-        if (shouldHide) {
-          if (this.debugMode) {
-            console.log("❌ Button hidden by hideOn rules");
-            console.groupEnd();
-          }
-          return false;
-        }
+      if (visible && hideOn) {
+        trace?.push("hideOn:");
+        visible = !evaluateCondition(hideOn, context, trace, 1);
       }
 
-      if (this.debugMode) {
-        console.log("✅ Button should be visible");
-        console.groupEnd();
-      }
+      return visible;
+    }
 
-      return true;
+    /**
+     * Why a registered button is shown or hidden on the current page, or on
+     * the page of a right sidebar window
+     */
+    explainVisibility(id, windowId = "main") {
+      const config = this.registeredButtons.get(id);
+      if (!config) return null;
+      const page =
+        windowId === "main" ? null : window.PageContextService?.get(windowId);
+      if (windowId !== "main" && !page) return null;
+
+      const trace = [];
+      const allowed =
+        config.windows === "all" ||
+        config.windows === (windowId === "main" ? "main" : "sidebar");
+      if (!allowed) trace.push(`not shown in ${windowId} windows`);
+      const visible =
+        allowed &&
+        (page
+          ? withEvaluatedWindow(page, () =>
+              this.evaluateVisibility(config, trace)
+            )
+          : this.evaluateVisibility(config, trace));
+      console.log(
+        `🔍 "${id}" is ${
+          visible ? "visible" : "hidden"
+        } in ${windowId}:\n${trace.join("\n")}`
+      );
+      return { id, windowId, visible, trace };
     }
 
     // ==================== PUBLIC API ====================
@@ -939,6 +2929,20 @@
               `Button "${id}" section ${index} has invalid type: ${section.type}`
             );
           }
+          if (
+            section.type === "menu" &&
+            !Array.isArray(section.items) &&
+            typeof section.items !== "function"
+          ) {
+            throw new Error(
+              `Button "${id}" menu section ${index} needs items (an array or a function)`
+            );
+          }
+          if (section.type === "toggle" && !section.onToggle) {
+            throw new Error(
+              `Button "${id}" toggle section ${index} needs onToggle(checked)`
+            );
+          }
         });
       } else {
         // Standard validation for simple buttons
@@ -951,6 +2955,33 @@
         throw new Error(`Button "${id}" already registered`);
       }
 
+      // Named conditions can be added to ButtonConditions later, so only warn
+      ["showOn", "hideOn", "condition"].forEach((key) => {
+        const expression = config[key];
+        if (!expression || typeof expression === "function") return;
+        const problems = validateCondition(expression, key);
+        if (problems.length > 0) {
+          console.warn(`⚠️ Button "${id}": ${problems.join("; ")}`);
+        }
+      });
+
+      const hotkey = config.hotkey ? normalizeHotkey(config.hotkey) : null;
+      let paletteLabel = config.paletteLabel || null;
+      const labelOwner = Array.from(this.registeredButtons.values()).find(
+        (other) => paletteLabel && other.paletteLabel === paletteLabel
+      );
+      if (labelOwner) {
+        this.hotkeyConflicts.push({
+          paletteLabel,
+          buttonId: id,
+          heldBy: labelOwner.id,
+        });
+        console.warn(
+          `⚠️ Palette label "${paletteLabel}" for "${id}" is already used by "${labelOwner.id}" - not added`
+        );
+        paletteLabel = null;
+      }
+
       const stack = config.stack || "top-right";
       if (!BUTTON_STACKS[stack]) {
         throw new Error(
@@ -960,6 +2991,13 @@
         );
       }
 
+      const windows = config.windows || "main";
+      if (!BUTTON_WINDOWS.includes(windows)) {
+        throw new Error(
+          `Invalid windows: ${windows}. Must be: ${BUTTON_WINDOWS.join(", ")}`
+        );
+      }
+
       // Store configuration
       this.registeredButtons.set(id, {
         id,
@@ -967,12 +3005,21 @@
         onClick: onClick || null, // ✅ Backward compatibility
         sections: sections || null, // 🚀 New compound functionality
         stack,
+        windows,
         priority: config.priority || false,
         showOn: config.showOn || null,
         hideOn: config.hideOn || null,
         condition: config.condition || null,
         style: config.style || {},
+        icon: config.icon || null,
+        disabled: !!config.disabled,
+        loading: false,
+        badge: config.badge ?? null,
+        errorMessage: config.errorMessage || null,
+        hotkey,
+        paletteLabel,
       });
+      const boundHotkey = this.bindHotkey(this.registeredButtons.get(id));
 
       if (this.pageDetector.isMonitoring) {
         this.rebuildAllButtons();
@@ -982,18 +3029,66 @@
       console.log(
         `✅ ${buttonType} button "${id}" registered for ${stack} stack${
           config.priority ? " (priority)" : ""
-        }`
+        }${windows === "main" ? "" : ` (${windows} windows)`}`
+      );
+
+      return {
+        success: true,
+        id,
+        stack,
+        windows,
+        type: buttonType,
+        hotkey: boundHotkey,
+        paletteLabel,
+      };
+    }
+
+    /**
+     * Change text, icon, disabled, loading or badge in place. Hidden buttons
+     * keep the change for the next time they are shown
+     * @returns {boolean} false when the button is not registered
+     */
+    updateButton(id, patch = {}) {
+      const config = this.registeredButtons.get(id);
+      if (!config) {
+        console.warn(`⚠️ Cannot update unknown button "${id}"`);
+        return false;
+      }
+
+      const invalid = Object.keys(patch).filter(
+        (key) => !BUTTON_STATE_KEYS.includes(key)
+      );
+      if (invalid.length > 0) {
+        throw new Error(
+          `Button "${id}" cannot update ${invalid.join(
+            ", "
+          )}. Must be: ${BUTTON_STATE_KEYS.join(", ")}`
+        );
+      }
+
+      Object.assign(config, patch);
+      this.getButtonElements(id).forEach((element) =>
+        this.applyButtonState(config, element)
       );
 
-      return { success: true, id, stack, type: buttonType };
+      if (this.debugMode) {
+        console.log(`🔁 Button "${id}" updated:`, patch);
+      }
+      return true;
     }
 
     removeButton(id) {
+      this.unbindHotkey(id);
+      this.removePaletteCommand(id);
       const removed = this.registeredButtons.delete(id);
       if (this.activeButtons.has(id)) {
         this.activeButtons.get(id).remove();
         this.activeButtons.delete(id);
       }
+      this.sidebarWindows.forEach(({ buttons }) => {
+        buttons.get(id)?.remove();
+        buttons.delete(id);
+      });
       if (removed) {
         console.log(`🗑️ Button "${id}" removed`);
       }
@@ -1005,24 +3100,33 @@
         version: EXTENSION_VERSION,
         registeredButtons: this.registeredButtons.size,
         activeButtons: this.activeButtons.size,
-        stacks: {
-          "top-left": {
-            buttons: this.stacks["top-left"].length,
-            max: BUTTON_STACKS["top-left"].maxButtons,
-            available:
-              BUTTON_STACKS["top-left"].maxButtons -
-              this.stacks["top-left"].length,
-            buttonIds: this.stacks["top-left"].map((b) => b.id),
-          },
-          "top-right": {
-            buttons: this.stacks["top-right"].length,
-            max: BUTTON_STACKS["top-right"].maxButtons,
-            available:
-              BUTTON_STACKS["top-right"].maxButtons -
-              this.stacks["top-right"].length,
-            buttonIds: this.stacks["top-right"].map((b) => b.id),
-          },
-        },
+        stacks: Object.fromEntries(
+          Object.entries(this.stacks).map(([name, configs]) => [
+            name,
+            {
+              buttons: configs.length,
+              max: BUTTON_STACKS[name].maxButtons,
+              available: Math.max(
+                BUTTON_STACKS[name].maxButtons - configs.length,
+                0
+              ),
+              buttonIds: configs.map((b) => b.id),
+              overflow: configs
+                .filter((b) => this.overflowItems.has(b.id))
+                .map((b) => b.id),
+            },
+          ])
+        ),
+        sidebarButtons: Object.fromEntries(
+          Array.from(this.sidebarWindows, ([windowId, { buttons }]) => [
+            windowId,
+            Array.from(buttons.keys()),
+          ])
+        ),
+        userPositions: Object.fromEntries(this.userPositions),
+        hotkeys: Object.fromEntries(this.hotkeys),
+        paletteCommands: Array.from(this.paletteCommands.values()),
+        conflicts: this.hotkeyConflicts,
         currentPage: {
           url: window.location.href,
           title: getCurrentPageTitle(),
@@ -1035,15 +3139,32 @@
           simpleButtons: true,
           compoundButtons: true,
           sectionTypes: Object.keys(SECTION_TYPES),
+          buttonState: BUTTON_STATE_KEYS,
+          hotkeys: true,
+          windows: BUTTON_WINDOWS,
+          conditionOperators: [
+            "and",
+            "or",
+            "not",
+            ...Object.keys(CONDITION_OPERATORS),
+          ],
         },
+        conditionRules: Array.from(this.conditionRules.keys()),
       };
     }
 
     cleanup() {
       this.clearAllButtons();
       this.clearAllStacks();
+      Array.from(this.paletteCommands.keys()).forEach((id) =>
+        this.removePaletteCommand(id)
+      );
+      this.hotkeys.clear();
+      this.hotkeyConflicts = [];
+      document.removeEventListener("keydown", this.handleHotkey, true);
       this.registeredButtons.clear();
       this.pageDetector.stopMonitoring();
+      this.unwatchConditionRules();
       console.log("🧹 Simple Button Registry v3.0 cleaned up");
     }
   }
@@ -1082,6 +3203,23 @@
       return result;
     }
 
+    updateButton(id, patch) {
+      return (
+        this.registry?.updateButton(`${this.extensionName}-${id}`, patch) ||
+        false
+      );
+    }
+
+    moveButton(id, stackName, index) {
+      return (
+        this.registry?.moveButton(
+          `${this.extensionName}-${id}`,
+          stackName,
+          index
+        ) || false
+      );
+    }
+
     removeButton(id) {
       const buttonId = `${this.extensionName}-${id}`;
       const success = this.registry?.removeButton(buttonId);
@@ -1106,6 +3244,31 @@
   window.SimpleButtonRegistry = null;
   window.SimpleExtensionButtonManager = SimpleExtensionButtonManager;
   window.ButtonConditions = ButtonConditions;
+  window.ButtonConditionExpressions = {
+    evaluate: evaluateCondition,
+    validate: validateCondition,
+    parseOutline: parseConditionOutline,
+    configPage: CONDITION_CONFIG_PAGE,
+  };
+
+  // Announce readiness so dependents can await platform.whenReady()
+  if (window.RoamExtensionSuite?.register) {
+    window.RoamExtensionSuite.register(
+      "simple-button-utility",
+      {
+        SimpleExtensionButtonManager,
+        ButtonConditions,
+        evaluateCondition,
+        validateCondition,
+        version: EXTENSION_VERSION,
+      },
+      {
+        name: EXTENSION_NAME,
+        version: EXTENSION_VERSION,
+        dependencies: [],
+      }
+    );
+  }
 
   // ==================== TESTING UTILITIES ====================
 
@@ -1205,6 +3368,112 @@
       );
     },
 
+    // ▾ Test menu and toggle sections
+    testMenuButton: async () => {
+      const manager = new SimpleExtensionButtonManager("MenuTest");
+      await manager.initialize();
+
+      let muted = false;
+      await manager.registerButton({
+        id: "menu-test",
+        sections: [
+          {
+            type: "main",
+            content: "Add entry",
+            onClick: () => console.log("Entry for today"),
+          },
+          {
+            type: "menu",
+            content: "▾",
+            tooltip: "More dates",
+            items: [
+              { label: "Today", onClick: () => console.log("Today") },
+              { label: "Yesterday", onClick: () => console.log("Yesterday") },
+              { type: "separator" },
+              {
+                label: "Pick date",
+                // Loaded each time the submenu opens
+                items: async () =>
+                  [2, 3, 4].map((days) => ({
+                    label: `${days} days ago`,
+                    value: days,
+                    onClick: ({ item }) => console.log(`${item} days ago`),
+                  })),
+              },
+              {
+                label: "Mute reminders",
+                checked: () => muted,
+                onClick: ({ checked }) => {
+                  muted = checked;
+                  console.log(`Muted: ${muted}`);
+                },
+              },
+            ],
+          },
+          {
+            type: "toggle",
+            content: "🔔",
+            tooltip: "Notify me",
+            checked: true,
+            onToggle: (checked) => console.log(`Notify: ${checked}`),
+          },
+        ],
+        showOn: ["isMainPage"],
+        stack: "top-right",
+      });
+
+      console.log("▾ Menu button test complete");
+      console.log(
+        "💡 Open [▾] with a click or ArrowDown; arrows, Escape and → / ← work inside"
+      );
+    },
+
+    // ⏳ Test in-place updates and the async loading state
+    testButtonStates: async () => {
+      const manager = new SimpleExtensionButtonManager("StateTest");
+      await manager.initialize();
+
+      let clicks = 0;
+      await manager.registerButton({
+        id: "state-test",
+        text: "⏳ Slow action",
+        onClick: () =>
+          new Promise((done) => {
+            clicks++;
+            manager.updateButton("state-test", { badge: clicks });
+            setTimeout(done, 1500);
+          }),
+        showOn: ["isMainPage"],
+        stack: "top-right",
+      });
+
+      console.log("⏳ Button state test complete");
+      console.log(
+        "💡 Click it: a spinner shows for 1.5s and the badge counts clicks"
+      );
+    },
+
+    // 🪟 Test per-window placement in the right sidebar
+    testSidebarButton: async () => {
+      const manager = new SimpleExtensionButtonManager("SidebarTest");
+      await manager.initialize();
+
+      await manager.registerButton({
+        id: "sidebar-test",
+        text: "🪟 Which window?",
+        windows: "all",
+        condition: (page) => !!page.title,
+        onClick: ({ windowId, currentPage }) => {
+          console.log(`🪟 Clicked in ${windowId} on "${currentPage.title}"`);
+        },
+      });
+
+      console.log("🪟 Sidebar button test complete");
+      console.log(
+        "💡 Open a page in the right sidebar - it gets its own button"
+      );
+    },
+
     // 📊 Show system status
     showStatus: () => {
       if (window.SimpleButtonRegistry) {
@@ -1218,6 +3487,11 @@
             ", "
           )}`
         );
+        console.log("⌨️ Hotkeys:", status.hotkeys);
+        console.log("🪟 Sidebar buttons:", status.sidebarButtons);
+        if (status.conflicts.length > 0) {
+          console.table(status.conflicts);
+        }
       } else {
         console.log("❌ Registry not initialized");
       }
@@ -1240,6 +3514,10 @@
       }
     },
 
+    // 🔍 Trace why a button is shown or hidden here (or in a sidebar window)
+    explainButton: (id, windowId) =>
+      window.SimpleButtonRegistry?.explainVisibility(id, windowId),
+
     disableDebugMode: () => {
       if (window.SimpleButtonRegistry) {
         window.SimpleButtonRegistry.debugMode = false;
@@ -1262,7 +3540,39 @@
   console.log(
     "  • window.SimpleButtonUtilityTests.testMixedButtons() - Test both types together"
   );
+  console.log(
+    "  • window.SimpleButtonUtilityTests.testButtonStates() - Test loading and badge updates"
+  );
+  console.log(
+    "  • window.SimpleButtonUtilityTests.testMenuButton() - Test menu and toggle sections"
+  );
   console.log(
     "  • window.SimpleButtonUtilityTests.showStatus() - Show system capabilities"
   );
+
+  // ==================== UNLOAD ====================
+
+  const onunload = () => {
+    window.SimpleButtonRegistry?.cleanup();
+    window.SimpleButtonRegistry = null;
+
+    // Unregistering disposes everything tracked as "simple-button-utility"
+    const platform = window.RoamExtensionSuite;
+    if (platform?.unregister) {
+      platform.unregister("simple-button-utility");
+    } else {
+      platform?.disposeOwner?.("simple-button-utility");
+    }
+
+    delete window.SimpleExtensionButtonManager;
+    delete window.ButtonConditions;
+    delete window.ButtonConditionExpressions;
+    delete window.SimpleButtonUtilityTests;
+    console.log(`👋 ${EXTENSION_NAME} v${EXTENSION_VERSION} unloaded`);
+  };
+
+  // Self-starting - the export only gives the loader an unload hook
+  return { onunload };
 })();
+
+export default simpleButtonUtility;
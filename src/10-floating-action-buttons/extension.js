@@ -4,6 +4,7 @@
 const conversationUIEnhancement = (() => {
   // State
   let observer = null;
+  let domSubscriptions = []; // Shared DOM hub unsubscribe functions
   let styleElement = null;
   let currentUser = null;
 
@@ -114,7 +115,7 @@ const conversationUIEnhancement = (() => {
 
       const userDbId = blockData[":create/user"][":db/id"];
       const userData = window.roamAlphaAPI.pull(
-        `[:user/display-name]`,
+        `[:user/display-name :user/uid]`,
         userDbId
       );
 
@@ -124,6 +125,7 @@ const conversationUIEnhancement = (() => {
 
       return {
         displayName: userData[":user/display-name"] || "Unknown User",
+        userUid: userData[":user/uid"] || null,
         createdAt: blockData[":create/time"] || null,
         userDbId: userDbId,
       };
@@ -147,12 +149,14 @@ const conversationUIEnhancement = (() => {
       // Fallback: try timestamp method
       const createTime = blockElement.getAttribute("data-create-time");
       if (createTime && !blockUid) {
-        const timestampQuery = window.roamAlphaAPI.data.q(`
-          [:find ?uid
-           :where 
-           [?e :create/time ${createTime}]
-           [?e :block/uid ?uid]]
-        `);
+        const timestampQuery = window.roamAlphaAPI.data.q(
+          `[:find ?uid
+            :in $ ?time
+            :where
+            [?e :create/time ?time]
+            [?e :block/uid ?uid]]`,
+          Number(createTime)
+        );
 
         if (timestampQuery.length > 0) {
           blockUid = timestampQuery[0][0];
@@ -167,38 +171,53 @@ const conversationUIEnhancement = (() => {
   };
 
   // 🗑️ Soft Delete Function
-  const softDeleteBlock = async (blockUid, authorName) => {
-    try {
-      const confirmed = confirm(
-        `Replace content of this message by ${authorName} with deletion marker?`
-      );
+  const writeDeletionMarker = async (blockUid) => {
+    const deletionText = "__content deleted by author__";
 
-      if (!confirmed) {
-        return false;
-      }
+    if (window.roamAlphaAPI.data?.block?.update) {
+      await window.roamAlphaAPI.data.block.update({
+        block: { uid: blockUid, string: deletionText },
+      });
+    } else if (window.roamAlphaAPI.updateBlock) {
+      await window.roamAlphaAPI.updateBlock({
+        block: { uid: blockUid, string: deletionText },
+      });
+    } else {
+      throw new Error("Update API not found");
+    }
+  };
 
-      debug(`Soft deleting block ${blockUid}...`);
+  const softDeleteBlock = async (blockUid, authorName) => {
+    const modalUtilities =
+      window.RoamExtensionSuite?.getUtility("modalUtilities");
+    if (!modalUtilities?.confirmDialog) {
+      debug("Cannot delete messages - Extension 1.5 dialogs not loaded");
+      return false;
+    }
 
-      const deletionText = "__content deleted by author__";
+    const confirmed = await modalUtilities.confirmDialog(
+      `Replace content of this message by ${authorName} with deletion marker?`,
+      { title: "🗑️ Delete Message", confirmLabel: "Delete", danger: true }
+    );
+    if (!confirmed) {
+      return false;
+    }
 
-      if (window.roamAlphaAPI.data?.block?.update) {
-        await window.roamAlphaAPI.data.block.update({
-          block: { uid: blockUid, string: deletionText },
-        });
-      } else if (window.roamAlphaAPI.updateBlock) {
-        await window.roamAlphaAPI.updateBlock({
-          block: { uid: blockUid, string: deletionText },
-        });
-      } else {
-        throw new Error("Update API not found");
+    // Failures are reported in the same dialog, with a retry
+    while (true) {
+      try {
+        debug(`Soft deleting block ${blockUid}...`);
+        await writeDeletionMarker(blockUid);
+        debug(`Successfully soft deleted block ${blockUid}`);
+        return true;
+      } catch (error) {
+        debug(`Error soft deleting block: ${error.message}`);
+        const retry = await modalUtilities.confirmDialog(
+          `Could not delete this message:\n${error.message}`,
+          { title: "🗑️ Delete Message", confirmLabel: "Retry" }
+        );
+        if (!retry) return false;
       }
-
-      debug(`Successfully soft deleted block ${blockUid}`);
-      return true;
-    } catch (error) {
-      debug(`Error soft deleting block: ${error.message}`);
-      alert(`Error soft deleting block: ${error.message}`);
-      return false;
     }
   };
 
@@ -599,9 +618,14 @@ const conversationUIEnhancement = (() => {
       const authorInfo = getBlockAuthor(blockUid);
       if (!authorInfo) return;
 
+      // :user/uid survives display-name changes; names are the fallback
+      const currentUserUid = window.roamAlphaAPI.user?.uid?.();
       const currentUserName = getCurrentUser();
       const isOwnBlock =
-        currentUserName && authorInfo.displayName === currentUserName;
+        authorInfo.userUid && currentUserUid
+          ? authorInfo.userUid === currentUserUid
+          : Boolean(currentUserName) &&
+            authorInfo.displayName === currentUserName;
 
       // Check if block is soft deleted
       const blockContent = messageBlock.textContent || "";
@@ -708,27 +732,71 @@ const conversationUIEnhancement = (() => {
     );
 
     conversationHeaders.forEach((header) => {
-      const headerBlock = header.closest(".rm-block");
-      if (!headerBlock) return;
+      processConversationHeader(header.closest(".rm-block"));
+    });
 
-      // Add timestamp to header
-      addConversationTimestamp(headerBlock);
+    debug("Conversation processing complete");
+  };
 
-      // Find and process message blocks
-      const messageBlocks = headerBlock.querySelectorAll(
-        ":scope > .rm-block-children > .rm-block"
-      );
+  const processConversationHeader = (headerBlock) => {
+    if (!headerBlock) return;
 
-      messageBlocks.forEach((messageBlock) => {
-        addMessageActions(messageBlock);
-      });
-    });
+    // Add timestamp to header
+    addConversationTimestamp(headerBlock);
 
-    debug("Conversation processing complete");
+    // Find and process message blocks
+    const messageBlocks = headerBlock.querySelectorAll(
+      ":scope > .rm-block-children > .rm-block"
+    );
+
+    messageBlocks.forEach((messageBlock) => {
+      addMessageActions(messageBlock);
+    });
   };
 
+  // A block is a conversation header when it owns a #ch0 reference itself
+  const isConversationHeader = (block) =>
+    Array.from(block.querySelectorAll('.rm-page-ref[data-tag="ch0"]')).some(
+      (tag) => tag.closest(".rm-block") === block
+    );
+
   // 👀 DOM Observer Setup
   const setupObserver = () => {
+    const platform = window.RoamExtensionSuite;
+    if (platform?.observeDOM) {
+      // Shared platform observer - only touch what was actually rendered
+      domSubscriptions = [
+        platform.observeDOM(
+          "conversation-ui",
+          '.rm-page-ref[data-tag="ch0"]',
+          {
+            added: (tags) =>
+              tags.forEach((tag) =>
+                processConversationHeader(tag.closest(".rm-block"))
+              ),
+          },
+          { label: "conversation headers" }
+        ),
+        platform.observeDOM(
+          "conversation-ui",
+          ".rm-block-children > .rm-block",
+          {
+            added: (blocks) =>
+              blocks.forEach((block) => {
+                const parentBlock = block.parentElement?.closest(".rm-block");
+                if (parentBlock && isConversationHeader(parentBlock)) {
+                  addMessageActions(block);
+                }
+              }),
+          },
+          { label: "conversation messages" }
+        ),
+      ];
+      debug("Subscribed to shared DOM observer");
+      return;
+    }
+
+    // Standalone fallback - watch the page ourselves
     const targetNode =
       document.querySelector(".roam-body") ||
       document.querySelector(".roam-app");
@@ -783,6 +851,9 @@ const conversationUIEnhancement = (() => {
   const onunload = () => {
     debug("Unloading...");
 
+    domSubscriptions.forEach((unsubscribe) => unsubscribe());
+    domSubscriptions = [];
+
     if (observer) {
       observer.disconnect();
       observer = null;
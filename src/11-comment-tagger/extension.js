@@ -6,17 +6,23 @@
 const commentAutoTagger = (() => {
   // Internal State
   let processedBlocks = new Set();
-  let pendingBlocks = new Set();
+  let pendingBlocks = new Map(); // block uid → block element it was queued from
   let idleTimer = null;
   let cleanupTimer = null;
   let isProcessing = false;
   let extensionAPI = null;
+  let existingTagging = Promise.resolve();
 
   // Access utilities from the registry
   const getUtility = (name) => {
     return window._extensionRegistry?.utilities?.[name] || null;
   };
 
+  // Resource tracking - the Foundation Registry tears these down on unload
+  const OWNER_ID = "comment-auto-tagger";
+  const track = (method, ...args) =>
+    window.RoamExtensionSuite?.[method]?.(OWNER_ID, ...args);
+
   // Debug Function with user context
   const debug = (message) => {
     const getCurrentUser = getUtility("getCurrentUser");
@@ -48,14 +54,8 @@ const commentAutoTagger = (() => {
       }
     }, 10 * 60 * 1000); // 10 minutes
 
-    // Register cleanup timer with extension registry
-    if (window._extensionRegistry) {
-      window._extensionRegistry.elements.push({
-        type: "timer",
-        timer: cleanupTimer,
-        cleanup: () => clearInterval(cleanupTimer),
-      });
-    }
+    // Register cleanup timer with the platform disposables
+    track("trackInterval", cleanupTimer, "processed-blocks cleanup");
   };
 
   // Extract Block UID from DOM
@@ -80,12 +80,14 @@ const commentAutoTagger = (() => {
       if (!blockUid) {
         const createTime = blockElement.getAttribute("data-create-time");
         if (createTime) {
-          const timestampQuery = window.roamAlphaAPI.data.q(`
-            [:find ?uid
-             :where 
-             [?e :create/time ${createTime}]
-             [?e :block/uid ?uid]]
-          `);
+          const timestampQuery = window.roamAlphaAPI.data.q(
+            `[:find ?uid
+              :in $ ?time
+              :where
+              [?e :create/time ?time]
+              [?e :block/uid ?uid]]`,
+            Number(createTime)
+          );
           if (timestampQuery.length > 0) {
             blockUid = timestampQuery[0][0];
           }
@@ -246,23 +248,15 @@ const commentAutoTagger = (() => {
     isProcessing = true;
     debug(`Processing ${pendingBlocks.size} pending comment blocks...`);
 
-    for (const blockUid of pendingBlocks) {
+    for (const [blockUid, queuedElement] of pendingBlocks) {
       // Skip if already processed
       if (processedBlocks.has(blockUid)) {
         pendingBlocks.delete(blockUid);
         continue;
       }
 
-      // Find the DOM element to check if still being edited
-      const blockElements = document.querySelectorAll(".rm-block");
-      let blockElement = null;
-
-      for (const el of blockElements) {
-        if (getBlockUidFromDOM(el) === blockUid) {
-          blockElement = el;
-          break;
-        }
-      }
+      // The element the block was queued from, if it is still rendered
+      const blockElement = queuedElement?.isConnected ? queuedElement : null;
 
       // Skip if block is currently being edited
       if (blockElement && isBlockBeingEdited(blockElement)) {
@@ -301,7 +295,7 @@ const commentAutoTagger = (() => {
     const blockUid = getBlockUidFromDOM(blockElement);
     if (blockUid && !processedBlocks.has(blockUid)) {
       debug(`Comment block ${blockUid} lost focus, adding to pending queue`);
-      pendingBlocks.add(blockUid);
+      pendingBlocks.set(blockUid, blockElement);
 
       // Process after a short delay
       clearTimeout(idleTimer);
@@ -435,13 +429,18 @@ const commentAutoTagger = (() => {
     window.addEventListener("beforeunload", handlePageChange);
     window.addEventListener("hashchange", handlePageChange);
 
-    // Register event listeners with extension registry for cleanup
-    if (window._extensionRegistry) {
-      window._extensionRegistry.elements.push({
-        type: "event-listeners",
-        cleanup: removeEventListeners,
-      });
-    }
+    // Register event listeners with the platform disposables
+    track(
+      "trackListener",
+      document,
+      "focusout",
+      handleBlockBlur,
+      true,
+      "block blur"
+    );
+    track("trackListener", document, "keydown", keyDownHandler, true);
+    track("trackListener", window, "beforeunload", handlePageChange);
+    track("trackListener", window, "hashchange", handlePageChange);
 
     debug("Event listeners setup complete");
   };
@@ -452,14 +451,12 @@ const commentAutoTagger = (() => {
     processPendingBlocks();
   };
 
-  // Process existing comment blocks on load
-  const processExistingComments = async () => {
-    debug("Scanning for existing untagged comment blocks...");
-
-    const allBlocks = document.querySelectorAll(".rm-block");
-    let processedCount = 0;
+  // Tag existing comment blocks as they render - only the blocks the shared
+  // DOM observer reports as added are checked, never the whole page
+  const tagRenderedComments = (blocks) => {
+    const blockUids = [];
 
-    for (const block of allBlocks) {
+    for (const block of blocks) {
       // Skip blocks currently being edited
       if (isBlockBeingEdited(block)) {
         continue;
@@ -472,19 +469,55 @@ const commentAutoTagger = (() => {
 
       const blockUid = getBlockUidFromDOM(block);
       if (blockUid && !processedBlocks.has(blockUid)) {
-        const success = await addConversationTag(blockUid);
-        if (success) {
-          processedBlocks.add(blockUid);
-          processedCount++;
-        }
-        // Small delay between existing blocks
-        await new Promise((resolve) => setTimeout(resolve, 100));
+        blockUids.push(blockUid);
       }
     }
 
-    debug(
-      `Existing comments processed: ${processedCount} comment blocks converted to conversations`
-    );
+    if (blockUids.length === 0) return;
+
+    // Chain batches so tags are written one block at a time
+    existingTagging = existingTagging
+      .then(async () => {
+        let processedCount = 0;
+
+        for (const blockUid of blockUids) {
+          if (processedBlocks.has(blockUid)) continue;
+
+          const success = await addConversationTag(blockUid);
+          if (success) {
+            processedBlocks.add(blockUid);
+            processedCount++;
+          }
+          // Small delay between existing blocks
+          await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+
+        debug(
+          `Existing comments processed: ${processedCount} comment blocks converted to conversations`
+        );
+      })
+      .catch((error) => {
+        debug(`Error tagging existing comments: ${error.message}`);
+      });
+  };
+
+  const observeExistingComments = () => {
+    const platform = window.RoamExtensionSuite;
+    if (platform?.observeDOM) {
+      // Unsubscribed by disposeOwner on unload
+      platform.observeDOM(
+        OWNER_ID,
+        ".rm-block",
+        { added: tagRenderedComments },
+        { existing: true, label: "comment blocks" }
+      );
+      debug("Subscribed to shared DOM observer for comment blocks");
+      return;
+    }
+
+    // Standalone fallback - tag what is on the page once
+    debug("Scanning for existing untagged comment blocks...");
+    tagRenderedComments(document.querySelectorAll(".rm-block"));
   };
 
   const removeEventListeners = () => {
@@ -531,7 +564,7 @@ const commentAutoTagger = (() => {
           id: "processExisting",
           name: "Process existing comments on load",
           description:
-            "Add #ch0 tags to existing comment blocks when extension loads",
+            "Add #ch0 tags to existing comment blocks as they are rendered",
           action: { type: "switch" },
         },
         {
@@ -557,7 +590,11 @@ const commentAutoTagger = (() => {
     // Process existing comments if enabled
     const processExisting = extensionAPI.settings.get("processExisting");
     if (processExisting !== false) {
-      setTimeout(processExistingComments, 3000);
+      track(
+        "trackTimeout",
+        setTimeout(observeExistingComments, 3000),
+        "process existing comments"
+      );
     }
 
     // Get current user context for logging
@@ -581,13 +618,14 @@ const commentAutoTagger = (() => {
     );
     debug("🧹 Memory management: Periodic cleanup of processed blocks cache");
     debug(
-      "🔧 Utility integration: Using extension registry for cleanup and utilities"
+      "🔧 Utility integration: Using platform disposables for cleanup, registry for utilities"
     );
   };
 
   const onunload = () => {
     debug("Unloading Enhanced Comment Auto Tagger...");
     removeEventListeners();
+    window.RoamExtensionSuite?.disposeOwner?.(OWNER_ID);
     processedBlocks.clear();
     pendingBlocks.clear();
     debug("✅ Enhanced Comment Auto Tagger unloaded and cleaned up");
@@ -10,17 +10,38 @@ const mentionNotifications = (() => {
   let currentUnseenCount = 0;
   let autoRefreshInterval = null;
   let styleElement = null;
+  let unbridgeMentionEvents = null;
+  let unsubscribeMentionsSeen = null;
 
   // PERFORMANCE CACHE - Makes notification panel open INSTANTLY!
   let cachedMentions = [];
   let lastCacheTime = 0;
-  const CACHE_DURATION = 10000; // 10 seconds
+  let lastMentionBlocks = null; // query result cachedMentions was built from
+  let unsubscribeMentionQuery = null;
+  const CACHE_DURATION = 10000; // 10 seconds (standalone only)
 
   // Simple Logging
   const log = (message, type = "info") => {
     console.log(`[Mention Notifications] ${type.toUpperCase()}: ${message}`);
   };
 
+  // Resource tracking - the Foundation Registry tears these down on unload
+  const OWNER_ID = "mention-notifications";
+  const track = (method, ...args) =>
+    window.RoamExtensionSuite?.[method]?.(OWNER_ID, ...args);
+
+  // One record per slot - re-creating the badge or panel, or restarting the
+  // refresh timer, releases the record of what it replaced
+  const trackedSlots = new Map();
+  const trackSlot = (slot, method, resource, label) => {
+    releaseSlot(slot);
+    trackedSlots.set(slot, track(method, resource, label));
+  };
+  const releaseSlot = (slot) => {
+    trackedSlots.get(slot)?.release();
+    trackedSlots.delete(slot);
+  };
+
   // Pattern Management
   const getMentionPatterns = (username) => ({
     unseen: `[[@${username}]]`,
@@ -243,6 +264,7 @@ const mentionNotifications = (() => {
     `;
 
     document.head.appendChild(styleElement);
+    track("trackElement", styleElement, "mention styles");
     log("Polished CSS injected successfully");
   };
 
@@ -271,11 +293,69 @@ const mentionNotifications = (() => {
     }
   };
 
+  const MENTION_QUERY = `
+    [:find ?uid ?string
+     :in $ ?pattern
+     :where
+     [?e :block/uid ?uid]
+     [?e :block/string ?string]
+     [(clojure.string/includes? ?string ?pattern)]]
+  `;
+
+  // Block uids are bound with :in rather than spliced into the query text.
+  // These run without the platform too, so they skip 1.5's datalog builder
+  const PARENT_STRING_QUERY = `
+    [:find ?parentString
+     :in $ ?uid
+     :where
+     [?child :block/uid ?uid]
+     [?parent :block/children ?child]
+     [?parent :block/string ?parentString]]
+  `;
+
+  const PAGE_TITLE_QUERY = `
+    [:find ?title
+     :in $ ?uid
+     :where
+     [?b :block/uid ?uid]
+     [?p :block/children ?b]
+     [?p :node/title ?title]]
+  `;
+
+  const ANCESTOR_PAGE_TITLE_QUERY = `
+    [:find ?title
+     :in $ ?uid
+     :where
+     [?b :block/uid ?uid]
+     [?p :block/children+ ?b]
+     [?p :node/title ?title]]
+  `;
+
+  // Every block that references [[@user]] hangs off that page's :block/_refs,
+  // so a watch there sees mentions being added, edited or marked seen
+  const getMentionQueryOptions = (username) => ({
+    args: [getMentionPatterns(username).unseen],
+    owner: OWNER_ID,
+    watch: [
+      {
+        ref: [":node/title", `@${username}`],
+        pattern: "[{:block/_refs [:block/string]}]",
+      },
+    ],
+  });
+
+  const invalidateMentionCache = () => {
+    lastCacheTime = 0;
+    window.RoamExtensionSuite?.invalidateQueries?.(MENTION_QUERY);
+  };
+
   // FAST cached mention detection
   const getUnseenMentions = async (useCache = true) => {
     try {
       const now = Date.now();
+      const platform = window.RoamExtensionSuite;
       if (
+        !platform?.query &&
         useCache &&
         cachedMentions.length > 0 &&
         now - lastCacheTime < CACHE_DURATION
@@ -284,15 +364,22 @@ const mentionNotifications = (() => {
         return cachedMentions;
       }
 
-      log(`Refreshing mention cache...`);
       const currentUser = getCurrentUser();
+      const queryOptions = getMentionQueryOptions(currentUser);
+
+      // Platform cache - a hit hands back the same array as last time
+      const allBlocks = platform?.query
+        ? platform.query(MENTION_QUERY, queryOptions.args, {
+            ...queryOptions,
+            refresh: !useCache,
+          })
+        : window.roamAlphaAPI.data.q(MENTION_QUERY, ...queryOptions.args);
 
-      const allBlocks = window.roamAlphaAPI.data.q(`
-        [:find ?uid ?string
-         :where 
-         [?e :block/uid ?uid]
-         [?e :block/string ?string]]
-      `);
+      if (allBlocks === lastMentionBlocks) {
+        log(`Using cached mentions (${cachedMentions.length} items)`);
+        return cachedMentions;
+      }
+      log(`Refreshing mention cache...`);
 
       const unseenMentionBlocks = allBlocks.filter(([uid, string]) => {
         if (!string || !hasUnseenMention(string, currentUser)) {
@@ -304,13 +391,10 @@ const mentionNotifications = (() => {
         }
 
         try {
-          const parentQuery = window.roamAlphaAPI.data.q(`
-            [:find ?parentString
-             :where 
-             [?child :block/uid "${uid}"]
-             [?parent :block/children ?child]
-             [?parent :block/string ?parentString]]
-          `);
+          const parentQuery = window.roamAlphaAPI.data.q(
+            PARENT_STRING_QUERY,
+            uid
+          );
 
           if (parentQuery.length > 0) {
             const parentString = parentQuery[0][0];
@@ -331,24 +415,15 @@ const mentionNotifications = (() => {
         let pageTitle = "Unknown Page";
 
         try {
-          let pageQuery = window.roamAlphaAPI.data.q(`
-            [:find ?title
-             :where 
-             [?b :block/uid "${uid}"]
-             [?p :block/children ?b]
-             [?p :node/title ?title]]
-          `);
+          let pageQuery = window.roamAlphaAPI.data.q(PAGE_TITLE_QUERY, uid);
 
           if (pageQuery.length > 0) {
             pageTitle = pageQuery[0][0];
           } else {
-            pageQuery = window.roamAlphaAPI.data.q(`
-              [:find ?title
-               :where 
-               [?b :block/uid "${uid}"]
-               [?p :block/children+ ?b]
-               [?p :node/title ?title]]
-            `);
+            pageQuery = window.roamAlphaAPI.data.q(
+              ANCESTOR_PAGE_TITLE_QUERY,
+              uid
+            );
 
             if (pageQuery.length > 0) {
               pageTitle = pageQuery[0][0];
@@ -370,6 +445,7 @@ const mentionNotifications = (() => {
 
       cachedMentions = unseenMentions;
       lastCacheTime = now;
+      lastMentionBlocks = allBlocks;
 
       log(`Cache updated with ${unseenMentions.length} mentions`);
       return unseenMentions;
@@ -422,13 +498,71 @@ const mentionNotifications = (() => {
         };
       }
 
-      lastCacheTime = 0; // Invalidate cache
+      invalidateMentionCache();
+
+      // Let other tabs of this graph drop the mention without re-polling
+      window.RoamExtensionSuite?.emit?.("mentions:seen", {
+        uids: [mentionUid],
+        username: currentUser,
+      });
+
       return { success: true, message: "Successfully marked mention as seen" };
     } catch (error) {
       return { success: false, message: error.message };
     }
   };
 
+  // Bulk update through the platform write queue (rate limit + retries)
+  const markMentionsSeenViaQueue = async (platform, mentions) => {
+    const currentUser = getCurrentUser();
+    const patterns = getMentionPatterns(currentUser);
+    const unseenPattern = new RegExp(escapeRegExp(patterns.unseen), "g");
+
+    const writes = mentions
+      .map((mention) => {
+        const blockContent = window.roamAlphaAPI.pull("[:block/string]", [
+          ":block/uid",
+          mention.uid,
+        ])?.[":block/string"];
+        if (!blockContent || !blockContent.includes(patterns.unseen)) {
+          return null;
+        }
+        return {
+          action: "update",
+          payload: {
+            block: {
+              uid: mention.uid,
+              string: blockContent.replace(unseenPattern, patterns.seen),
+            },
+          },
+          label: mention.uid,
+        };
+      })
+      .filter(Boolean);
+
+    const summary = await platform.queueWrites(writes, {
+      owner: OWNER_ID,
+      label: "mark all mentions seen",
+    }).promise;
+
+    const seenUids = summary.results
+      .filter((result) => result.ok && !result.dryRun)
+      .map((result) => result.write.payload.block.uid);
+    if (seenUids.length > 0) {
+      platform.emit("mentions:seen", { uids: seenUids, username: currentUser });
+    }
+
+    invalidateMentionCache();
+    return {
+      success: true,
+      processed: summary.succeeded,
+      failed: summary.failed,
+      // Mentions that were already seen needed no write
+      skipped: mentions.length - writes.length,
+      dryRun: summary.dryRun,
+    };
+  };
+
   const markAllMentionsAsSeen = async () => {
     try {
       const unseenMentions = await getUnseenMentions();
@@ -437,6 +571,12 @@ const mentionNotifications = (() => {
         return { success: true, processed: 0 };
       }
 
+      const platform = window.RoamExtensionSuite;
+      if (platform?.queueWrites) {
+        return await markMentionsSeenViaQueue(platform, unseenMentions);
+      }
+
+      // Standalone - one write at a time
       let successCount = 0;
       let failCount = 0;
 
@@ -459,7 +599,7 @@ const mentionNotifications = (() => {
         }
       }
 
-      lastCacheTime = 0; // Invalidate cache
+      invalidateMentionCache();
       return { success: true, processed: successCount, failed: failCount };
     } catch (error) {
       log(`Error marking all mentions as seen: ${error.message}`, "error");
@@ -504,6 +644,7 @@ const mentionNotifications = (() => {
           position: relative;
         `;
         topbar.appendChild(notificationBadge);
+        trackSlot("badge", "trackElement", notificationBadge, "topbar badge");
         log(`Badge integrated into topbar`);
       } else {
         notificationBadge.style.cssText = `
@@ -528,6 +669,7 @@ const mentionNotifications = (() => {
           user-select: none;
         `;
         document.body.appendChild(notificationBadge);
+        trackSlot("badge", "trackElement", notificationBadge, "floating badge");
         log(`Badge using fixed position fallback`);
       }
 
@@ -566,7 +708,9 @@ const mentionNotifications = (() => {
 
   const performFullRefresh = async () => {
     try {
-      const unseenMentions = await getUnseenMentions(false); // Force refresh
+      // Cached queries are invalidated by pull watches, so this is a cheap
+      // hit unless something changed; standalone, the 10s cache has expired
+      const unseenMentions = await getUnseenMentions();
       updateBadgeCount(unseenMentions.length);
 
       if (notificationPanel?.style.display !== "none") {
@@ -585,6 +729,12 @@ const mentionNotifications = (() => {
     autoRefreshInterval = setInterval(async () => {
       await performFullRefresh();
     }, 30000);
+    trackSlot(
+      "autoRefresh",
+      "trackInterval",
+      autoRefreshInterval,
+      "auto-refresh"
+    );
   };
 
   const stopAutoRefresh = () => {
@@ -592,6 +742,25 @@ const mentionNotifications = (() => {
       clearInterval(autoRefreshInterval);
       autoRefreshInterval = null;
     }
+    releaseSlot("autoRefresh");
+  };
+
+  // Cross-tab sync - another tab marked mentions as seen
+  const handleMentionsSeen = ({ uids = [], username } = {}, event, meta) => {
+    if (!meta?.remote || username !== getCurrentUser()) return;
+
+    cachedMentions = cachedMentions.filter(
+      (mention) => !uids.includes(mention.uid)
+    );
+    updateBadgeCount(cachedMentions.length);
+
+    uids.forEach((uid) => {
+      notificationPanel
+        ?.querySelector(`.mention-item[data-uid="${uid}"]`)
+        ?.remove();
+    });
+
+    log(`Synced ${uids.length} mention(s) marked seen in another tab`);
   };
 
   // Panel Management
@@ -746,6 +915,12 @@ const mentionNotifications = (() => {
       notificationPanel.appendChild(header);
       notificationPanel.appendChild(content);
       document.body.appendChild(notificationPanel);
+      trackSlot(
+        "panel",
+        "trackElement",
+        notificationPanel,
+        "notification panel"
+      );
 
       await loadNotificationContent();
     } catch (error) {
@@ -893,6 +1068,27 @@ const mentionNotifications = (() => {
       log("Auto-refresh disabled by user setting");
     }
 
+    const platform = window.RoamExtensionSuite;
+    if (platform?.useQuery) {
+      // Badge follows mentions live instead of waiting for the next poll
+      const queryOptions = getMentionQueryOptions(currentUser);
+      unsubscribeMentionQuery = platform.useQuery(
+        MENTION_QUERY,
+        () => performFullRefresh(),
+        { ...queryOptions, immediate: false }
+      );
+    }
+
+    if (platform?.bridgeEvents) {
+      unbridgeMentionEvents = platform.bridgeEvents("mentions:*");
+      unsubscribeMentionsSeen = platform.on(
+        "mentions:seen",
+        handleMentionsSeen
+      );
+      track("trackDisposable", unsubscribeMentionsSeen, "mentions:seen");
+      track("trackDisposable", unbridgeMentionEvents, "mentions:* bridge");
+    }
+
     isInitialized = true;
 
     log("Extension loaded successfully with POLISHED CSS and FAST CACHE!");
@@ -903,6 +1099,21 @@ const mentionNotifications = (() => {
 
     stopAutoRefresh();
 
+    if (unsubscribeMentionQuery) {
+      unsubscribeMentionQuery();
+      unsubscribeMentionQuery = null;
+    }
+
+    if (unsubscribeMentionsSeen) {
+      unsubscribeMentionsSeen();
+      unsubscribeMentionsSeen = null;
+    }
+
+    if (unbridgeMentionEvents) {
+      unbridgeMentionEvents();
+      unbridgeMentionEvents = null;
+    }
+
     if (styleElement) {
       styleElement.remove();
       styleElement = null;
@@ -918,6 +1129,10 @@ const mentionNotifications = (() => {
       notificationPanel = null;
     }
 
+    // Anything the manual cleanup above missed
+    window.RoamExtensionSuite?.disposeOwner?.(OWNER_ID);
+    trackedSlots.clear();
+
     isInitialized = false;
     log("Extension unloaded successfully");
   };
@@ -14,6 +14,7 @@ const userProfileNudgesExtension = (() => {
   let buttonManager = null;
   let currentUser = null;
   let profileModal = null;
+  let stopBadgeUpdates = null;
 
   // ===================================================================
   // 🔧 UTILITY ACCESS - Extension 1.5 Integration
@@ -59,6 +60,20 @@ const userProfileNudgesExtension = (() => {
     return true;
   };
 
+  // 🌟 Wait for Extension 1.6 via the platform instead of polling
+  const waitForButtonUtility = async () => {
+    if (window.RoamExtensionSuite?.whenReady) {
+      try {
+        await window.RoamExtensionSuite.whenReady("simple-button-utility", {
+          requestedBy: "profile-nudges",
+        });
+      } catch (error) {
+        log(`❌ ${error.message}`, "WARNING");
+      }
+    }
+    return checkButtonUtilityDependency();
+  };
+
   // ===================================================================
   // 🔍 USER & PAGE DETECTION - Core Intelligence Preserved
   // ===================================================================
@@ -88,68 +103,15 @@ const userProfileNudgesExtension = (() => {
     }
   };
 
-  const getCurrentPageTitle = () => {
-    try {
-      // First try Extension 1.5 utility (but it might return UID instead of title)
-      const getCurrentPageTitleUtil = getUtility("getCurrentPageTitle");
-      if (getCurrentPageTitleUtil) {
-        const result = getCurrentPageTitleUtil();
-        // If result looks like a UID (no spaces, short), convert it to title
-        if (result && !result.includes(" ") && result.length < 15) {
-          const actualTitle = getPageTitleByUid(result);
-          if (actualTitle) return actualTitle;
-        }
-        // Otherwise use as-is (might already be the title)
-        if (result && result.includes(" ")) return result;
-      }
-
-      // Fallback: Extract UID from URL and convert to title
-      const url = window.location.href;
-      const match = url.match(/#\/app\/[^\/]+\/page\/(.+)$/);
-      if (match) {
-        const pageIdentifier = decodeURIComponent(match[1]);
+  const getCurrentPageTitle = (windowId) =>
+    getUtility("getCurrentPageTitle")(windowId) || null;
 
-        // If it looks like a UID, convert to title
-        if (!pageIdentifier.includes(" ") && pageIdentifier.length < 15) {
-          const title = getPageTitleByUid(pageIdentifier);
-          if (title) return title;
-        }
-
-        // Otherwise return as-is
-        return pageIdentifier;
-      }
-
-      return null;
-    } catch (error) {
-      log(`Error getting current page title: ${error.message}`, "ERROR");
-      return null;
-    }
-  };
-
-  const getPageTitleByUid = (pageUid) => {
-    try {
-      if (!pageUid) return null;
-
-      const result = window.roamAlphaAPI.q(`
-        [:find ?title .
-         :where 
-         [?page :block/uid "${pageUid}"]
-         [?page :node/title ?title]]
-      `);
-
-      return result || null;
-    } catch (error) {
-      log(`Error getting page title by UID: ${error.message}`, "ERROR");
-      return null;
-    }
-  };
-
-  const isOnOwnUsernamePage = () => {
+  const isOnOwnUsernamePage = (windowId = "main") => {
     try {
       const user = getCurrentUserSafe();
       if (!user) return false;
 
-      const currentPage = getCurrentPageTitle();
+      const currentPage = getCurrentPageTitle(windowId);
       if (!currentPage) return false;
 
       // Check if current page matches user's display name exactly
@@ -268,6 +230,16 @@ const userProfileNudgesExtension = (() => {
   // 🎯 BUTTON MANAGEMENT - Extension 1.6 Integration
   // ===================================================================
 
+  // 🔢 Badge = count of missing fields. Set from the profile check on load,
+  // page changes and saves, so the visibility condition only reads
+  const updateNudgeBadge = () => {
+    if (!buttonManager) return;
+    const missing = checkProfileCompleteness().missingFields || [];
+    buttonManager.updateButton("profile-nudge-button", {
+      badge: missing.includes("all") ? "!" : missing.length,
+    });
+  };
+
   // 🌟 Initialize button management with Extension 1.6
   const initializeButtonManagement = async () => {
     try {
@@ -276,8 +248,8 @@ const userProfileNudgesExtension = (() => {
         "INFO"
       );
 
-      // Check dependency availability
-      if (!checkButtonUtilityDependency()) {
+      // Wait for dependency availability
+      if (!(await waitForButtonUtility())) {
         log(
           "❌ Simple Button Utility 2.0 not available - NO BUTTON will be created",
           "WARNING"
@@ -289,38 +261,9 @@ const userProfileNudgesExtension = (() => {
         };
       }
 
-      // Wait for Simple Button Utility 2.0 to be ready
-      let retries = 0;
-      const maxRetries = 10;
-
-      while (retries < maxRetries) {
-        try {
-          // Create button manager
-          buttonManager = new window.SimpleExtensionButtonManager(
-            "ProfileNudges"
-          );
-          await buttonManager.initialize();
-          break;
-        } catch (error) {
-          retries++;
-          log(
-            `⏳ Simple Button Utility 2.0 not ready, retrying... (${retries}/${maxRetries})`,
-            "DEBUG"
-          );
-          await new Promise((resolve) => setTimeout(resolve, 500));
-        }
-      }
-
-      if (retries >= maxRetries) {
-        log(
-          "❌ Failed to initialize Simple Button Utility 2.0 after 10 retries",
-          "ERROR"
-        );
-        return {
-          success: false,
-          reason: "Simple Button Utility 2.0 initialization timeout",
-        };
-      }
+      // Create button manager
+      buttonManager = new window.SimpleExtensionButtonManager("ProfileNudges");
+      await buttonManager.initialize();
 
       // 🎯 EXACT STYLING: Warm yellow gradient with elegant brown border (consistent with other buttons)
       const buttonStyle = {
@@ -337,12 +280,15 @@ const userProfileNudgesExtension = (() => {
       const nudgeButtonResult = await buttonManager.registerButton({
         id: "profile-nudge-button",
         text: "✨ Click for profile helper",
+        hotkey: "alt+shift+p",
+        paletteLabel: "Profile: Complete my profile",
         stack: "top-right", // Position at top-right with other action buttons
+        windows: "all", // Also when your page is open in the sidebar
         priority: false, // Play nice with other extensions
         style: buttonStyle,
-        condition: () => {
+        condition: (page) => {
           // 🎯 SOPHISTICATED CONDITIONAL LOGIC: Only show if on own username page AND profile incomplete
-          const onUsernamePage = isOnOwnUsernamePage();
+          const onUsernamePage = isOnOwnUsernamePage(page.windowId);
           if (!onUsernamePage) return false;
 
           const completeness = checkProfileCompleteness();
@@ -371,12 +317,18 @@ const userProfileNudgesExtension = (() => {
               `❌ Failed to open profile edit modal: ${error.message}`,
               "ERROR"
             );
+            throw error;
           }
         },
       });
 
       // Report results
       if (nudgeButtonResult.success) {
+        updateNudgeBadge();
+        stopBadgeUpdates =
+          window.RoamExtensionSuite?.on?.("page:changed", (context) => {
+            if (context.windowId === "main") updateNudgeBadge();
+          }) || null;
         log(
           `✅ Profile nudge button registered at ${nudgeButtonResult.stack}`,
           "SUCCESS"
@@ -406,6 +358,12 @@ const userProfileNudgesExtension = (() => {
   // 🎨 UI COMPONENTS - Modal Functionality Preserved
   // ===================================================================
 
+  const closeProfileModal = () => {
+    if (!profileModal) return;
+    getUtility("modalUtilities").closeModal(profileModal);
+    profileModal = null;
+  };
+
   const showProfileEditModal = async () => {
     try {
       const user = getCurrentUserSafe();
@@ -420,25 +378,16 @@ const userProfileNudgesExtension = (() => {
       // Get current profile completeness
       const completeness = checkProfileCompleteness();
 
-      // Create modal
-      profileModal = modalUtilities.createModal("profile-edit-modal", {
-        closeOnEscape: true,
-        closeOnBackdrop: true,
-      });
-
-      const content = modalUtilities.createModalContent({
-        width: "95%",
-        maxWidth: "900px", // 50% bigger: 600px -> 900px
-        maxHeight: "90%", // Slightly taller too
-      });
-
       // Create modal with purple banner
-      profileModal = modalUtilities.createModal("profile-edit-modal", {
+      profileModal = modalUtilities.openDialog("profile-edit-modal", {
         closeOnEscape: true,
         closeOnBackdrop: true,
-      });
+        onClose: () => {
+          profileModal = null;
+        },
+      }).modal;
 
-      const modalContent = modalUtilities.createModalContent({
+      const content = modalUtilities.createModalContent({
         width: "95%",
         maxWidth: "900px", // 50% bigger: 600px -> 900px
         maxHeight: "90%", // Slightly taller too
@@ -482,13 +431,10 @@ const userProfileNudgesExtension = (() => {
         justify-content: center;
         transition: all 0.2s ease;
       `;
+      closeModalButton.type = "button";
       closeModalButton.textContent = "×";
-      closeModalButton.addEventListener("click", () => {
-        if (profileModal) {
-          profileModal.remove();
-          profileModal = null;
-        }
-      });
+      closeModalButton.setAttribute("aria-label", "Close profile editor");
+      closeModalButton.addEventListener("click", closeProfileModal);
 
       closeModalButton.addEventListener("mouseenter", () => {
         closeModalButton.style.background = "rgba(255, 255, 255, 0.3)";
@@ -570,6 +516,7 @@ const userProfileNudgesExtension = (() => {
 
         const label = document.createElement("label");
         label.textContent = field.label;
+        label.htmlFor = `profile-field-${field.key}`;
         label.style.cssText = `
           display: block;
           font-weight: 600;
@@ -635,6 +582,7 @@ const userProfileNudgesExtension = (() => {
           input.value = currentValue;
         }
 
+        input.id = `profile-field-${field.key}`;
         input.setAttribute("data-field", field.key);
 
         fieldDiv.appendChild(label);
@@ -680,8 +628,6 @@ const userProfileNudgesExtension = (() => {
       content.appendChild(formContainer);
       profileModal.appendChild(content);
 
-      document.body.appendChild(profileModal);
-
       log("Profile edit modal created", "SUCCESS");
     } catch (error) {
       log(`Error showing profile edit modal: ${error.message}`, "ERROR");
@@ -895,13 +841,11 @@ const userProfileNudgesExtension = (() => {
         );
 
         // Close modal
-        if (profileModal) {
-          profileModal.remove();
-          profileModal = null;
-        }
+        closeProfileModal();
 
         // ✨ NEW: Trigger button manager to re-evaluate conditions
         // This will hide the button if profile is now complete
+        updateNudgeBadge();
         if (buttonManager && buttonManager.registry) {
           buttonManager.registry.rebuildAllButtons();
           log("🔄 Triggered button condition re-evaluation", "INFO");
@@ -930,6 +874,7 @@ const userProfileNudgesExtension = (() => {
       // Check for Extension 1.5 dependencies
       const requiredUtilities = [
         "getCurrentUser",
+        "getCurrentPageTitle",
         "getPageUidByTitle",
         "findNestedDataValuesExact",
         "modalUtilities",
@@ -985,8 +930,8 @@ const userProfileNudgesExtension = (() => {
 
       isInitialized = true;
 
-      // Initialize button management with proper delay
-      setTimeout(async () => {
+      // Initialize button management once Extension 1.6 is ready
+      (async () => {
         const nudgesEnabled = extensionAPI.settings?.get("enableNudges");
         if (nudgesEnabled !== false) {
           try {
@@ -1010,7 +955,7 @@ const userProfileNudgesExtension = (() => {
             );
           }
         }
-      }, 2000); // Delay to ensure Extension 1.6 is ready
+      })();
 
       log(
         "User Profile Nudges Extension loaded successfully with Button Manager Integration!",
@@ -1040,6 +985,9 @@ const userProfileNudgesExtension = (() => {
     try {
       log("User Profile Nudges Extension unloading...", "INFO");
 
+      stopBadgeUpdates?.();
+      stopBadgeUpdates = null;
+
       // Clean up button management
       if (buttonManager) {
         try {
@@ -1051,10 +999,7 @@ const userProfileNudgesExtension = (() => {
       }
 
       // Clean up UI elements
-      if (profileModal) {
-        profileModal.remove();
-        profileModal = null;
-      }
+      closeProfileModal();
 
       // Clean up global API
       if (window.userProfileNudges) {
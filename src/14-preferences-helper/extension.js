@@ -16,6 +16,8 @@ const preferencesEditorExtension = (() => {
   let currentUser = null;
   let preferencesModal = null;
   let initialPreferences = {}; // Track initial state for change detection
+  let unbridgePreferenceEvents = null;
+  let unsubscribePreferenceChanges = null;
 
   // ===================================================================
   // 🔧 UTILITY ACCESS - Extension 1.5 Integration
@@ -33,6 +35,10 @@ const preferencesEditorExtension = (() => {
     return null;
   };
 
+  // Usernames and uids bind via :in through 1.5's query builder
+  const datalog = (...parts) => getUtility("datalog")(...parts);
+  const runQuery = (query) => getUtility("runQuery")(query);
+
   const log = (message, category = "INFO") => {
     const timestamp = new Date().toLocaleTimeString();
     console.log(`[Preferences Editor ${timestamp}] ${category}: ${message}`);
@@ -61,6 +67,38 @@ const preferencesEditorExtension = (() => {
     return true;
   };
 
+  // Wait for Extension 1.6 via the platform instead of polling
+  const waitForButtonUtility = async () => {
+    if (window.RoamExtensionSuite?.whenReady) {
+      try {
+        await window.RoamExtensionSuite.whenReady("simple-button-utility", {
+          requestedBy: "preferences-editor",
+        });
+      } catch (error) {
+        log(`❌ ${error.message}`, "WARNING");
+      }
+    }
+    return checkButtonUtilityDependency();
+  };
+
+  // Wait for Configuration Manager utilities via the platform
+  const waitForConfigurationManager = async () => {
+    if (window.RoamExtensionSuite?.whenUtility) {
+      try {
+        await Promise.all(
+          ["getAllUserPreferences", "setUserPreference"].map((name) =>
+            window.RoamExtensionSuite.whenUtility(name, {
+              requestedBy: "preferences-editor",
+            })
+          )
+        );
+      } catch (error) {
+        log(`❌ ${error.message}`, "WARNING");
+      }
+    }
+    return checkConfigurationManagerDependency();
+  };
+
   // Check if Configuration Manager is available
   const checkConfigurationManagerDependency = () => {
     const getAllUserPreferences = getUtility("getAllUserPreferences");
@@ -119,68 +157,15 @@ const preferencesEditorExtension = (() => {
     }
   };
 
-  const getPageTitleByUid = (pageUid) => {
-    try {
-      if (!pageUid) return null;
-
-      const result = window.roamAlphaAPI.q(`
-        [:find ?title .
-         :where 
-         [?page :block/uid "${pageUid}"]
-         [?page :node/title ?title]]
-      `);
-
-      return result || null;
-    } catch (error) {
-      log(`Error getting page title by UID: ${error.message}`, "ERROR");
-      return null;
-    }
-  };
-
-  const getCurrentPageTitle = () => {
-    try {
-      // First try Extension 1.5 utility (but it might return UID instead of title)
-      const getCurrentPageTitleUtil = getUtility("getCurrentPageTitle");
-      if (getCurrentPageTitleUtil) {
-        const result = getCurrentPageTitleUtil();
-        // If result looks like a UID (no spaces, short), convert it to title
-        if (result && !result.includes(" ") && result.length < 15) {
-          const actualTitle = getPageTitleByUid(result);
-          if (actualTitle) return actualTitle;
-        }
-        // Otherwise use as-is (might already be the title)
-        if (result && result.includes(" ")) return result;
-      }
-
-      // Fallback: Extract UID from URL and convert to title
-      const url = window.location.href;
-      const match = url.match(/#\/app\/[^\/]+\/page\/(.+)$/);
-      if (match) {
-        const pageIdentifier = decodeURIComponent(match[1]);
-
-        // If it looks like a UID, convert to title
-        if (!pageIdentifier.includes(" ") && pageIdentifier.length < 15) {
-          const title = getPageTitleByUid(pageIdentifier);
-          if (title) return title;
-        }
-
-        // Otherwise return as-is
-        return pageIdentifier;
-      }
-
-      return null;
-    } catch (error) {
-      log(`Error getting current page title: ${error.message}`, "ERROR");
-      return null;
-    }
-  };
+  const getCurrentPageTitle = (windowId) =>
+    getUtility("getCurrentPageTitle")(windowId) || null;
 
-  const isOnOwnUserPreferencesPage = () => {
+  const isOnOwnUserPreferencesPage = (windowId = "main") => {
     try {
       const user = getCurrentUserSafe();
       if (!user) return false;
 
-      const currentPage = getCurrentPageTitle();
+      const currentPage = getCurrentPageTitle(windowId);
       if (!currentPage) return false;
 
       // Check if current page matches "{username}/user preferences" exactly
@@ -264,7 +249,12 @@ const preferencesEditorExtension = (() => {
 
       for (const [key, value] of Object.entries(updatedPreferences)) {
         try {
-          const success = await setUserPreference(user.displayName, key, value);
+          const success = await setUserPreference(
+            user.displayName,
+            key,
+            value,
+            { source: "preferences-editor" }
+          );
           if (success) {
             successCount++;
             log(
@@ -303,8 +293,8 @@ const preferencesEditorExtension = (() => {
    */
   const getUserPageUid = async (username) => {
     try {
-      const pageUid = window.roamAlphaAPI.q(`
-        [:find ?uid :where [?e :node/title "${username}"] [?e :block/uid ?uid]]
+      const pageUid = runQuery(datalog`
+        [:find ?uid :where [?e :node/title ${username}] [?e :block/uid ?uid]]
       `)?.[0]?.[0];
 
       if (pageUid) {
@@ -325,10 +315,10 @@ const preferencesEditorExtension = (() => {
    */
   const findJournalBlock = async (pageUid) => {
     try {
-      const blocks = window.roamAlphaAPI.q(`
+      const blocks = runQuery(datalog`
         [:find (pull ?block [:block/uid :block/string])
          :where 
-         [?page :block/uid "${pageUid}"]
+         [?page :block/uid ${pageUid}]
          [?block :block/page ?page]
          [?block :block/string ?string]
          [(clojure.string/starts-with? ?string "Journal::")]]
@@ -366,10 +356,10 @@ const preferencesEditorExtension = (() => {
    */
   const getAllDescendantBlocks = async (parentUid) => {
     try {
-      const descendants = window.roamAlphaAPI.q(`
+      const descendants = runQuery(datalog`
         [:find (pull ?descendant [:block/uid :block/string])
          :where 
-         [?parent :block/uid "${parentUid}"]
+         [?parent :block/uid ${parentUid}]
          [?descendant :block/parents ?parent]
          [?descendant :block/string ?string]]
       `);
@@ -542,7 +532,7 @@ const preferencesEditorExtension = (() => {
       );
 
       // Check dependencies
-      if (!checkButtonUtilityDependency()) {
+      if (!(await waitForButtonUtility())) {
         log(
           "❌ Simple Button Utility 2.0 not available - NO BUTTON will be created",
           "WARNING"
@@ -553,7 +543,7 @@ const preferencesEditorExtension = (() => {
         };
       }
 
-      if (!checkConfigurationManagerDependency()) {
+      if (!(await waitForConfigurationManager())) {
         log(
           "❌ Configuration Manager not available - NO BUTTON will be created",
           "WARNING"
@@ -564,37 +554,10 @@ const preferencesEditorExtension = (() => {
         };
       }
 
-      // Wait for Simple Button Utility 2.0 to be ready
-      let retries = 0;
-      const maxRetries = 10;
-
-      while (retries < maxRetries) {
-        try {
-          buttonManager = new window.SimpleExtensionButtonManager(
-            "PreferencesEditor"
-          );
-          await buttonManager.initialize();
-          break;
-        } catch (error) {
-          retries++;
-          log(
-            `⏳ Simple Button Utility 2.0 not ready, retrying... (${retries}/${maxRetries})`,
-            "DEBUG"
-          );
-          await new Promise((resolve) => setTimeout(resolve, 500));
-        }
-      }
-
-      if (retries >= maxRetries) {
-        log(
-          "❌ Failed to initialize Simple Button Utility 2.0 after 10 retries",
-          "ERROR"
-        );
-        return {
-          success: false,
-          reason: "Simple Button Utility 2.0 initialization timeout",
-        };
-      }
+      buttonManager = new window.SimpleExtensionButtonManager(
+        "PreferencesEditor"
+      );
+      await buttonManager.initialize();
 
       // Consistent styling with Profile Nudges extension
       const buttonStyle = {
@@ -611,12 +574,15 @@ const preferencesEditorExtension = (() => {
       const preferencesButtonResult = await buttonManager.registerButton({
         id: "preferences-editor-button",
         text: "🎨  Edit preferences",
+        hotkey: "alt+shift+e",
+        paletteLabel: "Preferences: Edit my preferences",
         stack: "top-right", // Position at top-right with other action buttons
+        windows: "all", // Also when your preferences are open in the sidebar
         priority: false, // Play nice with other extensions
         style: buttonStyle,
-        condition: () => {
+        condition: (page) => {
           // Only show if on own user preferences page
-          const shouldShow = isOnOwnUserPreferencesPage();
+          const shouldShow = isOnOwnUserPreferencesPage(page.windowId);
 
           if (shouldShow) {
             log(
@@ -672,6 +638,12 @@ const preferencesEditorExtension = (() => {
   // 🎨 UI COMPONENTS - Enhanced Modal with Fixed Layout
   // ===================================================================
 
+  const closePreferencesModal = () => {
+    if (!preferencesModal) return;
+    getUtility("modalUtilities").closeModal(preferencesModal);
+    preferencesModal = null;
+  };
+
   const showPreferencesEditModal = async () => {
     try {
       const user = getCurrentUserSafe();
@@ -690,10 +662,13 @@ const preferencesEditorExtension = (() => {
       const currentPreferences = await getCurrentPreferences();
 
       // Create modal with enhanced sizing (25% larger)
-      preferencesModal = modalUtilities.createModal("preferences-edit-modal", {
+      preferencesModal = modalUtilities.openDialog("preferences-edit-modal", {
         closeOnEscape: true,
         closeOnBackdrop: true,
-      });
+        onClose: () => {
+          preferencesModal = null;
+        },
+      }).modal;
 
       const modalContent = modalUtilities.createModalContent({
         width: "95%",
@@ -759,13 +734,10 @@ const preferencesEditorExtension = (() => {
         justify-content: center;
         transition: all 0.2s ease;
       `;
+      closeModalButton.type = "button";
       closeModalButton.textContent = "×";
-      closeModalButton.addEventListener("click", () => {
-        if (preferencesModal) {
-          preferencesModal.remove();
-          preferencesModal = null;
-        }
-      });
+      closeModalButton.setAttribute("aria-label", "Close preferences");
+      closeModalButton.addEventListener("click", closePreferencesModal);
 
       closeModalButton.addEventListener("mouseenter", () => {
         closeModalButton.style.background = "rgba(255, 255, 255, 0.3)";
@@ -879,6 +851,7 @@ const preferencesEditorExtension = (() => {
 
       const saveButton = document.createElement("button");
       saveButton.textContent = "💾 Save Changes";
+      saveButton.setAttribute("data-preferences-save", "");
       saveButton.style.cssText = `
         width: 100%;
         background: linear-gradient(135deg, #6366f1, #8b5cf6);
@@ -917,8 +890,6 @@ const preferencesEditorExtension = (() => {
       modalContent.appendChild(footer);
       preferencesModal.appendChild(modalContent);
 
-      document.body.appendChild(preferencesModal);
-
       log(
         "Enhanced preferences edit modal created with fixed footer",
         "SUCCESS"
@@ -1454,6 +1425,35 @@ const preferencesEditorExtension = (() => {
     return initialColor !== newColor && newColor;
   };
 
+  // ===================================================================
+  // 📻 CROSS-TAB SYNC - Preferences saved in another tab
+  // ===================================================================
+
+  const handleRemotePreferenceChange = async (
+    { username, preferences = {} } = {},
+    event,
+    meta
+  ) => {
+    if (!meta?.remote) return;
+
+    const user = getCurrentUserSafe();
+    if (!user || user.displayName !== username) return;
+
+    log(
+      `📻 Preferences changed in another tab: ${Object.keys(preferences).join(
+        ", "
+      )}`,
+      "INFO"
+    );
+
+    const newFont = preferences["Graph Display Font"];
+    if (newFont && newFont !== initialPreferences["Graph Display Font"]) {
+      await applyFontChange(newFont, username);
+    }
+
+    initialPreferences = { ...initialPreferences, ...preferences };
+  };
+
   const applyFontChange = async (newFont, username) => {
     try {
       log(`🔤 Attempting to apply font change to: ${newFont}`, "INFO");
@@ -1635,7 +1635,9 @@ const preferencesEditorExtension = (() => {
   const handleSavePreferences = async () => {
     try {
       // Disable save button and show loading state
-      const saveButton = preferencesModal.querySelector("button");
+      const saveButton = preferencesModal.querySelector(
+        "[data-preferences-save]"
+      );
       const originalText = saveButton.textContent;
       saveButton.disabled = true;
       saveButton.textContent = "💾 Saving...";
@@ -1687,6 +1689,12 @@ const preferencesEditorExtension = (() => {
 
       log("✅ All preferences saved successfully!", "SUCCESS");
 
+      // Tell other tabs of this graph so they don't stay stale
+      window.RoamExtensionSuite?.emit?.("preferences:changed", {
+        username: getCurrentUserSafe()?.displayName,
+        preferences: updatedPreferences,
+      });
+
       // 2. Check if font preference changed and apply immediately
       const fontChanged = checkFontPreferenceChange(updatedPreferences);
 
@@ -1769,10 +1777,7 @@ const preferencesEditorExtension = (() => {
 
       // 5. Close modal after brief delay
       setTimeout(() => {
-        if (preferencesModal) {
-          preferencesModal.remove();
-          preferencesModal = null;
-        }
+        closePreferencesModal();
 
         // Trigger button condition re-evaluation
         if (buttonManager && buttonManager.registry) {
@@ -1785,7 +1790,9 @@ const preferencesEditorExtension = (() => {
       showUserFeedback(`❌ Error: ${error.message}`, "error");
     } finally {
       // Re-enable save button
-      const saveButton = preferencesModal?.querySelector("button");
+      const saveButton = preferencesModal?.querySelector(
+        "[data-preferences-save]"
+      );
       if (saveButton) {
         saveButton.disabled = false;
         saveButton.textContent = "💾 Save Changes";
@@ -1808,6 +1815,7 @@ const preferencesEditorExtension = (() => {
       // Check for required dependencies
       const requiredUtilities = [
         "getCurrentUser",
+        "getCurrentPageTitle",
         "modalUtilities",
         "getAllUserPreferences",
         "setUserPreference",
@@ -2000,8 +2008,18 @@ const preferencesEditorExtension = (() => {
 
       isInitialized = true;
 
-      // Initialize button management with delay
-      setTimeout(async () => {
+      // Keep preferences in sync across tabs of the same graph
+      const platform = window.RoamExtensionSuite;
+      if (platform?.bridgeEvents) {
+        unbridgePreferenceEvents = platform.bridgeEvents("preferences:*");
+        unsubscribePreferenceChanges = platform.on(
+          "preferences:changed",
+          handleRemotePreferenceChange
+        );
+      }
+
+      // Initialize button management once dependencies are ready
+      (async () => {
         const editorEnabled = extensionAPI.settings?.get(
           "enablePreferencesEditor"
         );
@@ -2030,7 +2048,7 @@ const preferencesEditorExtension = (() => {
             );
           }
         }
-      }, 2000);
+      })();
 
       log(
         "Enhanced Preferences Editor Extension loaded successfully!",
@@ -2076,12 +2094,19 @@ const preferencesEditorExtension = (() => {
         }
       }
 
-      // Clean up UI elements
-      if (preferencesModal) {
-        preferencesModal.remove();
-        preferencesModal = null;
+      // Stop cross-tab sync
+      if (unsubscribePreferenceChanges) {
+        unsubscribePreferenceChanges();
+        unsubscribePreferenceChanges = null;
+      }
+      if (unbridgePreferenceEvents) {
+        unbridgePreferenceEvents();
+        unbridgePreferenceEvents = null;
       }
 
+      // Clean up UI elements
+      closePreferencesModal();
+
       // Clean up global API
       if (window.preferencesEditor) {
         delete window.preferencesEditor;
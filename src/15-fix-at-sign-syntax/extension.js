@@ -98,39 +98,56 @@ const performNotificationCleanup = async () => {
       );
     }
 
-    // Process each block with malformed syntax
-    const updatePromises = results.map(async ([uid, originalString]) => {
-      if (originalString.includes("@[[")) {
-        const fixedString = originalString.replace(/@\[\[/g, "[[@");
-        const matchCount = (originalString.match(/@\[\[/g) || []).length;
-
-        try {
-          await window.roamAlphaAPI.updateBlock({
-            block: {
-              uid: uid,
-              string: fixedString,
-            },
-          });
-
-          fixesApplied += matchCount;
-
-          if (EXTENSION_CONFIG.enableLogging) {
-            console.log(
-              `✅ [Cleanup] Fixed block ${uid}: ${matchCount} pattern(s) corrected`
-            );
-          }
-
-          return { success: true, uid, matchCount };
-        } catch (error) {
-          console.error(`❌ [Cleanup] Failed to update block ${uid}:`, error);
-          return { success: false, uid, error: error.message };
-        }
+    // Work out the fix for each block with malformed syntax
+    const fixes = results
+      .filter(([, originalString]) => originalString.includes("@[["))
+      .map(([uid, originalString]) => ({
+        uid,
+        string: originalString.replace(/@\[\[/g, "[[@"),
+        matchCount: (originalString.match(/@\[\[/g) || []).length,
+      }));
+
+    // Platform write queue when available (rate limit + retries),
+    // otherwise update every block at once
+    const platform = window.RoamExtensionSuite;
+    const outcomes = platform?.queueWrites
+      ? (
+          await platform.queueWrites(
+            fixes.map((fix) => ({
+              action: "update",
+              payload: { block: { uid: fix.uid, string: fix.string } },
+              label: fix.uid,
+            })),
+            { owner: "notification-syntax-cleanup", label: "@[[ cleanup" }
+          ).promise
+        ).results.map((result, i) => ({ ...fixes[i], ...result }))
+      : await Promise.all(
+          fixes.map(async (fix) => {
+            try {
+              await window.roamAlphaAPI.updateBlock({
+                block: { uid: fix.uid, string: fix.string },
+              });
+              return { ...fix, ok: true };
+            } catch (error) {
+              return { ...fix, ok: false, error };
+            }
+          })
+        );
+
+    outcomes.forEach(({ uid, matchCount, ok, dryRun, error }) => {
+      if (!ok) {
+        console.error(`❌ [Cleanup] Failed to update block ${uid}:`, error);
+        return;
       }
-      return { success: true, uid, matchCount: 0 };
-    });
+      if (dryRun) return;
 
-    // Wait for all updates to complete
-    await Promise.all(updatePromises);
+      fixesApplied += matchCount;
+      if (EXTENSION_CONFIG.enableLogging) {
+        console.log(
+          `✅ [Cleanup] Fixed block ${uid}: ${matchCount} pattern(s) corrected`
+        );
+      }
+    });
 
     cleanupStats.totalFixesApplied += fixesApplied;
     cleanupStats.pagesProcessed++;
@@ -243,6 +260,47 @@ const triggerManualCleanup = async () => {
   return result;
 };
 
+/**
+ * 👀 FALLBACK OBSERVERS
+ * Used only when the Foundation Registry's shared DOM observer is missing
+ */
+const setupFallbackObservers = () => {
+  // Create DOM observer for content changes
+  notificationCleanupExtension.contentObserver = new MutationObserver(
+    handleDOMChanges
+  );
+  notificationCleanupExtension.contentObserver.observe(document.body, {
+    childList: true,
+    subtree: true,
+  });
+
+  // Create navigation observer
+  notificationCleanupExtension.navigationObserver = new MutationObserver(
+    (mutations) => {
+      // Detect page navigation by looking for article/main content changes
+      const hasPageChange = mutations.some(
+        (mutation) =>
+          mutation.type === "childList" &&
+          Array.from(mutation.addedNodes).some(
+            (node) =>
+              node.nodeType === Node.ELEMENT_NODE &&
+              (node.classList.contains("roam-article") ||
+                node.classList.contains("roam-main") ||
+                node.querySelector(".roam-article, .roam-main"))
+          )
+      );
+
+      if (hasPageChange) {
+        handlePageNavigation();
+      }
+    }
+  );
+  notificationCleanupExtension.navigationObserver.observe(document.body, {
+    childList: true,
+    subtree: true,
+  });
+};
+
 /**
  * 🚀 MAIN EXTENSION OBJECT
  */
@@ -250,6 +308,7 @@ const notificationCleanupExtension = {
   // Extension state
   contentObserver: null,
   navigationObserver: null,
+  domSubscriptions: [],
 
   /**
    * 🎯 EXTENSION ONLOAD
@@ -263,40 +322,25 @@ const notificationCleanupExtension = {
       // Reset session statistics
       cleanupStats.sessionsRun = 0;
 
-      // Create DOM observer for content changes
-      notificationCleanupExtension.contentObserver = new MutationObserver(
-        handleDOMChanges
-      );
-      notificationCleanupExtension.contentObserver.observe(document.body, {
-        childList: true,
-        subtree: true,
-      });
-
-      // Create navigation observer
-      notificationCleanupExtension.navigationObserver = new MutationObserver(
-        (mutations) => {
-          // Detect page navigation by looking for article/main content changes
-          const hasPageChange = mutations.some(
-            (mutation) =>
-              mutation.type === "childList" &&
-              Array.from(mutation.addedNodes).some(
-                (node) =>
-                  node.nodeType === Node.ELEMENT_NODE &&
-                  (node.classList.contains("roam-article") ||
-                    node.classList.contains("roam-main") ||
-                    node.querySelector(".roam-article, .roam-main"))
-              )
-          );
-
-          if (hasPageChange) {
-            handlePageNavigation();
-          }
-        }
-      );
-      notificationCleanupExtension.navigationObserver.observe(document.body, {
-        childList: true,
-        subtree: true,
-      });
+      const platform = window.RoamExtensionSuite;
+      if (platform?.observeDOM) {
+        // Shared platform observer and page context - no observers of our own
+        notificationCleanupExtension.domSubscriptions = [
+          platform.observeDOM(
+            "notification-syntax-cleanup",
+            ".roam-block, .rm-block, .roam-article",
+            { added: () => debouncedCleanup(performNotificationCleanup) },
+            { label: "new content" }
+          ),
+          // Shared page context service - fires for main and sidebar pages
+          platform.on("page:changed", () => handlePageNavigation(), {
+            replay: false,
+          }),
+        ];
+      } else {
+        // Standalone fallback - observe the document ourselves
+        setupFallbackObservers();
+      }
 
       // Expose global API for manual control and debugging
       if (!window.RoamExtensions) {
@@ -344,6 +388,11 @@ const notificationCleanupExtension = {
 
     try {
       // Disconnect observers
+      notificationCleanupExtension.domSubscriptions.forEach((unsubscribe) =>
+        unsubscribe()
+      );
+      notificationCleanupExtension.domSubscriptions = [];
+
       if (notificationCleanupExtension.contentObserver) {
         notificationCleanupExtension.contentObserver.disconnect();
         notificationCleanupExtension.contentObserver = null;
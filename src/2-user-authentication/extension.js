@@ -4,6 +4,13 @@
 // Features: User authentication + user preferences + profile initialization
 // ===================================================================
 
+// Datalog lookups go through Extension 1.5's builder - usernames and block
+// uids are bound as :in values, so a quote in a title can't break a query
+const datalog = (...parts) =>
+  window.RoamExtensionSuite.getUtility("datalog")(...parts);
+const runQuery = (query) =>
+  window.RoamExtensionSuite.getUtility("runQuery")(query);
+
 // ===================================================================
 // 🦊 1.0 USER PREFERENCES SYSTEM - Complete Implementation
 // ===================================================================
@@ -26,8 +33,10 @@ const getUserPreferencesPageUid = async (username) => {
   if (!pageUid) {
     // Create the page using direct Roam API
     try {
-      pageUid = await window.roamAlphaAPI.data.page.create({
-        page: { title: pageTitle },
+      // data.page.create resolves without a value - supply the UID up front
+      pageUid = window.roamAlphaAPI.util.generateUID();
+      await window.roamAlphaAPI.data.page.create({
+        page: { title: pageTitle, uid: pageUid },
       });
       console.log(`📄 Created user preferences page: ${pageTitle}`);
     } catch (error) {
@@ -44,6 +53,18 @@ const getUserPreferencesPageUid = async (username) => {
   return pageUid;
 };
 
+/**
+ * Schema for a single preference - known keys use the shared preferences
+ * schema, others are strings (or lists when given an array)
+ */
+const getPreferenceSchema = (key, value) => {
+  const schemas =
+    window.RoamExtensionSuite.getUtility("ATTRIBUTE_SCHEMAS").userPreferences;
+  return {
+    [key]: schemas[key] || (Array.isArray(value) ? "list" : "string"),
+  };
+};
+
 /**
  * 🦊 1.2 Get user preference with intelligent defaults
  * Retrieves a specific preference value for a user
@@ -55,12 +76,15 @@ const getUserPreferencesPageUid = async (username) => {
 const getUserPreference = async (username, key, defaultValue = null) => {
   try {
     const platform = window.RoamExtensionSuite;
-    const findDataValueExact = platform.getUtility("findDataValueExact");
+    const parseAttributeTree = platform.getUtility("parseAttributeTree");
 
     const pageUid = await getUserPreferencesPageUid(username);
     if (!pageUid) return defaultValue;
 
-    const value = findDataValueExact(pageUid, key);
+    const { [key]: value } = parseAttributeTree(
+      pageUid,
+      getPreferenceSchema(key)
+    );
     const result = value !== null ? value : defaultValue;
 
     console.log(`⚙️ Preference "${key}" for ${username}: ${result}`);
@@ -73,84 +97,48 @@ const getUserPreference = async (username, key, defaultValue = null) => {
 
 /**
  * 🦊 1.3 Set user preference with proper structure
- * Sets a preference value for a user
+ * Sets a preference value for a user and records the change in
+ * "{username}/preference history"
  * @param {string} username - Username to set preference for
  * @param {string} key - Preference key to set
  * @param {any} value - Value to set
- * @param {boolean} useAttributeFormat - Whether to use Roam attribute format
+ * @param {Object} options - { source } names the extension or UI making the
+ *   change; { useAttributeFormat } writes "Key::" instead of "**Key:**".
+ *   A boolean is read as useAttributeFormat
  * @returns {boolean} - Success status
  */
-const setUserPreference = async (
-  username,
-  key,
-  value,
-  useAttributeFormat = false
-) => {
+const setUserPreference = async (username, key, value, options = {}) => {
+  const { useAttributeFormat = false, source = "user-authentication" } =
+    typeof options === "boolean" ? { useAttributeFormat: options } : options;
+
   try {
     const platform = window.RoamExtensionSuite;
-    const getDirectChildren = platform.getUtility("getDirectChildren");
+    const writeAttributeTree = platform.getUtility("writeAttributeTree");
 
     const pageUid = await getUserPreferencesPageUid(username);
     if (!pageUid) return false;
 
-    // Get existing children to check if preference already exists
-    const children = getDirectChildren(pageUid);
-    const keyText = useAttributeFormat ? `${key}::` : `**${key}:**`;
-
-    let preferenceBlock = children.find(
-      (child) => child.text.includes(key) || child.text.startsWith(keyText)
+    // History is best-effort: a failed read must not block the write
+    const oldValue =
+      platform.getUtility("readPreferenceValue")?.(username, key, {
+        quiet: true,
+      }) ?? null;
+
+    // Existing "**Key:**" or "Key::" blocks are updated in place
+    await writeAttributeTree(
+      pageUid,
+      getPreferenceSchema(key, value),
+      { [key]: value },
+      { labelFormat: useAttributeFormat ? "attribute" : "bold" }
     );
 
-    if (!preferenceBlock) {
-      // Create preference block
-      try {
-        const blockUid = await window.roamAlphaAPI.data.block.create({
-          location: { "parent-uid": pageUid, order: "last" },
-          block: { string: keyText },
-        });
-
-        // Create value block under preference
-        await window.roamAlphaAPI.data.block.create({
-          location: { "parent-uid": blockUid, order: "last" },
-          block: {
-            string: Array.isArray(value) ? value.join(", ") : String(value),
-          },
-        });
-
-        console.log(`✅ Set preference "${key}" for ${username}: ${value}`);
-        return true;
-      } catch (error) {
-        console.error(`❌ Failed to create preference "${key}":`, error);
-        return false;
-      }
-    } else {
-      // Update existing preference
-      try {
-        const prefChildren = getDirectChildren(preferenceBlock.uid);
-        const valueText = Array.isArray(value)
-          ? value.join(", ")
-          : String(value);
-
-        if (prefChildren.length > 0) {
-          // Update first child with new value
-          await window.roamAlphaAPI.data.block.update({
-            block: { uid: prefChildren[0].uid, string: valueText },
-          });
-        } else {
-          // Create value block
-          await window.roamAlphaAPI.data.block.create({
-            location: { "parent-uid": preferenceBlock.uid, order: "last" },
-            block: { string: valueText },
-          });
-        }
-
-        console.log(`✅ Updated preference "${key}" for ${username}: ${value}`);
-        return true;
-      } catch (error) {
-        console.error(`❌ Failed to update preference "${key}":`, error);
-        return false;
-      }
-    }
+    console.log(`✅ Set preference "${key}" for ${username}: ${value}`);
+    await platform.getUtility("recordPreferenceChange")?.(
+      username,
+      { key, oldValue, newValue: value, source },
+      { quiet: true }
+    );
+    return true;
   } catch (error) {
     console.error(`Error setting preference "${key}" for ${username}:`, error);
     return false;
@@ -166,7 +154,7 @@ const setUserPreference = async (
 const getAllUserPreferences = async (username) => {
   try {
     const platform = window.RoamExtensionSuite;
-    const findDataValueExact = platform.getUtility("findDataValueExact");
+    const parseAttributeTree = platform.getUtility("parseAttributeTree");
     const getPageUidByTitle = platform.getUtility("getPageUidByTitle");
 
     const pageTitle = `${username}/user preferences`;
@@ -177,24 +165,13 @@ const getAllUserPreferences = async (username) => {
       return {};
     }
 
-    // Common preference keys to check
-    const preferenceKeys = [
-      "Loading Page Preference",
-      "Immutable Home Page",
-      "Weekly Bundle",
-      "Journal Header Color",
-      "Personal Shortcuts",
-    ];
-
-    const preferences = {};
-
-    // Collect preference values
-    for (const key of preferenceKeys) {
-      const value = findDataValueExact(pageUid, key);
-      if (value !== null) {
-        preferences[key] = value;
-      }
-    }
+    const values = parseAttributeTree(
+      pageUid,
+      platform.getUtility("ATTRIBUTE_SCHEMAS").userPreferences
+    );
+    const preferences = Object.fromEntries(
+      Object.entries(values).filter(([, value]) => value !== null)
+    );
 
     console.log(
       `📊 Loaded ${Object.keys(preferences).length} preferences for ${username}`
@@ -259,6 +236,10 @@ const initializeUserProfile = async (username) => {
   const startTime = Date.now();
   const TIMEOUT = 10000; // 10 second timeout
   let loopCount = 0;
+  // Locked create-if-missing, so concurrent tabs never duplicate a section
+  const platform = window.RoamExtensionSuite;
+  const createPageIfNotExists = platform.getUtility("createPageIfNotExists");
+  const ensureBlockExists = platform.getUtility("ensureBlockExists");
 
   console.log(`🎯 Initializing user profile structure for ${username}...`);
 
@@ -267,24 +248,21 @@ const initializeUserProfile = async (username) => {
 
     try {
       // STEP 1: Ensure user page exists
-      let userPageUid = window.roamAlphaAPI.q(`
-        [:find ?uid :where [?e :node/title "${username}"] [?e :block/uid ?uid]]
+      let userPageUid = runQuery(datalog`
+        [:find ?uid :where [?e :node/title ${username}] [?e :block/uid ?uid]]
       `)?.[0]?.[0];
 
       if (!userPageUid) {
         console.log(`➕ Creating user page: ${username}`);
-        userPageUid = window.roamAlphaAPI.util.generateUID();
-        await window.roamAlphaAPI.data.page.create({
-          page: { title: username, uid: userPageUid },
-        });
+        await createPageIfNotExists(username);
         continue; // Retry to verify creation
       }
 
       // STEP 2: Ensure "My Info::" block exists
-      const myInfoQuery = window.roamAlphaAPI.q(`
+      const myInfoQuery = runQuery(datalog`
         [:find (pull ?child [:block/uid :block/string])
          :where 
-         [?parent :block/uid "${userPageUid}"] 
+         [?parent :block/uid ${userPageUid}] 
          [?child :block/parents ?parent]
          [?child :block/string ?string] 
          [(clojure.string/starts-with? ?string "My Info::")]]
@@ -299,17 +277,7 @@ const initializeUserProfile = async (username) => {
         };
       } else {
         // Create My Info block
-        const childCount =
-          window.roamAlphaAPI.q(`
-          [:find (count ?child) :where 
-           [?parent :block/uid "${userPageUid}"] [?child :block/parents ?parent]]
-        `)?.[0]?.[0] || 0;
-
-        const myInfoUid = window.roamAlphaAPI.util.generateUID();
-        await window.roamAlphaAPI.data.block.create({
-          location: { "parent-uid": userPageUid, order: childCount },
-          block: { uid: myInfoUid, string: "My Info::" },
-        });
+        await ensureBlockExists(userPageUid, "My Info::");
         continue; // Retry to verify creation
       }
 
@@ -327,28 +295,18 @@ const initializeUserProfile = async (username) => {
       let myInfoSkippedCount = 0;
 
       for (const field of profileFields) {
-        const fieldQuery = window.roamAlphaAPI.q(`
+        const fieldQuery = runQuery(datalog`
           [:find (pull ?child [:block/uid :block/string])
            :where 
-           [?parent :block/uid "${myInfoBlock.uid}"] 
+           [?parent :block/uid ${myInfoBlock.uid}] 
            [?child :block/parents ?parent]
            [?child :block/string ?string] 
-           [(clojure.string/starts-with? ?string "${field.name}")]]
+           [(clojure.string/starts-with? ?string ${field.name})]]
         `);
 
         if (fieldQuery.length === 0) {
           // Create field block
-          const fieldChildCount =
-            window.roamAlphaAPI.q(`
-            [:find (count ?child) :where 
-             [?parent :block/uid "${myInfoBlock.uid}"] [?child :block/parents ?parent]]
-          `)?.[0]?.[0] || 0;
-
-          const fieldUid = window.roamAlphaAPI.util.generateUID();
-          await window.roamAlphaAPI.data.block.create({
-            location: { "parent-uid": myInfoBlock.uid, order: fieldChildCount },
-            block: { uid: fieldUid, string: field.name },
-          });
+          await ensureBlockExists(myInfoBlock.uid, field.name);
           allMyInfoFieldsCreated = false;
           break; // Exit field loop, retry main loop
         } else {
@@ -357,18 +315,14 @@ const initializeUserProfile = async (username) => {
 
           // Check if field has content
           const fieldContentCount =
-            window.roamAlphaAPI.q(`
+            runQuery(datalog`
             [:find (count ?child) :where 
-             [?parent :block/uid "${fieldUid}"] [?child :block/parents ?parent]]
+             [?parent :block/uid ${fieldUid}] [?child :block/parents ?parent]]
           `)?.[0]?.[0] || 0;
 
           if (fieldContentCount === 0) {
             // Add default content
-            const valueUid = window.roamAlphaAPI.util.generateUID();
-            await window.roamAlphaAPI.data.block.create({
-              location: { "parent-uid": fieldUid, order: 0 },
-              block: { uid: valueUid, string: field.defaultValue },
-            });
+            await ensureBlockExists(fieldUid, field.defaultValue);
             allMyInfoFieldsCreated = false;
             break; // Exit field loop, retry main loop
           } else {
@@ -382,10 +336,10 @@ const initializeUserProfile = async (username) => {
       }
 
       // STEP 4: Ensure "Book Notes::" block exists
-      const bookNotesQuery = window.roamAlphaAPI.q(`
+      const bookNotesQuery = runQuery(datalog`
         [:find (pull ?child [:block/uid :block/string])
          :where 
-         [?parent :block/uid "${userPageUid}"] 
+         [?parent :block/uid ${userPageUid}] 
          [?child :block/parents ?parent]
          [?child :block/string ?string] 
          [(clojure.string/starts-with? ?string "Book Notes::")]]
@@ -400,37 +354,23 @@ const initializeUserProfile = async (username) => {
         };
       } else {
         // Create Book Notes block
-        const childCount =
-          window.roamAlphaAPI.q(`
-          [:find (count ?child) :where 
-           [?parent :block/uid "${userPageUid}"] [?child :block/parents ?parent]]
-        `)?.[0]?.[0] || 0;
-
-        const bookNotesUid = window.roamAlphaAPI.util.generateUID();
-        await window.roamAlphaAPI.data.block.create({
-          location: { "parent-uid": userPageUid, order: childCount },
-          block: { uid: bookNotesUid, string: "Book Notes::" },
-        });
+        await ensureBlockExists(userPageUid, "Book Notes::");
         continue; // Retry to verify creation
       }
 
       // STEP 5: Ensure Book Notes has default content if empty
       const bookNotesContentCount =
-        window.roamAlphaAPI.q(`
+        runQuery(datalog`
         [:find (count ?child) :where 
-         [?parent :block/uid "${bookNotesBlock.uid}"] [?child :block/parents ?parent]]
+         [?parent :block/uid ${bookNotesBlock.uid}] [?child :block/parents ?parent]]
       `)?.[0]?.[0] || 0;
 
       if (bookNotesContentCount === 0) {
         // Add placeholder content
-        const placeholderUid = window.roamAlphaAPI.util.generateUID();
-        await window.roamAlphaAPI.data.block.create({
-          location: { "parent-uid": bookNotesBlock.uid, order: 0 },
-          block: {
-            uid: placeholderUid,
-            string: "__Add your book notes here...__",
-          },
-        });
+        await ensureBlockExists(
+          bookNotesBlock.uid,
+          "__Add your book notes here...__"
+        );
         continue; // Retry to verify creation
       }
 
@@ -471,8 +411,8 @@ const initializeUserProfile = async (username) => {
 const checkUserProfileCompleteness = async (username) => {
   try {
     // Check if user page exists
-    const userPageUid = window.roamAlphaAPI.q(`
-      [:find ?uid :where [?e :node/title "${username}"] [?e :block/uid ?uid]]
+    const userPageUid = runQuery(datalog`
+      [:find ?uid :where [?e :node/title ${username}] [?e :block/uid ?uid]]
     `)?.[0]?.[0];
 
     if (!userPageUid) {
@@ -486,20 +426,20 @@ const checkUserProfileCompleteness = async (username) => {
     }
 
     // Check for My Info block
-    const myInfoQuery = window.roamAlphaAPI.q(`
+    const myInfoQuery = runQuery(datalog`
       [:find (pull ?child [:block/uid])
        :where 
-       [?parent :block/uid "${userPageUid}"] 
+       [?parent :block/uid ${userPageUid}] 
        [?child :block/parents ?parent]
        [?child :block/string ?string] 
        [(clojure.string/starts-with? ?string "My Info::")]]
     `);
 
     // Check for Book Notes block
-    const bookNotesQuery = window.roamAlphaAPI.q(`
+    const bookNotesQuery = runQuery(datalog`
       [:find (pull ?child [:block/uid])
        :where 
-       [?parent :block/uid "${userPageUid}"] 
+       [?parent :block/uid ${userPageUid}] 
        [?child :block/parents ?parent]
        [?child :block/string ?string] 
        [(clojure.string/starts-with? ?string "Book Notes::")]]
@@ -536,13 +476,13 @@ const checkUserProfileCompleteness = async (username) => {
       const myInfoUid = myInfoQuery[0][0][":block/uid"];
 
       for (const fieldName of requiredFields) {
-        const fieldQuery = window.roamAlphaAPI.q(`
+        const fieldQuery = runQuery(datalog`
           [:find (pull ?child [:block/uid])
            :where 
-           [?parent :block/uid "${myInfoUid}"] 
+           [?parent :block/uid ${myInfoUid}] 
            [?child :block/parents ?parent]
            [?child :block/string ?string] 
-           [(clojure.string/starts-with? ?string "${fieldName}")]]
+           [(clojure.string/starts-with? ?string ${fieldName})]]
         `);
 
         if (fieldQuery.length === 0) {
@@ -550,10 +490,10 @@ const checkUserProfileCompleteness = async (username) => {
         } else {
           // Check if field has content
           const fieldUid = fieldQuery[0][0][":block/uid"];
-          const contentQuery = window.roamAlphaAPI.q(`
+          const contentQuery = runQuery(datalog`
             [:find (pull ?child [:block/string])
              :where 
-             [?parent :block/uid "${fieldUid}"] 
+             [?parent :block/uid ${fieldUid}] 
              [?child :block/parents ?parent]]
           `);
 
@@ -580,10 +520,10 @@ const checkUserProfileCompleteness = async (username) => {
       missingFields.push("Book Notes:: block missing");
     } else {
       const bookNotesUid = bookNotesQuery[0][0][":block/uid"];
-      const bookNotesContentQuery = window.roamAlphaAPI.q(`
+      const bookNotesContentQuery = runQuery(datalog`
         [:find (pull ?child [:block/string])
          :where 
-         [?parent :block/uid "${bookNotesUid}"] 
+         [?parent :block/uid ${bookNotesUid}] 
          [?child :block/parents ?parent]]
       `);
 
@@ -9,6 +9,13 @@
 // Format: **Field Name:** (bold single colons, not double like Extension 2)
 // ===================================================================
 
+// Parameterized queries (Extension 1.5) - titles and search text are bound
+// with :in rather than pasted into the query string
+const datalog = (...parts) =>
+  window.RoamExtensionSuite.getUtility("datalog")(...parts);
+const runQuery = (query) =>
+  window.RoamExtensionSuite.getUtility("runQuery")(query);
+
 // ===================================================================
 // 🌈 JOURNAL COLOR SYSTEM - Complete Color Management
 // ===================================================================
@@ -162,10 +169,10 @@ const surgicalUpdateJournalColorTags = async (username) => {
  */
 const findJournalBlock = async (pageUid) => {
   try {
-    const blocks = window.roamAlphaAPI.q(`
+    const blocks = runQuery(datalog`
       [:find (pull ?block [:block/uid :block/string])
        :where 
-       [?page :block/uid "${pageUid}"]
+       [?page :block/uid ${pageUid}]
        [?block :block/page ?page]
        [?block :block/string ?string]
        [(clojure.string/starts-with? ?string "Journal::")]]
@@ -201,10 +208,10 @@ const findJournalBlock = async (pageUid) => {
  */
 const getAllDescendantBlocks = async (parentUid) => {
   try {
-    const descendants = window.roamAlphaAPI.q(`
+    const descendants = runQuery(datalog`
       [:find (pull ?descendant [:block/uid :block/string])
        :where 
-       [?parent :block/uid "${parentUid}"]
+       [?parent :block/uid ${parentUid}]
        [?descendant :block/parents ?parent]
        [?descendant :block/string ?string]]
     `);
@@ -276,47 +283,67 @@ const updateUserJournalColorTags = async (username, oldColor, newColor) => {
 
     console.log(`📝 Found ${blocksToUpdate.length} blocks to update`);
 
-    // STEP 4: Update each block
-    let updatedCount = 0;
-    let failedCount = 0;
-
-    for (const block of blocksToUpdate) {
-      try {
-        // Replace old color tag with new color tag
-        const updatedText = block.text.replace(
-          new RegExp(`#clr-lgt-${oldColorCode}-act`, "g"),
-          newColorTag
-        );
-
-        console.log(`🔄 Updating block ${block.uid}`);
-        console.log(`   Old: ${block.text}`);
-        console.log(`   New: ${updatedText}`);
+    // STEP 4: Update each block through the platform write queue
+    const writes = blocksToUpdate.map((block) => {
+      // Replace old color tag with new color tag
+      const updatedText = block.text.replace(
+        new RegExp(`#clr-lgt-${oldColorCode}-act`, "g"),
+        newColorTag
+      );
 
-        await window.roamAlphaAPI.data.block.update({
-          block: {
-            uid: block.uid,
-            string: updatedText,
-          },
-        });
+      console.log(`🔄 Queueing update for block ${block.uid}`);
+      console.log(`   Old: ${block.text}`);
+      console.log(`   New: ${updatedText}`);
 
-        updatedCount++;
-        console.log(`✅ Block ${block.uid} updated successfully`);
+      return {
+        action: "update",
+        payload: { block: { uid: block.uid, string: updatedText } },
+        label: block.uid,
+      };
+    });
 
-        // Small delay to prevent API overload
-        await new Promise((resolve) => setTimeout(resolve, 100));
-      } catch (blockError) {
-        console.error(`❌ Failed to update block ${block.uid}:`, blockError);
-        failedCount++;
+    // Platform write queue when available (rate limit, retries, dry-run),
+    // otherwise one update at a time
+    const platform = window.RoamExtensionSuite;
+    let outcomes = [];
+    if (platform?.queueWrites) {
+      outcomes = (
+        await platform.queueWrites(writes, {
+          owner: "configuration-manager",
+          label: `journal color ${oldColorCode} → ${newColorCode}`,
+        }).promise
+      ).results;
+    } else {
+      for (const write of writes) {
+        try {
+          await window.roamAlphaAPI.data.block.update(write.payload);
+          outcomes.push({ ok: true, write });
+        } catch (error) {
+          console.error(`❌ Failed to update block ${write.label}:`, error);
+          outcomes.push({ ok: false, error, write });
+        }
       }
     }
 
-    // STEP 5: Report results
-    const summary = `Updated ${updatedCount} blocks (${failedCount} failed)`;
+    const updatedCount = outcomes.filter(
+      (outcome) => outcome.ok && !outcome.dryRun
+    ).length;
+    const previewCount = outcomes.filter(
+      (outcome) => outcome.ok && outcome.dryRun
+    ).length;
+    const failedCount = outcomes.filter((outcome) => !outcome.ok).length;
+
+    // STEP 5: Report results - a dry-run changed nothing
+    const summary =
+      previewCount > 0
+        ? `Dry run: would update ${previewCount} blocks (${failedCount} failed)`
+        : `Updated ${updatedCount} blocks (${failedCount} failed)`;
     console.log(`🎉 [COLOR UPDATE] ${summary}`);
 
     return {
-      success: updatedCount > 0,
+      success: updatedCount > 0 || previewCount > 0,
       changed: updatedCount,
+      dryRun: previewCount > 0,
       failed: failedCount,
       total: blocksToUpdate.length,
       message: summary,
@@ -343,8 +370,8 @@ const updateUserJournalColorTags = async (username, oldColor, newColor) => {
  */
 const getUserPageUid = async (username) => {
   try {
-    const pageUid = window.roamAlphaAPI.q(`
-      [:find ?uid :where [?e :node/title "${username}"] [?e :block/uid ?uid]]
+    const pageUid = runQuery(datalog`
+      [:find ?uid :where [?e :node/title ${username}] [?e :block/uid ?uid]]
     `)?.[0]?.[0];
 
     if (pageUid) {
@@ -365,13 +392,13 @@ const getUserPageUid = async (username) => {
  */
 const findBlocksWithColorTag = async (pageUid, colorTag) => {
   try {
-    const blocks = window.roamAlphaAPI.q(`
+    const blocks = runQuery(datalog`
       [:find (pull ?child [:block/uid :block/string])
        :where 
-       [?page :block/uid "${pageUid}"]
+       [?page :block/uid ${pageUid}]
        [?child :block/page ?page]
        [?child :block/string ?string]
-       [(clojure.string/includes? ?string "${colorTag}")]]
+       [(clojure.string/includes? ?string ${colorTag})]]
     `);
 
     const result = blocks.map(([block]) => ({
@@ -1075,12 +1102,27 @@ const CONFIGURATION_SCHEMAS = {
 /**
  * 🎵 RESURRECTED: Set user preference using proven Subjournals pattern
  * No more broken cascadeToBlock with empty arrays!
+ * @param {Object} options - { source } names the extension or UI making the
+ *   change, for "{username}/preference history"
  */
-const setUserPreferenceBulletproof = async (username, key, value) => {
+const setUserPreferenceBulletproof = async (
+  username,
+  key,
+  value,
+  options = {}
+) => {
+  const { source = "configuration-manager" } = options;
   const startTime = Date.now();
   const TIMEOUT = 5000; // 5 second timeout
   const workingOn = { step: null, uid: null, content: null };
   let loopCount = 0;
+  // Only needed for the history entry - without it the write still goes ahead
+  const oldValue =
+    window.RoamExtensionSuite.getUtility("readPreferenceValue")?.(
+      username,
+      key,
+      { quiet: true }
+    ) ?? null;
 
   console.log(
     `🔧 [RESURRECTED] Setting "${key}" = ${JSON.stringify(
@@ -1172,6 +1214,12 @@ const setUserPreferenceBulletproof = async (username, key, value) => {
           Date.now() - startTime
         }ms)`
       );
+      await recordPreferenceHistory(username, {
+        key,
+        oldValue,
+        newValue: value,
+        source,
+      });
       return true;
     } catch (error) {
       console.error(`❌ Loop ${loopCount} error:`, error.message);
@@ -1353,6 +1401,12 @@ const initializeUserPreferencesBulletproof = async (username) => {
           console.log(
             `✅ Added ${defaultValues.length} default value(s) for ${key}`
           );
+          await recordPreferenceHistory(username, {
+            key,
+            oldValue: null,
+            newValue: schema.default,
+            source: "configuration-manager (defaults)",
+          });
           successCount++;
         } else {
           successCount++;
@@ -1429,8 +1483,8 @@ const getAllUserPreferencesBulletproof = async (username) => {
 const getOrCreatePageUid = async (title) => {
   try {
     // Check if page already exists
-    let pageUid = window.roamAlphaAPI.q(`
-      [:find ?uid :where [?e :node/title "${title}"] [?e :block/uid ?uid]]
+    let pageUid = runQuery(datalog`
+      [:find ?uid :where [?e :node/title ${title}] [?e :block/uid ?uid]]
     `)?.[0]?.[0];
 
     if (pageUid) return pageUid;
@@ -1449,11 +1503,11 @@ const getOrCreatePageUid = async (title) => {
 const findBlockByText = async (parentUid, searchText) => {
   try {
     // Search for exact match first
-    const exact = window.roamAlphaAPI.q(`
+    const exact = runQuery(datalog`
       [:find (pull ?child [:block/uid :block/string])
        :where 
-       [?parent :block/uid "${parentUid}"] [?child :block/parents ?parent]
-       [?child :block/string "${searchText}"]]
+       [?parent :block/uid ${parentUid}] [?child :block/parents ?parent]
+       [?child :block/string ${searchText}]]
     `);
 
     if (exact.length > 0) {
@@ -1465,11 +1519,11 @@ const findBlockByText = async (parentUid, searchText) => {
     }
 
     // Fallback: search with starts-with
-    const startsWith = window.roamAlphaAPI.q(`
+    const startsWith = runQuery(datalog`
       [:find (pull ?child [:block/uid :block/string])
        :where 
-       [?parent :block/uid "${parentUid}"] [?child :block/parents ?parent]
-       [?child :block/string ?string] [(clojure.string/starts-with? ?string "${searchText}")]]
+       [?parent :block/uid ${parentUid}] [?child :block/parents ?parent]
+       [?child :block/string ?string] [(clojure.string/starts-with? ?string ${searchText})]]
     `);
 
     if (startsWith.length > 0) {
@@ -1506,9 +1560,9 @@ const findOrCreateBlock = async (parentUid, blockText) => {
 const createBlockSimple = async (parentUid, content) => {
   try {
     const childCount =
-      window.roamAlphaAPI.q(`
+      runQuery(datalog`
       [:find (count ?child) :where 
-       [?parent :block/uid "${parentUid}"] [?child :block/parents ?parent]]
+       [?parent :block/uid ${parentUid}] [?child :block/parents ?parent]]
     `)?.[0]?.[0] || 0;
 
     const blockUid = window.roamAlphaAPI.util.generateUID();
@@ -1529,10 +1583,10 @@ const createBlockSimple = async (parentUid, content) => {
  */
 const getBlockChildren = async (blockUid) => {
   try {
-    const children = window.roamAlphaAPI.q(`
+    const children = runQuery(datalog`
       [:find (pull ?child [:block/uid :block/string])
        :where 
-       [?parent :block/uid "${blockUid}"] [?child :block/parents ?parent]]
+       [?parent :block/uid ${blockUid}] [?child :block/parents ?parent]]
     `);
 
     return children.map(([child]) => ({
@@ -1551,9 +1605,9 @@ const getBlockChildren = async (blockUid) => {
 const getBlockChildCount = async (blockUid) => {
   try {
     const childCount =
-      window.roamAlphaAPI.q(`
+      runQuery(datalog`
       [:find (count ?child) :where 
-       [?parent :block/uid "${blockUid}"] [?child :block/parents ?parent]]
+       [?parent :block/uid ${blockUid}] [?child :block/parents ?parent]]
     `)?.[0]?.[0] || 0;
 
     return childCount;
@@ -1569,9 +1623,9 @@ const getBlockChildCount = async (blockUid) => {
 const blockHasChildren = async (blockUid) => {
   try {
     const childCount =
-      window.roamAlphaAPI.q(`
+      runQuery(datalog`
       [:find (count ?child) :where 
-       [?parent :block/uid "${blockUid}"] [?child :block/parents ?parent]]
+       [?parent :block/uid ${blockUid}] [?child :block/parents ?parent]]
     `)?.[0]?.[0] || 0;
 
     return childCount > 0;
@@ -1644,7 +1698,8 @@ const validateAndRepairConfigurationBulletproof = async (username) => {
           const success = await setUserPreferenceBulletproof(
             username,
             key,
-            schema.default
+            schema.default,
+            { source: "Config: Validate and Repair" }
           );
           if (success) {
             addedCount++;
@@ -1671,7 +1726,8 @@ const validateAndRepairConfigurationBulletproof = async (username) => {
             const success = await setUserPreferenceBulletproof(
               username,
               key,
-              schema.default
+              schema.default,
+              { source: "Config: Validate and Repair" }
             );
             if (success) {
               fixedCount++;
@@ -1875,6 +1931,142 @@ const displayConfigurationStatus = async (username) => {
   console.groupEnd();
 };
 
+// ===================================================================
+// 🕰️ PREFERENCE HISTORY - Show recorded changes and restore a point in time
+// ===================================================================
+
+/**
+ * Add a saved write to "{username}/preference history" (kept by Extension 1.5)
+ */
+const recordPreferenceHistory = (username, change) =>
+  window.RoamExtensionSuite.getUtility("recordPreferenceChange")?.(
+    username,
+    change,
+    { quiet: true }
+  );
+
+/**
+ * "2025-06-04", "2025-06-04 14:30" or a daily page title like
+ * "June 4th, 2025" - a day without a time means the end of that day
+ * @returns {Date|null}
+ */
+const parseRestorePoint = (text) => {
+  const input = String(text || "")
+    .trim()
+    .replace(/^\[\[(.+)\]\]$/, "$1");
+  const match = input.match(/^(.+?)(?:\s+(\d{1,2}):(\d{2}))?$/);
+  if (!match) return null;
+
+  const [, dayText, hours, minutes] = match;
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(dayText)
+    ? new Date(`${dayText}T00:00`)
+    : new Date(dayText.replace(/(\d+)(st|nd|rd|th)\b/, "$1"));
+  if (isNaN(day)) return null;
+
+  if (hours === undefined) day.setHours(23, 59, 59, 999);
+  else day.setHours(Number(hours), Number(minutes), 59, 999);
+  return day;
+};
+
+/**
+ * "YYYY-MM-DD" for a local day - the format parseRestorePoint reads back
+ */
+const formatRestoreDay = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+const formatPreferenceValue = (value) => {
+  if (value === null || value === undefined) return "(not set)";
+  return Array.isArray(value) ? value.join(", ") : String(value);
+};
+
+/**
+ * Print recent changes and open the history page
+ */
+const displayPreferenceHistory = (username, limit = 25) => {
+  const platform = window.RoamExtensionSuite;
+  const entries = platform.getUtility("getPreferenceHistory")(username, {
+    limit,
+  });
+  const title = platform.getUtility("getPreferenceHistoryTitle")(username);
+
+  console.group(`🕰️ Preference History: ${username}`);
+  if (entries.length === 0) {
+    console.log("No preference changes recorded yet");
+  }
+  entries.forEach((entry) => {
+    console.log(
+      `${entry.time.toLocaleString()}  ${entry.key}: ${formatPreferenceValue(
+        entry.oldValue
+      )} → ${formatPreferenceValue(entry.newValue)}  (${entry.source})`
+    );
+  });
+  console.log(`📄 Full history: [[${title}]]`);
+  console.groupEnd();
+
+  const pageUid = platform.getUtility("getPageUidByTitle")(title);
+  if (pageUid) {
+    window.roamAlphaAPI.ui.mainWindow.openPage({ page: { uid: pageUid } });
+  }
+  return entries;
+};
+
+/**
+ * What restoring to a point in time would change: [{ key, from, to }]
+ * Preferences with no recorded changes are left out
+ */
+const planPreferenceRestore = (username, time) => {
+  const platform = window.RoamExtensionSuite;
+  const readPreferenceValue = platform.getUtility("readPreferenceValue");
+  const target = platform.getUtility("getPreferencesAt")(username, time);
+
+  return Object.entries(target)
+    .map(([key, to]) => ({
+      key,
+      from: readPreferenceValue(username, key),
+      to,
+    }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+};
+
+/**
+ * Put every recorded preference back to its value at a point in time.
+ * Each write lands in the history too, so a restore can itself be undone
+ * @returns {Promise<{ restored, failed }>}
+ */
+const restorePreferences = async (username, time) => {
+  const source = `Config: Restore to ${time.toLocaleString()}`;
+  const restored = [];
+  const failed = [];
+
+  for (const change of planPreferenceRestore(username, time)) {
+    try {
+      await setUserPreferenceBulletproof(
+        username,
+        change.key,
+        change.to ?? [],
+        {
+          source,
+        }
+      );
+      restored.push(change);
+    } catch (error) {
+      console.error(`❌ Could not restore "${change.key}":`, error);
+      failed.push(change);
+    }
+  }
+
+  console.log(
+    `🕰️ Restored ${restored.length} preference(s) for ${username}${
+      failed.length > 0 ? `, ${failed.length} failed` : ""
+    }`
+  );
+  return { restored, failed };
+};
+
 // ===================================================================
 // 🎛️ CONFIGURATION SERVICES - Service Registration with Smart Fonts + Colors
 // ===================================================================
@@ -1900,6 +2092,11 @@ const configurationServices = {
   generateConfigurationOverview,
   displayConfigurationStatus,
 
+  // 🕰️ Preference history
+  displayPreferenceHistory,
+  planPreferenceRestore,
+  restorePreferences,
+
   // 🎨 SMART FONT SERVICES - COMPLETE SYSTEM!
   applyUserFont,
   applyFontToGraph,
@@ -2036,6 +2233,76 @@ const createConfigurationCommands = (platform) => {
         }
       },
     },
+    {
+      label: "Config: Show preference history",
+      callback: () => {
+        const user = getAuthenticatedUser();
+        if (user) {
+          displayPreferenceHistory(user.displayName);
+        } else {
+          console.error("❌ No authenticated user found");
+        }
+      },
+    },
+    {
+      label: "Config: Restore preferences to date...",
+      callback: async () => {
+        const user = getAuthenticatedUser();
+        if (!user) {
+          console.error("❌ No authenticated user found");
+          return;
+        }
+
+        const modalUtilities = platform.getUtility("modalUtilities");
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        const answer = await modalUtilities.promptDialog(
+          'Restore your preferences to how they were at the end of a day, or at a time ("2025-06-04 14:30"):',
+          formatRestoreDay(yesterday),
+          { title: "🕰️ Restore Preferences", confirmLabel: "Preview" }
+        );
+        if (answer === null) return;
+
+        const time = parseRestorePoint(answer);
+        if (!time) {
+          console.error(`❌ Couldn't read "${answer}" as a date`);
+          return;
+        }
+
+        const plan = planPreferenceRestore(user.displayName, time);
+        if (plan.length === 0) {
+          console.log(
+            `✅ Preferences already match ${time.toLocaleString()} - nothing to restore`
+          );
+          return;
+        }
+
+        const confirmed = await modalUtilities.confirmDialog(
+          plan
+            .map(
+              ({ key, from, to }) =>
+                `${key}: ${formatPreferenceValue(
+                  from
+                )} → ${formatPreferenceValue(to)}`
+            )
+            .join("\n"),
+          {
+            title: `🕰️ Restore to ${time.toLocaleString()}?`,
+            confirmLabel: "Restore",
+          }
+        );
+        if (!confirmed) return;
+
+        const result = await restorePreferences(user.displayName, time);
+        if (result.failed.length > 0) {
+          console.error(
+            `❌ Not restored: ${result.failed
+              .map((change) => change.key)
+              .join(", ")}`
+          );
+        }
+      },
+    },
     {
       label: "Config: Show All Available Settings",
       callback: () => {
@@ -333,30 +333,20 @@ const checkEditPermission = async (blockElement) => {
  * Show protection modal with helpful alternatives
  */
 const showProtectionModal = (pageOwner, pageType, attemptingUser) => {
-  // Remove any existing modal
-  const existingModal = document.querySelector(
-    ".roam-extension-suite-protection-modal"
+  const modalUtilities = window.RoamExtensionSuite.getUtility("modalUtilities");
+
+  // Opening replaces any existing protection modal
+  const { modal, close } = modalUtilities.openDialog(
+    "roam-extension-suite-protection-modal",
+    {
+      role: "alertdialog",
+      initialFocus: ".close-modal",
+      // Refocusing the blocked editor would just reopen this modal
+      restoreFocus: false,
+    }
   );
-  if (existingModal) {
-    existingModal.remove();
-  }
-
-  // Create modal
-  const modal = document.createElement("div");
   modal.className = "roam-extension-suite-protection-modal";
-  modal.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    right: 0;
-    bottom: 0;
-    background: rgba(0, 0, 0, 0.5);
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    z-index: 10000;
-    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-  `;
+  modal.setAttribute("aria-describedby", "protection-modal-message");
 
   const modalContent = document.createElement("div");
   modalContent.style.cssText = `
@@ -376,7 +366,7 @@ const showProtectionModal = (pageOwner, pageType, attemptingUser) => {
       <span style="font-size: 20px; margin-right: 8px;">🔒</span>
       <h3 style="margin: 0; font-size: 18px; font-weight: 600;">Protected User Page</h3>
     </div>
-    <p style="margin: 0 0 20px 0; line-height: 1.5; color: #374151;">
+    <p id="protection-modal-message" style="margin: 0 0 20px 0; line-height: 1.5; color: #374151;">
       <strong>${pageOwner}</strong> has set their ${pageTypeDescription} to be immutable, so blocks cannot be edited. 
       However, you can add a comment to any block by hovering over it with the 
       <kbd style="background: #f3f4f6; padding: 2px 6px; border-radius: 3px; font-family: monospace;">Cmd</kbd> 
@@ -397,10 +387,9 @@ const showProtectionModal = (pageOwner, pageType, attemptingUser) => {
   `;
 
   modal.appendChild(modalContent);
-  document.body.appendChild(modal);
 
   // Add event listeners
-  const closeModal = () => modal.remove();
+  const closeModal = () => close();
 
   modalContent
     .querySelector(".close-modal")
@@ -421,13 +410,6 @@ const showProtectionModal = (pageOwner, pageType, attemptingUser) => {
       }
       closeModal();
     });
-
-  modal.addEventListener("click", (e) => {
-    if (e.target === modal) closeModal();
-  });
-
-  // Register for cleanup
-  window._extensionRegistry.elements.push(modal);
 };
 
 /**
@@ -794,7 +776,11 @@ export default {
     const modals = document.querySelectorAll(
       ".roam-extension-suite-protection-modal"
     );
-    modals.forEach((modal) => modal.remove());
+    const modalUtilities =
+      window.RoamExtensionSuite?.getUtility("modalUtilities");
+    modals.forEach((modal) =>
+      modalUtilities ? modalUtilities.closeModal(modal) : modal.remove()
+    );
 
     console.log("✅ Navigation + Protection cleanup complete!");
   },
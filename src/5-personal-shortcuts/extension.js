@@ -73,6 +73,22 @@
   // 🔧 SHORTCUTS DATA FUNCTIONS
   // ===================================================================
 
+  // Shortcuts only change when the preferences page does - cache the lookups
+  // against a watch on it rather than re-querying on every widget refresh
+  const queryPreferencesPage = (pageTitle, { query, args }) => {
+    if (platform.query) {
+      return platform.query(query, args, {
+        owner: "personal-shortcuts",
+        watch: [pageTitle],
+      });
+    }
+    return window.roamAlphaAPI.data.q(query, ...args);
+  };
+
+  // Shortcut text is user-entered - bind it with :in (Extension 1.5)
+  const datalog = (...parts) => platform.getUtility("datalog")(...parts);
+  const runQuery = (query) => platform.getUtility("runQuery")(query);
+
   const getUserShortcuts = async () => {
     try {
       const currentUser = await getCurrentUser();
@@ -85,31 +101,32 @@
         return ["Daily Notes", "Chat Room"];
       }
 
-      const pageUid = getPageUidByTitle(`${currentUser}/user preferences`);
+      const pageTitle = `${currentUser}/user preferences`;
+      const pageUid = getPageUidByTitle(pageTitle);
       if (!pageUid) {
         return ["Daily Notes", "Chat Room"];
       }
 
       // Find Personal Shortcuts header block
-      const headerQuery = `[:find ?block-uid :where 
-                           [?page :block/uid "${pageUid}"]
+      const headerQuery = datalog`[:find ?block-uid :where 
+                           [?page :block/uid ${pageUid}]
                            [?page :block/children ?child]
                            [?child :block/string ?content]
                            [?child :block/uid ?block-uid]
                            [(clojure.string/includes? ?content "Personal Shortcuts")]]`;
 
-      const headerResults = await window.roamAlphaAPI.data.q(headerQuery);
+      const headerResults = queryPreferencesPage(pageTitle, headerQuery);
 
       if (headerResults && headerResults.length > 0) {
         const shortcutsBlockUid = headerResults[0][0];
 
         // Get child blocks (the shortcuts)
-        const childQuery = `[:find ?content :where 
-                           [?parent :block/uid "${shortcutsBlockUid}"]
+        const childQuery = datalog`[:find ?content :where 
+                           [?parent :block/uid ${shortcutsBlockUid}]
                            [?parent :block/children ?child]
                            [?child :block/string ?content]]`;
 
-        const childResults = await window.roamAlphaAPI.data.q(childQuery);
+        const childResults = queryPreferencesPage(pageTitle, childQuery);
 
         if (childResults && childResults.length > 0) {
           const shortcuts = childResults
@@ -129,6 +146,27 @@
     }
   };
 
+  // Shortcuts are written to their blocks directly, so record each change
+  // in "{username}/preference history" here (warn-only - it's already saved)
+  const readStoredShortcuts = (username) =>
+    platform.getUtility("readPreferenceValue")?.(
+      username,
+      "Personal Shortcuts",
+      { quiet: true }
+    ) ?? [];
+
+  const recordShortcutsChange = (username, oldValue, newValue) =>
+    platform.getUtility("recordPreferenceChange")?.(
+      username,
+      {
+        key: "Personal Shortcuts",
+        oldValue,
+        newValue,
+        source: "personal-shortcuts",
+      },
+      { quiet: true }
+    );
+
   const addCurrentPageToShortcuts = async () => {
     try {
       const currentUser = await getCurrentUser();
@@ -146,22 +184,27 @@
       if (!pageUid) return false;
 
       // Find Personal Shortcuts header block
-      const headerQuery = `[:find ?block-uid :where 
-                           [?page :block/uid "${pageUid}"]
+      const headerQuery = datalog`[:find ?block-uid :where 
+                           [?page :block/uid ${pageUid}]
                            [?page :block/children ?child]
                            [?child :block/string ?content]
                            [?child :block/uid ?block-uid]
                            [(clojure.string/includes? ?content "Personal Shortcuts")]]`;
 
-      const headerResults = await window.roamAlphaAPI.data.q(headerQuery);
+      const headerResults = runQuery(headerQuery);
 
       if (headerResults && headerResults.length > 0) {
         const shortcutsBlockUid = headerResults[0][0];
+        const storedShortcuts = readStoredShortcuts(currentUser);
 
         await window.roamAlphaAPI.createBlock({
           location: { "parent-uid": shortcutsBlockUid, order: "last" },
           block: { string: currentPage },
         });
+        await recordShortcutsChange(currentUser, storedShortcuts, [
+          ...storedShortcuts,
+          currentPage,
+        ]);
 
         setTimeout(() => refreshShortcutsUI(), 1000);
         return true;
@@ -184,33 +227,39 @@
       if (!pageUid) return false;
 
       // Find Personal Shortcuts header block
-      const headerQuery = `[:find ?block-uid :where 
-                           [?page :block/uid "${pageUid}"]
+      const headerQuery = datalog`[:find ?block-uid :where 
+                           [?page :block/uid ${pageUid}]
                            [?page :block/children ?child]
                            [?child :block/string ?content]
                            [?child :block/uid ?block-uid]
                            [(clojure.string/includes? ?content "Personal Shortcuts")]]`;
 
-      const headerResults = await window.roamAlphaAPI.data.q(headerQuery);
+      const headerResults = runQuery(headerQuery);
 
       if (headerResults && headerResults.length > 0) {
         const shortcutsBlockUid = headerResults[0][0];
 
         // Find the specific shortcut block to remove
-        const shortcutQuery = `[:find ?child-uid :where 
-                               [?parent :block/uid "${shortcutsBlockUid}"]
+        const shortcutQuery = datalog`[:find ?child-uid :where 
+                               [?parent :block/uid ${shortcutsBlockUid}]
                                [?parent :block/children ?child]
-                               [?child :block/string "${shortcutToRemove}"]
+                               [?child :block/string ${shortcutToRemove}]
                                [?child :block/uid ?child-uid]]`;
 
-        const shortcutResults = await window.roamAlphaAPI.data.q(shortcutQuery);
+        const shortcutResults = runQuery(shortcutQuery);
 
         if (shortcutResults && shortcutResults.length > 0) {
           const shortcutBlockUid = shortcutResults[0][0];
+          const storedShortcuts = readStoredShortcuts(currentUser);
 
           await window.roamAlphaAPI.deleteBlock({
             block: { uid: shortcutBlockUid },
           });
+          await recordShortcutsChange(
+            currentUser,
+            storedShortcuts,
+            storedShortcuts.filter((shortcut) => shortcut !== shortcutToRemove)
+          );
 
           setTimeout(() => refreshShortcutsUI(), 1000);
           return true;
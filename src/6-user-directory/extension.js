@@ -35,6 +35,7 @@ const checkExtension15Dependencies = () => {
     "getCurrentUser",
     "getPageUidByTitle",
     "findNestedDataValuesExact",
+    "datalog",
   ];
 
   const missingUtilities = requiredUtilities.filter(
@@ -74,6 +75,22 @@ const checkButtonUtilityDependency = () => {
   return true;
 };
 
+/**
+ * ⏳ Wait for Simple Button Utility 2.0 via the platform instead of polling
+ */
+const waitForButtonUtility = async () => {
+  if (window.RoamExtensionSuite?.whenReady) {
+    try {
+      await window.RoamExtensionSuite.whenReady("simple-button-utility", {
+        requestedBy: "clean-user-directory",
+      });
+    } catch (error) {
+      console.warn(`❌ ${error.message}`);
+    }
+  }
+  return checkButtonUtilityDependency();
+};
+
 // ===================================================================
 // 🎯 CONDITIONAL LOGIC - Chat Room Page Detection (FIXED)
 // ===================================================================
@@ -276,6 +293,27 @@ const getAllUserProfilesClean = async () => {
 // 🖼️ AVATAR DISPLAY - Enhanced with Extension 1.5 Image Processing
 // ===================================================================
 
+/**
+ * 🗃️ Query scoped to one member's page - cached by the platform until that
+ * page changes, so reopening the directory doesn't re-run every lookup
+ */
+const queryMemberPage = (username, { query, args }) => {
+  const platform = window.RoamExtensionSuite;
+  if (platform?.query) {
+    return platform.query(query, args, {
+      owner: "clean-user-directory",
+      watch: [username],
+    });
+  }
+  return window.roamAlphaAPI.data.fast.q(query, ...args);
+};
+
+/**
+ * Build a parameterized query - member names and uids bind via :in
+ */
+const datalog = (...parts) =>
+  window.RoamExtensionSuite.getUtility("datalog")(...parts);
+
 /**
  * ✨ DIRECT ROAM API: Create avatar display using fresh data queries
  */
@@ -283,14 +321,14 @@ const createAvatarDisplay = async (profile) => {
   try {
     console.log(`🖼️ Fresh avatar extraction for: ${profile.username}`);
 
-    // ✅ STEP 1: Direct query for user page UID (no caching)
-    const userPageQuery = `
+    // ✅ STEP 1: Query for user page UID (cached until the page changes)
+    const userPageQuery = datalog`
       [:find ?uid 
        :where 
-       [?page :node/title "${profile.username}"]
+       [?page :node/title ${profile.username}]
        [?page :block/uid ?uid]]
     `;
-    const userPageResult = window.roamAlphaAPI.data.fast.q(userPageQuery);
+    const userPageResult = queryMemberPage(profile.username, userPageQuery);
     const userPageUid = userPageResult?.[0]?.[0];
 
     if (!userPageUid) {
@@ -299,16 +337,16 @@ const createAvatarDisplay = async (profile) => {
     }
 
     // ✅ STEP 2: Direct query for "My Info::" block (fresh data)
-    const myInfoQuery = `
+    const myInfoQuery = datalog`
       [:find ?uid 
        :where 
        [?block :block/page ?page]
-       [?page :block/uid "${userPageUid}"]
+       [?page :block/uid ${userPageUid}]
        [?block :block/string ?text]
        [?block :block/uid ?uid]
        [(clojure.string/includes? ?text "My Info::")]]
     `;
-    const myInfoResult = window.roamAlphaAPI.data.fast.q(myInfoQuery);
+    const myInfoResult = queryMemberPage(profile.username, myInfoQuery);
     const myInfoUid = myInfoResult?.[0]?.[0];
 
     if (!myInfoUid) {
@@ -317,16 +355,16 @@ const createAvatarDisplay = async (profile) => {
     }
 
     // ✅ STEP 3: Direct query for "Avatar::" block under My Info (fresh data)
-    const avatarQuery = `
+    const avatarQuery = datalog`
       [:find ?uid 
        :where 
        [?block :block/parents ?parent]
-       [?parent :block/uid "${myInfoUid}"]
+       [?parent :block/uid ${myInfoUid}]
        [?block :block/string ?text]
        [?block :block/uid ?uid]
        [(clojure.string/includes? ?text "Avatar::")]]
     `;
-    const avatarResult = window.roamAlphaAPI.data.fast.q(avatarQuery);
+    const avatarResult = queryMemberPage(profile.username, avatarQuery);
     const avatarUid = avatarResult?.[0]?.[0];
 
     if (!avatarUid) {
@@ -335,16 +373,16 @@ const createAvatarDisplay = async (profile) => {
     }
 
     // ✅ STEP 4: Direct query for image content in Avatar children (REAL-TIME DATA!)
-    const imageQuery = `
+    const imageQuery = datalog`
       [:find ?text ?uid
        :where 
        [?child :block/parents ?parent]
-       [?parent :block/uid "${avatarUid}"]
+       [?parent :block/uid ${avatarUid}]
        [?child :block/string ?text]
        [?child :block/uid ?uid]
        [(clojure.string/includes? ?text "!")]]
     `;
-    const imageResults = window.roamAlphaAPI.data.fast.q(imageQuery);
+    const imageResults = queryMemberPage(profile.username, imageQuery);
 
     // ✅ STEP 5: Extract image URLs from fresh block content
     for (const [blockText, blockUid] of imageResults) {
@@ -424,11 +462,13 @@ const showUserDirectoryModalClean = async () => {
       return;
     }
 
-    // ✅ STEP 1: Create modal using Extension 1.5 utilities
-    const modal = modalUtilities.createModal("clean-user-directory-modal", {
+    // ✅ STEP 1: Open dialog using Extension 1.5 utilities
+    // (labelled up front - the header only arrives once profiles load)
+    const { modal } = modalUtilities.openDialog("clean-user-directory-modal", {
       closeOnEscape: true,
       closeOnBackdrop: true,
       zIndex: 10000,
+      label: "Member Directory",
     });
 
     // ✅ STEP 2: Create modal content using utilities
@@ -446,14 +486,8 @@ const showUserDirectoryModalClean = async () => {
       </div>
     `;
 
-    // Append modal to DOM
+    // Fill the open dialog (openDialog already attached and registered it)
     modal.appendChild(content);
-    document.body.appendChild(modal);
-
-    // Register for cleanup
-    if (window._extensionRegistry && window._extensionRegistry.elements) {
-      window._extensionRegistry.elements.push(modal);
-    }
 
     // 📝 Load profiles using clean extraction (now includes cache refresh!)
     const profiles = await getAllUserProfilesClean();
@@ -612,8 +646,8 @@ const initializeButtonManagement = async () => {
   try {
     console.log("🎯 User Directory: Initializing Simple Button Utility 2.0...");
 
-    // 🎯 CRITICAL: Check Simple Button Utility 2.0 availability first
-    if (!checkButtonUtilityDependency()) {
+    // 🎯 CRITICAL: Wait for Simple Button Utility 2.0 availability first
+    if (!(await waitForButtonUtility())) {
       console.warn(
         "❌ Simple Button Utility 2.0 not available - NO BUTTON will be created"
       );
@@ -627,38 +661,11 @@ const initializeButtonManagement = async () => {
     // 🎯 STEP 1: Register chat room context detector FIRST
     registerChatRoomContextDetector();
 
-    // 🎯 STEP 2: Wait for Simple Button Utility 2.0 to be ready
-    let retries = 0;
-    const maxRetries = 10;
-
-    while (retries < maxRetries) {
-      try {
-        // 🎯 STEP 3: Create button manager using the CORRECT API
-        buttonManager = new window.SimpleExtensionButtonManager(
-          "UserDirectory"
-        );
-        await buttonManager.initialize();
-        break;
-      } catch (error) {
-        retries++;
-        console.log(
-          `⏳ Simple Button Utility 2.0 not ready, retrying... (${retries}/${maxRetries})`
-        );
-        await new Promise((resolve) => setTimeout(resolve, 500));
-      }
-    }
-
-    if (retries >= maxRetries) {
-      console.error(
-        "❌ Failed to initialize Simple Button Utility 2.0 after 10 retries"
-      );
-      return {
-        success: false,
-        reason: "Simple Button Utility 2.0 initialization timeout",
-      };
-    }
+    // 🎯 STEP 2: Create button manager using the CORRECT API
+    buttonManager = new window.SimpleExtensionButtonManager("UserDirectory");
+    await buttonManager.initialize();
 
-    // 🎯 STEP 4: Register the directory button with CORRECT API syntax
+    // 🎯 STEP 3: Register the directory button with CORRECT API syntax
     const result = await buttonManager.registerButton({
       id: "directory-button",
       text: "👥 Member Directory",
@@ -872,15 +879,8 @@ window.navigateToUserPageClean = (username) => {
     }
 
     // 🎯 CRITICAL FIX: Get page UID instead of using title!
-    const pageUidQuery = `
-      [:find ?uid 
-       :where 
-       [?page :node/title "${username}"]
-       [?page :block/uid ?uid]]
-    `;
-
-    const pageUidResult = window.roamAlphaAPI.data.fast.q(pageUidQuery);
-    const pageUid = pageUidResult?.[0]?.[0];
+    const pageUid =
+      window.RoamExtensionSuite.getUtility("getPageUidByTitle")(username);
 
     if (!pageUid) {
       console.error(`❌ No page UID found for username "${username}"`);
@@ -895,8 +895,9 @@ window.navigateToUserPageClean = (username) => {
 
     // Close modal
     setTimeout(() => {
-      const modal = document.getElementById("clean-user-directory-modal");
-      if (modal) modal.remove();
+      window.RoamExtensionSuite.getUtility("modalUtilities").closeModal(
+        "clean-user-directory-modal"
+      );
     }, 100);
   } catch (error) {
     console.error("❌ Navigation failed:", error);
@@ -1090,8 +1091,8 @@ export default {
       }
     );
 
-    // ✅ STEP 5: Initialize button management (with proper delay)
-    setTimeout(async () => {
+    // ✅ STEP 5: Initialize button management once Extension 1.6 is ready
+    (async () => {
       try {
         const result = await initializeButtonManagement();
         if (result.success) {
@@ -1102,7 +1103,7 @@ export default {
       } catch (error) {
         console.error("❌ Failed to initialize button management:", error);
       }
-    }, 2000); // Longer delay to ensure Extension 1.6 is ready
+    })();
 
     // ✅ STEP 6: Success report
     const currentUser = platform.getUtility("getCurrentUser")();
@@ -1152,7 +1153,11 @@ export default {
     const modals = document.querySelectorAll(
       "#clean-user-directory-modal, #test-modal"
     );
-    modals.forEach((modal) => modal.remove());
+    const modalUtilities =
+      window.RoamExtensionSuite?.getUtility("modalUtilities");
+    modals.forEach((modal) =>
+      modalUtilities ? modalUtilities.closeModal(modal) : modal.remove()
+    );
 
     // Navigation helper cleanup (unchanged)
     delete window.navigateToUserPageClean;
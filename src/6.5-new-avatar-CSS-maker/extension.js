@@ -14,6 +14,15 @@ const extension = {
 
 let extensionAPI = null;
 
+// Queries bind page titles and uids through Extension 1.5's datalog builder
+function datalog(...parts) {
+  return window.RoamExtensionSuite.getUtility("datalog")(...parts);
+}
+
+function runQuery(query) {
+  return window.RoamExtensionSuite.getUtility("runQuery")(query);
+}
+
 // =================================================================
 // EXTENSION LIFECYCLE FUNCTIONS
 // =================================================================
@@ -344,55 +353,43 @@ async function deploySyncAvatarFunction() {
         }
 
         // Navigate to avatar block and extract image URL
-        const myInfoChildren = roamAlphaAPI.data
-          .q(
-            `
+        const myInfoChildren = runQuery(datalog`
                 [:find ?uid ?string ?order
                  :where 
-                 [?parent :block/uid "${homePageUid}"]
+                 [?parent :block/uid ${homePageUid}]
                  [?parent :block/children ?child]
                  [?child :block/uid ?uid]
                  [?child :block/string ?string]
                  [?child :block/order ?order]]
-              `
-          )
-          .sort((a, b) => a[2] - b[2]);
+              `).sort((a, b) => a[2] - b[2]);
 
         const myInfoBlock = myInfoChildren.find(([uid, text]) =>
           text.toLowerCase().includes("my info")
         );
 
-        const avatarParentChildren = roamAlphaAPI.data
-          .q(
-            `
+        const avatarParentChildren = runQuery(datalog`
                 [:find ?uid ?string ?order
                  :where 
-                 [?parent :block/uid "${myInfoBlock[0]}"]
+                 [?parent :block/uid ${myInfoBlock[0]}]
                  [?parent :block/children ?child]
                  [?child :block/uid ?uid]
                  [?child :block/string ?string]
                  [?child :block/order ?order]]
-              `
-          )
-          .sort((a, b) => a[2] - b[2]);
+              `).sort((a, b) => a[2] - b[2]);
 
         const avatarBlock = avatarParentChildren.find(([uid, text]) =>
           text.toLowerCase().includes("avatar")
         );
 
-        const avatarChildren = roamAlphaAPI.data
-          .q(
-            `
+        const avatarChildren = runQuery(datalog`
                 [:find ?uid ?string ?order
                  :where 
-                 [?parent :block/uid "${avatarBlock[0]}"]
+                 [?parent :block/uid ${avatarBlock[0]}]
                  [?parent :block/children ?child]
                  [?child :block/uid ?uid]
                  [?child :block/string ?string]
                  [?child :block/order ?order]]
-              `
-          )
-          .sort((a, b) => a[2] - b[2]);
+              `).sort((a, b) => a[2] - b[2]);
 
         const avatarChildUid = avatarChildren[0][0];
         const extractImageUrls = platform.getUtility("extractImageUrls");
@@ -405,7 +402,11 @@ async function deploySyncAvatarFunction() {
         );
 
         // Clean slate CSS update
-        const cascadeToBlock = platform.getUtility("cascadeToBlock");
+        const cascadeToBlock = platform.requireUtility
+          ? platform.requireUtility("cascadeToBlock", "^2.0.0", {
+              requestedBy: "avatar-css-maker",
+            })
+          : platform.getUtility("cascadeToBlock");
         const parentBlockUid = await cascadeToBlock(
           "roam/css",
           ["**User Avatars:**", `${userDisplayName}:`],
@@ -415,10 +416,10 @@ async function deploySyncAvatarFunction() {
         console.log("✅ CSS parent block:", parentBlockUid);
 
         // Delete all existing CSS blocks (CLEAN SLATE)
-        const existingChildren = roamAlphaAPI.data.q(`
+        const existingChildren = runQuery(datalog`
                 [:find ?uid ?string
                  :where 
-                 [?parent :block/uid "${parentBlockUid}"]
+                 [?parent :block/uid ${parentBlockUid}]
                  [?parent :block/children ?child]
                  [?child :block/uid ?uid]
                  [?child :block/string ?string]]
@@ -651,7 +652,12 @@ async function deployAvatarSyncComponent() {
       );
     }
 
-    const cascadeToBlock = platform.getUtility("cascadeToBlock");
+    // Throws an actionable error if missing or on an incompatible version
+    const cascadeToBlock = platform.requireUtility
+      ? platform.requireUtility("cascadeToBlock", "^2.0.0", {
+          requestedBy: "avatar-css-maker",
+        })
+      : platform.getUtility("cascadeToBlock");
     if (!cascadeToBlock) {
       throw new Error("cascadeToBlock utility not found");
     }
@@ -673,10 +679,10 @@ async function deployAvatarSyncComponent() {
     // =============================================================
     // STEP 3: Check for Existing Component ✅
     // =============================================================
-    const existingChildren = roamAlphaAPI.data.q(`
+    const existingChildren = runQuery(datalog`
           [:find ?uid ?string
            :where 
-           [?parent :block/uid "${parentBlockUid}"]
+           [?parent :block/uid ${parentBlockUid}]
            [?parent :block/children ?child]
            [?child :block/uid ?uid]
            [?child :block/string ?string]]
@@ -718,10 +724,10 @@ ${clojureScriptComponent}
     await new Promise((resolve) => setTimeout(resolve, 500));
 
     // Query for the component block UID
-    const componentBlocks = roamAlphaAPI.data.q(`
+    const componentBlocks = runQuery(datalog`
           [:find ?uid ?string
            :where 
-           [?parent :block/uid "${parentBlockUid}"]
+           [?parent :block/uid ${parentBlockUid}]
            [?parent :block/children ?child]
            [?child :block/uid ?uid]
            [?child :block/string ?string]]
@@ -772,150 +778,63 @@ async function deployAvatarButtonsToAllUsers(componentBlockUid) {
     // =============================================================
     // STEP 1: Get Graph Members from Directory ✅
     // =============================================================
-    // Find the roam/graph members page
-    const membersPageQuery = roamAlphaAPI.data.q(`
-          [:find ?uid
-           :where 
-           [?page :node/title "roam/graph members"]
-           [?page :block/uid ?uid]]
-        `);
-
-    if (!membersPageQuery || membersPageQuery.length === 0) {
-      throw new Error("[[roam/graph members]] page not found");
+    // Directory:: entries are usually [[links]] - 1.5 unwraps them to names
+    const getGraphMembersFromList = window.RoamExtensionSuite.getUtility(
+      "getGraphMembersFromList"
+    );
+    if (!getGraphMembersFromList) {
+      throw new Error("getGraphMembersFromList utility not available");
     }
 
-    const membersPageUid = membersPageQuery[0][0];
-
-    // Find Directory:: block
-    const directoryBlockQuery = roamAlphaAPI.data.q(`
-          [:find ?uid ?string
-           :where 
-           [?parent :block/uid "${membersPageUid}"]
-           [?parent :block/children ?child]
-           [?child :block/uid ?uid]
-           [?child :block/string ?string]]
-        `);
-
-    const directoryBlock = directoryBlockQuery.find(([uid, text]) =>
-      text.toLowerCase().includes("directory")
+    const memberNames = getGraphMembersFromList(
+      "roam/graph members",
+      "Directory"
     );
-
-    if (!directoryBlock) {
-      throw new Error("Directory:: block not found in [[roam/graph members]]");
+    if (memberNames.length === 0) {
+      throw new Error("No members found in [[roam/graph members]] Directory::");
     }
-
-    const directoryBlockUid = directoryBlock[0];
-
-    // Get all member names from Directory:: children
-    const memberQuery = roamAlphaAPI.data
-      .q(
-        `
-          [:find ?uid ?string ?order
-           :where 
-           [?parent :block/uid "${directoryBlockUid}"]
-           [?parent :block/children ?child]
-           [?child :block/uid ?uid]
-           [?child :block/string ?string]
-           [?child :block/order ?order]]
-        `
-      )
-      .sort((a, b) => a[2] - b[2]); // Sort by order
-
-    const memberNames = memberQuery.map(([uid, text]) => text.trim());
     console.log(`   📋 Found ${memberNames.length} members to process`);
 
     // =============================================================
-    // STEP 2: Deploy to Each Member ✅
+    // STEP 2: Deploy to Each Member via the platform write queue ✅
     // =============================================================
-    for (let i = 0; i < memberNames.length; i++) {
-      const memberName = memberNames[i];
-
-      try {
-        // Find member's page
-        const memberPageQuery = roamAlphaAPI.data.q(`
-                  [:find ?uid
-                   :where 
-                   [?page :node/title "${memberName}"]
-                   [?page :block/uid ?uid]]
-                `);
-
-        let memberPageUid;
-        if (!memberPageQuery || memberPageQuery.length === 0) {
-          // Create member page if it doesn't exist
-          await roamAlphaAPI.data.page.create({
-            page: { title: memberName },
-          });
-
-          // Wait for page creation and re-query
-          await new Promise((resolve) => setTimeout(resolve, 300));
-          const newPageQuery = roamAlphaAPI.data.q(`
-                      [:find ?uid
-                       :where 
-                       [?page :node/title "${memberName}"]
-                       [?page :block/uid ?uid]]
-                    `);
-          memberPageUid = newPageQuery[0][0];
-        } else {
-          memberPageUid = memberPageQuery[0][0];
-        }
-
-        // Find or create "My Info::" block
-        let myInfoBlockUid = await findOrCreateMyInfoBlock(
-          memberPageUid,
-          memberName
-        );
-
-        // Find or create "Avatar::" block under "My Info::"
-        let avatarBlockUid = await findOrCreateAvatarBlock(
-          myInfoBlockUid,
-          memberName
-        );
-
-        // Check if component already deployed
-        const avatarBlockData = roamAlphaAPI.pull("[:block/string]", [
-          ":block/uid",
-          avatarBlockUid,
-        ]);
-        const currentText = avatarBlockData[":block/string"] || "";
-
-        if (currentText.includes("{{roam/render:")) {
-          skippedCount++;
-          deploymentResults.push({
-            member: memberName,
-            status: "skipped",
-            reason: "already deployed",
-          });
-        } else {
-          // Append component to Avatar:: block
-          const newText =
-            currentText + ` {{roam/render: ((${componentBlockUid}))}}`;
-
-          await roamAlphaAPI.data.block.update({
-            block: {
-              uid: avatarBlockUid,
-              string: newText,
-            },
-          });
-
-          deployedCount++;
-          deploymentResults.push({
-            member: memberName,
-            status: "deployed",
-            avatarBlockUid,
-          });
-        }
+    const writeSummary = await window.RoamExtensionSuite.queueWrites(
+      memberNames.map((memberName) => ({
+        label: memberName,
+        run: () => deployAvatarButtonToMember(memberName, componentBlockUid),
+        describe: () => ({
+          target: "block",
+          action: "update",
+          payload: {
+            page: memberName,
+            block: "My Info:: → Avatar::",
+            append: `{{roam/render: ((${componentBlockUid}))}}`,
+          },
+        }),
+      })),
+      { owner: "avatar-css-maker", label: "avatar button mass deployment" }
+    ).promise;
 
-        // Small delay to avoid overwhelming Roam
-        await new Promise((resolve) => setTimeout(resolve, 200));
-      } catch (memberError) {
+    writeSummary.results.forEach((result, i) => {
+      const memberName = memberNames[i];
+      if (result.dryRun) {
+        deploymentResults.push({ member: memberName, status: "dry-run" });
+      } else if (!result.ok) {
         errorCount++;
         deploymentResults.push({
           member: memberName,
           status: "error",
-          error: memberError.message,
+          error: result.error.message,
         });
+      } else {
+        if (result.value.status === "skipped") {
+          skippedCount++;
+        } else {
+          deployedCount++;
+        }
+        deploymentResults.push(result.value);
       }
-    }
+    });
 
     return {
       success: true,
@@ -936,21 +855,89 @@ async function deployAvatarButtonsToAllUsers(componentBlockUid) {
   }
 }
 
+// Deploy the avatar button to one member - throws so the queue can retry
+async function deployAvatarButtonToMember(memberName, componentBlockUid) {
+  // Find member's page
+  const memberPageQuery = runQuery(datalog`
+            [:find ?uid
+             :where 
+             [?page :node/title ${memberName}]
+             [?page :block/uid ?uid]]
+          `);
+
+  let memberPageUid;
+  if (!memberPageQuery || memberPageQuery.length === 0) {
+    // Create member page if it doesn't exist
+    await roamAlphaAPI.data.page.create({
+      page: { title: memberName },
+    });
+
+    // Wait for page creation and re-query
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    const newPageQuery = runQuery(datalog`
+                [:find ?uid
+                 :where 
+                 [?page :node/title ${memberName}]
+                 [?page :block/uid ?uid]]
+              `);
+    memberPageUid = newPageQuery[0][0];
+  } else {
+    memberPageUid = memberPageQuery[0][0];
+  }
+
+  // Find or create "My Info::" block
+  const myInfoBlockUid = await findOrCreateMyInfoBlock(
+    memberPageUid,
+    memberName
+  );
+
+  // Find or create "Avatar::" block under "My Info::"
+  const avatarBlockUid = await findOrCreateAvatarBlock(
+    myInfoBlockUid,
+    memberName
+  );
+
+  // Check if component already deployed
+  const avatarBlockData = roamAlphaAPI.pull("[:block/string]", [
+    ":block/uid",
+    avatarBlockUid,
+  ]);
+  const currentText = avatarBlockData[":block/string"] || "";
+
+  if (currentText.includes("{{roam/render:")) {
+    return {
+      member: memberName,
+      status: "skipped",
+      reason: "already deployed",
+    };
+  }
+
+  // Append component to Avatar:: block
+  await roamAlphaAPI.data.block.update({
+    block: {
+      uid: avatarBlockUid,
+      string: currentText + ` {{roam/render: ((${componentBlockUid}))}}`,
+    },
+  });
+
+  return {
+    member: memberName,
+    status: "deployed",
+    avatarBlockUid,
+  };
+}
+
 // Helper functions for mass deployment
 async function findOrCreateMyInfoBlock(pageUid, memberName) {
-  const pageChildren = roamAlphaAPI.data
-    .q(
-      `
+  const pageChildren = runQuery(datalog`
       [:find ?uid ?string ?order
        :where 
-       [?parent :block/uid "${pageUid}"]
+       [?parent :block/uid ${pageUid}]
        [?parent :block/children ?child]
        [?child :block/uid ?uid]
        [?child :block/string ?string]
        [?child :block/order ?order]]
-    `
-    )
-    .sort((a, b) => a[2] - b[2]);
+    `).sort((a, b) => a[2] - b[2]);
 
   const myInfoBlock = pageChildren.find(([uid, text]) =>
     text.toLowerCase().includes("my info")
@@ -971,10 +958,10 @@ async function findOrCreateMyInfoBlock(pageUid, memberName) {
 
     // Wait and re-query for the new block
     await new Promise((resolve) => setTimeout(resolve, 300));
-    const newPageChildren = roamAlphaAPI.data.q(`
+    const newPageChildren = runQuery(datalog`
           [:find ?uid ?string
            :where 
-           [?parent :block/uid "${pageUid}"]
+           [?parent :block/uid ${pageUid}]
            [?parent :block/children ?child]
            [?child :block/uid ?uid]
            [?child :block/string ?string]]
@@ -989,19 +976,15 @@ async function findOrCreateMyInfoBlock(pageUid, memberName) {
 }
 
 async function findOrCreateAvatarBlock(myInfoBlockUid, memberName) {
-  const myInfoChildren = roamAlphaAPI.data
-    .q(
-      `
+  const myInfoChildren = runQuery(datalog`
       [:find ?uid ?string ?order
        :where 
-       [?parent :block/uid "${myInfoBlockUid}"]
+       [?parent :block/uid ${myInfoBlockUid}]
        [?parent :block/children ?child]
        [?child :block/uid ?uid]
        [?child :block/string ?string]
        [?child :block/order ?order]]
-    `
-    )
-    .sort((a, b) => a[2] - b[2]);
+    `).sort((a, b) => a[2] - b[2]);
 
   const avatarBlock = myInfoChildren.find(([uid, text]) =>
     text.toLowerCase().includes("avatar")
@@ -1022,10 +1005,10 @@ async function findOrCreateAvatarBlock(myInfoBlockUid, memberName) {
 
     // Wait and re-query for the new block
     await new Promise((resolve) => setTimeout(resolve, 300));
-    const newMyInfoChildren = roamAlphaAPI.data.q(`
+    const newMyInfoChildren = runQuery(datalog`
           [:find ?uid ?string
            :where 
-           [?parent :block/uid "${myInfoBlockUid}"]
+           [?parent :block/uid ${myInfoBlockUid}]
            [?parent :block/children ?child]
            [?child :block/uid ?uid]
            [?child :block/string ?string]]
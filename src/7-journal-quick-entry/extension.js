@@ -34,6 +34,10 @@ const journalEntryCreator = (() => {
   const getCoreData = () => getPlatform()?.get("core-data");
   const getUtilities = () => getPlatform()?.getUtility;
 
+  // Page names and banner text are bound with :in, not pasted into queries
+  const datalog = (...parts) => getUtilities()("datalog")(...parts);
+  const runQuery = (query) => getUtilities()("runQuery")(query);
+
   // ═══════════════════════════════════════════════════════════════
   // 🔧 DEPENDENCY MANAGEMENT
   // ═══════════════════════════════════════════════════════════════
@@ -57,6 +61,20 @@ const journalEntryCreator = (() => {
     return true;
   };
 
+  // 🌟 Wait for Extension 1.6 via the platform instead of polling
+  const waitForButtonUtility = async () => {
+    if (getPlatform()?.whenReady) {
+      try {
+        await getPlatform().whenReady("simple-button-utility", {
+          requestedBy: "journal-entry-creator",
+        });
+      } catch (error) {
+        log(`❌ ${error.message}`, "WARN");
+      }
+    }
+    return checkButtonUtilityDependency();
+  };
+
   // ═══════════════════════════════════════════════════════════════
   // 📅 DATE & FORMATTING - Using Roam Native + Simple Extensions
   // ═══════════════════════════════════════════════════════════════
@@ -74,8 +92,8 @@ const journalEntryCreator = (() => {
   // 🔍 PAGE DETECTION - Using Core Data & Simple Logic
   // ═══════════════════════════════════════════════════════════════
 
-  // 🌟 Smart page detection using Core Data
-  const detectPageContext = () => {
+  // 🌟 Smart page detection using Core Data - main window or a sidebar window
+  const detectPageContext = (windowId = "main") => {
     try {
       log("🔍 Starting page context detection...", "DEBUG");
 
@@ -86,8 +104,13 @@ const journalEntryCreator = (() => {
 
       log(`👤 Current user: "${currentUser.displayName}"`, "DEBUG");
 
+      // Shared page context service (Extension 1.5) when available
+      const pageContext = getUtilities()?.("getPageContext")?.(windowId);
+
       // Get current page title
-      const pageTitle = getCurrentPageTitle();
+      const pageTitle =
+        pageContext?.title ||
+        (windowId === "main" ? getCurrentPageTitle() : null);
       log(`📄 Current page title: "${pageTitle}"`, "DEBUG");
 
       if (!pageTitle) {
@@ -96,7 +119,10 @@ const journalEntryCreator = (() => {
       }
 
       // Check for Chat Room (flexible detection)
-      if (pageTitle.toLowerCase().includes("chat room")) {
+      const isChatRoom = pageContext
+        ? pageContext.type === "chatroom"
+        : pageTitle.toLowerCase().includes("chat room");
+      if (isChatRoom) {
         log(`🗨️ Detected CHAT ROOM page: "${pageTitle}"`, "SUCCESS");
         return { type: "chatroom", page: pageTitle };
       }
@@ -167,9 +193,9 @@ const journalEntryCreator = (() => {
         const pageMatch = url.match(/\/page\/(.+)$/);
         if (pageMatch) {
           const pageUid = pageMatch[1];
-          const pageTitle = window.roamAlphaAPI.data.q(`
+          const pageTitle = runQuery(datalog`
             [:find ?title .
-             :where [?e :block/uid "${pageUid}"] [?e :node/title ?title]]
+             :where [?e :block/uid ${pageUid}] [?e :node/title ?title]]
           `);
           if (pageTitle) return pageTitle;
         }
@@ -206,10 +232,10 @@ const journalEntryCreator = (() => {
       const prefsPageName = `${currentUser.displayName}/user preferences`;
 
       // 🔧 FIXED QUERY: Look for descendants, not just direct children
-      const allDescendants = window.roamAlphaAPI.data.q(`
+      const allDescendants = runQuery(datalog`
       [:find ?string
        :where 
-       [?page :node/title "${prefsPageName}"]
+       [?page :node/title ${prefsPageName}]
        [?page :block/children ?child]
        [?descendant :block/parents ?child]
        [?descendant :block/string ?string]]
@@ -234,10 +260,10 @@ const journalEntryCreator = (() => {
           journalColorKeyFound = true;
           foundKeyText = blockString;
           // Get the UID of this key block
-          journalColorKeyUid = window.roamAlphaAPI.data.q(`
+          journalColorKeyUid = runQuery(datalog`
           [:find ?uid .
            :where 
-           [?block :block/string "${blockString}"]
+           [?block :block/string ${blockString}]
            [?block :block/uid ?uid]]
         `);
           log(`✅ Found Journal Color key block: "${blockString}"`, "DEBUG");
@@ -247,10 +273,10 @@ const journalEntryCreator = (() => {
 
       if (journalColorKeyFound && journalColorKeyUid) {
         // 🎯 Get the child blocks of the Journal Color key (the actual color values)
-        const colorValues = window.roamAlphaAPI.data.q(`
+        const colorValues = runQuery(datalog`
         [:find ?string
          :where 
-         [?parent :block/uid "${journalColorKeyUid}"]
+         [?parent :block/uid ${journalColorKeyUid}]
          [?parent :block/children ?child]
          [?child :block/string ?string]]
       `);
@@ -342,10 +368,10 @@ const journalEntryCreator = (() => {
     try {
       const todaysDate = getTodaysRoamDate();
 
-      const allBlocks = window.roamAlphaAPI.data.q(`
+      const allBlocks = runQuery(datalog`
         [:find ?string
          :where 
-         [?page :node/title "${pageName}"]
+         [?page :node/title ${pageName}]
          [?page :block/children ?child]
          [?descendant :block/parents ?child]
          [?descendant :block/string ?string]]
@@ -383,10 +409,10 @@ const journalEntryCreator = (() => {
       log(`📅 Today's date: "${todaysDate}"`, "DEBUG");
 
       // Get DIRECT children only (same as creation logic)
-      const pageChildren = window.roamAlphaAPI.data.q(`
+      const pageChildren = runQuery(datalog`
         [:find ?string
          :where 
-         [?page :node/title "${pageName}"]
+         [?page :node/title ${pageName}]
          [?page :block/children ?child]
          [?child :block/string ?string]]
       `);
@@ -431,10 +457,10 @@ const journalEntryCreator = (() => {
       );
 
       // Get all direct children with their order
-      const pageChildren = window.roamAlphaAPI.data.q(`
+      const pageChildren = runQuery(datalog`
         [:find ?uid ?string ?order
          :where 
-         [?page :block/uid "${pageUid}"]
+         [?page :block/uid ${pageUid}]
          [?page :block/children ?child]
          [?child :block/uid ?uid]
          [?child :block/string ?string]
@@ -520,7 +546,12 @@ const journalEntryCreator = (() => {
       if (!utilities) throw new Error("Extension utilities not available");
 
       // Ensure Journal:: block exists using Extension 1.5
-      const journalBlockUid = await utilities("cascadeToBlock")(
+      const cascadeToBlock = getPlatform().requireUtility
+        ? getPlatform().requireUtility("cascadeToBlock", "^2.0.0", {
+            requestedBy: "journal-entry-creator",
+          })
+        : utilities("cascadeToBlock");
+      const journalBlockUid = await cascadeToBlock(
         pageName,
         ["Journal::"],
         true
@@ -544,13 +575,13 @@ const journalEntryCreator = (() => {
       // Add child block for writing
       await new Promise((resolve) => setTimeout(resolve, 200));
 
-      const datelineUid = window.roamAlphaAPI.data.q(`
+      const datelineUid = runQuery(datalog`
         [:find ?uid .
          :where 
-         [?parent :block/uid "${journalBlockUid}"]
+         [?parent :block/uid ${journalBlockUid}]
          [?parent :block/children ?child]
          [?child :block/uid ?uid]
-         [?child :block/string "${datelineContent}"]]
+         [?child :block/string ${datelineContent}]]
       `);
 
       if (datelineUid) {
@@ -561,10 +592,10 @@ const journalEntryCreator = (() => {
 
         // Focus cursor in new block
         await new Promise((resolve) => setTimeout(resolve, 200));
-        const childUid = window.roamAlphaAPI.data.q(`
+        const childUid = runQuery(datalog`
           [:find ?uid .
            :where 
-           [?parent :block/uid "${datelineUid}"]
+           [?parent :block/uid ${datelineUid}]
            [?parent :block/children ?child]
            [?child :block/uid ?uid]]
         `);
@@ -593,10 +624,10 @@ const journalEntryCreator = (() => {
       );
 
       // Get page UID
-      const pageUid = window.roamAlphaAPI.data.q(`
+      const pageUid = runQuery(datalog`
         [:find ?uid .
          :where 
-         [?page :node/title "${pageName}"]
+         [?page :node/title ${pageName}]
          [?page :block/uid ?uid]]
       `);
 
@@ -629,13 +660,13 @@ const journalEntryCreator = (() => {
 
       // Find and focus on new block
       await new Promise((resolve) => setTimeout(resolve, 300));
-      const newBannerUid = window.roamAlphaAPI.data.q(`
+      const newBannerUid = runQuery(datalog`
         [:find ?uid .
          :where 
-         [?parent :block/uid "${pageUid}"]
+         [?parent :block/uid ${pageUid}]
          [?parent :block/children ?child]
          [?child :block/uid ?uid]
-         [?child :block/string "${bannerContent}"]]
+         [?child :block/string ${bannerContent}]]
       `);
 
       if (newBannerUid) {
@@ -646,10 +677,10 @@ const journalEntryCreator = (() => {
 
         // Focus cursor
         await new Promise((resolve) => setTimeout(resolve, 200));
-        const childUid = window.roamAlphaAPI.data.q(`
+        const childUid = runQuery(datalog`
           [:find ?uid .
            :where 
-           [?parent :block/uid "${newBannerUid}"]
+           [?parent :block/uid ${newBannerUid}]
            [?parent :block/children ?child]
            [?child :block/uid ?uid]]
         `);
@@ -681,8 +712,8 @@ const journalEntryCreator = (() => {
         "INFO"
       );
 
-      // Check dependency availability
-      if (!checkButtonUtilityDependency()) {
+      // Wait for dependency availability
+      if (!(await waitForButtonUtility())) {
         log(
           "❌ Simple Button Utility 2.0 not available - NO BUTTONS will be created",
           "WARN"
@@ -694,38 +725,11 @@ const journalEntryCreator = (() => {
         };
       }
 
-      // Wait for Simple Button Utility 2.0 to be ready
-      let retries = 0;
-      const maxRetries = 10;
-
-      while (retries < maxRetries) {
-        try {
-          // Create button manager
-          buttonManager = new window.SimpleExtensionButtonManager(
-            "JournalEntryCreator"
-          );
-          await buttonManager.initialize();
-          break;
-        } catch (error) {
-          retries++;
-          log(
-            `⏳ Simple Button Utility 2.0 not ready, retrying... (${retries}/${maxRetries})`,
-            "DEBUG"
-          );
-          await new Promise((resolve) => setTimeout(resolve, 500));
-        }
-      }
-
-      if (retries >= maxRetries) {
-        log(
-          "❌ Failed to initialize Simple Button Utility 2.0 after 10 retries",
-          "ERROR"
-        );
-        return {
-          success: false,
-          reason: "Simple Button Utility 2.0 initialization timeout",
-        };
-      }
+      // Create button manager
+      buttonManager = new window.SimpleExtensionButtonManager(
+        "JournalEntryCreator"
+      );
+      await buttonManager.initialize();
 
       // 🎯 EXACT STYLING: Warm yellow gradient with elegant brown border
       const buttonStyle = {
@@ -742,25 +746,29 @@ const journalEntryCreator = (() => {
       const usernameButtonResult = await buttonManager.registerButton({
         id: "journal-entry-button",
         text: "✏️ Add journal entry for today?",
+        hotkey: "alt+shift+j",
+        paletteLabel: "Journal: Add entry for today",
         stack: "top-right", // Position at top-right as requested
+        windows: "all", // Also on your page when it's open in the sidebar
         priority: false, // Play nice with other extensions
         style: buttonStyle,
-        condition: () => {
+        condition: (page) => {
           // Custom condition function - only show if username page AND no entry exists today
-          const context = detectPageContext();
+          const context = detectPageContext(page.windowId);
           return (
             context.type === "username" &&
             shouldShowUsernameButton(context.page)
           );
         },
-        onClick: async () => {
+        onClick: async ({ windowId }) => {
           try {
-            const context = detectPageContext();
+            const context = detectPageContext(windowId);
             await createUsernameEntry(context.page);
             buttonManager.registry.rebuildAllButtons();
             log("✅ Journal entry created successfully!", "SUCCESS");
           } catch (error) {
             log(`❌ Failed to create journal entry: ${error.message}`, "ERROR");
+            throw error; // Rethrown - the button manager reports it
           }
         },
       });
@@ -769,25 +777,29 @@ const journalEntryCreator = (() => {
       const chatRoomButtonResult = await buttonManager.registerButton({
         id: "chat-banner-button",
         text: "📅 Add banner for today?",
+        hotkey: "alt+shift+b",
+        paletteLabel: "Journal: Add chat room banner for today",
         stack: "top-right", // Position at top-right as requested
+        windows: "all", // Chat rooms are often kept open in the sidebar
         priority: false, // Play nice with other extensions
         style: buttonStyle,
-        condition: () => {
+        condition: (page) => {
           // Custom condition function - only show if chat room page AND no banner exists today
-          const context = detectPageContext();
+          const context = detectPageContext(page.windowId);
           return (
             context.type === "chatroom" &&
             shouldShowChatRoomButton(context.page)
           );
         },
-        onClick: async () => {
+        onClick: async ({ windowId }) => {
           try {
-            const context = detectPageContext();
+            const context = detectPageContext(windowId);
             await createChatRoomEntry(context.page);
             buttonManager.registry.rebuildAllButtons();
             log("✅ Daily banner created successfully!", "SUCCESS");
           } catch (error) {
             log(`❌ Failed to create daily banner: ${error.message}`, "ERROR");
+            throw error;
           }
         },
       });
@@ -899,11 +911,7 @@ const journalEntryCreator = (() => {
           journalAPI,
           {
             version: "2.0.0-button-manager-integration",
-            dependencies: [
-              "core-data",
-              "extension-1.5",
-              "simple-button-utility",
-            ],
+            dependencies: ["utility-library", "simple-button-utility"],
             description:
               "Smart journal entry creation with Button Manager integration and sophisticated conditional logic",
           }
@@ -915,8 +923,8 @@ const journalEntryCreator = (() => {
 
       isInitialized = true;
 
-      // Initialize button management with proper delay
-      setTimeout(async () => {
+      // Initialize button management once Extension 1.6 is ready
+      (async () => {
         try {
           const result = await initializeButtonManagement();
           if (result.success) {
@@ -930,7 +938,7 @@ const journalEntryCreator = (() => {
             "ERROR"
           );
         }
-      }, 2000); // Delay to ensure Extension 1.6 is ready
+      })();
 
       log(
         "Journal Entry Creator loaded successfully with Button Manager Integration!",
@@ -5,6 +5,7 @@
 
 // 🌲 Internal State
 let observer = null;
+let unobserveTags = null; // Shared DOM hub subscription
 let styleElement = null;
 let isInitialized = false;
 let platform = null;
@@ -50,6 +51,11 @@ const debug = (message, data = null) => {
   console.log(`[TS8] ${message}`, data || "");
 };
 
+// 🌸 Resource tracking - the Foundation Registry tears these down on unload
+const OWNER_ID = "Extension8_TimestampPills";
+const track = (method, ...args) =>
+  window.RoamExtensionSuite?.[method]?.(OWNER_ID, ...args);
+
 // 🌺 PLATFORM INTEGRATION
 
 // 🌺 Get utilities from Extension 1.5
@@ -863,6 +869,7 @@ const injectTimestampStyles = () => {
   `;
 
   document.head.appendChild(styleElement);
+  track("trackElement", styleElement, "timestamp styles");
   debug("Timestamp styles injected");
 };
 
@@ -881,45 +888,51 @@ const setupObserver = () => {
     return;
   }
 
-  observer = new MutationObserver((mutations) => {
-    let shouldProcess = false;
-
-    mutations.forEach((mutation) => {
-      if (mutation.type === "childList") {
+  const tagSelector = [
+    `.rm-page-ref[data-tag="${config.tagName}"]`,
+    `a[data-link-title="${config.tagName}"]`,
+    `.roam-tag[data-tag="${config.tagName}"]`,
+  ].join(", ");
+
+  if (window.RoamExtensionSuite?.observeDOM) {
+    // Shared platform observer - batches arrive at idle time, DOM has settled
+    unobserveTags = window.RoamExtensionSuite.observeDOM(
+      OWNER_ID,
+      tagSelector,
+      { added: (tags) => tags.forEach((tag) => processTimestampTag(tag)) },
+      { label: "timestamp tags" }
+    );
+  } else {
+    // Standalone fallback - watch the page ourselves
+    observer = new MutationObserver((mutations) => {
+      const addedTags = [];
+      mutations.forEach((mutation) => {
+        if (mutation.type !== "childList") return;
         mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check if new node contains timestamp tags
-            const hasTimestampTags =
-              node.querySelector?.(
-                `.rm-page-ref[data-tag="${config.tagName}"]`
-              ) ||
-              node.matches?.(`.rm-page-ref[data-tag="${config.tagName}"]`) ||
-              node.querySelector?.(`a[data-link-title="${config.tagName}"]`) ||
-              node.matches?.(`a[data-link-title="${config.tagName}"]`) ||
-              node.querySelector?.(`.roam-tag[data-tag="${config.tagName}"]`) ||
-              node.matches?.(`.roam-tag[data-tag="${config.tagName}"]`);
-
-            if (hasTimestampTags) {
-              shouldProcess = true;
-            }
-          }
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          if (node.matches(tagSelector)) addedTags.push(node);
+          addedTags.push(...node.querySelectorAll(tagSelector));
         });
+      });
+
+      if (addedTags.length > 0) {
+        // Small delay to let DOM settle
+        setTimeout(
+          () => addedTags.forEach((tag) => processTimestampTag(tag)),
+          100
+        );
       }
     });
 
-    if (shouldProcess) {
-      // Small delay to let DOM settle
-      setTimeout(processAllTimestampTags, 100);
-    }
-  });
-
-  observer.observe(targetNode, {
-    childList: true,
-    subtree: true,
-  });
+    observer.observe(targetNode, {
+      childList: true,
+      subtree: true,
+    });
+    track("trackObserver", observer, "timestamp tag observer");
+  }
 
   // Set up click handlers for failed pills
-  targetNode.addEventListener("click", (event) => {
+  const handleFailedPillClick = (event) => {
     const clickedPill = event.target.closest(
       `[data-tag="${config.tagName}"][data-ts0-processed="error"]`
     );
@@ -938,7 +951,16 @@ const setupObserver = () => {
       // Add to retry queue
       addToRetryQueue(clickedPill, failureType, "user click retry");
     }
-  });
+  };
+  targetNode.addEventListener("click", handleFailedPillClick);
+  track(
+    "trackListener",
+    targetNode,
+    "click",
+    handleFailedPillClick,
+    undefined,
+    "failed pill retry"
+  );
 
   debug("DOM observer set up successfully");
 };
@@ -1088,6 +1110,11 @@ const unregisterCommands = (commandLabels) => {
 const cleanup = () => {
   debug("Cleaning up Extension 8: Timestamp Pills...");
 
+  if (unobserveTags) {
+    unobserveTags();
+    unobserveTags = null;
+  }
+
   if (observer) {
     observer.disconnect();
     observer = null;
@@ -1207,18 +1234,21 @@ export default {
           }, 1000);
         }
       }, 2000); // Check every 2 seconds
+      track("trackInterval", apiReadyCheck, "Roam API ready check");
 
       // Give up after 30 seconds
-      setTimeout(() => {
+      const giveUpTimer = setTimeout(() => {
         clearInterval(apiReadyCheck);
         debug("⚠️ Stopped waiting for Roam API after 30 seconds");
       }, 30000);
+      track("trackTimeout", giveUpTimer, "Roam API ready give-up");
     }
 
     // Process existing tags
-    setTimeout(() => {
+    const initialProcessTimer = setTimeout(() => {
       processAllTimestampTags();
     }, 1000);
+    track("trackTimeout", initialProcessTimer, "initial tag processing");
 
     isInitialized = true;
 
@@ -6,9 +6,12 @@
 const smartUsernameTagger = (() => {
   // 🌲 1.0 - Internal State
   let processedBlocks = new Set();
-  let pendingBlocks = new Set();
+  let pendingBlocks = new Map(); // block uid → block element it was queued from
   let idleTimer = null;
   let isProcessing = false;
+  let existingTimer = null;
+  let unobserveBlocks = null;
+  let renderedTagging = Promise.resolve();
 
   // 🌸 1.1 - Debug Function
   const debug = (message) => {
@@ -34,7 +37,15 @@ const smartUsernameTagger = (() => {
         userDbId
       );
 
-      const username = userData?.[":user/display-name"] || null;
+      // Tag the member's Directory:: name - a display name changed in Roam
+      // keeps tagging their existing page until "Rename Member" moves it
+      const displayName = userData?.[":user/display-name"] || null;
+      const resolveMemberName =
+        window._extensionRegistry?.utilities?.resolveMemberName;
+      const username =
+        displayName && resolveMemberName
+          ? resolveMemberName(displayName)
+          : displayName;
 
       // 🆕 ENHANCEMENT: Validate against member list if utilities available
       if (
@@ -94,12 +105,14 @@ const smartUsernameTagger = (() => {
       if (!blockUid) {
         const createTime = blockElement.getAttribute("data-create-time");
         if (createTime) {
-          const timestampQuery = window.roamAlphaAPI.data.q(`
-            [:find ?uid
-             :where 
-             [?e :create/time ${createTime}]
-             [?e :block/uid ?uid]]
-          `);
+          const timestampQuery = window.roamAlphaAPI.data.q(
+            `[:find ?uid
+              :in $ ?time
+              :where
+              [?e :create/time ?time]
+              [?e :block/uid ?uid]]`,
+            Number(createTime)
+          );
           if (timestampQuery.length > 0) {
             blockUid = timestampQuery[0][0];
           }
@@ -242,36 +255,17 @@ const smartUsernameTagger = (() => {
         return false;
       }
 
-      // Step 4: Get this block's UID for reverse validation
-      const thisBlockUID = getBlockUidFromDOM(blockElement);
-      if (!thisBlockUID) {
+      // Step 4: Must be an official direct child of a REAL date banner -
+      // check the rendered parent block rather than every block on the page
+      const childrenContainer = blockElement.parentElement;
+      if (!childrenContainer?.classList.contains("rm-block-children")) {
         return false;
       }
-
-      // Step 5: Find ONLY legitimate date banners (#st0 + date pattern)
-      const allBlocks = document.querySelectorAll(".rm-block");
-
-      for (const potentialDateBlock of allBlocks) {
-        // 🎯 Use strict detection instead of loose [[reference]] matching
-        if (!isRealDateBanner(potentialDateBlock)) {
-          continue; // Skip blocks that aren't real date banners
-        }
-
-        // Get OFFICIAL direct children of this REAL date block
-        const officialDirectChildren = potentialDateBlock.querySelectorAll(
-          ":scope > .rm-block-children > .rm-block"
-        );
-
-        // Check if our target block is in the official children list
-        for (const officialChild of officialDirectChildren) {
-          const officialChildUID = getBlockUidFromDOM(officialChild);
-          if (officialChildUID === thisBlockUID) {
-            return true; // Found! This block is an official direct child of a REAL date banner
-          }
-        }
-      }
-
-      return false; // Not found as a direct child of any REAL date banner
+      const parentBlock = childrenContainer.parentElement;
+      return (
+        !!parentBlock?.classList.contains("rm-block") &&
+        isRealDateBanner(parentBlock)
+      );
     } catch (error) {
       debug(`Error checking chat room date context: ${error.message}`);
       return false;
@@ -363,24 +357,24 @@ const smartUsernameTagger = (() => {
     };
 
     try {
-      // Try to get preferences from utilities
-      if (window._extensionRegistry?.utilities?.findNestedDataValuesExact) {
-        const getCurrentUser =
-          window._extensionRegistry.utilities.getCurrentUser;
-        const getPageUidByTitle =
-          window._extensionRegistry.utilities.getPageUidByTitle;
-        const findNestedDataValuesExact =
-          window._extensionRegistry.utilities.findNestedDataValuesExact;
+      // Try to get preferences from utilities - typed, with schema defaults
+      if (window._extensionRegistry?.utilities?.parseAttributeTree) {
+        const {
+          getCurrentUser,
+          getPageUidByTitle,
+          parseAttributeTree,
+          ATTRIBUTE_SCHEMAS,
+        } = window._extensionRegistry.utilities;
 
         const currentUser = getCurrentUser();
         if (currentUser?.displayName) {
           const userPageUid = getPageUidByTitle(currentUser.displayName);
           if (userPageUid) {
-            const preferences = findNestedDataValuesExact(
+            const { settings } = parseAttributeTree(
               userPageUid,
-              "Smart Tagger Settings"
+              ATTRIBUTE_SCHEMAS.smartTaggerSettings
             );
-            return { ...defaultPrefs, ...preferences };
+            return { ...defaultPrefs, ...settings };
           }
         }
       }
@@ -404,22 +398,14 @@ const smartUsernameTagger = (() => {
     isProcessing = true;
     debug(`Processing ${pendingBlocks.size} pending blocks...`);
 
-    for (const blockUid of pendingBlocks) {
+    for (const [blockUid, queuedElement] of pendingBlocks) {
       if (processedBlocks.has(blockUid)) {
         pendingBlocks.delete(blockUid);
         continue;
       }
 
-      // Find DOM element
-      const blockElements = document.querySelectorAll(".rm-block");
-      let blockElement = null;
-
-      for (const el of blockElements) {
-        if (getBlockUidFromDOM(el) === blockUid) {
-          blockElement = el;
-          break;
-        }
-      }
+      // The element the block was queued from, if it is still rendered
+      const blockElement = queuedElement?.isConnected ? queuedElement : null;
 
       if (blockElement && isBlockBeingEdited(blockElement)) {
         debug(`Skipping ${blockUid} - still being edited`);
@@ -460,7 +446,7 @@ const smartUsernameTagger = (() => {
     const blockUid = getBlockUidFromDOM(blockElement);
     if (blockUid && !processedBlocks.has(blockUid)) {
       debug(`Block ${blockUid} lost focus, adding to pending queue`);
-      pendingBlocks.add(blockUid);
+      pendingBlocks.set(blockUid, blockElement);
 
       const preferences = getUserPreferences();
       clearTimeout(idleTimer);
@@ -510,37 +496,38 @@ const smartUsernameTagger = (() => {
     processPendingBlocks();
   };
 
-  // 🌲 4.0 - Process Existing Conversations (ENHANCED with strict date banner detection)
-  const processExistingConversations = async () => {
-    const preferences = getUserPreferences();
-    if (!preferences.processExistingOnLoad) {
-      debug("⏸️ Processing existing conversations disabled in preferences");
-      return;
-    }
-
-    debug("Scanning existing conversations for direct children only...");
+  // 🌲 4.0 - Process Existing Conversations as their blocks render
+  // Only blocks reported as added by the shared DOM observer are checked,
+  // so a re-render never re-scans every .rm-block on the page
+  const tagRenderedBlocks = (blocks, chatRoomTagging) => {
+    const blockUids = [];
 
-    // 🔄 EXISTING: Process #ch0 conversations (unchanged - works well)
-    const ch0Tags = document.querySelectorAll('.rm-page-ref[data-tag="ch0"]');
+    for (const block of blocks) {
+      if (isBlockBeingEdited(block)) {
+        debug("Skipping block in edit mode during existing scan");
+        continue;
+      }
 
-    for (const ch0Tag of ch0Tags) {
-      const conversationBlock = ch0Tag.closest(".rm-block");
-      if (!conversationBlock) continue;
+      const taggable =
+        isInConversation(block) ||
+        (chatRoomTagging && isInChatRoomDateContext(block));
+      if (!taggable) continue;
 
-      const directChildren = conversationBlock.querySelectorAll(
-        ":scope > .rm-block-children > .rm-block"
-      );
+      const blockUid = getBlockUidFromDOM(block);
+      if (blockUid && !processedBlocks.has(blockUid)) {
+        blockUids.push(blockUid);
+      }
+    }
 
-      debug(`Found ${directChildren.length} direct children in conversation`);
+    if (blockUids.length === 0) return;
+    debug(`Found ${blockUids.length} existing messages to tag`);
 
-      for (const childBlock of directChildren) {
-        if (isBlockBeingEdited(childBlock)) {
-          debug("Skipping block in edit mode during initial scan");
-          continue;
-        }
+    // Chain batches so tags are written one block at a time
+    renderedTagging = renderedTagging
+      .then(async () => {
+        for (const blockUid of blockUids) {
+          if (processedBlocks.has(blockUid)) continue;
 
-        const blockUid = getBlockUidFromDOM(childBlock);
-        if (blockUid && !processedBlocks.has(blockUid)) {
           const authorName = getBlockAuthor(blockUid);
           if (authorName) {
             await addUsernameTag(blockUid, authorName);
@@ -548,71 +535,41 @@ const smartUsernameTagger = (() => {
             await new Promise((resolve) => setTimeout(resolve, 100));
           }
         }
-      }
-    }
-
-    // 🎯 FIXED: Process chat room date contexts with strict detection
-    if (preferences.enableChatRoomTagging) {
-      const pageTitle = document.title || "";
-      if (pageTitle.toLowerCase().includes("chat room")) {
-        debug(`📅 Processing chat room page: "${pageTitle}"`);
-
-        // 🎯 Find ONLY real date banners with strict detection
-        const allBlocks = document.querySelectorAll(".rm-block");
-
-        for (const block of allBlocks) {
-          // 🎯 Use strict date banner detection
-          if (!isRealDateBanner(block)) {
-            continue; // Skip blocks that aren't real date banners
-          }
-
-          const textElement = block.querySelector(".rm-block-text");
-          const content = textElement ? textElement.textContent || "" : "";
-
-          // Find direct children of this REAL date block
-          const directChildren = block.querySelectorAll(
-            ":scope > .rm-block-children > .rm-block"
-          );
-
-          debug(
-            `📅 Found ${
-              directChildren.length
-            } direct children under REAL date banner: "${content.substring(
-              0,
-              50
-            )}..."`
-          );
-
-          for (const childBlock of directChildren) {
-            if (isBlockBeingEdited(childBlock)) {
-              debug("Skipping block in edit mode during chat room scan");
-              continue;
-            }
+      })
+      .catch((error) => {
+        debug(`Error tagging existing messages: ${error.message}`);
+      });
+  };
 
-            // Check exclusions
-            if (
-              isUnderRoamComments(childBlock) ||
-              containsCh0Header(childBlock)
-            ) {
-              debug("Skipping excluded block during chat room scan");
-              continue;
-            }
+  const observeExistingConversations = () => {
+    existingTimer = null;
+    const preferences = getUserPreferences();
+    if (!preferences.processExistingOnLoad) {
+      debug("⏸️ Processing existing conversations disabled in preferences");
+      return;
+    }
 
-            const blockUid = getBlockUidFromDOM(childBlock);
-            if (blockUid && !processedBlocks.has(blockUid)) {
-              const authorName = getBlockAuthor(blockUid);
-              if (authorName) {
-                await addUsernameTag(blockUid, authorName);
-                processedBlocks.add(blockUid);
-                await new Promise((resolve) => setTimeout(resolve, 100));
-              }
-            }
-          }
-        }
-      }
+    const platform = window.RoamExtensionSuite;
+    if (platform?.observeDOM) {
+      unobserveBlocks = platform.observeDOM(
+        "smart-username-tagger",
+        ".rm-block-children > .rm-block",
+        {
+          added: (blocks) =>
+            tagRenderedBlocks(blocks, preferences.enableChatRoomTagging),
+        },
+        { existing: true, label: "conversation messages" }
+      );
+      debug("Subscribed to shared DOM observer");
+      return;
     }
 
-    debug("Existing conversations and chat rooms processed");
+    // Standalone fallback - tag what is on the page once
+    debug("Scanning existing conversations for direct children only...");
+    tagRenderedBlocks(
+      document.querySelectorAll(".rm-block-children > .rm-block"),
+      preferences.enableChatRoomTagging
+    );
   };
 
   // 🌲 5.0 - Setup Event Listeners
@@ -625,6 +582,15 @@ const smartUsernameTagger = (() => {
   };
 
   const removeEventListeners = () => {
+    if (unobserveBlocks) {
+      unobserveBlocks();
+      unobserveBlocks = null;
+    }
+    if (existingTimer) {
+      clearTimeout(existingTimer);
+      existingTimer = null;
+    }
+
     document.removeEventListener("focusout", handleBlockBlur, true);
     document.removeEventListener("keydown", handleKeyDown, true);
     window.removeEventListener("beforeunload", handlePageChange);
@@ -650,7 +616,7 @@ const smartUsernameTagger = (() => {
           id: "processExisting",
           name: "Process existing conversations on load",
           description:
-            "Add #ts0 and #[[username]] tags to existing conversation messages when extension loads",
+            "Add #ts0 and #[[username]] tags to existing conversation messages as they are rendered",
           action: { type: "switch" },
         },
         {
@@ -691,7 +657,7 @@ const smartUsernameTagger = (() => {
     const processExisting = extensionAPI.settings.get("processExisting");
 
     if (processExisting !== false && preferences.processExistingOnLoad) {
-      setTimeout(processExistingConversations, 3000);
+      existingTimer = setTimeout(observeExistingConversations, 3000);
     }
 
     // 🔍 Log integration status